@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.8.0;
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { INonfungiblePositionManager } from "../interface/INonfungiblePositionManager.sol";
+
+/**
+ * @dev Minimal stand-in for the concentrated-liquidity position manager used by CarbonCoinDex.
+ * `mint` takes the full desired amounts and records a position owned by the recipient.
+ * The manager is also its own factory, swap router and quoter, and holds the funds of every
+ * pool, so `poolByPair` returns its own address once a pair has liquidity. Swaps use the
+ * constant-product formula over the pair's reserves, with a fixed fee, and the parameters and
+ * error strings of the Algebra swap router. For tests only.
+ */
+contract MockPositionManager {
+  struct Position {
+    address token0;
+    address token1;
+    int24 tickLower;
+    int24 tickUpper;
+    uint128 liquidity;
+  }
+
+  struct ExactInputSingleParams {
+    address tokenIn;
+    address tokenOut;
+    address recipient;
+    uint256 deadline;
+    uint256 amountIn;
+    uint256 amountOutMinimum;
+    uint160 limitSqrtPrice;
+  }
+
+  // Hundredths of a bip, as Algebra reports it (0.3%)
+  uint16 public constant FEE = 3000;
+
+  uint256 private _nextTokenId = 1;
+  mapping(uint256 => Position) private _positions;
+  mapping(uint256 => address) public ownerOf;
+  mapping(address => mapping(address => uint256)) public reserves;
+
+  function factory() external view returns (address) {
+    return address(this);
+  }
+
+  function poolByPair(address tokenA, address tokenB) external view returns (address) {
+    return reserves[tokenA][tokenB] > 0 ? address(this) : address(0);
+  }
+
+  function positions(uint256 tokenId) external view returns (
+    uint96 nonce,
+    address operator,
+    address token0,
+    address token1,
+    uint24 fee,
+    int24 tickLower,
+    int24 tickUpper,
+    uint128 liquidity,
+    uint256 feeGrowthInside0LastX128,
+    uint256 feeGrowthInside1LastX128,
+    uint128 tokensOwed0,
+    uint128 tokensOwed1
+  ) {
+    Position memory position = _positions[tokenId];
+    require(position.token0 != address(0), "Invalid token ID");
+    return (0, address(0), position.token0, position.token1, 0, position.tickLower, position.tickUpper, position.liquidity, 0, 0, 0, 0);
+  }
+
+  function mint(INonfungiblePositionManager.MintParams calldata params) external payable returns (
+    uint256 tokenId,
+    uint128 liquidity,
+    uint256 amount0,
+    uint256 amount1
+  ) {
+    require(IERC20(params.token0).transferFrom(msg.sender, address(this), params.amount0Desired), "token0 transfer failed");
+    require(IERC20(params.token1).transferFrom(msg.sender, address(this), params.amount1Desired), "token1 transfer failed");
+
+    tokenId = _nextTokenId++;
+    liquidity = uint128(params.amount0Desired);
+    _positions[tokenId] = Position(params.token0, params.token1, params.tickLower, params.tickUpper, liquidity);
+    ownerOf[tokenId] = params.recipient;
+    reserves[params.token0][params.token1] += params.amount0Desired;
+    reserves[params.token1][params.token0] += params.amount1Desired;
+    return (tokenId, liquidity, params.amount0Desired, params.amount1Desired);
+  }
+
+  function quoteExactInputSingle(address tokenIn, address tokenOut, uint256 amountIn, uint160) public view returns (uint256 amountOut, uint16 fee) {
+    uint256 reserveIn = reserves[tokenIn][tokenOut];
+    uint256 reserveOut = reserves[tokenOut][tokenIn];
+    require(reserveIn > 0 && reserveOut > 0, "No liquidity");
+    uint256 amountInWithFee = amountIn * (1e6 - FEE);
+    amountOut = (amountInWithFee * reserveOut) / (reserveIn * 1e6 + amountInWithFee);
+    fee = FEE;
+  }
+
+  function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 amountOut) {
+    require(block.timestamp <= params.deadline, "Transaction too old");
+    (amountOut, ) = quoteExactInputSingle(params.tokenIn, params.tokenOut, params.amountIn, params.limitSqrtPrice);
+    require(amountOut >= params.amountOutMinimum, "Too little received");
+
+    reserves[params.tokenIn][params.tokenOut] += params.amountIn;
+    reserves[params.tokenOut][params.tokenIn] -= amountOut;
+    require(IERC20(params.tokenIn).transferFrom(msg.sender, address(this), params.amountIn), "tokenIn transfer failed");
+    require(IERC20(params.tokenOut).transfer(params.recipient, amountOut), "tokenOut transfer failed");
+  }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.8.0;
+
+import { MockSomniaExchangePair } from "./MockSomniaExchangePair.sol";
+
+/**
+ * @dev Pair factory in the shape of ISomniaExchangeFactory (Uniswap V2) for local networks.
+ * Pairs are deployed with CREATE, so look them up with `getPair` rather than computing their address.
+ * For tests only.
+ */
+contract MockSomniaExchangeFactory {
+  mapping(address => mapping(address => address)) public getPair;
+  address[] public allPairs;
+
+  event PairCreated(address indexed token0, address indexed token1, address pair, uint256);
+
+  function allPairsLength() external view returns (uint256) {
+    return allPairs.length;
+  }
+
+  function createPair(address tokenA, address tokenB) external returns (address pair) {
+    require(tokenA != tokenB, "SomniaExchange: IDENTICAL_ADDRESSES");
+    (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    require(token0 != address(0), "SomniaExchange: ZERO_ADDRESS");
+    require(getPair[token0][token1] == address(0), "SomniaExchange: PAIR_EXISTS");
+
+    MockSomniaExchangePair created = new MockSomniaExchangePair();
+    created.initialize(token0, token1);
+    pair = address(created);
+    getPair[token0][token1] = pair;
+    getPair[token1][token0] = pair;
+    allPairs.push(pair);
+    emit PairCreated(token0, token1, pair, allPairs.length);
+  }
+}
@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.8.0;
+
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @dev Constant-product pair in the shape of ISomniaExchangePair (Uniswap V2), standing in for
+ * Somnia Exchange on local networks. Same 0.3% swap fee and minimum liquidity; no flash swaps,
+ * protocol fee or price oracle. For tests only.
+ */
+contract MockSomniaExchangePair is ERC20 {
+  uint256 public constant MINIMUM_LIQUIDITY = 1000;
+  address private constant DEAD = 0x000000000000000000000000000000000000dEaD;
+
+  address public immutable factory;
+  address public token0;
+  address public token1;
+
+  uint112 private _reserve0;
+  uint112 private _reserve1;
+  uint32 private _blockTimestampLast;
+
+  event Mint(address indexed sender, uint256 amount0, uint256 amount1);
+  event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to);
+  event Sync(uint112 reserve0, uint112 reserve1);
+
+  constructor() ERC20("Somnia Exchange LP", "SEX-LP") {
+    factory = msg.sender;
+  }
+
+  function initialize(address _token0, address _token1) external {
+    require(msg.sender == factory, "SomniaExchange: FORBIDDEN");
+    token0 = _token0;
+    token1 = _token1;
+  }
+
+  function getReserves() public view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast) {
+    return (_reserve0, _reserve1, _blockTimestampLast);
+  }
+
+  // Mints LP tokens for the amounts transferred in since the last update
+  function mint(address to) external returns (uint256 liquidity) {
+    (uint112 reserve0, uint112 reserve1,) = getReserves();
+    uint256 balance0 = IERC20(token0).balanceOf(address(this));
+    uint256 balance1 = IERC20(token1).balanceOf(address(this));
+    uint256 amount0 = balance0 - reserve0;
+    uint256 amount1 = balance1 - reserve1;
+
+    uint256 supply = totalSupply();
+    if (supply == 0) {
+      liquidity = Math.sqrt(amount0 * amount1) - MINIMUM_LIQUIDITY;
+      _mint(DEAD, MINIMUM_LIQUIDITY);
+    } else {
+      liquidity = Math.min((amount0 * supply) / reserve0, (amount1 * supply) / reserve1);
+    }
+    require(liquidity > 0, "SomniaExchange: INSUFFICIENT_LIQUIDITY_MINTED");
+    _mint(to, liquidity);
+
+    _update(balance0, balance1);
+    emit Mint(msg.sender, amount0, amount1);
+  }
+
+  // Sends the requested amounts out, after the input has been transferred in
+  function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes calldata) external {
+    require(amount0Out > 0 || amount1Out > 0, "SomniaExchange: INSUFFICIENT_OUTPUT_AMOUNT");
+    (uint112 reserve0, uint112 reserve1,) = getReserves();
+    require(amount0Out < reserve0 && amount1Out < reserve1, "SomniaExchange: INSUFFICIENT_LIQUIDITY");
+    require(to != token0 && to != token1, "SomniaExchange: INVALID_TO");
+
+    if (amount0Out > 0) { require(IERC20(token0).transfer(to, amount0Out), "SomniaExchange: TRANSFER_FAILED"); }
+    if (amount1Out > 0) { require(IERC20(token1).transfer(to, amount1Out), "SomniaExchange: TRANSFER_FAILED"); }
+    uint256 balance0 = IERC20(token0).balanceOf(address(this));
+    uint256 balance1 = IERC20(token1).balanceOf(address(this));
+
+    uint256 amount0In = balance0 > reserve0 - amount0Out ? balance0 - (reserve0 - amount0Out) : 0;
+    uint256 amount1In = balance1 > reserve1 - amount1Out ? balance1 - (reserve1 - amount1Out) : 0;
+    require(amount0In > 0 || amount1In > 0, "SomniaExchange: INSUFFICIENT_INPUT_AMOUNT");
+
+    uint256 balance0Adjusted = balance0 * 1000 - amount0In * 3;
+    uint256 balance1Adjusted = balance1 * 1000 - amount1In * 3;
+    require(balance0Adjusted * balance1Adjusted >= uint256(reserve0) * reserve1 * 1000**2, "SomniaExchange: K");
+
+    _update(balance0, balance1);
+    emit Swap(msg.sender, amount0In, amount1In, amount0Out, amount1Out, to);
+  }
+
+  function sync() external {
+    _update(IERC20(token0).balanceOf(address(this)), IERC20(token1).balanceOf(address(this)));
+  }
+
+  function _update(uint256 balance0, uint256 balance1) private {
+    require(balance0 <= type(uint112).max && balance1 <= type(uint112).max, "SomniaExchange: OVERFLOW");
+    _reserve0 = uint112(balance0);
+    _reserve1 = uint112(balance1);
+    _blockTimestampLast = uint32(block.timestamp);
+    emit Sync(_reserve0, _reserve1);
+  }
+}
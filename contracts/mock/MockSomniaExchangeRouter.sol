@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.8.0;
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { MockSomniaExchangeFactory } from "./MockSomniaExchangeFactory.sol";
+import { MockSomniaExchangePair } from "./MockSomniaExchangePair.sol";
+
+/**
+ * @dev The token-to-token part of ISomniaExchangeRouter02 (Uniswap V2) over MockSomniaExchangeFactory:
+ * liquidity, quotes and exact-input swaps with the same math, deadlines and error strings.
+ * For tests only.
+ */
+contract MockSomniaExchangeRouter {
+  address public immutable factory;
+  address public immutable WETH;
+
+  modifier ensure(uint256 deadline) {
+    require(deadline >= block.timestamp, "SomniaExchangeRouter: EXPIRED");
+    _;
+  }
+
+  constructor(address _factory, address _weth) {
+    factory = _factory;
+    WETH = _weth;
+  }
+
+  function addLiquidity(
+    address tokenA,
+    address tokenB,
+    uint256 amountADesired,
+    uint256 amountBDesired,
+    uint256 amountAMin,
+    uint256 amountBMin,
+    address to,
+    uint256 deadline
+  ) external ensure(deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+    address pair = MockSomniaExchangeFactory(factory).getPair(tokenA, tokenB);
+    if (pair == address(0)) {
+      pair = MockSomniaExchangeFactory(factory).createPair(tokenA, tokenB);
+    }
+
+    (uint256 reserveA, uint256 reserveB) = _getReserves(tokenA, tokenB);
+    if (reserveA == 0 && reserveB == 0) {
+      (amountA, amountB) = (amountADesired, amountBDesired);
+    } else {
+      uint256 amountBOptimal = quote(amountADesired, reserveA, reserveB);
+      if (amountBOptimal <= amountBDesired) {
+        require(amountBOptimal >= amountBMin, "SomniaExchangeRouter: INSUFFICIENT_B_AMOUNT");
+        (amountA, amountB) = (amountADesired, amountBOptimal);
+      } else {
+        uint256 amountAOptimal = quote(amountBDesired, reserveB, reserveA);
+        require(amountAOptimal >= amountAMin, "SomniaExchangeRouter: INSUFFICIENT_A_AMOUNT");
+        (amountA, amountB) = (amountAOptimal, amountBDesired);
+      }
+    }
+
+    _transferFrom(tokenA, msg.sender, pair, amountA);
+    _transferFrom(tokenB, msg.sender, pair, amountB);
+    liquidity = MockSomniaExchangePair(pair).mint(to);
+  }
+
+  function swapExactTokensForTokens(
+    uint256 amountIn,
+    uint256 amountOutMin,
+    address[] calldata path,
+    address to,
+    uint256 deadline
+  ) external ensure(deadline) returns (uint256[] memory amounts) {
+    amounts = getAmountsOut(amountIn, path);
+    require(amounts[amounts.length - 1] >= amountOutMin, "SomniaExchangeRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    _transferFrom(path[0], msg.sender, _pairFor(path[0], path[1]), amounts[0]);
+
+    for (uint256 i; i < path.length - 1; i++) {
+      (address input, address output) = (path[i], path[i + 1]);
+      address token0 = input < output ? input : output;
+      uint256 amountOut = amounts[i + 1];
+      (uint256 amount0Out, uint256 amount1Out) = input == token0 ? (uint256(0), amountOut) : (amountOut, uint256(0));
+      address recipient = i < path.length - 2 ? _pairFor(output, path[i + 2]) : to;
+      MockSomniaExchangePair(_pairFor(input, output)).swap(amount0Out, amount1Out, recipient, new bytes(0));
+    }
+  }
+
+  function quote(uint256 amountA, uint256 reserveA, uint256 reserveB) public pure returns (uint256 amountB) {
+    require(amountA > 0, "SomniaExchangeLibrary: INSUFFICIENT_AMOUNT");
+    require(reserveA > 0 && reserveB > 0, "SomniaExchangeLibrary: INSUFFICIENT_LIQUIDITY");
+    amountB = (amountA * reserveB) / reserveA;
+  }
+
+  function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) public pure returns (uint256 amountOut) {
+    require(amountIn > 0, "SomniaExchangeLibrary: INSUFFICIENT_INPUT_AMOUNT");
+    require(reserveIn > 0 && reserveOut > 0, "SomniaExchangeLibrary: INSUFFICIENT_LIQUIDITY");
+    uint256 amountInWithFee = amountIn * 997;
+    amountOut = (amountInWithFee * reserveOut) / (reserveIn * 1000 + amountInWithFee);
+  }
+
+  function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+    require(path.length >= 2, "SomniaExchangeLibrary: INVALID_PATH");
+    amounts = new uint256[](path.length);
+    amounts[0] = amountIn;
+    for (uint256 i; i < path.length - 1; i++) {
+      (uint256 reserveIn, uint256 reserveOut) = _getReserves(path[i], path[i + 1]);
+      amounts[i + 1] = getAmountOut(amounts[i], reserveIn, reserveOut);
+    }
+  }
+
+  function _pairFor(address tokenA, address tokenB) private view returns (address pair) {
+    pair = MockSomniaExchangeFactory(factory).getPair(tokenA, tokenB);
+    require(pair != address(0), "SomniaExchangeLibrary: PAIR_NOT_FOUND");
+  }
+
+  function _getReserves(address tokenA, address tokenB) private view returns (uint256 reserveA, uint256 reserveB) {
+    (uint112 reserve0, uint112 reserve1,) = MockSomniaExchangePair(_pairFor(tokenA, tokenB)).getReserves();
+    (reserveA, reserveB) = tokenA < tokenB ? (uint256(reserve0), uint256(reserve1)) : (uint256(reserve1), uint256(reserve0));
+  }
+
+  function _transferFrom(address token, address from, address to, uint256 amount) private {
+    require(IERC20(token).transferFrom(from, to, amount), "SomniaExchangeRouter: TRANSFER_FROM_FAILED");
+  }
+}
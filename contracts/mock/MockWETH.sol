@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.8.0;
+
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @dev WETH9-style wrapper of the native token (WSOMI on Somnia) for the local exchange.
+ * For tests only.
+ */
+contract MockWETH is ERC20 {
+  event Deposit(address indexed dst, uint256 wad);
+  event Withdrawal(address indexed src, uint256 wad);
+
+  constructor() ERC20("Wrapped SOMI", "WSOMI") {}
+
+  receive() external payable {
+    deposit();
+  }
+
+  function deposit() public payable {
+    _mint(msg.sender, msg.value);
+    emit Deposit(msg.sender, msg.value);
+  }
+
+  function withdraw(uint256 wad) external {
+    _burn(msg.sender, wad);
+    (bool success, ) = payable(msg.sender).call{value: wad}("");
+    require(success, "WETH: withdraw failed");
+    emit Withdrawal(msg.sender, wad);
+  }
+}
@@ -0,0 +1,47 @@
+const { log, isLocalNetwork } = require('../js-helpers/utils');
+const globals = require('../js-helpers/globals');
+
+// Offline stand-ins for the live contracts the stack depends on: mock USDC, WETH, a Uniswap-V2-style
+// factory and router (Somnia Exchange) and the position manager CarbonCoinDex graduates into (also
+// the swap router and quoter of its pools).
+// Only runs on hardhat without a fork; 000_deploy.js picks them up through getChainAddresses.
+module.exports = async (hre) => {
+  const { ethers, getNamedAccounts, deployments } = hre;
+  const { deploy } = deployments;
+  const namedAccounts = await getNamedAccounts();
+  const { deployer } = namedAccounts;
+  const names = globals.localExchange;
+
+  log('\n~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~');
+  log('CarbonOpus - Local Exchange');
+  log('~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~\n');
+
+  const usdc = await deploy(names.usdc, {
+    contract: 'ERC20Mintable',
+    from: deployer,
+    args: [ 'USDC Clone', 'USDC' ],
+    log: true,
+  });
+  const weth = await deploy(names.WETH, { contract: 'MockWETH', from: deployer, log: true });
+  const factory = await deploy(names.factory, { contract: 'MockSomniaExchangeFactory', from: deployer, log: true });
+  await deploy(names.router, {
+    contract: 'MockSomniaExchangeRouter',
+    from: deployer,
+    args: [ factory.address, weth.address ],
+    log: true,
+  });
+  await deploy(names.positionManager, { contract: 'MockPositionManager', from: deployer, log: true });
+
+  // Trading balance for every named account
+  if (usdc.newlyDeployed) {
+    const erc20 = await ethers.getContractAt('ERC20Mintable', usdc.address);
+    const amount = ethers.utils.parseUnits(`${globals.localUsdcBalance}`, 6);
+    for (const [ name, account ] of Object.entries(namedAccounts)) {
+      log(`  Minting ${globals.localUsdcBalance} USDC to ${name}: ${account}`);
+      await (await erc20.mint(account, amount)).wait();
+    }
+  }
+};
+
+module.exports.skip = async ({ network }) => !isLocalNetwork(network);
+module.exports.tags = ['LocalExchange'];
@@ -16,6 +16,17 @@ import 'hardhat-watcher';
 import { HardhatUserConfig, task } from 'hardhat/config';
 import { TASK_TEST } from 'hardhat/builtin-tasks/task-names';
 
+import './tasks/reconcile';
+import './tasks/coin';
+import './tasks/indexer';
+import './tasks/relayer';
+import './tasks/payments';
+import './tasks/protection';
+import './tasks/config';
+import './tasks/admin';
+import './tasks/fees';
+import './tasks/graduation';
+
 // Task to run deployment fixtures before tests without the need of '--deploy-fixture'
 //  - Required to get fixtures deployed before running Coverage Reports
 task(
@@ -99,12 +110,14 @@ const config: HardhatUserConfig = {
     hardhat: {
       chainId: 34443,
       gasPrice: 'auto',
-      forking: {
-        // url: 'https://polygon-mainnet.g.alchemy.com/v2/' + process.env.ALCHEMY_ETH_APIKEY,
-        // blockNumber: 30784049
-        url: 'https://mainnet.mode.network',
-        blockNumber: 20736394
-      },
+      // Offline unless FORK_URL is set; deploy/local_exchange.js stands in for USDC and the DEX.
+      // To fork as before: FORK_URL=https://mainnet.mode.network FORK_BLOCK=20736394
+      ...(process.env.FORK_URL ? {
+        forking: {
+          url: process.env.FORK_URL,
+          blockNumber: process.env.FORK_BLOCK ? parseInt(process.env.FORK_BLOCK, 10) : undefined,
+        },
+      } : {}),
       accounts: {
         mnemonic: mnemonic.testnet,
         initialIndex: 0,
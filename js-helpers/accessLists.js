@@ -0,0 +1,254 @@
+const _ = require('lodash');
+const { Contract, utils } = require('ethers');
+
+const protectionAbi = require('../abis/CarbonCoinProtection.json');
+const { createJsonStore } = require('./indexer');
+const { classifyTxError } = require('./txErrors');
+
+// Bulk blacklist / whitelist changes on CarbonCoinProtection, from CSV rows of "token,address,action".
+// Rows are diffed against the on-chain lists, so rows that are already in effect send nothing.
+// The remaining changes are sent in batches with local nonces. Sent transactions are kept in a
+// journal until they are mined, so a run that was interrupted picks them up instead of resending.
+
+const STATE_VERSION = 1;
+
+const ACTIONS = {
+  blacklist: { list: 'blacklist', value: true },
+  unblacklist: { list: 'blacklist', value: false },
+  whitelist: { list: 'whitelist', value: true },
+  unwhitelist: { list: 'whitelist', value: false },
+};
+
+const AUDIT_STATUS = {
+  APPLIED: 'applied',
+  REVERTED: 'reverted',
+  FAILED: 'failed',
+  DROPPED: 'dropped',
+};
+
+/**
+ * Parses CSV rows of "token,address,action" (action: blacklist, unblacklist, whitelist or unwhitelist).
+ * A header row, blank lines and lines starting with "#" are skipped. Repeated rows are merged;
+ * rows asking for opposite values of the same list throw, as do invalid rows (all listed at once).
+ * @returns {Array<{line: number, token: string, address: string, action: string}>}
+ */
+const parseAccessCsv = (text) => {
+  const rows = [];
+  const errors = [];
+  const seen = {};
+
+  _.forEach(_.toString(text).split(/\r?\n/), (raw, index) => {
+    const line = index + 1;
+    const cells = _.map(raw.split(','), _.trim);
+    if (!cells.join('') || _.startsWith(cells[0], '#')) { return; }
+    if (_.toLower(cells[0]) === 'token' && rows.length === 0) { return; }
+
+    const [ token, address, action ] = cells;
+    const spec = ACTIONS[_.toLower(action)];
+    if (cells.length !== 3) {
+      errors.push(`line ${line}: expected "token,address,action", got ${cells.length} columns`);
+    } else if (!utils.isAddress(token)) {
+      errors.push(`line ${line}: invalid token address "${token}"`);
+    } else if (!utils.isAddress(address)) {
+      errors.push(`line ${line}: invalid address "${address}"`);
+    } else if (!spec) {
+      errors.push(`line ${line}: unknown action "${action}" (expected ${_.keys(ACTIONS).join(', ')})`);
+    } else {
+      const row = { line, token: utils.getAddress(token), address: utils.getAddress(address), action: _.toLower(action) };
+      const key = `${row.token}:${row.address}:${spec.list}`;
+      const previous = seen[key];
+      if (!previous) {
+        seen[key] = row;
+        rows.push(row);
+      } else if (previous.action !== row.action) {
+        errors.push(`line ${line}: "${row.action}" conflicts with "${previous.action}" on line ${previous.line}`);
+      }
+    }
+  });
+
+  if (!_.isEmpty(errors)) {
+    throw new Error(`Invalid access list CSV:\n  ${errors.join('\n  ')}`);
+  }
+  return rows;
+};
+
+/**
+ * Creates a manager for the blacklists and whitelists of a CarbonCoinProtection.
+ *
+ * Options:
+ *  - signer:         the protection owner (with a provider)
+ *  - protection:     CarbonCoinProtection address
+ *  - store:          journal store from createJsonStore() (default: in-memory)
+ *  - batchSize:      transactions sent before waiting for them to be mined (default: 10)
+ *  - confirmations:  confirmations to wait for per transaction (default: 1)
+ *  - onAudit:        called with an audit entry for every change that was mined, failed or dropped
+ */
+const createAccessListManager = ({
+  signer,
+  protection: protectionAddress,
+  store = createJsonStore(),
+  batchSize = 10,
+  confirmations = 1,
+  onAudit = _.noop,
+}) => {
+  const provider = signer.provider;
+  const protection = new Contract(utils.getAddress(protectionAddress), protectionAbi, signer);
+  let state = null;
+
+  const _load = async () => {
+    if (state) { return state; }
+    const { chainId } = await provider.getNetwork();
+    state = store.load();
+    if (!state) {
+      state = { version: STATE_VERSION, chainId, protection: protection.address, pending: {} };
+    } else if (state.version !== STATE_VERSION) {
+      throw new Error(`Unsupported journal version ${state.version} (expected ${STATE_VERSION})`);
+    } else if (state.chainId !== chainId || state.protection !== protection.address) {
+      throw new Error(`Journal belongs to ${state.protection} on chain ${state.chainId}`);
+    }
+    return state;
+  };
+
+  const _read = (token, address, list) => (
+    list === 'blacklist' ? protection.isBlacklisted(token, address) : protection.whitelist(token, address)
+  );
+
+  const _send = ({ token, address, action }, overrides) => {
+    const { list, value } = ACTIONS[action];
+    if (list === 'blacklist') {
+      return protection.blacklistAddress(token, address, value, overrides);
+    }
+    return value ? protection.addToWhitelist(token, address, overrides) : protection.removeFromWhitelist(token, address, overrides);
+  };
+
+  // Takes a change out of the journal and reports it
+  const _settle = async (change, status, { receipt = null, error = null } = {}) => {
+    delete state.pending[change.id];
+    store.save(state);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      chainId: state.chainId,
+      protection: state.protection,
+      operator: change.operator,
+      line: change.line,
+      token: change.token,
+      address: change.address,
+      action: change.action,
+      previous: change.current,
+      status,
+      txHash: change.txHash || null,
+      nonce: _.isNil(change.nonce) ? null : change.nonce,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      error: error ? error.message : null,
+    };
+    await onAudit(entry);
+    return entry;
+  };
+
+  const _settleReceipt = (change, receipt) => _settle(change, receipt.status === 1 ? AUDIT_STATUS.APPLIED : AUDIT_STATUS.REVERTED, { receipt });
+
+  /**
+   * Settles the transactions left in the journal by an earlier run: mined ones are reported,
+   * ones still in the mempool are waited for, and ones the node no longer knows are dropped
+   * (the next plan() sends them again if they are still needed).
+   * @returns {Promise<Array>} audit entries
+   */
+  const recover = async () => {
+    await _load();
+    const entries = [];
+    for (const change of _.values(state.pending)) {
+      const receipt = await provider.getTransactionReceipt(change.txHash);
+      if (receipt) {
+        entries.push(await _settleReceipt(change, receipt));
+      } else if (await provider.getTransaction(change.txHash)) {
+        entries.push(await _settleReceipt(change, await provider.waitForTransaction(change.txHash, confirmations)));
+      } else {
+        entries.push(await _settle(change, AUDIT_STATUS.DROPPED));
+      }
+    }
+    return entries;
+  };
+
+  /**
+   * Recovers the journal, then compares each row with the on-chain list.
+   * @returns {Promise<Array<{id: string, line: number, token: string, address: string, action: string, current: boolean, change: boolean}>>}
+   */
+  const plan = async (rows) => {
+    await recover();
+    const changes = [];
+    for (const row of rows) {
+      const { list, value } = ACTIONS[row.action];
+      const current = await _read(row.token, row.address, list);
+      changes.push({ ...row, id: `${row.token}:${row.address}:${list}`, current, change: current !== value });
+    }
+    return changes;
+  };
+
+  /**
+   * Sends the changes of a plan. A transaction that can't be sent (e.g. it would revert) stops
+   * the run after the batch in flight is mined, so no later nonce is left waiting on a gap.
+   * @returns {Promise<{applied: Array, failed: Array, remaining: Array}>} audit entries, and the changes not sent
+   */
+  const apply = async (changes) => {
+    await _load();
+    const operator = utils.getAddress(await signer.getAddress());
+    const owner = utils.getAddress(await protection.owner());
+    if (operator !== owner) {
+      throw new Error(`${operator} does not own CarbonCoinProtection (owner: ${owner})`);
+    }
+
+    const todo = _.filter(changes, 'change');
+    const result = { applied: [], failed: [], remaining: [] };
+    let nonce = await signer.getTransactionCount('pending');
+    let halted = false;
+
+    for (const batch of _.chunk(todo, batchSize)) {
+      if (halted) {
+        result.remaining.push(...batch);
+        continue;
+      }
+      const sent = [];
+      for (const change of batch) {
+        if (halted) {
+          result.remaining.push(change);
+          continue;
+        }
+        const journaled = { ..._.pick(change, ['id', 'line', 'token', 'address', 'action', 'current']), operator, nonce };
+        try {
+          const tx = await _send(change, { nonce });
+          journaled.txHash = tx.hash;
+          state.pending[change.id] = journaled;
+          store.save(state);
+          sent.push({ change: journaled, tx });
+          nonce++;
+        } catch (err) {
+          result.failed.push(await _settle({ ...journaled, nonce: null }, AUDIT_STATUS.FAILED, { error: classifyTxError(err) }));
+          halted = true;
+        }
+      }
+
+      for (const { change, tx } of sent) {
+        let receipt;
+        try {
+          receipt = await tx.wait(confirmations);
+        } catch (err) {
+          // Not a revert: the transaction stays in the journal for recover()
+          if (!err.receipt) { throw err; }
+          receipt = err.receipt;
+        }
+        const entry = await _settleReceipt(change, receipt);
+        result[entry.status === AUDIT_STATUS.APPLIED ? 'applied' : 'failed'].push(entry);
+      }
+    }
+    return result;
+  };
+
+  return { recover, plan, apply };
+};
+
+module.exports = {
+  ACTIONS,
+  AUDIT_STATUS,
+  parseAccessCsv,
+  createAccessListManager,
+};
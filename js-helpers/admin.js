@@ -0,0 +1,53 @@
+const path = require('path');
+const _ = require('lodash');
+const { utils } = require('ethers');
+
+const { log } = require('./utils');
+const { getNamedSigner } = require('./coin');
+const { SafeBatchSigner, getSimulator } = require('./safeBatch');
+
+// Signer for owner-only tasks: the named account, or a SafeBatchSigner when the task runs with --safe.
+// Options are the task args: { account, safe, forkRpc }
+const getAdminSigner = async (hre, { account = 'deployer', safe, forkRpc } = {}) => {
+  if (!safe) {
+    return getNamedSigner(hre, account);
+  }
+  const namedAccounts = await hre.getNamedAccounts();
+  const safeAddress = utils.isAddress(safe) ? safe : namedAccounts[safe];
+  if (!safeAddress) {
+    throw new Error(`"${safe}" is neither an address nor a named account`);
+  }
+
+  // Deployment names label the previews
+  const labels = _.mapValues(_.invertBy(_.mapValues(await hre.deployments.all(), 'address')), _.first);
+  return new SafeBatchSigner({
+    safe: safeAddress,
+    provider: hre.ethers.provider,
+    simulator: getSimulator(hre.ethers.provider, forkRpc),
+    labels,
+  });
+};
+
+// Writes the collected Safe batch, if the task ran in Safe mode
+const saveSafeBatch = async (hre, signer, { safeBatch } = {}) => {
+  if (!(signer instanceof SafeBatchSigner)) { return null; }
+  if (_.isEmpty(signer.calls)) {
+    log('\n  Nothing to add to a Safe batch.');
+    return null;
+  }
+
+  const filePath = safeBatch || path.join('safe-batches', `${hre.network.name}-${Date.now()}.json`);
+  const batchFile = await signer.writeBatch(filePath);
+  log(`\n  Safe batch for ${signer.address} (${signer.calls.length} transactions):`);
+  _.forEach(signer.calls, ({ preview, simulation }, index) => {
+    log(`  ${index + 1}. ${preview}`);
+    log(`     simulated (${simulation.mode === 'fork' ? 'fork' : 'eth_call'}): ok, gas ${simulation.gasUsed}`);
+  });
+  log(`  - Wrote ${filePath}; import it in the Safe Transaction Builder`);
+  return batchFile;
+};
+
+module.exports = {
+  getAdminSigner,
+  saveSafeBatch,
+};
@@ -0,0 +1,265 @@
+const _ = require('lodash');
+
+// Off-chain replica of the CarbonCoin bonding curve (contracts/CarbonCoin.sol).
+// All math uses BigInt with the same operation order as the contract, so results
+// match on-chain values exactly, including integer truncation.  Operations that
+// would revert on-chain throw an Error named after the contract's custom error.
+
+const BPS = 10000n;
+const PRICE_PRECISION = 10n ** 18n;
+
+const DEFAULT_FEES = { buyFee: 100n, sellFee: 100n };
+
+const CURVE_PARAMS = [
+  'virtualUsdc',
+  'virtualTokens',
+  'creatorReserve',
+  'liquiditySupply',
+  'curveSupply',
+  'maxSupply',
+  'graduationThreshold',
+];
+
+// Accepts bigint, number, decimal string or ethers BigNumber
+const toBigInt = (value) => (typeof value === 'bigint' ? value : BigInt(_.toString(value)));
+
+const _revert = (reason) => {
+  const err = new Error(`Bonding curve reverted: ${reason}`);
+  err.reason = reason;
+  return err;
+};
+
+// Solidity 0.8 checked subtraction
+const _sub = (a, b) => {
+  if (b > a) { throw _revert('Panic: arithmetic underflow'); }
+  return a - b;
+};
+
+// Solidity division by zero
+const _div = (a, b) => {
+  if (b === 0n) { throw _revert('Panic: division by zero'); }
+  return a / b;
+};
+
+const toCurveConfig = (config) => {
+  return _.reduce(CURVE_PARAMS, (curve, param) => {
+    if (_.isNil(config[param])) {
+      throw new Error(`Missing bonding curve parameter "${param}"`);
+    }
+    curve[param] = toBigInt(config[param]);
+    return curve;
+  }, {});
+};
+
+const toFeeConfig = (fees = {}) => ({
+  buyFee: toBigInt(_.get(fees, 'buyFee', DEFAULT_FEES.buyFee)),
+  sellFee: toBigInt(_.get(fees, 'sellFee', DEFAULT_FEES.sellFee)),
+});
+
+// Fresh curve state, as right after the token is deployed
+const createCurveState = (config, fees) => ({
+  curve: toCurveConfig(config),
+  fees: toFeeConfig(fees),
+  realUsdcReserves: 0n,
+  realTokenSupply: 0n,
+  hasGraduated: false,
+});
+
+const _k = (state) => (state.curve.virtualUsdc + state.realUsdcReserves) * _sub(state.curve.virtualTokens, state.realTokenSupply);
+
+// CarbonCoin.getCurrentPrice(); USDC per whole token, scaled by 1e18
+const getCurrentPrice = (state) => {
+  const totalUsdc = state.curve.virtualUsdc + state.realUsdcReserves;
+  const totalTokens = _sub(state.curve.virtualTokens, state.realTokenSupply);
+  if (totalTokens === 0n) { throw _revert('No tokens left in curve'); }
+  return (totalUsdc * PRICE_PRECISION) / totalTokens;
+};
+
+// CarbonCoin.calculateTokensOut()
+const calculateTokensOut = (state, usdcIn) => {
+  usdcIn = toBigInt(usdcIn);
+  if (usdcIn === 0n) { return 0n; }
+
+  const usdcAfterFee = (usdcIn * _sub(BPS, state.fees.buyFee)) / BPS;
+  const k = _k(state);
+  const newTotalUsdc = state.curve.virtualUsdc + state.realUsdcReserves + usdcAfterFee;
+  const newTotalTokens = _div(k, newTotalUsdc);
+  const newRealSupply = _sub(state.curve.virtualTokens, newTotalTokens);
+
+  return _sub(newRealSupply, state.realTokenSupply);
+};
+
+// CarbonCoin.calculateUsdcIn()
+const calculateUsdcIn = (state, tokensOut) => {
+  tokensOut = toBigInt(tokensOut);
+  if (tokensOut === 0n) { return 0n; }
+
+  const k = _k(state);
+  const newRealSupply = state.realTokenSupply + tokensOut;
+  const newTotalTokens = _sub(state.curve.virtualTokens, newRealSupply);
+  const newTotalUsdc = _div(k, newTotalTokens);
+  const newUsdcReserves = _sub(newTotalUsdc, state.curve.virtualUsdc);
+  const usdcNeeded = _sub(newUsdcReserves, state.realUsdcReserves);
+
+  return _div(usdcNeeded * BPS, _sub(BPS, state.fees.buyFee));
+};
+
+// CarbonCoin.calculateUsdcOutWithFee(); returns [usdcAmount, feeAmount]
+const calculateUsdcOutWithFee = (state, tokensIn) => {
+  tokensIn = toBigInt(tokensIn);
+  if (tokensIn === 0n) { return [0n, 0n]; }
+  if (tokensIn > state.realTokenSupply) { return [0n, 0n]; }
+
+  const k = _k(state);
+  const newRealSupply = state.realTokenSupply - tokensIn;
+  const newTotalTokens = _sub(state.curve.virtualTokens, newRealSupply);
+  const newTotalUsdc = _div(k, newTotalTokens);
+  const newUsdcReserves = _sub(newTotalUsdc, state.curve.virtualUsdc);
+  const usdcOut = _sub(state.realUsdcReserves, newUsdcReserves);
+  const usdcAmount = (usdcOut * _sub(BPS, state.fees.sellFee)) / BPS;
+  const feeAmount = usdcOut - usdcAmount;
+  return [usdcAmount, feeAmount];
+};
+
+// Token and USDC amounts handed to the DEX at graduation, and the resulting supply split
+const getLiquiditySplit = (state) => ({
+  liquidityTokens: state.curve.liquiditySupply,
+  liquidityUsdc: state.realUsdcReserves,
+  curveTokensSold: state.realTokenSupply,
+  creatorReserve: state.curve.creatorReserve,
+  totalSupply: state.curve.creatorReserve + state.realTokenSupply + state.curve.liquiditySupply,
+  finalCurvePrice: getCurrentPrice(state),
+  poolPrice: state.curve.liquiditySupply === 0n ? 0n : (state.realUsdcReserves * PRICE_PRECISION) / state.curve.liquiditySupply,
+});
+
+// Applies CarbonCoin._executeBuy() to the curve state (protection checks are not modelled).
+// Returns a new state; the input state is not modified.
+const buy = (state, usdcAmount, minTokensOut = 0n) => {
+  usdcAmount = toBigInt(usdcAmount);
+  if (state.hasGraduated) { throw _revert('AlreadyGraduated'); }
+
+  const priceBefore = getCurrentPrice(state);
+  const tokensOut = calculateTokensOut(state, usdcAmount);
+  if (tokensOut < toBigInt(minTokensOut)) { throw _revert('SlippageTooHigh'); }
+  if (state.realTokenSupply + tokensOut > state.curve.curveSupply) { throw _revert('ExceedsMaxSupply'); }
+
+  const usdcAfterFee = (usdcAmount * (BPS - state.fees.buyFee)) / BPS;
+  const fee = usdcAmount - usdcAfterFee;
+
+  const next = {
+    ...state,
+    realUsdcReserves: state.realUsdcReserves + usdcAfterFee,
+    realTokenSupply: state.realTokenSupply + tokensOut,
+  };
+  const priceAfter = getCurrentPrice(next);
+  next.hasGraduated = next.realUsdcReserves >= next.curve.graduationThreshold;
+
+  return {
+    state: next,
+    trade: { type: 'buy', usdcAmount, tokensOut, fee, priceBefore, priceAfter, graduated: next.hasGraduated },
+  };
+};
+
+// Applies CarbonCoin.sell() / _executeSell() to the curve state.
+// Returns a new state; the input state is not modified.
+const sell = (state, tokensIn, minUsdcOut = 0n) => {
+  tokensIn = toBigInt(tokensIn);
+  if (state.hasGraduated) { throw _revert('AlreadyGraduated'); }
+  if (tokensIn === 0n) { throw _revert('InvalidAmount'); }
+
+  const [ usdcOut, fee ] = calculateUsdcOutWithFee(state, tokensIn);
+  if (usdcOut < toBigInt(minUsdcOut)) { throw _revert('SlippageTooHigh'); }
+  if (usdcOut + fee > state.realUsdcReserves) { throw _revert('InsufficientLiquidity'); }
+
+  const priceBefore = getCurrentPrice(state);
+  const next = {
+    ...state,
+    realUsdcReserves: state.realUsdcReserves - (usdcOut + fee),
+    realTokenSupply: _sub(state.realTokenSupply, tokensIn),
+  };
+  const priceAfter = getCurrentPrice(next);
+
+  return {
+    state: next,
+    trade: { type: 'sell', tokensIn, usdcOut, fee, priceBefore, priceAfter, graduated: false },
+  };
+};
+
+const _summarize = (state, trades) => ({
+  trades,
+  pricePath: _.map(trades, 'priceAfter'),
+  totalUsdcIn: _.reduce(trades, (sum, t) => sum + (t.usdcAmount || 0n), 0n),
+  totalFees: _.reduce(trades, (sum, t) => sum + t.fee, 0n),
+  realUsdcReserves: state.realUsdcReserves,
+  realTokenSupply: state.realTokenSupply,
+  graduated: state.hasGraduated,
+  liquidity: state.hasGraduated ? getLiquiditySplit(state) : null,
+  state,
+});
+
+// Runs a sequence of trades: [{ type: 'buy', usdc }, { type: 'sell', tokens }, ...]
+// Stops at graduation; trades after that point are ignored.
+const simulateTrades = (config, trades, fees) => {
+  let state = createCurveState(config, fees);
+  const executed = [];
+  for (const { type, usdc, tokens } of trades) {
+    if (state.hasGraduated) { break; }
+    const result = type === 'sell' ? sell(state, tokens) : buy(state, usdc);
+    state = result.state;
+    executed.push({ ...result.trade, realUsdcReserves: state.realUsdcReserves, realTokenSupply: state.realTokenSupply });
+  }
+  return _summarize(state, executed);
+};
+
+// Buys in fixed-size steps until the curve graduates.  The last buy is sized to
+// reach the threshold exactly, so "usdcToGraduate" is the total USDC (fees included)
+// buyers spend to graduate the token.
+// If a buy would revert first (e.g. ExceedsMaxSupply when truncation leaves the curve
+// supply short of the threshold), the simulation stops and reports it in "revertedWith".
+const simulateToGraduation = (config, { buySize, fees, maxTrades = 10000 } = {}) => {
+  let state = createCurveState(config, fees);
+  const step = toBigInt(buySize || state.curve.graduationThreshold / 100n);
+  if (step <= 0n) { throw new Error('Invalid buy size'); }
+
+  const executed = [];
+  let revertedWith = '';
+  while (!state.hasGraduated) {
+    if (executed.length >= maxTrades) {
+      throw new Error(`Curve did not graduate within ${maxTrades} trades`);
+    }
+    // Smallest buy that reaches the threshold: usdcAfterFee >= remaining
+    const remaining = state.curve.graduationThreshold - state.realUsdcReserves;
+    const finalBuy = _div(remaining * BPS + (BPS - state.fees.buyFee) - 1n, BPS - state.fees.buyFee);
+    try {
+      const result = buy(state, finalBuy < step ? finalBuy : step);
+      state = result.state;
+      executed.push({ ...result.trade, realUsdcReserves: state.realUsdcReserves, realTokenSupply: state.realTokenSupply });
+    } catch (err) {
+      if (!err.reason) { throw err; }
+      revertedWith = err.reason;
+      break;
+    }
+  }
+
+  const summary = _summarize(state, executed);
+  return { ...summary, usdcToGraduate: state.hasGraduated ? summary.totalUsdcIn : null, revertedWith };
+};
+
+module.exports = {
+  BPS,
+  PRICE_PRECISION,
+  DEFAULT_FEES,
+  CURVE_PARAMS,
+  toBigInt,
+  toCurveConfig,
+  createCurveState,
+  getCurrentPrice,
+  calculateTokensOut,
+  calculateUsdcIn,
+  calculateUsdcOutWithFee,
+  getLiquiditySplit,
+  buy,
+  sell,
+  simulateTrades,
+  simulateToGraduation,
+};
@@ -0,0 +1,137 @@
+const _ = require('lodash');
+const { utils, constants } = require('ethers');
+
+const { log } = require('./utils');
+const { executeTx } = require('./executeTx');
+const globals = require('./globals');
+
+const USDC_DECIMALS = 6;
+const TOKEN_DECIMALS = 18;
+
+// Human-readable amounts ("12.5") <-> on-chain units
+const parseUsdc = (amount) => utils.parseUnits(_.toString(amount), USDC_DECIMALS);
+const parseTokens = (amount) => utils.parseUnits(_.toString(amount), TOKEN_DECIMALS);
+const formatUsdc = (amount) => utils.formatUnits(amount, USDC_DECIMALS);
+const formatTokens = (amount) => utils.formatUnits(amount, TOKEN_DECIMALS);
+
+// Slippage is given in percent ("0.5" = 0.5%); returns the minimum amount to accept
+const applySlippage = (amount, slippage) => {
+  const slippageBps = utils.parseUnits(_.toString(slippage), 2);
+  if (slippageBps.lt(0) || slippageBps.gt(10000)) {
+    throw new Error(`Invalid slippage tolerance: ${slippage}%`);
+  }
+  return amount.mul(utils.parseUnits('100', 2).sub(slippageBps)).div(10000);
+};
+
+// Signer for one of the named accounts in hardhat.config.ts (deployer, treasury, user1, ...)
+const getNamedSigner = async (hre, account = 'deployer') => {
+  const namedAccounts = await hre.getNamedAccounts();
+  if (!namedAccounts[account]) {
+    throw new Error(`Unknown named account "${account}"`);
+  }
+  return hre.ethers.getSigner(namedAccounts[account]);
+};
+
+// CarbonCoin instance along with the USDC token it trades against; "signer" may be a provider for reads
+const getCoinContracts = async (hre, tokenAddress, signer) => {
+  if (!utils.isAddress(tokenAddress)) {
+    throw new Error(`Invalid token address "${tokenAddress}"`);
+  }
+  // getContractAt() only takes a signer, connect() takes either
+  const carbonCoin = (await hre.ethers.getContractAt('CarbonCoin', tokenAddress)).connect(signer);
+  const usdcAddress = await carbonCoin.USDC();
+  const usdc = new hre.ethers.Contract(usdcAddress, globals.erc20Abi, signer);
+  return { carbonCoin, usdc };
+};
+
+// Approves the spender for the USDC amount, unless the current allowance already covers it
+const ensureUsdcAllowance = async (txId, usdc, owner, spender, amount) => {
+  const allowance = await usdc.allowance(owner, spender);
+  if (allowance.gte(amount)) {
+    log(`  - USDC allowance of ${formatUsdc(allowance)} already covers ${formatUsdc(amount)}`);
+    return;
+  }
+  await executeTx(txId, `Approving ${formatUsdc(amount)} USDC for ${spender}`, () => usdc.approve(spender, amount));
+};
+
+// Current state of a CarbonCoin, formatted for display
+const getCoinStatus = async (carbonCoin, account = constants.AddressZero) => {
+  const [
+    name,
+    symbol,
+    creator,
+    price,
+    reserves,
+    graduationThreshold,
+    curveSupply,
+    hasGraduated,
+    paused,
+    balance,
+  ] = await Promise.all([
+    carbonCoin.name(),
+    carbonCoin.symbol(),
+    carbonCoin.creator(),
+    carbonCoin.getCurrentPrice(),
+    carbonCoin.getReserves(),
+    carbonCoin.GRADUATION_THRESHOLD(),
+    carbonCoin.CURVE_SUPPLY(),
+    carbonCoin.hasGraduated(),
+    carbonCoin.paused(),
+    carbonCoin.balanceOf(account),
+  ]);
+  const progress = graduationThreshold.isZero() ? constants.Zero : reserves.usdcReserves.mul(10000).div(graduationThreshold);
+
+  return {
+    address: carbonCoin.address,
+    name,
+    symbol,
+    creator,
+    price: formatUsdc(price),
+    usdcReserves: formatUsdc(reserves.usdcReserves),
+    tokenSupply: formatTokens(reserves.tokenSupply),
+    curveSupply: formatTokens(curveSupply),
+    virtualUsdc: formatUsdc(reserves.virtualUsdc),
+    virtualTokens: formatTokens(reserves.virtualTokens),
+    graduationThreshold: formatUsdc(graduationThreshold),
+    graduationProgress: `${utils.formatUnits(progress, 2)}%`,
+    hasGraduated,
+    paused,
+    account,
+    accountBalance: formatTokens(balance),
+  };
+};
+
+// SDK client for a CarbonCoin, used for the whale-trade workflow (sdk/whale.js)
+const getCoinClient = (hre, tokenAddress, signer) => {
+  const { CarbonCoinClient } = require('../sdk');
+  return new CarbonCoinClient({ ethers: hre.ethers, runner: signer, address: tokenAddress });
+};
+
+// Throws before sending a trade that would revert with WhaleIntentRequired; "amount" is USDC (buy) or tokens (sell)
+const checkWhaleTrade = async (hre, signer, tokenAddress, side, amount) => {
+  const { planTrade } = require('../sdk');
+  const plan = await planTrade(getCoinClient(hre, tokenAddress, signer), { side, amount: amount.toBigInt() });
+  if (plan.isWhale && !plan.intent) {
+    throw new Error(
+      `This ${side} is worth ${formatUsdc(plan.tradeValue)} USDC, at or above the whale threshold of ${formatUsdc(plan.whaleThreshold)} USDC, ` +
+      `and would revert with WhaleIntentRequired. Split it into smaller trades with "coin:whale --side ${side} --split".`
+    );
+  }
+  return plan;
+};
+
+module.exports = {
+  USDC_DECIMALS,
+  TOKEN_DECIMALS,
+  parseUsdc,
+  parseTokens,
+  formatUsdc,
+  formatTokens,
+  applySlippage,
+  getNamedSigner,
+  getCoinContracts,
+  ensureUsdcAllowance,
+  getCoinStatus,
+  getCoinClient,
+  checkWhaleTrade,
+};
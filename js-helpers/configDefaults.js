@@ -0,0 +1,227 @@
+const _ = require('lodash');
+const { Contract, BigNumber, utils } = require('ethers');
+
+const configAbi = require('../abis/CarbonCoinConfig.json');
+
+// Declared defaults of CarbonCoinConfig (fee, anti-bot, circuit-breaker and whale-limit configs).
+// The manifest declares them per network in readable units, which are validated here and converted
+// to the base units the contract stores:
+//  - percent:  "1%", "0.5%"        -> basis points
+//  - seconds:  "15s", "5m", "1h"   -> seconds
+//  - usdc:     "100 USDC"          -> USDC base units (6 decimals)
+//  - count:    3                   -> integer
+
+const USDC_DECIMALS = 6;
+const TIME_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+const _usdc = (amount) => utils.parseUnits(_.toString(amount), USDC_DECIMALS);
+const _bps = (percent) => utils.parseUnits(_.toString(percent), 2);
+
+const UNITS = {
+  percent: {
+    parse: (value) => {
+      const match = /^(\d+(\.\d{1,2})?)\s*%$/.exec(_.trim(value));
+      return match ? _bps(match[1]) : null;
+    },
+    format: (value) => `${utils.formatUnits(value, 2).replace(/\.0$/, '')}%`,
+    expected: 'a percentage with up to 2 decimals, like "1.5%"',
+  },
+  seconds: {
+    parse: (value) => {
+      const match = /^(\d+)\s*([smhd])$/.exec(_.trim(value));
+      return match ? BigNumber.from(match[1]).mul(TIME_UNITS[match[2]]) : null;
+    },
+    format: (value) => {
+      const unit = _.find(['d', 'h', 'm'], (key) => !value.isZero() && value.mod(TIME_UNITS[key]).isZero()) || 's';
+      return `${value.div(TIME_UNITS[unit])}${unit}`;
+    },
+    expected: 'a duration like "15s", "5m", "1h" or "1d"',
+  },
+  usdc: {
+    parse: (value) => {
+      const match = /^(\d+(\.\d{1,6})?)\s*USDC$/i.exec(_.trim(value));
+      return match ? _usdc(match[1]) : null;
+    },
+    format: (value) => `${utils.formatUnits(value, USDC_DECIMALS).replace(/\.0$/, '')} USDC`,
+    expected: 'a USDC amount like "100 USDC"',
+  },
+  count: {
+    parse: (value) => (/^\d+$/.test(_.toString(value)) ? BigNumber.from(_.toString(value)) : null),
+    format: (value) => value.toString(),
+    expected: 'a whole number',
+  },
+};
+
+// Fields in contract struct order. Bounds are in base units and stay within what the contract accepts.
+const CONFIG_SECTIONS = {
+  fee: {
+    configType: 'Fee',
+    getter: 'getFeeConfig',
+    setter: 'updateDefaultFeeConfig',
+    fields: {
+      buyFee: { unit: 'percent', min: 0, max: _bps(10) },
+      sellFee: { unit: 'percent', min: 0, max: _bps(10) },
+      maxFee: { unit: 'percent', min: 0, max: _bps(20) },
+    },
+    check: ({ buyFee, sellFee, maxFee }) => _.compact([
+      buyFee.gt(maxFee) && 'buyFee exceeds maxFee',
+      sellFee.gt(maxFee) && 'sellFee exceeds maxFee',
+    ]),
+  },
+  antiBot: {
+    configType: 'AntiBot',
+    getter: 'getAntiBotConfig',
+    setter: 'updateDefaultAntiBotConfig',
+    fields: {
+      antiBotDuration: { unit: 'seconds', min: 1, max: TIME_UNITS.d },
+      maxBuyAmountEarly: { unit: 'usdc', min: 1, max: _usdc(1000000) },
+      maxWalletPercentage: { unit: 'percent', min: 1, max: _bps(100) },
+      cooldownPeriod: { unit: 'seconds', min: 0, max: 300 },
+      minBuyAmount: { unit: 'usdc', min: 1, max: _usdc(1000) },
+    },
+    check: ({ maxBuyAmountEarly, minBuyAmount }) => _.compact([
+      minBuyAmount.gt(maxBuyAmountEarly) && 'minBuyAmount exceeds maxBuyAmountEarly',
+    ]),
+  },
+  circuitBreaker: {
+    configType: 'CircuitBreaker',
+    getter: 'getCircuitBreakerConfig',
+    setter: 'updateDefaultCircuitBreakerConfig',
+    fields: {
+      maxPriceImpact: { unit: 'percent', min: 1, max: _bps(50) },
+      volatilityWindow: { unit: 'seconds', min: 1, max: TIME_UNITS.d },
+      maxVolatilityMoves: { unit: 'count', min: 1, max: 100 },
+      circuitBreakerDuration: { unit: 'seconds', min: 1, max: 7 * TIME_UNITS.d },
+    },
+    check: () => [],
+  },
+  whaleLimit: {
+    configType: 'WhaleLimit',
+    getter: 'getWhaleLimitConfig',
+    setter: 'updateDefaultWhaleLimitConfig',
+    fields: {
+      whaleThreshold: { unit: 'usdc', min: 1, max: _usdc(10000000) },
+      whaleDelay: { unit: 'seconds', min: 1, max: TIME_UNITS.d },
+      maxTradeSize: { unit: 'usdc', min: 1, max: _usdc(10000000) },
+      maxSellPercentage: { unit: 'percent', min: 1, max: _bps(100) },
+    },
+    check: () => [],
+  },
+};
+
+/**
+ * Validates declared defaults and converts them to the contract structs (BigNumber fields).
+ * Sections are optional, but a declared section needs every field. All problems are thrown at once.
+ * @returns {Object} structs keyed by section name
+ */
+const parseConfigDefaults = (declared = {}) => {
+  const errors = [];
+  const structs = {};
+
+  _.forEach(_.difference(_.keys(declared), _.keys(CONFIG_SECTIONS)), (name) => {
+    errors.push(`unknown section "${name}" (expected ${_.keys(CONFIG_SECTIONS).join(', ')})`);
+  });
+
+  _.forEach(CONFIG_SECTIONS, ({ fields, check }, name) => {
+    const section = declared[name];
+    if (!section) { return; }
+    _.forEach(_.difference(_.keys(section), _.keys(fields)), (field) => errors.push(`${name}.${field}: unknown field`));
+
+    const struct = {};
+    _.forEach(fields, ({ unit, min, max }, field) => {
+      if (_.isNil(section[field])) {
+        errors.push(`${name}.${field}: missing`);
+        return;
+      }
+      const value = UNITS[unit].parse(section[field]);
+      if (!value) {
+        errors.push(`${name}.${field}: "${section[field]}" is not ${UNITS[unit].expected}`);
+      } else if (value.lt(min) || value.gt(max)) {
+        errors.push(`${name}.${field}: ${UNITS[unit].format(value)} is outside ${UNITS[unit].format(BigNumber.from(min))} - ${UNITS[unit].format(BigNumber.from(max))}`);
+      } else {
+        struct[field] = value;
+      }
+    });
+    if (_.size(struct) === _.size(fields)) {
+      errors.push(..._.map(check(struct), (message) => `${name}: ${message}`));
+      structs[name] = struct;
+    }
+  });
+
+  if (!_.isEmpty(errors)) {
+    throw new Error(`Invalid CarbonCoinConfig defaults:\n  ${errors.join('\n  ')}`);
+  }
+  return structs;
+};
+
+// One-line readable form of a config struct, e.g. "buyFee 1%, sellFee 1%, maxFee 5%"
+const formatConfig = (name, struct) => _.map(CONFIG_SECTIONS[name].fields, ({ unit }, field) => (
+  `${field} ${UNITS[unit].format(BigNumber.from(struct[field]))}`
+)).join(', ');
+
+// Reconcile settings (see js-helpers/reconcile.js) for each declared section of the defaults
+const getConfigDefaultSettings = (CarbonCoinConfig, declared) => _.map(parseConfigDefaults(declared), (struct, name) => {
+  const { getter, setter } = CONFIG_SECTIONS[name];
+  return {
+    id: `CarbonCoinConfig.${getter.replace(/^get/, 'default')}`,
+    desired: formatConfig(name, struct),
+    read: async () => formatConfig(name, await CarbonCoinConfig[getter]()),
+    write: () => CarbonCoinConfig[setter](struct),
+  };
+});
+
+/**
+ * Change history of the defaults: every DefaultConfigUpdated event, with the sender and the values
+ * set (read at the event's block; null when the node has no state for that block).
+ *
+ * Options:
+ *  - provider:    ethers provider
+ *  - config:      CarbonCoinConfig address
+ *  - fromBlock:   first block to scan (usually the config deployment block)
+ *  - toBlock:     last block to scan (default: latest)
+ *  - batchSize:   blocks per getLogs request (default: 2000)
+ *
+ * @returns {Promise<Array<{configType: string, blockNumber: number, timestamp: number, transactionHash: string, from: string, values: string}>>}
+ */
+const getConfigHistory = async ({ provider, config: configAddress, fromBlock = 0, toBlock, batchSize = 2000 }) => {
+  const config = new Contract(utils.getAddress(configAddress), configAbi, provider);
+  const lastBlock = _.isNil(toBlock) ? await provider.getBlockNumber() : toBlock;
+  const sections = _.keyBy(_.map(CONFIG_SECTIONS, (section, name) => ({ ...section, name })), 'configType');
+
+  const logs = [];
+  for (let from = fromBlock; from <= lastBlock; from += batchSize) {
+    logs.push(...await config.queryFilter(config.filters.DefaultConfigUpdated(), from, Math.min(from + batchSize - 1, lastBlock)));
+  }
+
+  const history = [];
+  for (const log of logs) {
+    const { configType, timestamp } = log.args;
+    const section = sections[configType];
+    const transaction = await log.getTransaction();
+
+    let values = null;
+    try {
+      const overrides = { blockTag: log.blockNumber };
+      values = section ? formatConfig(section.name, await config[section.getter](overrides)) : await config.getCarbonCoinDex(overrides);
+    } catch (err) {
+      values = null;
+    }
+    history.push({
+      configType,
+      blockNumber: log.blockNumber,
+      timestamp: timestamp.toNumber(),
+      transactionHash: log.transactionHash,
+      from: transaction.from,
+      values,
+    });
+  }
+  return history;
+};
+
+module.exports = {
+  CONFIG_SECTIONS,
+  parseConfigDefaults,
+  formatConfig,
+  getConfigDefaultSettings,
+  getConfigHistory,
+};
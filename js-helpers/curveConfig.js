@@ -0,0 +1,208 @@
+const _ = require('lodash');
+const { utils } = require('ethers');
+
+const { CURVE_PARAMS, PRICE_PRECISION, toBigInt, toCurveConfig } = require('./bondingCurve');
+
+// Bonding-curve parameter checks for CarbonCoinLauncher.createToken.
+// Neither the launcher nor the CarbonCoin constructor validate the curve struct, so an
+// inconsistent curve deploys fine and only fails later (or never graduates).
+
+const TOKEN_UNIT = 10n ** 18n;
+
+// Truncation in calculateTokensOut() makes every buy sell a few wei more than the exact
+// curve would, so the tokens sold at the threshold need some room below curveSupply
+const GRADUATION_HEADROOM = TOKEN_UNIT;
+
+// Reference configurations from the tokenomics docs (claude_files/FINAL_50_40_10_CONFIG.md)
+// and the deployment manifest.  USDC amounts are scaled by getCurvePreset() for other market caps.
+const CURVE_PRESETS = {
+  // 50% bonding curve / 40% liquidity / 10% creator
+  '50/40/10': {
+    virtualUsdc: '2000000000',                          // 2,000 USDC
+    virtualTokens: '5400000000000000000000000',         // 5.4M
+    creatorReserve: '1000000000000000000000000',        // 1M
+    liquiditySupply: '4000000000000000000000000',       // 4M
+    curveSupply: '5000000000000000000000000',           // 5M
+    maxSupply: '10000000000000000000000000',            // 10M
+    graduationThreshold: '10000000000',                 // 10,000 USDC
+  },
+  // 45% bonding curve / 45% liquidity / 10% creator; threshold leaves GRADUATION_HEADROOM
+  '45/45/10': {
+    virtualUsdc: '5000000000',                          // 5,000 USDC
+    virtualTokens: '6000000000000000000000000',         // 6M
+    creatorReserve: '1000000000000000000000000',        // 1M
+    liquiditySupply: '4500000000000000000000000',       // 4.5M
+    curveSupply: '4500000000000000000000000',           // 4.5M
+    maxSupply: '10000000000000000000000000',            // 10M
+    graduationThreshold: '14999000000',                 // 14,999 USDC
+  },
+};
+
+const _formatUsdc = (value) => utils.formatUnits(value.toString(), 6);
+const _formatTokens = (value) => utils.formatUnits(value.toString(), 18);
+
+const _ceilDiv = (a, b) => (a + b - 1n) / b;
+
+// Tokens sold once the reserves reach the threshold (single exact buy)
+const getTokensSoldAt = (curve, usdcReserves) => {
+  return curve.virtualTokens - (curve.virtualUsdc * curve.virtualTokens) / (curve.virtualUsdc + usdcReserves);
+};
+
+// Largest threshold whose tokens-sold stays GRADUATION_HEADROOM below curveSupply
+const getMaxGraduationThreshold = (curve) => {
+  const tokensLeft = curve.virtualTokens - curve.curveSupply + GRADUATION_HEADROOM;
+  if (tokensLeft <= 0n) { return 0n; }
+  return (curve.virtualUsdc * curve.virtualTokens) / tokensLeft - curve.virtualUsdc;
+};
+
+// Fully-diluted market cap at the price the DEX pool opens with (USDC, 6 decimals)
+const getGraduationMarketCap = (curve) => {
+  if (curve.liquiditySupply === 0n) { return 0n; }
+  return (curve.graduationThreshold * curve.maxSupply) / curve.liquiditySupply;
+};
+
+/**
+ * Checks a BondingCurveConfig against the invariants CarbonCoin relies on.
+ *
+ * @returns {{valid: boolean, errors: Array, warnings: Array, metrics: Object}}
+ *  Each error/warning has { invariant, message, suggestion } where "suggestion" holds
+ *  corrected parameter values (as decimal strings) that satisfy the invariant.
+ */
+const validateCurveConfig = (config) => {
+  const errors = [];
+  const warnings = [];
+  const fail = (invariant, message, suggestion = {}) => errors.push({ invariant, message, suggestion: _.mapValues(suggestion, _.toString) });
+  const warn = (invariant, message, suggestion = {}) => warnings.push({ invariant, message, suggestion: _.mapValues(suggestion, _.toString) });
+
+  const missing = _.filter(CURVE_PARAMS, (param) => _.isNil(_.get(config, param)));
+  if (!_.isEmpty(missing)) {
+    fail('complete', `Missing parameters: ${missing.join(', ')}`);
+    return { valid: false, errors, warnings, metrics: {} };
+  }
+  const curve = toCurveConfig(config);
+
+  _.forEach(['virtualUsdc', 'virtualTokens', 'liquiditySupply', 'curveSupply', 'maxSupply', 'graduationThreshold'], (param) => {
+    if (curve[param] <= 0n) {
+      fail('positive', `${param} must be greater than zero`);
+    }
+  });
+  if (!_.isEmpty(errors)) {
+    return { valid: false, errors, warnings, metrics: {} };
+  }
+
+  const totalSupply = curve.creatorReserve + curve.liquiditySupply + curve.curveSupply;
+  if (totalSupply !== curve.maxSupply) {
+    const suggestion = { maxSupply: totalSupply };
+    const curveRemainder = curve.maxSupply - curve.creatorReserve - curve.liquiditySupply;
+    if (curveRemainder > 0n) {
+      suggestion.curveSupply = curveRemainder;
+    }
+    fail('supplySplit',
+      `creatorReserve + liquiditySupply + curveSupply (${_formatTokens(totalSupply)}) must equal maxSupply (${_formatTokens(curve.maxSupply)}); `
+      + `set maxSupply to ${_formatTokens(totalSupply)}${suggestion.curveSupply ? ` or curveSupply to ${_formatTokens(curveRemainder)}` : ''}`,
+      suggestion);
+  }
+
+  if (curve.curveSupply >= curve.virtualTokens) {
+    const virtualTokens = _ceilDiv(curve.curveSupply * 4n, 3n);
+    fail('virtualTokens',
+      `virtualTokens (${_formatTokens(curve.virtualTokens)}) must exceed curveSupply (${_formatTokens(curve.curveSupply)}), `
+      + 'otherwise the curve runs out of tokens and getCurrentPrice() reverts',
+      { virtualTokens });
+    return { valid: false, errors, warnings, metrics: {} };
+  }
+
+  const tokensSold = getTokensSoldAt(curve, curve.graduationThreshold);
+  const maxThreshold = getMaxGraduationThreshold(curve);
+  if (tokensSold + GRADUATION_HEADROOM > curve.curveSupply) {
+    const curveSupply = tokensSold + GRADUATION_HEADROOM;
+    fail('graduationReachable',
+      `Reaching the graduation threshold (${_formatUsdc(curve.graduationThreshold)} USDC) sells ${_formatTokens(tokensSold)} tokens, `
+      + `which leaves less than ${_formatTokens(GRADUATION_HEADROOM)} token of headroom below curveSupply (${_formatTokens(curve.curveSupply)}); `
+      + `buys revert with ExceedsMaxSupply before graduation. Lower graduationThreshold to ${_formatUsdc(maxThreshold)} USDC `
+      + `or raise curveSupply to ${_formatTokens(curveSupply)} (and maxSupply to match)`,
+      { graduationThreshold: maxThreshold, curveSupply, maxSupply: curve.maxSupply + curveSupply - curve.curveSupply });
+  }
+
+  const startPrice = (curve.virtualUsdc * PRICE_PRECISION) / curve.virtualTokens;
+  const finalCurvePrice = ((curve.virtualUsdc + curve.graduationThreshold) * PRICE_PRECISION) / (curve.virtualTokens - tokensSold);
+  const poolPrice = (curve.graduationThreshold * PRICE_PRECISION) / curve.liquiditySupply;
+  const unsold = curve.curveSupply > tokensSold ? curve.curveSupply - tokensSold : 0n;
+
+  if (unsold > curve.curveSupply / 10n) {
+    warn('unsoldSupply',
+      `${_formatTokens(unsold)} tokens of curveSupply remain unsold at graduation and are never minted; `
+      + `the circulating supply after graduation is ${_formatTokens(curve.maxSupply - unsold)}`,
+      { graduationThreshold: maxThreshold });
+  }
+  if (poolPrice * 2n < finalCurvePrice) {
+    warn('priceGap',
+      `The DEX pool opens at ${_formatUsdc(poolPrice)} USDC per token, less than half the final curve price of ${_formatUsdc(finalCurvePrice)} USDC`);
+  }
+
+  return {
+    valid: _.isEmpty(errors),
+    errors,
+    warnings,
+    metrics: {
+      startPrice: _formatUsdc(startPrice),
+      finalCurvePrice: _formatUsdc(finalCurvePrice),
+      poolPrice: _formatUsdc(poolPrice),
+      tokensSoldAtGraduation: _formatTokens(tokensSold),
+      maxGraduationThreshold: _formatUsdc(maxThreshold),
+      graduationMarketCap: _formatUsdc(getGraduationMarketCap(curve)),
+    },
+  };
+};
+
+// Throws with every failed invariant listed; returns the curve unchanged when valid
+const assertValidCurveConfig = (config) => {
+  const { valid, errors } = validateCurveConfig(config);
+  if (!valid) {
+    throw new Error(`Invalid bonding curve:\n${_.map(errors, ({ invariant, message }) => `  - [${invariant}] ${message}`).join('\n')}`);
+  }
+  return config;
+};
+
+/**
+ * Returns a named preset, optionally scaled to a target graduation market cap.
+ * Only the USDC amounts (virtualUsdc, graduationThreshold) are scaled, so the supply
+ * split, the shape of the curve and the tokens sold at graduation stay the same.
+ *
+ * @param {string} name        One of the CURVE_PRESETS keys
+ * @param {string} marketCap   Target fully-diluted market cap at graduation, in USDC (e.g. "50000")
+ */
+const getCurvePreset = (name, marketCap = '') => {
+  const preset = CURVE_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown curve preset "${name}" (available: ${_.keys(CURVE_PRESETS).join(', ')})`);
+  }
+  if (!marketCap) {
+    return { ...preset };
+  }
+
+  const curve = toCurveConfig(preset);
+  const target = toBigInt(utils.parseUnits(_.toString(marketCap), 6));
+  const reference = getGraduationMarketCap(curve);
+  if (target <= 0n) {
+    throw new Error(`Invalid target market cap "${marketCap}"`);
+  }
+
+  return {
+    ...preset,
+    virtualUsdc: _.toString((curve.virtualUsdc * target) / reference),
+    graduationThreshold: _.toString((curve.graduationThreshold * target) / reference),
+  };
+};
+
+module.exports = {
+  TOKEN_UNIT,
+  GRADUATION_HEADROOM,
+  CURVE_PRESETS,
+  getTokensSoldAt,
+  getMaxGraduationThreshold,
+  getGraduationMarketCap,
+  validateCurveConfig,
+  assertValidCurveConfig,
+  getCurvePreset,
+};
@@ -1,18 +1,24 @@
 const fs = require('fs');
 const path = require('path');
 const _ = require('lodash');
+const { utils } = require('ethers');
 
 const {
   toEth,
-  chainNameById,
+  isLocalNetwork,
+  networkNameById,
   ensureDirectoryExistence,
 } = require('./utils');
+const globals = require('./globals');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_ACTIONS = ['deploy', 'reuse', 'redeploy'];
 
 
 const txOverrides = (options = {}) => ({gasLimit: 15000000, ...options});
 
 const saveDeploymentData = (chainId, deployData, overwrite = false) => {
-  const network = chainNameById(chainId).toLowerCase();
+  const network = networkNameById(chainId);
   const deployPath = path.join(__dirname, '..', 'deployments', network);
 
   _.forEach(_.keys(deployData), (contractName) => {
@@ -37,7 +43,7 @@ const getContractAbi = (contractName) => {
 };
 
 const getDeployData = (contractName, chainId = 31337) => {
-  const network = chainNameById(chainId).toLowerCase();
+  const network = networkNameById(chainId);
   const deployPath = path.join(__dirname, '..', 'deployments', network);
   const filename = `${deployPath}/${contractName}.json`;
   delete require.cache[require.resolve(filename)]; // Prevent requiring cached deps
@@ -45,6 +51,115 @@ const getDeployData = (contractName, chainId = 31337) => {
   return contractJson;
 }
 
+// Returns the deployment manifest for a chain, merged over the manifest defaults.
+//  - Live networks must have an entry, and the entry must name the network it was written for;
+//    this prevents deploying one chain's plan onto another.
+//  - Hardhat falls back to the defaults (deploy everything).
+const getNetworkManifest = (chainId, networkName, isHardhatNetwork = false) => {
+  const { manifest } = globals;
+  if (_.get(manifest, 'version') !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported deployment manifest version: ${_.get(manifest, 'version')} (expected ${MANIFEST_VERSION})`);
+  }
+
+  const networkManifest = _.get(manifest, ['networks', chainId]);
+  if (!networkManifest) {
+    if (!isHardhatNetwork) {
+      throw new Error(`No deployment manifest entry for chainId ${chainId} (${networkName})`);
+    }
+    return _.cloneDeep(manifest.defaults);
+  }
+  if (networkManifest.network !== networkName) {
+    throw new Error(`Deployment manifest for chainId ${chainId} is for "${networkManifest.network}", not "${networkName}"`);
+  }
+
+  const merged = _.merge(_.cloneDeep(manifest.defaults), _.omit(networkManifest, 'network'));
+  _.forEach(merged.contracts, (entry, contractName) => {
+    if (!_.includes(MANIFEST_ACTIONS, entry.action)) {
+      throw new Error(`Invalid manifest action "${entry.action}" for ${contractName}`);
+    }
+    if (entry.action === 'reuse' && !utils.isAddress(entry.address || '')) {
+      throw new Error(`Manifest entry for ${contractName} is marked "reuse" without a valid address`);
+    }
+  });
+  return merged;
+};
+
+// Resolves manifest constructor args:
+//  - "$name"     -> values[name]     (deployer, usdc, router, etc.)
+//  - "@Contract" -> addresses[Contract] (contracts resolved earlier in the manifest)
+const resolveManifestArgs = (args, values, addresses) => {
+  const resolve = (arg) => {
+    if (_.isArray(arg)) { return _.map(arg, resolve); }
+    if (_.isPlainObject(arg)) { return _.mapValues(arg, resolve); }
+    if (!_.isString(arg)) { return arg; }
+
+    if (_.startsWith(arg, '$')) {
+      const key = arg.slice(1);
+      if (!_.has(values, key)) { throw new Error(`Unknown manifest value: ${arg}`); }
+      return values[key];
+    }
+    if (_.startsWith(arg, '@')) {
+      const contractName = arg.slice(1);
+      if (!addresses[contractName]) { throw new Error(`Manifest references unresolved contract: ${arg}`); }
+      return addresses[contractName];
+    }
+    return arg;
+  };
+  return _.map(args || [], resolve);
+};
+
+// Storage layout of a contract from its compiler output (build-info).
+const getStorageLayout = async (hre, contractName) => {
+  const { sourceName } = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  return _.get(buildInfo, ['output', 'contracts', sourceName, contractName, 'storageLayout']);
+};
+
+// Connects to every contract in a resolved manifest: "reuse" entries at their manifest address,
+// everything else at the address recorded by hardhat-deploy.
+// Records that lack a storage layout (reused contracts, in-memory deployments) get the compiled one.
+const getManifestContracts = async (hre, manifest) => {
+  const { ethers, deployments, network } = hre;
+  const contracts = {};
+  const records = {};
+
+  for (const [contractName, entry] of Object.entries(manifest.contracts)) {
+    const record = await deployments.getOrNull(contractName);
+    const address = entry.action === 'reuse' ? entry.address : _.get(record, 'address');
+    if (!address) {
+      throw new Error(`${contractName} has not been deployed on ${network.name}`);
+    }
+    contracts[contractName] = await ethers.getContractAt(contractName, address);
+    const isRecorded = _.toLower(_.get(record, 'address')) === _.toLower(address) && _.get(record, 'storageLayout');
+    records[contractName] = isRecorded ? record : { ...record, address, storageLayout: await getStorageLayout(hre, contractName) };
+  }
+  return { contracts, records };
+};
+
+// USDC, WETH and DEX addresses for a chain: globals.addresses, or on hardhat without a fork
+// the stand-ins deployed by deploy/local_exchange.js (globals.localExchange).
+// "positionManager" is what CarbonCoinDex mints graduation liquidity through; chains that
+// list none get the router, which is what CarbonCoinDex has been deployed with so far.
+const getChainAddresses = async (hre, chainId) => {
+  if (!isLocalNetwork(hre.network)) {
+    const addresses = _.get(globals.addresses, chainId);
+    if (!addresses) {
+      throw new Error(`No addresses for chainId ${chainId} in js-helpers/globals`);
+    }
+    return { positionManager: addresses.router, ...addresses };
+  }
+
+  const addresses = {};
+  for (const [key, deploymentName] of Object.entries(globals.localExchange)) {
+    const deployment = await hre.deployments.getOrNull(deploymentName);
+    if (!deployment) {
+      throw new Error(`${deploymentName} is not deployed; run the "LocalExchange" deploy tag first`);
+    }
+    addresses[key] = deployment.address;
+  }
+  return addresses;
+};
+
 const getTxGasCost = ({deployTransaction}) => {
   const gasCost = toEth(deployTransaction.gasLimit.mul(deployTransaction.gasPrice));
   return `${gasCost} ETH`;
@@ -59,6 +174,11 @@ const getActualTxGasCost = async (txData) => {
 
 module.exports = {
   txOverrides,
+  getNetworkManifest,
+  resolveManifestArgs,
+  getManifestContracts,
+  getStorageLayout,
+  getChainAddresses,
   saveDeploymentData,
   getContractAbi,
   getDeployData,
@@ -1,8 +1,11 @@
+const { ethers } = require('hardhat');
 const {
   log,
   toEth,
   toBN,
+  sleep,
 } = require('./utils');
+const { classifyTxError, isPreBroadcastError } = require('./txErrors');
 
 const _ = require('lodash');
 
@@ -34,27 +37,123 @@ const resetAccumulatedGasCost = () => {
   __accumulatedGasCost = toBN('0');
 };
 
-const executeTx = async (txId, txDesc, callback, retryAttempts = 3) => {
+class TxFailedError extends Error {
+  constructor(result) {
+    super(`Transaction ${result.txId} failed: ${result.error.message}`);
+    this.name = 'TxFailedError';
+    this.result = result;
+  }
+}
+
+// A transaction mined with status 0 carries no revert data; replay it at its block to get it
+const _withReplayedRevert = async (err) => {
+  const { receipt, transaction } = err || {};
+  if (!receipt || !transaction || receipt.status !== 0) { return err; }
+  try {
+    await ethers.provider.call(_.pick(transaction, ['from', 'to', 'data', 'value', 'gasLimit']), receipt.blockNumber);
+  } catch (replayErr) {
+    return _.assign(replayErr, { receipt, transaction });
+  }
+  return err;
+};
+
+// ethers v5 rejects wait() when the transaction was replaced; a repriced copy of the same call still counts
+const _waitForReceipt = async (tx) => {
+  try {
+    return await tx.wait();
+  } catch (err) {
+    if (err.code === 'TRANSACTION_REPLACED' && !err.cancelled) { return err.receipt; }
+    throw err;
+  }
+};
+
+// A send can fail after the node accepted the transaction (a timeout, a dropped connection, "already known").
+// ethers v5 attaches the signed transaction to the error: look it up by hash, or check whether its nonce
+// was used. "broadcast" is false only when the nonce is known to be still free.
+const _findBroadcastTx = async (err) => {
+  const sent = _.get(err, 'transaction') || {};
   try {
-    if (txId === '1-a') {
-      log(`\n`);
+    const hash = err.transactionHash || sent.hash;
+    const tx = hash ? await ethers.provider.getTransaction(hash) : null;
+    if (tx) { return { tx, broadcast: true }; }
+    if (sent.from && !_.isNil(sent.nonce)) {
+      const pendingNonce = await ethers.provider.getTransactionCount(sent.from, 'pending');
+      return { tx: null, broadcast: pendingNonce > toBN(sent.nonce).toNumber() };
     }
-    log(`  - [TX-${txId}] ${txDesc}`);
-    const tx = await callback();
-    const txResult = await tx.wait();
-    accumulatedGasCost(txResult);
-  }
-  catch (err) {
-    log(`  - Transaction ${txId} Failed: ${err}`);
-    if (retryAttempts > 0) {
-      log(`  - Retrying;`);
-      await executeTx(txId, txDesc, callback, retryAttempts-1);
+  } catch (lookupErr) {
+    log(`  - Unable to look up the transaction: ${lookupErr.message}`);
+  }
+  return { tx: null, broadcast: true };
+};
+
+/**
+ * Sends the transaction returned by "callback" and waits for it.
+ *
+ * Failures are decoded against the project ABIs. Only transient errors (RPC, network, nonce)
+ * are retried, with exponential backoff; reverts and other errors fail on the first attempt.
+ * "callback" is only called again when the send was rejected before broadcast (nonce or underpriced
+ * replacement errors), or when the nonce it signed with is still free. Once a transaction may have
+ * been sent, retries wait on its hash (or its replacement), or fail when it can't be found, so it
+ * is never sent twice.
+ *
+ * Options (a number is taken as "retries", for older callers):
+ *  - retries:       retries for transient errors (default: 3)
+ *  - backoffMs:     delay before the first retry, doubled on each retry (default: 1000)
+ *  - allowFailure:  return the failed result instead of throwing a TxFailedError (default: false)
+ *
+ * @returns {Promise<{txId: string, success: boolean, receipt: Object, attempts: number, error: Object}>}
+ */
+const executeTx = async (txId, txDesc, callback, options = {}) => {
+  const { retries = 3, backoffMs = 1000, allowFailure = false } = _.isNumber(options) ? { retries: options } : options;
+
+  if (txId === '1-a') {
+    log(`\n`);
+  }
+  log(`  - [TX-${txId}] ${txDesc}`);
+
+  let tx = null;
+  let error = null;
+  let attempts = 0;
+  while (attempts <= retries) {
+    attempts++;
+    try {
+      if (!tx) {
+        tx = await callback();
+      }
+      const receipt = await _waitForReceipt(tx);
+      accumulatedGasCost(receipt);
+      return { txId, success: true, receipt, attempts, error: null };
+    }
+    catch (err) {
+      error = { ...classifyTxError(await _withReplayedRevert(err)), cause: err };
+      log(`  - Transaction ${txId} Failed: [${error.kind}] ${error.message}`);
+      if (!tx && error.retryable && !isPreBroadcastError(err)) {
+        const found = await _findBroadcastTx(err);
+        if (found.tx) {
+          tx = found.tx;
+          log(`  - Transaction ${tx.hash} reached the node`);
+        } else if (found.broadcast) {
+          error = { ...error, retryable: false, message: `${error.message} (the transaction may have been sent; not sending it again)` };
+        }
+      }
+      if (!error.retryable || attempts > retries) { break; }
+
+      const delay = backoffMs * (2 ** (attempts - 1));
+      log(`  - ${tx ? `Waiting on ${tx.hash} again` : 'Retrying'} in ${delay} ms (${attempts}/${retries})`);
+      await sleep(delay);
     }
   }
-}
+
+  const result = { txId, success: false, receipt: _.get(error, 'cause.receipt', null), attempts, error };
+  if (!allowFailure) {
+    throw new TxFailedError(result);
+  }
+  return result;
+};
 
 
 module.exports = {
+  TxFailedError,
   executeTx,
   accumulatedGasCost,
   getAccumulatedGasCost,
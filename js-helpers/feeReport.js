@@ -0,0 +1,325 @@
+const _ = require('lodash');
+const { Contract, BigNumber, utils } = require('ethers');
+
+const launcherAbi = require('../abis/CarbonCoinLauncher.json');
+const coinAbi = require('../abis/CarbonCoin.json');
+const opusAbi = require('../abis/CarbonOpus.json');
+const usdcAbi = require('../abis/IUSDC.json');
+
+// Fee accounting for a block range. Fees accrue in three accounts:
+//  - launcher-usdc:    USDC held by CarbonCoinLauncher. Every CarbonCoin sends its buy and sell fees there
+//                      (a USDC Transfer from the coin, followed by its TokensPurchased / TokensSold);
+//                      it is paid out by withdrawUsdcFees (UsdcFeesWithdrawn)
+//  - launcher-native:  native balance of CarbonCoinLauncher (getFeeBalance), paid in through receive()
+//                      (NativeFeeReceived) and out by withdrawNativeFees (NativeFeesWithdrawn)
+//  - opus-treasury:    CarbonOpus protocol fees, credited to the "treasury" rewards (RewardsDistributed)
+//                      and paid out by claimRewards (RewardsClaimed)
+// Each account is reconciled as opening balance + collected - withdrawn = closing balance.
+// Balances before the latest block need an archive node; without one they are null.
+
+const ACCOUNTS = {
+  LAUNCHER_USDC: 'launcher-usdc',
+  LAUNCHER_NATIVE: 'launcher-native',
+  OPUS_TREASURY: 'opus-treasury',
+};
+
+const ASSETS = {
+  USDC: { symbol: 'USDC', decimals: 6 },
+  NATIVE: { symbol: 'native', decimals: 18 },
+};
+
+const TREASURY_ID = utils.formatBytes32String('treasury');
+
+const launcherInterface = new utils.Interface(launcherAbi);
+const coinInterface = new utils.Interface(coinAbi);
+const opusInterface = new utils.Interface(opusAbi);
+const usdcInterface = new utils.Interface(usdcAbi);
+
+const _topic = (iface, name) => iface.getEventTopic(name);
+
+// Unix seconds from a number of seconds or a date string ("2025-01-31", "2025-01-31T12:00:00Z")
+const parseTime = (value) => {
+  if (/^\d+$/.test(_.toString(value))) { return Number(value); }
+  const time = Date.parse(value);
+  if (_.isNaN(time)) {
+    throw new Error(`Invalid time "${value}" (expected unix seconds or a date like 2025-01-31)`);
+  }
+  return Math.floor(time / 1000);
+};
+
+/**
+ * Number of the first block at or after "timestamp" ({ before: false }), or of the last block
+ * at or before it ({ before: true }). Null when no block qualifies.
+ */
+const findBlockByTime = async (provider, timestamp, { before = false } = {}) => {
+  const latest = await provider.getBlock('latest');
+  let low = 0;
+  let high = latest.number;
+  // First block with a timestamp > "timestamp" (before) or >= "timestamp" (after)
+  const isPast = (block) => (before ? block.timestamp > timestamp : block.timestamp >= timestamp);
+  if (!isPast(latest)) { return before ? latest.number : null; }
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (isPast(await provider.getBlock(middle))) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  if (before) { return low > 0 ? low - 1 : null; }
+  return low;
+};
+
+/**
+ * Block range of a report, from block numbers or unix times (blocks win when both are given).
+ * @returns {Promise<{fromBlock: number, toBlock: number}>}
+ */
+const getBlockRange = async (provider, { fromBlock, toBlock, from, to } = {}) => {
+  const range = {
+    fromBlock: !_.isNil(fromBlock) ? fromBlock : (_.isNil(from) ? 0 : await findBlockByTime(provider, from)),
+    toBlock: !_.isNil(toBlock) ? toBlock : (_.isNil(to) ? await provider.getBlockNumber() : await findBlockByTime(provider, to, { before: true })),
+  };
+  if (_.isNil(range.fromBlock) || _.isNil(range.toBlock) || range.fromBlock > range.toBlock) {
+    throw new Error(`Empty block range (from ${_.isNil(range.fromBlock) ? 'a time after the latest block' : range.fromBlock} to ${range.toBlock})`);
+  }
+  return range;
+};
+
+const _getLogs = async (provider, filter, { fromBlock, toBlock, batchSize }) => {
+  const logs = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    logs.push(...await provider.getLogs({ ...filter, fromBlock: from, toBlock: Math.min(from + batchSize - 1, toBlock) }));
+  }
+  return logs;
+};
+
+// Balance read from the contract at "address" at a block; 0 before the first block or before the
+// contract was deployed, null when the node has no state for it
+const _balanceAt = async (provider, address, read, blockTag) => {
+  if (blockTag < 0) { return BigNumber.from(0); }
+  try {
+    if (await provider.getCode(address, blockTag) === '0x') { return BigNumber.from(0); }
+    return BigNumber.from(await read({ blockTag }));
+  } catch (err) {
+    return null;
+  }
+};
+
+const _sum = (values) => _.reduce(values, (total, value) => total.add(value), BigNumber.from(0));
+
+/**
+ * Sums the fees collected per source over a block range and reconciles each fee account with
+ * its withdrawals and its balances at both ends of the range.
+ *
+ * Options:
+ *  - provider:    ethers provider
+ *  - launcher:    CarbonCoinLauncher address
+ *  - opus:        CarbonOpus address (optional; its treasury account is left out without it)
+ *  - fromBlock:   first block of the period
+ *  - toBlock:     last block of the period
+ *  - batchSize:   blocks per getLogs request (default: 2000)
+ *
+ * Amounts are decimal strings in base units (USDC: 6 decimals, native: 18).
+ * @returns {Promise<{chainId: number, period: Object, accounts: Array, sources: Array, withdrawals: Array}>}
+ */
+const getFeeReport = async ({ provider, launcher: launcherAddress, opus: opusAddress, fromBlock, toBlock, batchSize = 2000 }) => {
+  const range = { fromBlock, toBlock, batchSize };
+  const { chainId } = await provider.getNetwork();
+  const launcher = new Contract(utils.getAddress(launcherAddress), launcherAbi, provider);
+  const usdc = new Contract(utils.getAddress(await launcher.usdcAddress()), usdcAbi, provider);
+  const opus = opusAddress ? new Contract(utils.getAddress(opusAddress), opusAbi, provider) : null;
+
+  const blocks = {};
+  const _timestamp = async (blockNumber) => {
+    if (!blocks[blockNumber]) { blocks[blockNumber] = await provider.getBlock(blockNumber); }
+    return blocks[blockNumber].timestamp;
+  };
+
+  // Coins of this launcher, by the address that sent USDC to it
+  const coins = {};
+  const _coin = async (address) => {
+    if (_.isUndefined(coins[address])) {
+      const info = await launcher.tokens(address);
+      coins[address] = info.tokenAddress === address ? { address, symbol: info.symbol } : null;
+    }
+    return coins[address];
+  };
+
+  const sources = {};
+  const _source = (key, fields) => {
+    if (!sources[key]) { sources[key] = { ...fields, count: 0, collected: '0', buys: 0, buyFees: '0', sells: 0, sellFees: '0' }; }
+    return sources[key];
+  };
+  const _add = (source, amount, type = null) => {
+    source.count++;
+    source.collected = BigNumber.from(source.collected).add(amount).toString();
+    if (type) {
+      source[`${type}s`]++;
+      source[`${type}Fees`] = BigNumber.from(source[`${type}Fees`]).add(amount).toString();
+    }
+  };
+  const withdrawals = [];
+  const _withdrawal = async (account, log, to, amount) => withdrawals.push({
+    account,
+    blockNumber: log.blockNumber,
+    timestamp: await _timestamp(log.blockNumber),
+    transactionHash: log.transactionHash,
+    to,
+    amount: amount.toString(),
+  });
+
+  // Coin fees: USDC sent to the launcher, matched to the trade event the coin emits after it
+  const transfers = await _getLogs(provider, {
+    address: usdc.address,
+    topics: [_topic(usdcInterface, 'Transfer'), null, utils.hexZeroPad(launcher.address, 32)],
+  }, range);
+  const trades = _.isEmpty(transfers) ? [] : await _getLogs(provider, {
+    topics: [[_topic(coinInterface, 'TokensPurchased'), _topic(coinInterface, 'TokensSold')]],
+  }, range);
+  const tradesByTx = _.groupBy(trades, 'transactionHash');
+
+  for (const log of transfers) {
+    const { from, value } = usdcInterface.parseLog(log).args;
+    const coin = await _coin(utils.getAddress(from));
+    if (!coin) {
+      _add(_source(`other:${from}`, { account: ACCOUNTS.LAUNCHER_USDC, source: 'transfer', contract: utils.getAddress(from), label: 'USDC sent to the launcher' }), value);
+      continue;
+    }
+    const trade = _.find(tradesByTx[log.transactionHash], (entry) => utils.getAddress(entry.address) === coin.address && entry.logIndex > log.logIndex);
+    const type = trade ? coinInterface.parseLog(trade).name : null;
+    _add(_source(`coin:${coin.address}`, { account: ACCOUNTS.LAUNCHER_USDC, source: 'coin', contract: coin.address, label: coin.symbol }), value, { TokensPurchased: 'buy', TokensSold: 'sell' }[type]);
+  }
+
+  // Launcher native fees and withdrawals
+  const launcherLogs = await _getLogs(provider, {
+    address: launcher.address,
+    topics: [_.map(['NativeFeeReceived', 'UsdcFeesWithdrawn', 'NativeFeesWithdrawn'], (name) => _topic(launcherInterface, name))],
+  }, range);
+  for (const log of launcherLogs) {
+    const { name, args } = launcherInterface.parseLog(log);
+    if (name === 'NativeFeeReceived') {
+      _add(_source('native', { account: ACCOUNTS.LAUNCHER_NATIVE, source: 'native', contract: launcher.address, label: 'NativeFeeReceived' }), args.amount);
+    } else {
+      await _withdrawal(name === 'UsdcFeesWithdrawn' ? ACCOUNTS.LAUNCHER_USDC : ACCOUNTS.LAUNCHER_NATIVE, log, args.to, args.amount);
+    }
+  }
+
+  // CarbonOpus protocol fees and treasury claims
+  if (opus) {
+    const opusLogs = await _getLogs(provider, {
+      address: opus.address,
+      topics: [[_topic(opusInterface, 'RewardsDistributed'), _topic(opusInterface, 'RewardsClaimed')]],
+    }, range);
+    for (const log of opusLogs) {
+      const { name, args } = opusInterface.parseLog(log);
+      if (name === 'RewardsDistributed') {
+        _add(_source('opus', { account: ACCOUNTS.OPUS_TREASURY, source: 'protocol', contract: opus.address, label: 'CarbonOpus protocol fee' }), args.protocolFee);
+      } else if (args.memberId === TREASURY_ID) {
+        await _withdrawal(ACCOUNTS.OPUS_TREASURY, log, args.account, args.amount);
+      }
+    }
+  }
+
+  // Reconciliation of each account
+  const balances = {
+    [ACCOUNTS.LAUNCHER_USDC]: { asset: ASSETS.USDC, contract: launcher.address, reader: usdc.address, read: (overrides) => usdc.balanceOf(launcher.address, overrides) },
+    [ACCOUNTS.LAUNCHER_NATIVE]: { asset: ASSETS.NATIVE, contract: launcher.address, reader: launcher.address, read: (overrides) => launcher.getFeeBalance(overrides) },
+  };
+  if (opus) {
+    balances[ACCOUNTS.OPUS_TREASURY] = { asset: ASSETS.USDC, contract: opus.address, reader: opus.address, read: (overrides) => opus.getRewards(TREASURY_ID, overrides) };
+  }
+
+  const sourceList = _.values(sources);
+  const accounts = [];
+  for (const [account, { asset, contract, reader, read }] of _.toPairs(balances)) {
+    const collected = _sum(_.map(_.filter(sourceList, { account }), 'collected'));
+    const withdrawn = _sum(_.map(_.filter(withdrawals, { account }), 'amount'));
+    const opening = await _balanceAt(provider, reader, read, fromBlock - 1);
+    const closing = await _balanceAt(provider, reader, read, toBlock);
+    const expected = opening ? opening.add(collected).sub(withdrawn) : null;
+    accounts.push({
+      account,
+      contract,
+      asset: asset.symbol,
+      decimals: asset.decimals,
+      openingBalance: opening ? opening.toString() : null,
+      collected: collected.toString(),
+      withdrawn: withdrawn.toString(),
+      expectedClosing: expected ? expected.toString() : null,
+      closingBalance: closing ? closing.toString() : null,
+      difference: expected && closing ? closing.sub(expected).toString() : null,
+      reconciled: expected && closing ? closing.eq(expected) : null,
+    });
+  }
+
+  return {
+    chainId,
+    period: {
+      fromBlock,
+      toBlock,
+      fromTime: await _timestamp(fromBlock),
+      toTime: await _timestamp(toBlock),
+    },
+    accounts,
+    sources: _.map(sourceList, (source) => ({ ...source, asset: ASSETS.USDC.symbol })),
+    withdrawals,
+  };
+};
+
+/**
+ * The report as statement rows for a CSV: per account, the opening balance, each fee source,
+ * each withdrawal, then the expected and actual closing balances and their difference.
+ * Amounts are in whole units ("12.5" USDC); "raw" keeps the base units.
+ */
+const getStatementRows = (report) => {
+  const { fromTime, toTime } = report.period;
+  const period = `${new Date(fromTime * 1000).toISOString()} - ${new Date(toTime * 1000).toISOString()}`;
+  const rows = [];
+  const row = (account, entry, raw, fields = {}) => rows.push({
+    period,
+    account: account.account,
+    entry,
+    asset: account.asset,
+    amount: _.isNil(raw) ? '' : utils.formatUnits(raw, account.decimals),
+    raw: _.isNil(raw) ? '' : raw,
+    count: '',
+    contract: account.contract,
+    blockNumber: '',
+    transactionHash: '',
+    ...fields,
+  });
+
+  _.forEach(report.accounts, (account) => {
+    row(account, 'opening balance', account.openingBalance, { blockNumber: report.period.fromBlock - 1 });
+    _.forEach(_.filter(report.sources, { account: account.account }), (source) => {
+      if (source.source !== 'coin') {
+        row(account, source.label, source.collected, { count: source.count, contract: source.contract });
+        return;
+      }
+      row(account, `${source.label} buy fees`, source.buyFees, { count: source.buys, contract: source.contract });
+      row(account, `${source.label} sell fees`, source.sellFees, { count: source.sells, contract: source.contract });
+      // Fee transfers without a trade event after them (not expected from CarbonCoin)
+      const unmatched = BigNumber.from(source.collected).sub(source.buyFees).sub(source.sellFees);
+      if (!unmatched.isZero()) {
+        row(account, `${source.label} other fees`, unmatched.toString(), { count: source.count - source.buys - source.sells, contract: source.contract });
+      }
+    });
+    _.forEach(_.filter(report.withdrawals, { account: account.account }), (withdrawal) => {
+      row(account, `withdrawal to ${withdrawal.to}`, BigNumber.from(withdrawal.amount).mul(-1).toString(), _.pick(withdrawal, ['blockNumber', 'transactionHash']));
+    });
+    row(account, 'expected closing balance', account.expectedClosing);
+    row(account, 'closing balance', account.closingBalance, { blockNumber: report.period.toBlock });
+    row(account, 'difference', account.difference);
+  });
+  return rows;
+};
+
+module.exports = {
+  ACCOUNTS,
+  TREASURY_ID,
+  parseTime,
+  findBlockByTime,
+  getBlockRange,
+  getFeeReport,
+  getStatementRows,
+};
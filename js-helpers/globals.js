@@ -1,4 +1,5 @@
 const { utils, constants } = require('ethers');
+const manifest = require('./deployManifest.json');
 
 // Chains:
 // 1329  - Sei Mainnet
@@ -30,7 +31,7 @@ const globals = {
       router: '0xb98c15a0dC1e271132e341250703c7e94c059e8D', // Somnia Exchange (Router V02)
       usdc: '0x0673aDBDc50F3501A3a5FaE4acd723D8430e9f18',
     },
-    // Hardhat
+    // Hardhat, when forking (FORK_URL); see "localExchange" otherwise
     34443: {
       WETH: '0x046EDe9564A72571df6F5e44d0405360c0f4dCab', // WSOMI
       router: '0xb98c15a0dC1e271132e341250703c7e94c059e8D', // Somnia Exchange (Router V02)
@@ -38,8 +39,22 @@ const globals = {
     },
   },
 
+  // Hardhat without a fork: deployment names of the stand-ins from deploy/local_exchange.js,
+  // used in place of "addresses" (see getChainAddresses in js-helpers/deploy.js)
+  localExchange: {
+    usdc: 'ERC20Mintable',
+    WETH: 'MockWETH',
+    factory: 'MockSomniaExchangeFactory',
+    router: 'MockSomniaExchangeRouter',
+    positionManager: 'MockPositionManager',
+  },
+  // USDC minted to each named account by deploy/local_exchange.js
+  localUsdcBalance: 100000,
+
+  // Per-Network Deployment Manifest (keyed by chainId)
+  manifest,
+
   // Standard Parameters
-  maxTokensPerCreator: 100,
   opusNftUri: {
     1329: 'https://api-6mceyrhrja-uc.a.run.app/nft/{id}.json',
     1328: 'https://api-plxgamnywq-uc.a.run.app/nft/{id}.json',
@@ -52,6 +67,7 @@ const globals = {
   erc20Abi : [
     'function transfer(address to, uint amount)',
     'function balanceOf(address account) public view returns (uint256)',
+    'function allowance(address owner, address spender) external view returns (uint256)',
     'function approve(address spender, uint256 amount) external returns (bool)'
   ],
   wethAbi : [
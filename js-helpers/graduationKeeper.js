@@ -0,0 +1,472 @@
+const _ = require('lodash');
+const { Contract, BigNumber, constants, utils } = require('ethers');
+
+const launcherAbi = require('../abis/CarbonCoinLauncher.json');
+const coinAbi = require('../abis/CarbonCoin.json');
+const configAbi = require('../abis/CarbonCoinConfig.json');
+const dexAbi = require('../abis/CarbonCoinDex.json');
+const usdcAbi = require('../abis/IUSDC.json');
+const { createJsonStore } = require('./indexer');
+const { SEVERITY, createConsoleSink } = require('./protectionMonitor');
+const { classifyTxError } = require('./txErrors');
+
+// Graduation keeper for every token created by the launcher.
+// A buy that lifts realUsdcReserves to GRADUATION_THRESHOLD graduates the token in the same transaction:
+// CarbonCoinDex.deployLiquidity mints a liquidity position for the creator, then the launcher is marked.
+// If anything in that path reverts (no DEX set, DEX paused, ...) the buy reverts too, and the token
+// stalls just under the threshold. The keeper alerts on tokens near the threshold along with what would
+// block their graduation, verifies the liquidity of every Graduated event and checks the launcher's
+// tokens mapping. With a signer and an operator policy it can send forceGraduate and markTokenGraduated.
+
+const STATE_VERSION = 1;
+
+// Concentrated-liquidity position manager (the CarbonCoinDex router) and its factory; Algebra-style
+// factories have poolByPair, Uniswap V3-style ones getPool
+const POSITION_MANAGER_ABI = [
+  'function factory() view returns (address)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function positions(uint256 tokenId) view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)',
+];
+const POOL_FACTORY_ABI = [
+  'function poolByPair(address tokenA, address tokenB) view returns (address)',
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+];
+
+// CarbonCoinDex mints with at least 95% of the desired amounts
+const MIN_LIQUIDITY_PCT = 95;
+
+const CHECK_STATUS = {
+  OK: 'ok',
+  FAILED: 'failed',
+  UNCHECKED: 'unchecked',
+};
+
+const launcherInterface = new utils.Interface(launcherAbi);
+const coinInterface = new utils.Interface(coinAbi);
+const dexInterface = new utils.Interface(dexAbi);
+
+// Reads at "blockTag", or at the latest block when the node has no state for it
+const _readAt = async (read, blockTag) => {
+  try {
+    return await read({ blockTag });
+  } catch (err) {
+    return read({});
+  }
+};
+
+const _findPool = async (factory, token0, token1, fee) => {
+  for (const read of [() => factory.poolByPair(token0, token1), () => factory.getPool(token0, token1, fee)]) {
+    try {
+      const pool = await read();
+      if (pool !== constants.AddressZero) { return pool; }
+    } catch (err) {
+      // Try the other factory flavour
+    }
+  }
+  return null;
+};
+
+/**
+ * What would make the graduation of a token revert, and what might.
+ * @returns {Promise<{blockers: Array<string>, warnings: Array<string>}>}
+ */
+const getGraduationReadiness = async (provider, tokenAddress) => {
+  const coin = new Contract(utils.getAddress(tokenAddress), coinAbi, provider);
+  const config = new Contract(await coin.config(), configAbi, provider);
+  const blockers = [];
+  const warnings = [];
+
+  if (await coin.paused()) { blockers.push('trading is paused'); }
+  const dexAddress = await config.getCarbonCoinDex();
+  if (dexAddress === constants.AddressZero) {
+    blockers.push('CarbonCoinConfig has no DEX set');
+  } else {
+    const dex = new Contract(dexAddress, dexAbi, provider);
+    if (await dex.paused()) { blockers.push(`CarbonCoinDex (${dexAddress}) is paused`); }
+    const router = await dex.dexRouter();
+    if (await provider.getCode(router) === '0x') { blockers.push(`the DEX router (${router}) has no code`); }
+  }
+  // CarbonCoinDex always mints USDC as token0; position managers that require token0 < token1 reject the mint
+  const usdc = await coin.USDC();
+  if (BigNumber.from(usdc).gt(coin.address)) {
+    warnings.push(`USDC (${usdc}) sorts after the token, so the position has token0 > token1`);
+  }
+  return { blockers, warnings };
+};
+
+/**
+ * Verifies the liquidity deployed by a graduation: the LiquidityDeployed event of the DEX, its amounts,
+ * the LP recipient and owner, the position and the pool that holds it, and the launcher's tokens mapping.
+ * Values are read at the graduation block when the node has it.
+ *
+ * Options:
+ *  - provider:         ethers provider
+ *  - token:            CarbonCoin address
+ *  - transactionHash:  hash of the transaction with the Graduated event
+ *  - lpRecipient:      expected LP destination (default: the token creator)
+ *
+ * @returns {Promise<{token: string, blockNumber: number, transactionHash: string, lpTokenId: string|null, status: string, checks: Array<{check: string, status: string, message: string}>}>}
+ */
+const verifyGraduation = async ({ provider, token: tokenAddress, transactionHash, lpRecipient }) => {
+  const coin = new Contract(utils.getAddress(tokenAddress), coinAbi, provider);
+  const receipt = await provider.getTransactionReceipt(transactionHash);
+  const blockTag = receipt.blockNumber;
+  const checks = [];
+  const check = (name, ok, message) => checks.push({ check: name, status: ok ? CHECK_STATUS.OK : CHECK_STATUS.FAILED, message });
+  const result = { token: coin.address, blockNumber: blockTag, transactionHash, lpTokenId: null, status: CHECK_STATUS.OK, checks };
+
+  const graduatedTopic = coinInterface.getEventTopic('Graduated');
+  const deployedTopic = dexInterface.getEventTopic('LiquidityDeployed');
+  const graduatedLog = _.find(receipt.logs, (log) => utils.getAddress(log.address) === coin.address && log.topics[0] === graduatedTopic);
+  // Topics are lowercase hex, the address is checksummed
+  const tokenTopic = _.toLower(utils.hexZeroPad(coin.address, 32));
+  const deployedLog = _.find(receipt.logs, (log) => log.topics[0] === deployedTopic && _.toLower(log.topics[1]) === tokenTopic);
+  if (!graduatedLog || !deployedLog) {
+    check('liquidityDeployed', false, `no ${graduatedLog ? 'LiquidityDeployed' : 'Graduated'} event for the token in ${transactionHash}`);
+    result.status = CHECK_STATUS.FAILED;
+    return result;
+  }
+
+  const graduated = coinInterface.parseLog(graduatedLog).args;
+  const deployed = dexInterface.parseLog(deployedLog).args;
+  // The event names its amounts tokenAmount / usdcAmount, but emits them in position order: USDC is token0
+  const [ , , lpTokenId, usdcAmount, tokenAmount, liquidity ] = deployed;
+  result.lpTokenId = lpTokenId.toString();
+
+  const config = new Contract(await coin.config(), configAbi, provider);
+  const dexAddress = await _readAt((overrides) => config.getCarbonCoinDex(overrides), blockTag);
+  check('liquidityDeployed', utils.getAddress(deployedLog.address) === dexAddress,
+    `LiquidityDeployed by ${deployedLog.address}${utils.getAddress(deployedLog.address) === dexAddress ? '' : `, not the configured DEX ${dexAddress}`} (position #${lpTokenId})`);
+
+  // Amounts: the Graduated event matches the DEX, and the DEX deposited at least 95% of what it was given
+  const [ reserves, liquiditySupply ] = await Promise.all([
+    _readAt((overrides) => coin.realUsdcReserves(overrides), blockTag),
+    coin.LIQUIDITY_SUPPLY(),
+  ]);
+  const enough = (amount, desired) => amount.mul(100).gte(desired.mul(MIN_LIQUIDITY_PCT));
+  const amountsMatch = graduated.liquidityUsdc.eq(usdcAmount) && graduated.liquidityTokens.eq(tokenAmount);
+  check('amounts', amountsMatch && enough(usdcAmount, reserves) && enough(tokenAmount, liquiditySupply),
+    `deposited ${usdcAmount} USDC of ${reserves} and ${tokenAmount} tokens of ${liquiditySupply}${amountsMatch ? '' : '; the Graduated event reports different amounts'}`);
+
+  const expectedRecipient = utils.getAddress(lpRecipient || await coin.creator());
+  check('lpRecipient', utils.getAddress(deployed.creator) === expectedRecipient,
+    `liquidity minted for ${deployed.creator}${utils.getAddress(deployed.creator) === expectedRecipient ? '' : ` instead of ${expectedRecipient}`}`);
+
+  // Position and LP owner, on the router of the DEX
+  const dex = new Contract(dexAddress, dexAbi, provider);
+  const manager = new Contract(await _readAt((overrides) => dex.dexRouter(overrides), blockTag), POSITION_MANAGER_ABI, provider);
+  const usdc = utils.getAddress(await coin.USDC());
+  let position = null;
+  try {
+    position = await _readAt((overrides) => manager.positions(lpTokenId, overrides), blockTag);
+    const matches = utils.getAddress(position.token0) === usdc && utils.getAddress(position.token1) === coin.address && position.liquidity.eq(liquidity);
+    check('position', matches, `position #${lpTokenId}: ${position.token0}/${position.token1}, liquidity ${position.liquidity}${matches ? '' : ` (expected USDC/token, liquidity ${liquidity})`}`);
+  } catch (err) {
+    checks.push({ check: 'position', status: CHECK_STATUS.FAILED, message: `position #${lpTokenId} could not be read from ${manager.address}` });
+  }
+
+  try {
+    const owner = utils.getAddress(await _readAt((overrides) => manager.ownerOf(lpTokenId, overrides), blockTag));
+    const current = utils.getAddress(await manager.ownerOf(lpTokenId));
+    check('lpOwner', owner === expectedRecipient, `position #${lpTokenId} owned by ${owner}${owner === expectedRecipient ? '' : ` instead of ${expectedRecipient}`}${current === owner ? '' : ` (now ${current})`}`);
+  } catch (err) {
+    checks.push({ check: 'lpOwner', status: CHECK_STATUS.UNCHECKED, message: `the owner of position #${lpTokenId} could not be read` });
+  }
+
+  // Pool: it exists and holds at least the deposited amounts
+  let pool = null;
+  try {
+    pool = position && await _findPool(new Contract(await manager.factory(), POOL_FACTORY_ABI, provider), position.token0, position.token1, position.fee);
+  } catch (err) {
+    pool = null;
+  }
+  if (!pool) {
+    checks.push({ check: 'pool', status: CHECK_STATUS.UNCHECKED, message: 'the pool could not be looked up from the position manager factory' });
+  } else if (await provider.getCode(pool) === '0x') {
+    check('pool', false, `pool ${pool} has no code`);
+  } else {
+    const balanceOf = (address) => _readAt((overrides) => new Contract(address, usdcAbi, provider).balanceOf(pool, overrides), blockTag);
+    const [ usdcBalance, tokenBalance ] = await Promise.all([balanceOf(usdc), balanceOf(coin.address)]);
+    check('pool', usdcBalance.gte(usdcAmount) && tokenBalance.gte(tokenAmount), `pool ${pool} holds ${usdcBalance} USDC and ${tokenBalance} tokens`);
+  }
+
+  const launcher = new Contract(await coin.launcher(), launcherAbi, provider);
+  const info = await launcher.tokens(coin.address);
+  check('launcher', info.graduated, `the launcher's tokens mapping ${info.graduated ? 'marks the token graduated' : 'does not mark the token graduated'}`);
+
+  if (_.some(checks, { status: CHECK_STATUS.FAILED })) {
+    result.status = CHECK_STATUS.FAILED;
+  } else if (_.some(checks, { status: CHECK_STATUS.UNCHECKED })) {
+    result.status = CHECK_STATUS.UNCHECKED;
+  }
+  return result;
+};
+
+/**
+ * Creates a graduation keeper for the tokens of a CarbonCoinLauncher.
+ *
+ * Options:
+ *  - provider:       ethers provider
+ *  - launcher:       CarbonCoinLauncher address
+ *  - sinks:          alert sinks from js-helpers/protectionMonitor.js (default: [createConsoleSink()])
+ *  - store:          checkpoint store from createJsonStore() (default: in-memory)
+ *  - startBlock:     first block to scan for a new store (usually the launcher deployment block)
+ *  - confirmations:  only scan blocks this deep below the head (default: 0)
+ *  - batchSize:      blocks per getLogs request (default: 2000)
+ *  - nearThreshold:  graduation progress (percent of the threshold) that raises an alert (default: 90)
+ *  - lpRecipient:    expected LP destination (default: each token's creator)
+ *  - signer:         operator key, needed by the policy actions
+ *  - policy:         operator policy:
+ *                      forceGraduate:  send forceGraduate for tokens at the threshold that did not graduate (default: false)
+ *                      markGraduated:  send markTokenGraduated for graduated tokens the launcher missed (default: false)
+ *                      tokens:         only act on these tokens (default: all)
+ *  - onError:        called with sink and background poll errors (default: console.error)
+ */
+const createGraduationKeeper = ({
+  provider,
+  launcher: launcherAddress,
+  sinks = [createConsoleSink()],
+  store = createJsonStore(),
+  startBlock = 0,
+  confirmations = 0,
+  batchSize = 2000,
+  nearThreshold = 90,
+  lpRecipient = null,
+  signer = null,
+  policy = {},
+  onError = console.error,
+}) => {
+  const launcher = new Contract(utils.getAddress(launcherAddress), launcherAbi, provider);
+  const allowed = policy.tokens ? _.map(policy.tokens, utils.getAddress) : null;
+  let state = null;
+  let polling = null;
+  let listener = null;
+
+  const _load = async () => {
+    if (state) { return state; }
+    const { chainId } = await provider.getNetwork();
+    state = store.load();
+    if (!state) {
+      state = { version: STATE_VERSION, chainId, launcher: launcher.address, checkpoint: startBlock - 1, tokens: {} };
+    } else if (state.version !== STATE_VERSION) {
+      throw new Error(`Unsupported keeper state version ${state.version} (expected ${STATE_VERSION})`);
+    } else if (state.chainId !== chainId || state.launcher !== launcher.address) {
+      throw new Error(`Keeper state belongs to ${state.launcher} on chain ${state.chainId}`);
+    }
+    return state;
+  };
+
+  const _alert = async (alerts, alert) => {
+    const token = state.tokens[alert.token];
+    const full = { ...alert, symbol: token ? token.symbol : null, createdAt: new Date().toISOString() };
+    alerts.push(full);
+    for (const sink of sinks) {
+      try {
+        await sink(full);
+      } catch (err) {
+        onError(new Error(`Alert sink failed: ${err.message}`));
+      }
+    }
+  };
+
+  // Alerts once per distinct "key" of a token and alert type; a null key re-arms the alert
+  const _alertOnce = async (alerts, token, type, key, alert) => {
+    const entry = state.tokens[token];
+    if (_.isNull(key)) {
+      delete entry.alerted[type];
+      return;
+    }
+    if (entry.alerted[type] === key) { return; }
+    entry.alerted[type] = key;
+    await _alert(alerts, { type, token, ...alert });
+  };
+
+  const _canAct = (token) => !!signer && (!allowed || allowed.includes(token));
+
+  const _send = async (alerts, token, method, send) => {
+    try {
+      const tx = await send();
+      await tx.wait();
+      await _alert(alerts, { type: `${method}Sent`, severity: SEVERITY.INFO, token, message: `Sent ${method} (${tx.hash})`, transactionHash: tx.hash });
+    } catch (err) {
+      await _alert(alerts, { type: `${method}Failed`, severity: SEVERITY.WARNING, token, message: `${method} failed: ${classifyTxError(err).message}` });
+    }
+  };
+
+  const _scan = async (fromBlock, toBlock, alerts) => {
+    const created = await provider.getLogs({ address: launcher.address, topics: [launcherInterface.getEventTopic('TokenCreated')], fromBlock, toBlock });
+    for (const log of created) {
+      const { args } = launcherInterface.parseLog(log);
+      const token = utils.getAddress(args.tokenAddress);
+      const coin = new Contract(token, coinAbi, provider);
+      state.tokens[token] = {
+        address: token,
+        symbol: args.symbol,
+        creator: utils.getAddress(args.creator),
+        threshold: (await coin.GRADUATION_THRESHOLD()).toString(),
+        reserves: '0',
+        progress: 0,
+        graduated: false,
+        launcherGraduated: false,
+        graduation: null,
+        verification: null,
+        alerted: {},
+      };
+    }
+
+    const graduations = await provider.getLogs({ topics: [coinInterface.getEventTopic('Graduated')], fromBlock, toBlock });
+    for (const log of _.sortBy(graduations, ['blockNumber', 'logIndex'])) {
+      const token = utils.getAddress(log.address);
+      const entry = state.tokens[token];
+      if (!entry) { continue; }
+      entry.graduated = true;
+      entry.graduation = { blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+      await _alert(alerts, { type: 'Graduated', severity: SEVERITY.INFO, token, message: 'Graduated', blockNumber: log.blockNumber, transactionHash: log.transactionHash });
+
+      const verification = await verifyGraduation({ provider, token, transactionHash: log.transactionHash, lpRecipient });
+      entry.verification = verification;
+      const failed = _.reject(verification.checks, { status: CHECK_STATUS.OK });
+      await _alert(alerts, {
+        type: verification.status === CHECK_STATUS.OK ? 'GraduationVerified' : 'GraduationVerificationFailed',
+        severity: verification.status === CHECK_STATUS.FAILED ? SEVERITY.CRITICAL : (verification.status === CHECK_STATUS.OK ? SEVERITY.INFO : SEVERITY.WARNING),
+        token,
+        message: _.isEmpty(failed) ? `Liquidity verified (position #${verification.lpTokenId})` : _.map(failed, ({ check, status, message }) => `${check} ${status}: ${message}`).join('; '),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        checks: verification.checks,
+      });
+    }
+  };
+
+  // Progress of the tokens still on the curve, with near-threshold and stalled alerts
+  const _refreshProgress = async (alerts) => {
+    for (const entry of _.reject(_.values(state.tokens), 'graduated')) {
+      const token = entry.address;
+      const coin = new Contract(token, coinAbi, provider);
+      const [ reserves, hasGraduated ] = await Promise.all([coin.realUsdcReserves(), coin.hasGraduated()]);
+      const threshold = BigNumber.from(entry.threshold);
+      entry.reserves = reserves.toString();
+      entry.progress = threshold.isZero() ? 100 : Math.min(reserves.mul(10000).div(threshold).toNumber() / 100, 100);
+      // Graduated in a block the keeper has not scanned yet
+      if (hasGraduated) { continue; }
+
+      const near = entry.progress >= nearThreshold;
+      const readiness = near ? await getGraduationReadiness(provider, token) : { blockers: [], warnings: [] };
+      await _alertOnce(alerts, token, 'NearThreshold', near ? 'near' : null, {
+        severity: SEVERITY.WARNING,
+        message: `${entry.progress}% of the graduation threshold${_.isEmpty(readiness.warnings) ? '' : `; ${readiness.warnings.join('; ')}`}`,
+      });
+      await _alertOnce(alerts, token, 'GraduationBlocked', _.isEmpty(readiness.blockers) ? null : readiness.blockers.join('; '), {
+        severity: SEVERITY.CRITICAL,
+        message: `A buy reaching the threshold would revert: ${readiness.blockers.join('; ')}`,
+      });
+
+      // Buys graduate as soon as they reach the threshold, so a token sitting on it missed its graduation
+      const stalled = reserves.gte(threshold);
+      await _alertOnce(alerts, token, 'ThresholdReached', stalled ? 'stalled' : null, {
+        severity: SEVERITY.CRITICAL,
+        message: `Reserves of ${reserves} reached the threshold of ${threshold} without graduating`,
+      });
+      if (stalled && policy.forceGraduate && _canAct(token) && _.isEmpty(readiness.blockers)) {
+        await _forceGraduate(alerts, coin);
+      }
+    }
+  };
+
+  const _forceGraduate = async (alerts, coin) => {
+    const token = coin.address;
+    const operator = utils.getAddress(await signer.getAddress());
+    const [ owner, creator, lastAttempt, cooldown, { timestamp } ] = await Promise.all([
+      new Contract(await coin.config(), configAbi, provider).owner(),
+      coin.creator(),
+      coin.lastGraduationAttempt(),
+      coin.GRADUATION_COOLDOWN(),
+      provider.getBlock('latest'),
+    ]);
+    if (![utils.getAddress(owner), utils.getAddress(creator)].includes(operator)) {
+      await _alertOnce(alerts, token, 'ForceGraduateSkipped', 'unauthorized', { severity: SEVERITY.WARNING, message: `${operator} may not call forceGraduate (config owner or creator only)` });
+      return;
+    }
+    if (lastAttempt.add(cooldown).gt(timestamp)) {
+      await _alertOnce(alerts, token, 'ForceGraduateSkipped', `cooldown:${lastAttempt}`, { severity: SEVERITY.INFO, message: `Graduation cooldown until ${lastAttempt.add(cooldown)}` });
+      return;
+    }
+    await _send(alerts, token, 'forceGraduate', async () => {
+      const connected = coin.connect(signer);
+      await connected.callStatic.forceGraduate();
+      return connected.forceGraduate();
+    });
+  };
+
+  // Graduated tokens that the launcher's tokens mapping doesn't mark as graduated
+  const _reconcileLauncher = async (alerts) => {
+    const owner = signer ? utils.getAddress(await launcher.owner()) : null;
+    for (const entry of _.filter(_.values(state.tokens), (token) => token.graduated && !token.launcherGraduated)) {
+      const token = entry.address;
+      entry.launcherGraduated = (await launcher.tokens(token)).graduated;
+      if (entry.launcherGraduated) { continue; }
+      await _alertOnce(alerts, token, 'LauncherNotUpdated', 'missing', { severity: SEVERITY.WARNING, message: 'Graduated, but the launcher\'s tokens mapping does not mark it graduated' });
+      if (policy.markGraduated && _canAct(token) && utils.getAddress(await signer.getAddress()) === owner) {
+        await _send(alerts, token, 'markTokenGraduated', () => launcher.connect(signer).markTokenGraduated(token));
+        entry.launcherGraduated = (await launcher.tokens(token)).graduated;
+      }
+    }
+  };
+
+  const _poll = async () => {
+    await _load();
+    const target = await provider.getBlockNumber() - confirmations;
+    const fromBlock = state.checkpoint + 1;
+    const alerts = [];
+
+    for (let from = fromBlock; from <= target; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, target);
+      await _scan(from, to, alerts);
+      state.checkpoint = to;
+      store.save(state);
+    }
+    await _refreshProgress(alerts);
+    await _reconcileLauncher(alerts);
+    store.save(state);
+    return { fromBlock, toBlock: Math.max(target, state.checkpoint), alerts };
+  };
+
+  /**
+   * Scans new blocks for launches and graduations, then checks the progress of every token.
+   * Concurrent calls share the same run.
+   * @returns {Promise<{fromBlock: number, toBlock: number, alerts: Array}>}
+   */
+  const poll = () => {
+    if (!polling) {
+      polling = _poll().finally(() => { polling = null; });
+    }
+    return polling;
+  };
+
+  // Polls on every new block until stop()
+  const start = () => {
+    if (listener) { return; }
+    listener = () => poll().catch(onError);
+    provider.on('block', listener);
+  };
+
+  const stop = async () => {
+    if (listener) {
+      provider.off('block', listener);
+      listener = null;
+    }
+    if (polling) { await polling.catch(_.noop); }
+  };
+
+  // Tokens with their graduation progress and verification
+  const getStatus = async () => _.values((await _load()).tokens);
+
+  return { poll, start, stop, getStatus };
+};
+
+module.exports = {
+  CHECK_STATUS,
+  getGraduationReadiness,
+  verifyGraduation,
+  createGraduationKeeper,
+};
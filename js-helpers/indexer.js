@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { utils, constants } = require('ethers');
+
+const carbonCoinAbi = require('../abis/CarbonCoin.json');
+const launcherAbi = require('../abis/CarbonCoinLauncher.json');
+
+// Event indexer for the CarbonCoinLauncher and the tokens it creates.
+// The launcher no longer exposes enumeration views, so token lists, trade history and
+// holder balances are rebuilt from events into a local JSON store.
+//
+// The store keeps the raw events (the source of truth) plus a checkpoint; all queries are
+// derived from the events, so rolling back a reorg is just dropping the orphaned events.
+
+const STORE_VERSION = 2;
+
+const LAUNCHER_EVENTS = ['TokenCreated', 'TokenGraduated'];
+const TOKEN_EVENTS = ['TokenDeployed', 'TokensPurchased', 'TokensSold', 'PriceUpdate', 'Graduated', 'Transfer'];
+
+const launcherInterface = new utils.Interface(launcherAbi);
+const carbonCoinInterface = new utils.Interface(carbonCoinAbi);
+
+const _emptyIndex = ({ chainId, launcher, startBlock }) => ({
+  version: STORE_VERSION,
+  chainId,
+  launcher: utils.getAddress(launcher),
+  startBlock,
+  checkpoint: null,
+  checkpoints: [],
+  events: [],
+});
+
+// JSON file store; pass no file path for an in-memory store
+const createJsonStore = (filePath = '') => {
+  let data = null;
+  if (filePath && fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  return {
+    load: () => data,
+    save: (index) => {
+      data = index;
+      if (filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(index, null, 2));
+      }
+    },
+  };
+};
+
+// Plain JSON args; BigNumbers become decimal strings
+const _parseLog = (iface, log) => {
+  const parsed = iface.parseLog(log);
+  const args = _.reduce(parsed.eventFragment.inputs, (acc, input, i) => {
+    const value = parsed.args[i];
+    acc[input.name] = _.isFunction(_.get(value, 'toHexString')) ? value.toString() : value;
+    return acc;
+  }, {});
+  return {
+    event: parsed.name,
+    address: utils.getAddress(log.address),
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    args,
+  };
+};
+
+const _eventTopics = (iface, names) => [_.map(names, (name) => iface.getEventTopic(name))];
+
+const _sortEvents = (events) => _.sortBy(events, ['blockNumber', 'logIndex']);
+
+/**
+ * Creates an indexer for a CarbonCoinLauncher.
+ *
+ * Options:
+ *  - provider:       ethers provider
+ *  - launcher:       CarbonCoinLauncher address
+ *  - store:          store from createJsonStore() (default: in-memory)
+ *  - startBlock:     first block to index (usually the launcher deployment block)
+ *  - batchSize:      blocks per getLogs request (default: 2000)
+ *  - confirmations:  only index blocks this deep below the head (default: 0)
+ *  - reorgDepth:     how far back to look for a common ancestor after a reorg (default: 128)
+ */
+const createIndexer = ({ provider, launcher, store = createJsonStore(), startBlock = 0, batchSize = 2000, confirmations = 0, reorgDepth = 128 }) => {
+  let index = null;
+
+  const _load = async () => {
+    if (index) { return index; }
+    const { chainId } = await provider.getNetwork();
+    index = store.load();
+    if (!index) {
+      index = _emptyIndex({ chainId, launcher, startBlock });
+    } else if (index.version !== STORE_VERSION) {
+      throw new Error(`Unsupported index version ${index.version} (expected ${STORE_VERSION})`);
+    } else if (index.chainId !== chainId || _.toLower(index.launcher) !== _.toLower(launcher)) {
+      throw new Error(`Index belongs to launcher ${index.launcher} on chain ${index.chainId}`);
+    }
+    return index;
+  };
+
+  const _blockHash = async (blockNumber) => {
+    const block = await provider.getBlock(blockNumber);
+    return block ? block.hash : null;
+  };
+
+  // Drops everything after "blockNumber" and moves the checkpoint back to it
+  const _rollback = async (blockNumber) => {
+    index.events = _.filter(index.events, (event) => event.blockNumber <= blockNumber);
+    index.checkpoints = _.filter(index.checkpoints, (checkpoint) => checkpoint.blockNumber <= blockNumber);
+    index.checkpoint = blockNumber < index.startBlock ? null : { blockNumber, blockHash: await _blockHash(blockNumber) };
+    store.save(index);
+  };
+
+  // Returns the number of the first block that needs (re-)indexing, rolling back orphaned events first
+  const _resolveReorg = async () => {
+    if (!index.checkpoint) { return { fromBlock: index.startBlock, reorg: null }; }
+    if (await _blockHash(index.checkpoint.blockNumber) === index.checkpoint.blockHash) {
+      return { fromBlock: index.checkpoint.blockNumber + 1, reorg: null };
+    }
+
+    // Known block hashes, newest first, within the reorg window
+    const minBlock = index.checkpoint.blockNumber - reorgDepth;
+    const known = _(index.checkpoints)
+      .concat(_.map(index.events, (event) => _.pick(event, ['blockNumber', 'blockHash'])))
+      .filter((entry) => entry.blockNumber >= minBlock)
+      .uniqBy('blockNumber')
+      .orderBy('blockNumber', 'desc')
+      .value();
+
+    let ancestor = index.startBlock - 1;
+    for (const entry of known) {
+      if (await _blockHash(entry.blockNumber) === entry.blockHash) {
+        ancestor = entry.blockNumber;
+        break;
+      }
+    }
+    const reorg = { from: index.checkpoint.blockNumber, ancestor };
+    await _rollback(ancestor);
+    return { fromBlock: ancestor + 1, reorg };
+  };
+
+  const _getLogs = (address, topics, fromBlock, toBlock) => provider.getLogs({ address, topics, fromBlock, toBlock });
+
+  const _indexRange = async (fromBlock, toBlock) => {
+    const launcherLogs = await _getLogs(index.launcher, _eventTopics(launcherInterface, LAUNCHER_EVENTS), fromBlock, toBlock);
+    const events = _.map(launcherLogs, (log) => _parseLog(launcherInterface, log));
+
+    const created = _.filter(_.concat(index.events, events), { event: 'TokenCreated' });
+    for (const { args, blockNumber } of created) {
+      const tokenLogs = await _getLogs(args.tokenAddress, _eventTopics(carbonCoinInterface, TOKEN_EVENTS), Math.max(fromBlock, blockNumber), toBlock);
+      events.push(..._.map(tokenLogs, (log) => _parseLog(carbonCoinInterface, log)));
+    }
+
+    index.events = _sortEvents(_.concat(index.events, events));
+    index.checkpoint = { blockNumber: toBlock, blockHash: await _blockHash(toBlock) };
+    index.checkpoints = _.takeRightWhile(
+      _.concat(index.checkpoints, index.checkpoint),
+      (checkpoint) => checkpoint.blockNumber >= toBlock - reorgDepth
+    );
+    store.save(index);
+    return events.length;
+  };
+
+  /**
+   * Indexes from the checkpoint (or startBlock) up to "toBlock" (default: head - confirmations).
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorg: Object}>}
+   */
+  const sync = async (toBlock) => {
+    await _load();
+    const head = await provider.getBlockNumber();
+    const target = Math.min(_.isNil(toBlock) ? head : toBlock, head - confirmations);
+    const { fromBlock, reorg } = await _resolveReorg();
+
+    let eventCount = 0;
+    for (let from = fromBlock; from <= target; from += batchSize) {
+      eventCount += await _indexRange(from, Math.min(from + batchSize - 1, target));
+    }
+    return { fromBlock, toBlock: Math.max(target, fromBlock - 1), events: eventCount, reorg };
+  };
+
+  const getIndex = async () => _load();
+
+  return { sync, getIndex };
+};
+
+//
+// Queries (on the object returned by getIndex() or store.load())
+//
+
+const _eventsOf = (index, token, names) => _.filter(index.events, (event) => _.includes(names, event.event) && _.toLower(event.address) === _.toLower(token));
+
+const getTokens = (index) => {
+  const graduated = _.keyBy(_.filter(index.events, { event: 'TokenGraduated' }), (event) => _.toLower(event.args.tokenAddress));
+  return _.map(_.filter(index.events, { event: 'TokenCreated' }), ({ args, blockNumber, transactionHash }) => {
+    const deployed = _.first(_eventsOf(index, args.tokenAddress, ['TokenDeployed']));
+    const lastPrice = _.last(_eventsOf(index, args.tokenAddress, ['PriceUpdate']));
+    const graduation = graduated[_.toLower(args.tokenAddress)];
+    return {
+      address: args.tokenAddress,
+      creator: args.creator,
+      name: args.name,
+      symbol: args.symbol,
+      createdAt: Number(args.timestamp),
+      blockNumber,
+      transactionHash,
+      maxSupply: deployed ? deployed.args.maxSupply : null,
+      graduationThreshold: deployed ? deployed.args.graduationThreshold : null,
+      graduated: !!graduation,
+      graduatedAt: graduation ? Number(graduation.args.timestamp) : null,
+      price: lastPrice ? lastPrice.args.price : null,
+      usdcReserves: lastPrice ? lastPrice.args.usdcReserves : '0',
+      tokenSupply: lastPrice ? lastPrice.args.tokenSupply : '0',
+    };
+  });
+};
+
+const getToken = (index, token) => _.find(getTokens(index), (info) => _.toLower(info.address) === _.toLower(token)) || null;
+
+const getTokensByCreator = (index, creator) => _.filter(getTokens(index), (info) => _.toLower(info.creator) === _.toLower(creator));
+
+const getRecentTokens = (index, count = 10) => _.take(_.orderBy(getTokens(index), ['blockNumber'], ['desc']), count);
+
+// Buys and sells of a token, oldest first; optionally for one trader and/or only the last "limit" trades
+const getTradeHistory = (index, token, { trader = '', limit = 0 } = {}) => {
+  const trades = _.map(_eventsOf(index, token, ['TokensPurchased', 'TokensSold']), ({ event, args, blockNumber, transactionHash, logIndex }) => {
+    const isBuy = event === 'TokensPurchased';
+    return {
+      type: isBuy ? 'buy' : 'sell',
+      trader: isBuy ? args.buyer : args.seller,
+      usdcAmount: isBuy ? args.usdcAmount : args.usdcOut,
+      tokenAmount: isBuy ? args.tokensOut : args.tokensIn,
+      price: args.newPrice,
+      usdcReserves: args.realUsdcReserves,
+      tokenSupply: args.realTokenSupply,
+      timestamp: Number(args.timestamp),
+      blockNumber,
+      transactionHash,
+      logIndex,
+    };
+  });
+  const filtered = trader ? _.filter(trades, (trade) => _.toLower(trade.trader) === _.toLower(trader)) : trades;
+  return limit ? _.takeRight(filtered, limit) : filtered;
+};
+
+// Non-zero balances from the token's Transfer events, largest first
+const getHolderBalances = (index, token) => {
+  const balances = {};
+  _.forEach(_eventsOf(index, token, ['Transfer']), ({ args }) => {
+    const amount = BigInt(args.value);
+    if (args.from !== constants.AddressZero) {
+      balances[args.from] = (balances[args.from] || 0n) - amount;
+    }
+    if (args.to !== constants.AddressZero) {
+      balances[args.to] = (balances[args.to] || 0n) + amount;
+    }
+  });
+  return _(balances)
+    .toPairs()
+    .filter(([, balance]) => balance > 0n)
+    .sort(([, a], [, b]) => (a === b ? 0 : (a > b ? -1 : 1)))
+    .map(([holder, balance]) => ({ holder, balance: balance.toString() }))
+    .value();
+};
+
+module.exports = {
+  STORE_VERSION,
+  createJsonStore,
+  createIndexer,
+  getTokens,
+  getToken,
+  getTokensByCreator,
+  getRecentTokens,
+  getTradeHistory,
+  getHolderBalances,
+};
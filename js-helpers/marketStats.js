@@ -0,0 +1,181 @@
+const _ = require('lodash');
+
+const { getToken, getTradeHistory, getHolderBalances } = require('./indexer');
+
+// Market data for a CarbonCoin, derived from an index built by js-helpers/indexer.js.
+// Prices come from PriceUpdate events (USDC units per whole token); volumes and fees from
+// TokensPurchased / TokensSold. All amounts are returned as decimal strings in base units.
+
+const INTERVALS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60,
+};
+
+const DAY = INTERVALS['1d'];
+const TOKEN_UNIT = 10n ** 18n;
+
+const _intervalSeconds = (interval) => {
+  const seconds = _.isNumber(interval) ? interval : INTERVALS[interval];
+  if (!seconds || seconds <= 0) {
+    throw new Error(`Unknown candle interval "${interval}" (expected one of ${_.keys(INTERVALS).join(', ')}, or seconds)`);
+  }
+  return seconds;
+};
+
+const _sum = (values) => _.reduce(values, (total, value) => total + BigInt(value), 0n);
+
+// Two-decimal percentage of part / whole
+const _percent = (part, whole) => (whole > 0n ? Number((part * 10000n) / whole) / 100 : 0);
+
+const _pricePoints = (index, token) => _(index.events)
+  .filter((event) => event.event === 'PriceUpdate' && _.toLower(event.address) === _.toLower(token))
+  .map(({ args }) => ({ timestamp: Number(args.timestamp), price: BigInt(args.price) }))
+  .value();
+
+/**
+ * Trades of a token with the fee each one paid.
+ * The fee isn't emitted, so it is recovered from the change in reserves: a buy adds
+ * usdcAmount - fee to the reserves, a sell removes usdcOut + fee.
+ */
+const getTradesWithFees = (index, token) => {
+  let reserves = 0n;
+  return _.map(getTradeHistory(index, token), (trade) => {
+    const after = BigInt(trade.usdcReserves);
+    const amount = BigInt(trade.usdcAmount);
+    const fee = trade.type === 'buy' ? amount - (after - reserves) : (reserves - after) - amount;
+    reserves = after;
+    // Volume is the USDC that changed hands including the fee
+    const volume = trade.type === 'buy' ? amount : amount + fee;
+    return { ...trade, fee: fee.toString(), volume: volume.toString() };
+  });
+};
+
+/**
+ * OHLCV candles for a token.
+ *
+ * Options:
+ *  - interval:  '1m', '5m', '1h', '1d' or a number of seconds (default: '1h')
+ *  - from, to:  unix time range (default: first to last price update)
+ *  - fill:      add flat candles for intervals without trades (default: true)
+ *
+ * Each candle opens at the previous close, so gaps in the chart line up.
+ */
+const getCandles = (index, token, { interval = '1h', from, to, fill = true } = {}) => {
+  const seconds = _intervalSeconds(interval);
+  const bucketOf = (timestamp) => Math.floor(timestamp / seconds) * seconds;
+
+  const points = _pricePoints(index, token);
+  if (_.isEmpty(points)) { return []; }
+
+  const trades = _.groupBy(getTradesWithFees(index, token), (trade) => bucketOf(trade.timestamp));
+  const prices = _.groupBy(points, (point) => bucketOf(point.timestamp));
+
+  const first = bucketOf(_.isNil(from) ? _.first(points).timestamp : from);
+  const last = bucketOf(_.isNil(to) ? _.last(points).timestamp : to);
+
+  // Close before the range, if the range starts after the first trade
+  let close = _.get(_.findLast(points, (point) => point.timestamp < first), 'price', null);
+
+  const candles = [];
+  for (let time = first; time <= last; time += seconds) {
+    const bucketPrices = _.map(prices[time], 'price');
+    const bucketTrades = trades[time] || [];
+    if (_.isEmpty(bucketPrices)) {
+      if (fill && close !== null) {
+        candles.push({ time, open: close, high: close, low: close, close, volume: 0n, tokenVolume: 0n, trades: 0 });
+      }
+      continue;
+    }
+    const open = close !== null ? close : _.first(bucketPrices);
+    const all = [open, ...bucketPrices];
+    close = _.last(bucketPrices);
+    candles.push({
+      time,
+      open,
+      high: _.reduce(all, (a, b) => (b > a ? b : a)),
+      low: _.reduce(all, (a, b) => (b < a ? b : a)),
+      close,
+      volume: _sum(_.map(bucketTrades, 'volume')),
+      tokenVolume: _sum(_.map(bucketTrades, 'tokenAmount')),
+      trades: bucketTrades.length,
+    });
+  }
+
+  return _.map(candles, (candle) => _.mapValues(candle, (value, key) => (key === 'time' || key === 'trades' ? value : value.toString())));
+};
+
+/**
+ * Current market stats for a token.
+ * "now" (unix seconds) anchors the 24h window; it defaults to the wall clock.
+ */
+const getMarketStats = (index, token, { now = Math.floor(Date.now() / 1000) } = {}) => {
+  const info = getToken(index, token);
+  if (!info) {
+    throw new Error(`Token ${token} is not in the index`);
+  }
+
+  const trades = getTradesWithFees(index, token);
+  const recent = _.filter(trades, (trade) => trade.timestamp > now - DAY);
+  const points = _pricePoints(index, token);
+
+  const price = info.price ? BigInt(info.price) : 0n;
+  const open24h = _.get(_.findLast(points, (point) => point.timestamp <= now - DAY), 'price', _.get(_.first(points), 'price', 0n));
+  const circulatingSupply = _sum(_.map(getHolderBalances(index, token), 'balance'));
+  const maxSupply = info.maxSupply ? BigInt(info.maxSupply) : null;
+  const threshold = info.graduationThreshold ? BigInt(info.graduationThreshold) : null;
+  const reserves = BigInt(info.usdcReserves);
+
+  return {
+    token: info.address,
+    symbol: info.symbol,
+    price: price.toString(),
+    priceChange24h: open24h > 0n ? Number(((price - open24h) * 10000n) / open24h) / 100 : 0,
+    volume24h: _sum(_.map(recent, 'volume')).toString(),
+    trades24h: recent.length,
+    totalVolume: _sum(_.map(trades, 'volume')).toString(),
+    totalTrades: trades.length,
+    buyFees: _sum(_.map(_.filter(trades, { type: 'buy' }), 'fee')).toString(),
+    sellFees: _sum(_.map(_.filter(trades, { type: 'sell' }), 'fee')).toString(),
+    feesCollected: _sum(_.map(trades, 'fee')).toString(),
+    circulatingSupply: circulatingSupply.toString(),
+    marketCap: ((price * circulatingSupply) / TOKEN_UNIT).toString(),
+    fullyDilutedMarketCap: maxSupply !== null ? ((price * maxSupply) / TOKEN_UNIT).toString() : null,
+    usdcReserves: reserves.toString(),
+    graduationThreshold: threshold !== null ? threshold.toString() : null,
+    graduationProgress: info.graduated ? 100 : (threshold !== null ? Math.min(_percent(reserves, threshold), 100) : null),
+    graduated: info.graduated,
+  };
+};
+
+// CSV with a header row; columns default to the keys of the first row
+const toCsv = (rows, columns = _.keys(_.first(rows))) => {
+  const escape = (value) => {
+    const text = _.isNil(value) ? '' : `${value}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = _.map(rows, (row) => _.map(columns, (column) => escape(row[column])).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+};
+
+// Serializes candles or stats as 'json' or 'csv'
+const exportData = (data, format = 'json') => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    case 'csv':
+      return toCsv(_.castArray(data));
+    default:
+      throw new Error(`Unknown export format "${format}" (expected json or csv)`);
+  }
+};
+
+module.exports = {
+  INTERVALS,
+  getTradesWithFees,
+  getCandles,
+  getMarketStats,
+  toCsv,
+  exportData,
+};
@@ -0,0 +1,69 @@
+const _ = require('lodash');
+
+// Chain lookups; kept free of hardhat so they can be used by the SDK and other plain-node code
+
+const chainIdByName = (chainName) => {
+  switch (_.toLower(chainName)) {
+    case 'homestead': return 1;
+    case 'mainnet': return 1;
+    case 'hardhat': return 34443;
+    case 'coverage': return 31337;
+    case 'sei': return 1329;
+    case 'seimainnet': return 1329;
+    case 'seitestnet': return 1328;
+    case 'somnia': return 5031;
+    case 'somniatestnet': return 50312;
+    default: return 0;
+  }
+};
+
+const chainNameById = (chainId) => {
+  switch (parseInt(chainId, 10)) {
+    case 1: return 'Mainnet';
+    case 31337: return 'Hardhat';
+    case 1329: return 'Sei Mainnet';
+    case 1328: return 'Sei Testnet';
+    case 5031: return 'Somnia Mainnet';
+    case 50312: return 'Somnia Testnet';
+    default: return 'Unknown';
+  }
+};
+
+// Hardhat network names; also the folder names used by hardhat-deploy under "deployments/"
+const networkNameById = (chainId) => {
+  switch (parseInt(chainId, 10)) {
+    case 1: return 'mainnet';
+    case 1329: return 'seiMainnet';
+    case 1328: return 'seiTestnet';
+    case 5031: return 'somnia';
+    case 50312: return 'somniaTestnet';
+    case 31337: return 'coverage';
+    case 34443:
+    default:
+      return 'hardhat';
+  }
+};
+
+const chainTypeById = (chainId) => {
+  switch (parseInt(chainId, 10)) {
+    case 1:
+    case 1329:
+      return {isProd: true, isTestnet: false, isHardhat: false};
+    case 1328:
+      return {isProd: false, isTestnet: true, isHardhat: false};
+    case 5031:
+      return {isProd: true, isTestnet: false, isHardhat: false};
+    case 50312:
+      return {isProd: false, isTestnet: true, isHardhat: false};
+    case 31337:
+    default:
+      return {isProd: false, isTestnet: false, isHardhat: true};
+  }
+};
+
+module.exports = {
+  chainIdByName,
+  chainNameById,
+  networkNameById,
+  chainTypeById,
+};
@@ -0,0 +1,205 @@
+const _ = require('lodash');
+const { Contract, constants, utils } = require('ethers');
+
+const { readStorageVariable } = require('./reconcile');
+
+// Who controls what: owners, controllers, paused state and cross-contract pointers of every deployment,
+// with the inconsistencies between them. Pointer targets are either a deployment name or one of the
+// "$" values of the manifest ($usdc, $router, $positionManager, $treasury).
+
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info',
+};
+
+// Contract name -> pointer name -> { read: getter name or storage labels, target }
+const POINTERS = {
+  CarbonCoinConfig: {
+    carbonCoinDex: { read: 'getCarbonCoinDex', target: 'CarbonCoinDex' },
+  },
+  CarbonCoinDex: {
+    config: { read: 'config', target: 'CarbonCoinConfig' },
+    usdc: { read: 'USDC', target: '$usdc' },
+    dexRouter: { read: 'dexRouter', target: '$positionManager' },
+  },
+  CarbonCoinPaymaster: {
+    usdcToken: { read: 'usdcToken', target: '$usdc' },
+  },
+  CarbonCoinProtection: {
+    config: { read: 'config', target: 'CarbonCoinConfig' },
+    launcher: { read: 'launcher', target: 'CarbonCoinLauncher' },
+  },
+  CarbonCoinLauncher: {
+    config: { read: 'configAddress', target: 'CarbonCoinConfig' },
+    usdc: { read: 'usdcAddress', target: '$usdc' },
+    protection: { read: 'protectionAddress', target: 'CarbonCoinProtection' },
+    paymaster: { read: 'paymasterAddress', target: 'CarbonCoinPaymaster' },
+  },
+  CarbonOpus: {
+    usdcToken: { read: 'usdcToken', target: '$usdc' },
+  },
+  PhoenixEggs: {
+    phoenixToken: { read: 'phoenixToken', target: 'PhoenixToken' },
+    phoenixDex: { read: 'phoenixDex', target: 'PhoenixDex' },
+    phoenixNft: { read: 'phoenixNft', target: 'PhoenixNFT_v1' },
+    usdcToken: { read: 'usdcToken', target: '$usdc' },
+    phoenixTreasury: { read: 'phoenixTreasury', target: '$treasury' },
+  },
+  PhoenixToken: {
+    phoenixEggs: { read: ['_phoenixEggs'], target: 'PhoenixEggs' },
+  },
+  PhoenixDex: {
+    phoenixEggs: { read: 'phoenixEggs', target: 'PhoenixEggs' },
+    phx: { read: 'PHX', target: 'PhoenixToken' },
+    usdc: { read: 'USDC', target: '$usdc' },
+    dexRouter: { read: 'dexRouter', target: '$router' },
+  },
+};
+
+// Storage labels of the controllers, which have no public getter
+const CONTROLLER_LABELS = ['_controller', 'controller'];
+
+const _hasFunction = (contract, name) => _.some(contract.interface.fragments, { type: 'function', name });
+
+// Calls a getter if the ABI has it; undefined if it's missing or reverts
+const _tryCall = async (contract, name) => {
+  if (!_hasFunction(contract, name)) { return undefined; }
+  try {
+    return await contract[name]();
+  } catch (err) {
+    return undefined;
+  }
+};
+
+const _read = (contract, record, read) => (
+  _.isArray(read) ? readStorageVariable(contract, record, read) : _tryCall(contract, read)
+);
+
+/**
+ * Audits the deployment records of a network.
+ *
+ * Options:
+ *  - provider:   ethers provider
+ *  - records:    hardhat-deploy deployment records keyed by contract name (address, abi, storageLayout)
+ *  - values:     addresses for the "$" pointer targets: { usdc, router, treasury }
+ *
+ * @returns {Promise<{contracts: Array, issues: Array<{severity: string, contract: string, message: string}>}>}
+ */
+const auditDeployments = async ({ provider, records, values = {} }) => {
+  const issues = [];
+  const addIssue = (severity, contract, message) => issues.push({ severity, contract, message });
+
+  const deployments = _.pickBy(records, (record) => record && utils.isAddress(_.get(record, 'address', '')));
+  const names = _.fromPairs(_.map(deployments, (record, name) => [utils.getAddress(record.address), name]));
+  const external = _.fromPairs(_.compact(_.map(values, (address, key) => (utils.isAddress(address || '') ? [utils.getAddress(address), `$${key}`] : null))));
+  const labelOf = (address) => names[address] || external[address] || null;
+
+  const contracts = [];
+  for (const [name, record] of _.toPairs(deployments)) {
+    const address = utils.getAddress(record.address);
+    const contract = new Contract(address, record.abi || [], provider);
+    const entry = { name, address, owner: null, ownerType: null, controller: null, paused: null, pointers: [] };
+    contracts.push(entry);
+
+    if (await provider.getCode(address) === '0x') {
+      addIssue(SEVERITY.ERROR, name, `no contract code at ${address}; the deployment record is stale`);
+      continue;
+    }
+
+    const owner = await _tryCall(contract, 'owner');
+    if (owner) {
+      entry.owner = utils.getAddress(owner);
+      entry.ownerType = await provider.getCode(entry.owner) === '0x' ? 'eoa' : 'contract';
+    }
+    const controller = await readStorageVariable(contract, record, CONTROLLER_LABELS);
+    if (!_.isUndefined(controller)) {
+      entry.controller = controller;
+      if (controller === constants.AddressZero) {
+        addIssue(SEVERITY.ERROR, name, 'controller is not set');
+      }
+    }
+    const paused = await _tryCall(contract, 'paused');
+    if (!_.isUndefined(paused)) {
+      entry.paused = paused;
+      if (paused) { addIssue(SEVERITY.WARNING, name, 'is paused'); }
+    }
+
+    for (const [pointer, { read, target }] of _.toPairs(POINTERS[name])) {
+      const raw = await _read(contract, record, read);
+      const expected = _.startsWith(target, '$') ? values[target.slice(1)] : _.get(deployments, [target, 'address']);
+      const value = _.isUndefined(raw) ? null : utils.getAddress(raw);
+      const result = { pointer, value, label: value ? labelOf(value) : null, target, expected: expected ? utils.getAddress(expected) : null, status: 'ok' };
+      entry.pointers.push(result);
+
+      if (!value) {
+        result.status = 'unreadable';
+        addIssue(SEVERITY.WARNING, name, `${pointer} could not be read`);
+      } else if (value === constants.AddressZero) {
+        result.status = 'unset';
+        addIssue(SEVERITY.ERROR, name, `${pointer} is not set (expected ${target})`);
+      } else if (!result.expected) {
+        result.status = 'unchecked';
+        addIssue(SEVERITY.INFO, name, `${pointer} points to ${value}${result.label ? ` (${result.label})` : ''}, but there is no ${target} to compare it with`);
+      } else if (value !== result.expected) {
+        result.status = 'mismatch';
+        const points = result.label ? `${result.label} (${value})` : `${value} (not a deployment)`;
+        addIssue(SEVERITY.ERROR, name, `${pointer} points to ${points} instead of ${target} (${result.expected})`);
+      }
+    }
+  }
+
+  // Owners across the stack
+  const owned = _.filter(contracts, 'owner');
+  const owners = _.uniq(_.map(owned, 'owner'));
+  if (owners.length > 1) {
+    const byOwner = _.map(owners, (owner) => `${labelOf(owner) || owner}: ${_.map(_.filter(owned, { owner }), 'name').join(', ')}`);
+    addIssue(SEVERITY.INFO, '*', `${owners.length} different owners (${byOwner.join('; ')})`);
+  }
+  _.forEach(_.filter(owned, { ownerType: 'eoa' }), ({ name, owner }) => {
+    addIssue(SEVERITY.INFO, name, `owned by an EOA (${owner}), not a multisig`);
+  });
+
+  return { contracts, issues };
+};
+
+// Plain-text tables of an audit, for the console
+const formatAuditTables = ({ contracts, issues }) => {
+  const table = (rows, columns) => {
+    const widths = _.map(columns, (column) => _.max(_.map(rows, (row) => _.toString(row[column]).length).concat(column.length)));
+    const line = (row) => _.map(columns, (column, index) => _.padEnd(_.toString(row[column]), widths[index])).join('  ');
+    return [line(_.zipObject(columns, columns)), line(_.zipObject(columns, _.map(widths, (width) => _.repeat('-', width)))), ..._.map(rows, line)];
+  };
+  const show = (value) => (_.isNil(value) ? '-' : value);
+
+  const lines = table(_.map(contracts, (entry) => ({
+    contract: entry.name,
+    address: entry.address,
+    owner: entry.owner ? `${entry.owner} (${entry.ownerType})` : '-',
+    controller: show(entry.controller),
+    paused: show(entry.paused),
+  })), ['contract', 'address', 'owner', 'controller', 'paused']);
+
+  const pointers = _.flatMap(contracts, ({ name, pointers: list }) => _.map(list, (result) => ({
+    pointer: `${name}.${result.pointer}`,
+    value: result.value ? `${result.value}${result.label ? ` (${result.label})` : ''}` : '-',
+    expected: result.target,
+    status: result.status,
+  })));
+  if (!_.isEmpty(pointers)) {
+    lines.push('', ...table(pointers, ['pointer', 'value', 'expected', 'status']));
+  }
+
+  lines.push('', issues.length ? `Issues (${issues.length}):` : 'No issues found.');
+  _.forEach(_.sortBy(issues, ({ severity }) => _.indexOf([SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO], severity)), ({ severity, contract, message }) => {
+    lines.push(`  [${severity}] ${contract}: ${message}`);
+  });
+  return lines.join('\n');
+};
+
+module.exports = {
+  SEVERITY,
+  POINTERS,
+  auditDeployments,
+  formatAuditTables,
+};
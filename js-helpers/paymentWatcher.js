@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { utils } = require('ethers');
+
+const permitAndTransferAbi = require('../abis/PermitAndTransfer.json');
+const { createJsonStore } = require('./indexer');
+const { bytes32ToUuid, toBytes32Id } = require('./permit');
+const { signWebhook, postWebhook } = require('./webhooks');
+
+// Payment reconciliation for PermitAndTransfer.
+// Each PermitTransfer event carries the order uuid; the watcher matches it against a pending-order
+// store and marks the order paid once the event is "confirmations" deep. Anything that doesn't
+// line up (unknown uuid, underpayment, a second payment, wrong token or recipient) is flagged.
+//
+// Orders: { uuid, amount, token?, to?, status, paidAmount, payments[] } with amounts in base units.
+// Order status: pending -> underpaid -> paid
+
+const STATE_VERSION = 1;
+
+const ORDER_STATUS = {
+  PENDING: 'pending',
+  UNDERPAID: 'underpaid',
+  PAID: 'paid',
+};
+
+// Notification types, also sent as webhooks
+const PAYMENT_EVENTS = {
+  PAID: 'order.paid',
+  UNDERPAID: 'order.underpaid',
+  DUPLICATE: 'payment.duplicate',
+  UNKNOWN: 'payment.unknown',
+  MISMATCH: 'payment.mismatch',
+};
+
+const permitAndTransferInterface = new utils.Interface(permitAndTransferAbi);
+
+//
+// Order stores
+//
+// Any object with async getOrder(uuid) -> order | null and saveOrder(order) can be used,
+// e.g. one backed by the backend's database.
+//
+
+const _newOrder = (order) => ({
+  status: ORDER_STATUS.PENDING,
+  paidAmount: '0',
+  payments: [],
+  ...order,
+  uuid: _.toLower(order.uuid),
+  amount: _.toString(order.amount),
+});
+
+// In-memory store, seeded with "orders"
+const createMemoryOrderStore = (orders = []) => {
+  const byUuid = new Map(_.map(orders, (order) => [_.toLower(order.uuid), _newOrder(order)]));
+  return {
+    getOrder: async (uuid) => _.cloneDeep(byUuid.get(_.toLower(uuid)) || null),
+    saveOrder: async (order) => { byUuid.set(_.toLower(order.uuid), _.cloneDeep(order)); },
+    addOrder: async (order) => { byUuid.set(_.toLower(order.uuid), _newOrder(order)); },
+    listOrders: async () => _.cloneDeep([...byUuid.values()]),
+  };
+};
+
+// JSON file of orders keyed by uuid; re-read on every lookup so another process can add orders
+const createJsonOrderStore = (filePath) => {
+  const _read = () => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {});
+  const _write = (orders) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(orders, null, 2));
+  };
+  return {
+    getOrder: async (uuid) => {
+      const order = _read()[_.toLower(uuid)];
+      return order ? _newOrder(order) : null;
+    },
+    saveOrder: async (order) => { _write({ ..._read(), [_.toLower(order.uuid)]: order }); },
+    addOrder: async (order) => { _write({ ..._read(), [_.toLower(order.uuid)]: _newOrder(order) }); },
+    listOrders: async () => _.map(_.values(_read()), _newOrder),
+  };
+};
+
+//
+// Watcher
+//
+
+const _toPayment = (logEntry) => {
+  const { args } = permitAndTransferInterface.parseLog(logEntry);
+  return {
+    id: `${logEntry.transactionHash}:${logEntry.logIndex}`,
+    uuid: bytes32ToUuid(args.uuid),
+    senderId: args.senderId,
+    token: utils.getAddress(args.token),
+    from: utils.getAddress(args.owner),
+    to: utils.getAddress(args.spender),
+    value: args.value.toString(),
+    blockNumber: logEntry.blockNumber,
+    transactionHash: logEntry.transactionHash,
+    logIndex: logEntry.logIndex,
+  };
+};
+
+/**
+ * Creates a payment watcher for a PermitAndTransfer contract.
+ *
+ * Options:
+ *  - provider:       ethers provider
+ *  - contract:       PermitAndTransfer address
+ *  - orders:         order store (createMemoryOrderStore(), createJsonOrderStore() or your own)
+ *  - store:          checkpoint store from createJsonStore() (default: in-memory)
+ *  - startBlock:     first block to scan for a new checkpoint store (usually the contract deployment block)
+ *  - senderId:       only payments tagged with this sender id (label or bytes32)
+ *  - confirmations:  confirmations, as in tx.wait(), before a payment is applied (default: 1)
+ *  - batchSize:      blocks per getLogs request (default: 2000)
+ *  - webhookUrl:     endpoint that receives every notification as a JSON POST
+ *  - webhookSecret:  HMAC key for the X-Carbon-Signature header
+ *  - onEvent:        called with every notification
+ *  - onError:        called with webhook and background poll errors (default: console.error)
+ */
+const createPaymentWatcher = ({
+  provider,
+  contract,
+  orders,
+  store = createJsonStore(),
+  startBlock = 0,
+  senderId = null,
+  confirmations = 1,
+  batchSize = 2000,
+  webhookUrl = '',
+  webhookSecret = '',
+  onEvent = _.noop,
+  onError = console.error,
+}) => {
+  const address = utils.getAddress(contract);
+  const senderTopic = senderId ? toBytes32Id(senderId) : null;
+  let state = null;
+  let polling = null;
+  let listener = null;
+
+  const _load = async () => {
+    if (state) { return state; }
+    const { chainId } = await provider.getNetwork();
+    state = store.load();
+    if (!state) {
+      state = { version: STATE_VERSION, chainId, contract: address, startBlock, checkpoint: startBlock - 1, outbox: [] };
+    } else if (state.version !== STATE_VERSION) {
+      throw new Error(`Unsupported watcher state version ${state.version} (expected ${STATE_VERSION})`);
+    } else if (state.chainId !== chainId || state.contract !== address) {
+      throw new Error(`Watcher state belongs to ${state.contract} on chain ${state.chainId}`);
+    }
+    return state;
+  };
+
+  // Delivers the outbox in order; undelivered notifications stay queued for the next poll
+  const _flushWebhooks = async () => {
+    while (webhookUrl && state.outbox.length) {
+      try {
+        await postWebhook(webhookUrl, _.first(state.outbox), { secret: webhookSecret });
+      } catch (err) {
+        onError(new Error(`Webhook delivery failed (${state.outbox.length} queued): ${err.message}`));
+        return;
+      }
+      state.outbox.shift();
+      store.save(state);
+    }
+  };
+
+  const _notify = (notifications, type, payment, order, reason = '') => {
+    const notification = { type, payment, order, reason };
+    notifications.push(notification);
+    if (webhookUrl) { state.outbox.push(notification); }
+    onEvent(notification);
+  };
+
+  const _apply = async (payment, notifications) => {
+    const order = await orders.getOrder(payment.uuid);
+    if (!order) {
+      return _notify(notifications, PAYMENT_EVENTS.UNKNOWN, payment, null, `No order with uuid ${payment.uuid}`);
+    }
+    // Already applied (e.g. the checkpoint wasn't saved after the order was)
+    if (_.includes(_.map(order.payments, 'id'), payment.id)) { return; }
+
+    if (order.token && utils.getAddress(order.token) !== payment.token) {
+      return _notify(notifications, PAYMENT_EVENTS.MISMATCH, payment, order, `Paid in ${payment.token} instead of ${order.token}`);
+    }
+    if (order.to && utils.getAddress(order.to) !== payment.to) {
+      return _notify(notifications, PAYMENT_EVENTS.MISMATCH, payment, order, `Paid to ${payment.to} instead of ${order.to}`);
+    }
+    if (order.status === ORDER_STATUS.PAID) {
+      return _notify(notifications, PAYMENT_EVENTS.DUPLICATE, payment, order, `Order ${order.uuid} is already paid`);
+    }
+
+    // Partial payments add up until the order amount is covered
+    const paidAmount = BigInt(order.paidAmount) + BigInt(payment.value);
+    const paid = paidAmount >= BigInt(order.amount);
+    const updated = {
+      ...order,
+      status: paid ? ORDER_STATUS.PAID : ORDER_STATUS.UNDERPAID,
+      paidAmount: paidAmount.toString(),
+      payments: _.concat(order.payments, _.pick(payment, ['id', 'from', 'value', 'blockNumber', 'transactionHash'])),
+      paidAt: paid ? payment.blockNumber : null,
+    };
+    await orders.saveOrder(updated);
+    const reason = paid ? '' : `Received ${paidAmount} of ${order.amount}`;
+    return _notify(notifications, paid ? PAYMENT_EVENTS.PAID : PAYMENT_EVENTS.UNDERPAID, payment, updated, reason);
+  };
+
+  const _poll = async () => {
+    await _load();
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations + 1;
+    const fromBlock = state.checkpoint + 1;
+    const notifications = [];
+    const topics = _.compact([permitAndTransferInterface.getEventTopic('PermitTransfer'), senderTopic]);
+
+    for (let from = fromBlock; from <= target; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, target);
+      const logs = await provider.getLogs({ address, topics, fromBlock: from, toBlock: to });
+      for (const logEntry of _.sortBy(logs, ['blockNumber', 'logIndex'])) {
+        await _apply(_toPayment(logEntry), notifications);
+      }
+      state.checkpoint = to;
+      store.save(state);
+    }
+    await _flushWebhooks();
+    return { fromBlock, toBlock: Math.max(target, state.checkpoint), notifications };
+  };
+
+  /**
+   * Applies the confirmed PermitTransfer events since the checkpoint and sends their webhooks.
+   * Concurrent calls share the same run.
+   * @returns {Promise<{fromBlock: number, toBlock: number, notifications: Array}>}
+   */
+  const poll = () => {
+    if (!polling) {
+      polling = _poll().finally(() => { polling = null; });
+    }
+    return polling;
+  };
+
+  // Polls on every new block until stop(); errors go to onError and the poll is retried on the next block
+  const start = () => {
+    if (listener) { return; }
+    listener = () => poll().catch(onError);
+    provider.on('block', listener);
+  };
+
+  const stop = async () => {
+    if (listener) {
+      provider.off('block', listener);
+      listener = null;
+    }
+    if (polling) { await polling.catch(_.noop); }
+  };
+
+  const getState = async () => _.cloneDeep(await _load());
+
+  return { poll, start, stop, getState };
+};
+
+module.exports = {
+  ORDER_STATUS,
+  PAYMENT_EVENTS,
+  createMemoryOrderStore,
+  createJsonOrderStore,
+  createPaymentWatcher,
+  signWebhook,
+};
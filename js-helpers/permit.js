@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const { Contract, BigNumber, utils } = require('ethers');
+
+// EIP-2612 permits for USDC (and the ERC20Mintable mock), and the argument lists of the
+// contracts that consume them: PermitAndTransfer, CarbonOpus and CarbonCoinPaymaster.
+// In each case the permit is signed by the paying account with the consuming contract as spender.
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const permitTokenAbi = [
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+];
+
+// Versions tried, in order, for tokens that expose neither eip712Domain() nor version() (Circle's FiatToken is on '2')
+const FALLBACK_VERSIONS = ['2', '1'];
+
+// Default permit lifetime
+const DEFAULT_PERMIT_TTL = 60 * 60;
+
+const _permitToken = (token) => new Contract(token.address, permitTokenAbi, token.signer || token.provider);
+
+/**
+ * EIP-712 domain of a permit token.
+ * ERC-5267 tokens (the mock) report it through eip712Domain(); older ones (Circle USDC) expose
+ * name() and version(). When the token has a DOMAIN_SEPARATOR() the domain is checked against it,
+ * so a wrong guess fails here instead of as an invalid signature on-chain.
+ */
+const getPermitDomain = async (tokenContract) => {
+  const token = _permitToken(tokenContract);
+  const verifyingContract = utils.getAddress(token.address);
+
+  try {
+    const domain = await token.eip712Domain();
+    return { name: domain.name, version: domain.version, chainId: domain.chainId.toNumber(), verifyingContract };
+  } catch (err) {
+    // Not ERC-5267
+  }
+
+  const [ name, version, { chainId }, separator ] = await Promise.all([
+    token.name(),
+    token.version().catch(() => null),
+    token.provider.getNetwork(),
+    token.DOMAIN_SEPARATOR().catch(() => null),
+  ]);
+  const candidates = _.map(version ? [version] : FALLBACK_VERSIONS, (v) => ({ name, version: v, chainId, verifyingContract }));
+  if (!separator) {
+    return _.first(candidates);
+  }
+  const domain = _.find(candidates, (candidate) => utils._TypedDataEncoder.hashDomain(candidate) === separator);
+  if (!domain) {
+    throw new Error(`Unable to build the permit domain of ${verifyingContract}: no candidate matches its DOMAIN_SEPARATOR`);
+  }
+  return domain;
+};
+
+const getPermitNonce = (token, owner) => _permitToken(token).nonces(owner);
+
+// Deadline "ttl" seconds after the latest block (block time, not the local clock)
+const getPermitDeadline = async (provider, ttl = DEFAULT_PERMIT_TTL) => {
+  const { timestamp } = await provider.getBlock('latest');
+  return timestamp + ttl;
+};
+
+/**
+ * Signs an EIP-2612 permit of "token" for "spender".
+ * Options: { spender, value, deadline?, nonce? }; the nonce is fetched and the deadline defaults to an hour.
+ * @returns {Promise<{owner, spender, value, nonce, deadline, v, r, s, signature}>}
+ */
+const signPermit = async (signer, token, { spender, value, deadline, nonce }) => {
+  const owner = await signer.getAddress();
+  const [ domain, permitNonce, permitDeadline ] = await Promise.all([
+    getPermitDomain(token),
+    _.isNil(nonce) ? getPermitNonce(token, owner) : nonce,
+    _.isNil(deadline) ? getPermitDeadline(signer.provider) : deadline,
+  ]);
+  const permit = {
+    owner,
+    spender: utils.getAddress(spender),
+    value: BigNumber.from(value),
+    nonce: BigNumber.from(permitNonce),
+    deadline: BigNumber.from(permitDeadline),
+  };
+  const signature = await signer._signTypedData(domain, PERMIT_TYPES, permit);
+  const { v, r, s } = utils.splitSignature(signature);
+  return { ...permit, v, r, s, signature };
+};
+
+// Address that signed "permit" ({ owner, spender, value, nonce, deadline }), or null for a malformed signature
+const recoverPermitSigner = (domain, permit, signature) => {
+  try {
+    const values = _.mapValues(_.pick(permit, ['owner', 'spender', 'value', 'nonce', 'deadline']), _.toString);
+    return utils.verifyTypedData(domain, PERMIT_TYPES, values, signature);
+  } catch (err) {
+    return null;
+  }
+};
+
+//
+// Ids
+//
+
+// bytes32 id from a short label, like bytes32("treasury") in Solidity; 32-byte hex passes through
+const toBytes32Id = (value) => (utils.isHexString(value, 32) ? value : utils.formatBytes32String(value));
+
+const createUuid = () => crypto.randomUUID();
+
+// Order uuids travel as bytes32: the 16 uuid bytes, left-padded with zeros
+const uuidToBytes32 = (uuid) => {
+  const hex = _.replace(uuid, /-/g, '');
+  if (!/^[0-9a-fA-F]{32}$/.test(hex)) {
+    throw new Error(`Invalid uuid "${uuid}"`);
+  }
+  return utils.hexZeroPad(`0x${_.toLower(hex)}`, 32);
+};
+
+const bytes32ToUuid = (value) => {
+  const hex = value.slice(-32);
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+};
+
+//
+// Consumers
+//
+
+/**
+ * Signs a PermitAndTransfer payment of "amount" to "to".
+ * "senderId" tags the sending service (label or bytes32); "uuid" identifies the order and is generated when omitted.
+ * @returns {Promise<{uuid: string, permit: Object, args: Array}>} "args" for permitAndTransfer(...)
+ */
+const signPermitAndTransfer = async (signer, permitAndTransfer, token, { to, amount, senderId, uuid = createUuid(), deadline }) => {
+  const permit = await signPermit(signer, token, { spender: permitAndTransfer.address, value: amount, deadline });
+  const args = [toBytes32Id(senderId), uuidToBytes32(uuid), token.address, permit.owner, utils.getAddress(to), permit.value, permit.deadline, permit.v, permit.r, permit.s];
+  return { uuid, permit, args };
+};
+
+/**
+ * Signs the USDC for CarbonOpus purchases on behalf of the signer (the member).
+ * The permit covers the summed song prices; one token id gives purchaseMusicOnBehalf args, several give purchaseBatchOnBehalf args.
+ * @returns {Promise<{method: string, permit: Object, args: Array}>}
+ */
+const signOpusPurchase = async (signer, opus, { memberId, tokenIds, referrers, deadline }) => {
+  const ids = _.castArray(tokenIds);
+  const refs = _.map(_.isNil(referrers) ? _.map(ids, () => utils.hexZeroPad('0x', 32)) : _.castArray(referrers), toBytes32Id);
+  const songs = await Promise.all(_.map(ids, (tokenId) => opus.songs(tokenId)));
+  const total = _.reduce(songs, (sum, song) => sum.add(song.price), BigNumber.from(0));
+
+  const permit = await signPermit(signer, new Contract(await opus.usdcToken(), permitTokenAbi, signer), { spender: opus.address, value: total, deadline });
+  const member = toBytes32Id(memberId);
+  const signatureArgs = [permit.deadline, permit.v, permit.r, permit.s];
+  if (ids.length === 1) {
+    return { method: 'purchaseMusicOnBehalf', permit, args: [member, permit.owner, ids[0], refs[0], ...signatureArgs] };
+  }
+  return { method: 'purchaseBatchOnBehalf', permit, args: [member, permit.owner, ids, refs, ...signatureArgs] };
+};
+
+/**
+ * Signs the USDC for a CarbonCoinPaymaster.buyOnBehalf of "token".
+ * @returns {Promise<{permit: Object, args: Array}>} "args" for buyOnBehalf(...)
+ */
+const signPaymasterBuy = async (signer, paymaster, { token, usdcAmount, minTokensOut = 0, deadline }) => {
+  const usdc = new Contract(await paymaster.usdcToken(), permitTokenAbi, signer);
+  const permit = await signPermit(signer, usdc, { spender: paymaster.address, value: usdcAmount, deadline });
+  return { permit, args: [permit.owner, utils.getAddress(token), permit.value, BigNumber.from(minTokensOut), permit.deadline, permit.v, permit.r, permit.s] };
+};
+
+module.exports = {
+  PERMIT_TYPES,
+  DEFAULT_PERMIT_TTL,
+  permitTokenAbi,
+  getPermitDomain,
+  getPermitNonce,
+  getPermitDeadline,
+  signPermit,
+  recoverPermitSigner,
+  toBytes32Id,
+  createUuid,
+  uuidToBytes32,
+  bytes32ToUuid,
+  signPermitAndTransfer,
+  signOpusPurchase,
+  signPaymasterBuy,
+};
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { Contract, utils } = require('ethers');
+
+const protectionAbi = require('../abis/CarbonCoinProtection.json');
+const launcherAbi = require('../abis/CarbonCoinLauncher.json');
+const { createJsonStore } = require('./indexer');
+const { postWebhook } = require('./webhooks');
+const { classifyTxError } = require('./txErrors');
+
+// Monitoring of CarbonCoinProtection for every token created by the launcher.
+// Protection events become alerts, and the circuit breaker status of each token is kept
+// current through getCircuitBreakerStatus. Alerts go to pluggable sinks (stdout, file, webhook).
+//
+// resetCircuitBreakerIfExpired only accepts calls from the token itself, so the monitor can't call it.
+// An expired breaker no longer blocks trading, but its volatility count lives on. When the monitor
+// runs with the protection owner's key, it clears expired breakers with the owner-only resetCircuitBreaker.
+
+const STATE_VERSION = 1;
+
+const SEVERITY = {
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  INFO: 'info',
+};
+
+const PROTECTION_EVENTS = {
+  CircuitBreakerTriggered: SEVERITY.CRITICAL,
+  HighPriceImpact: SEVERITY.WARNING,
+  VolatilityWarning: SEVERITY.WARNING,
+  BotDetected: SEVERITY.WARNING,
+  AddressBlacklisted: SEVERITY.INFO,
+  CircuitBreakerReset: SEVERITY.INFO,
+};
+
+const protectionInterface = new utils.Interface(protectionAbi);
+const launcherInterface = new utils.Interface(launcherAbi);
+
+const _describe = (name, args) => {
+  switch (name) {
+    case 'CircuitBreakerTriggered': return `Circuit breaker triggered for ${args.duration}s: ${args.reason}`;
+    case 'CircuitBreakerReset': return 'Circuit breaker reset';
+    case 'BotDetected': return `Bot detected (${args.user}): ${args.reason}`;
+    case 'VolatilityWarning': return `${args.moveCount} price moves over 5% within the volatility window`;
+    case 'HighPriceImpact': return `Trade by ${args.trader} moved the price ${utils.formatUnits(args.impact, 2)}%`;
+    case 'AddressBlacklisted': return `${args.user} ${args.blacklisted ? 'blacklisted' : 'removed from the blacklist'}`;
+    default: return name;
+  }
+};
+
+//
+// Sinks: functions that receive each alert
+//
+
+const createConsoleSink = (print = console.log) => (alert) => {
+  print(`[${alert.severity}] ${alert.symbol || alert.token} ${alert.type}: ${alert.message}`);
+};
+
+// Appends one JSON alert per line
+const createFileSink = (filePath) => (alert) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(alert)}\n`);
+};
+
+// Alerts at or above "minSeverity" are POSTed to "url"
+const createWebhookSink = (url, { secret = '', minSeverity = SEVERITY.INFO } = {}) => {
+  const levels = [SEVERITY.INFO, SEVERITY.WARNING, SEVERITY.CRITICAL];
+  return async (alert) => {
+    if (levels.indexOf(alert.severity) >= levels.indexOf(minSeverity)) {
+      await postWebhook(url, alert, { secret });
+    }
+  };
+};
+
+/**
+ * Creates a monitor for a CarbonCoinProtection and the tokens of a CarbonCoinLauncher.
+ *
+ * Options:
+ *  - provider:       ethers provider
+ *  - protection:     CarbonCoinProtection address
+ *  - launcher:       CarbonCoinLauncher address
+ *  - sinks:          alert sinks (default: [createConsoleSink()])
+ *  - store:          checkpoint store from createJsonStore() (default: in-memory)
+ *  - startBlock:     first block to scan for a new store (usually the launcher deployment block)
+ *  - confirmations:  only scan blocks this deep below the head (default: 0)
+ *  - batchSize:      blocks per getLogs request (default: 2000)
+ *  - resetSigner:    protection owner; when set, expired breakers are reset with resetCircuitBreaker
+ *  - onError:        called with sink and background poll errors (default: console.error)
+ */
+const createProtectionMonitor = ({
+  provider,
+  protection: protectionAddress,
+  launcher: launcherAddress,
+  sinks = [createConsoleSink()],
+  store = createJsonStore(),
+  startBlock = 0,
+  confirmations = 0,
+  batchSize = 2000,
+  resetSigner = null,
+  onError = console.error,
+}) => {
+  const protection = new Contract(utils.getAddress(protectionAddress), protectionAbi, provider);
+  const launcher = utils.getAddress(launcherAddress);
+  let state = null;
+  let polling = null;
+  let listener = null;
+
+  const _load = async () => {
+    if (state) { return state; }
+    const { chainId } = await provider.getNetwork();
+    state = store.load();
+    if (!state) {
+      state = { version: STATE_VERSION, chainId, protection: protection.address, launcher, checkpoint: startBlock - 1, tokens: {} };
+    } else if (state.version !== STATE_VERSION) {
+      throw new Error(`Unsupported monitor state version ${state.version} (expected ${STATE_VERSION})`);
+    } else if (state.chainId !== chainId || state.protection !== protection.address || state.launcher !== launcher) {
+      throw new Error(`Monitor state belongs to ${state.protection} / ${state.launcher} on chain ${state.chainId}`);
+    }
+    return state;
+  };
+
+  const _alert = async (alerts, alert) => {
+    const token = state.tokens[alert.token];
+    const full = { ...alert, symbol: token ? token.symbol : null, knownToken: !!token, createdAt: new Date().toISOString() };
+    alerts.push(full);
+    for (const sink of sinks) {
+      try {
+        await sink(full);
+      } catch (err) {
+        onError(new Error(`Alert sink failed: ${err.message}`));
+      }
+    }
+  };
+
+  const _getLogs = (address, iface, names, fromBlock, toBlock) => provider.getLogs({
+    address,
+    topics: [_.map(names, (name) => iface.getEventTopic(name))],
+    fromBlock,
+    toBlock,
+  });
+
+  const _scan = async (fromBlock, toBlock, alerts, touched) => {
+    const created = await _getLogs(launcher, launcherInterface, ['TokenCreated'], fromBlock, toBlock);
+    _.forEach(created, (log) => {
+      const { args } = launcherInterface.parseLog(log);
+      const token = utils.getAddress(args.tokenAddress);
+      state.tokens[token] = { address: token, symbol: args.symbol, breaker: null };
+      touched.add(token);
+    });
+
+    const logs = await _getLogs(protection.address, protectionInterface, _.keys(PROTECTION_EVENTS), fromBlock, toBlock);
+    for (const log of _.sortBy(logs, ['blockNumber', 'logIndex'])) {
+      const { name, args } = protectionInterface.parseLog(log);
+      const token = utils.getAddress(args.token);
+      const values = _.mapValues(_.pick(args, _.map(protectionInterface.getEvent(name).inputs, 'name')), (value) => (
+        _.isFunction(_.get(value, 'toHexString')) ? value.toString() : value
+      ));
+      touched.add(token);
+      await _alert(alerts, {
+        type: name,
+        severity: PROTECTION_EVENTS[name],
+        token,
+        message: _describe(name, values),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        args: values,
+      });
+    }
+  };
+
+  const _reset = async (token, alerts) => {
+    try {
+      const tx = await protection.connect(resetSigner).resetCircuitBreaker(token);
+      await tx.wait();
+      await _alert(alerts, { type: 'CircuitBreakerResetSent', severity: SEVERITY.INFO, token, message: `Sent resetCircuitBreaker (${tx.hash})`, transactionHash: tx.hash });
+    } catch (err) {
+      await _alert(alerts, { type: 'CircuitBreakerResetFailed', severity: SEVERITY.WARNING, token, message: `resetCircuitBreaker failed: ${classifyTxError(err).message}` });
+    }
+  };
+
+  // Refreshes the breaker of tokens with new events or a breaker that was triggered earlier
+  const _refreshBreakers = async (touched, alerts) => {
+    const owner = resetSigner ? await protection.owner() : null;
+    const canReset = !!resetSigner && utils.getAddress(await resetSigner.getAddress()) === utils.getAddress(owner);
+
+    const tokens = _.filter(_.keys(state.tokens), (token) => touched.has(token) || _.get(state.tokens[token], 'breaker.triggeredAt', 0) > 0);
+    for (const token of tokens) {
+      const status = await protection.getCircuitBreakerStatus(token);
+      const previous = state.tokens[token].breaker;
+      const breaker = {
+        isActive: status.isActive,
+        triggeredAt: status.triggeredAt.toNumber(),
+        timeRemaining: status.timeRemaining.toNumber(),
+        volatilityMoves: status.volatilityMoves.toNumber(),
+      };
+      state.tokens[token].breaker = breaker;
+
+      // Once per trigger: alert that the breaker expired and, with the owner key, reset it
+      const expired = !breaker.isActive && breaker.triggeredAt > 0;
+      breaker.expiredAlerted = expired && !!previous && !!previous.expiredAlerted && previous.triggeredAt === breaker.triggeredAt;
+      if (expired && !breaker.expiredAlerted) {
+        breaker.expiredAlerted = true;
+        await _alert(alerts, { type: 'CircuitBreakerExpired', severity: SEVERITY.INFO, token, message: 'Circuit breaker expired; trading is open again' });
+        if (canReset) { await _reset(token, alerts); }
+      }
+    }
+  };
+
+  const _poll = async () => {
+    await _load();
+    const target = await provider.getBlockNumber() - confirmations;
+    const fromBlock = state.checkpoint + 1;
+    const alerts = [];
+    const touched = new Set();
+
+    for (let from = fromBlock; from <= target; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, target);
+      await _scan(from, to, alerts, touched);
+      state.checkpoint = to;
+      store.save(state);
+    }
+    await _refreshBreakers(touched, alerts);
+    store.save(state);
+    return { fromBlock, toBlock: Math.max(target, state.checkpoint), alerts };
+  };
+
+  /**
+   * Scans new blocks for protection events and refreshes the breaker statuses.
+   * Concurrent calls share the same run.
+   * @returns {Promise<{fromBlock: number, toBlock: number, alerts: Array}>}
+   */
+  const poll = () => {
+    if (!polling) {
+      polling = _poll().finally(() => { polling = null; });
+    }
+    return polling;
+  };
+
+  // Polls on every new block until stop()
+  const start = () => {
+    if (listener) { return; }
+    listener = () => poll().catch(onError);
+    provider.on('block', listener);
+  };
+
+  const stop = async () => {
+    if (listener) {
+      provider.off('block', listener);
+      listener = null;
+    }
+    if (polling) { await polling.catch(_.noop); }
+  };
+
+  // Monitored tokens with their last known breaker status
+  const getStatus = async () => _.values((await _load()).tokens);
+
+  return { poll, start, stop, getStatus };
+};
+
+module.exports = {
+  SEVERITY,
+  PROTECTION_EVENTS,
+  createConsoleSink,
+  createFileSink,
+  createWebhookSink,
+  createProtectionMonitor,
+};
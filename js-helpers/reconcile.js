@@ -0,0 +1,193 @@
+const _ = require('lodash');
+const { BigNumber, utils } = require('ethers');
+
+const { log } = require('./utils');
+const { executeTx } = require('./executeTx');
+const { getConfigDefaultSettings } = require('./configDefaults');
+
+// Reads a value-type state variable (address/uint) directly from storage using the
+// storage layout in the record (see getManifestContracts); used for settings that have no public getter.
+// Returns undefined if the layout is unavailable or does not match the contract in use.
+const readStorageVariable = async (contract, record, labels) => {
+  if (!record || !record.storageLayout) { return undefined; }
+  if (_.toLower(record.address) !== _.toLower(contract.address)) { return undefined; }
+
+  const { storage, types } = record.storageLayout;
+  const entry = _.find(storage, (item) => _.includes(labels, item.label));
+  if (!entry) { return undefined; }
+
+  const numberOfBytes = parseInt(_.get(types, [entry.type, 'numberOfBytes'], '32'), 10);
+  const raw = await contract.provider.getStorageAt(contract.address, BigNumber.from(entry.slot));
+  const bytes = utils.arrayify(utils.hexZeroPad(raw, 32));
+  const end = 32 - entry.offset;
+  const value = utils.hexlify(bytes.slice(end - numberOfBytes, end));
+
+  if (entry.type === 't_address' || _.startsWith(entry.type, 't_contract')) {
+    return utils.getAddress(value);
+  }
+  return utils.defaultAbiCoder.decode(['uint256'], utils.hexZeroPad(value, 32))[0];
+};
+
+// Desired post-deploy configuration of the Carbon Coin stack.
+//  - contracts: ethers Contract instances keyed by contract name
+//  - records:   { address, storageLayout } keyed by contract name (for storage reads)
+//  - settings:  manifest settings (maxTokensPerCreator, phoenixMaxNfts, phoenixMaxTeamEggs, configDefaults)
+//  - values:    { usdc, treasury }
+const getStackSettings = ({ contracts, records = {}, settings, values }) => {
+  const {
+    CarbonCoinConfig,
+    CarbonCoinDex,
+    CarbonCoinProtection,
+    CarbonCoinLauncher,
+    PhoenixEggs,
+    PhoenixToken,
+    PhoenixDex,
+    PhoenixNFT_v1,
+  } = contracts;
+
+  return [
+    {
+      id: 'CarbonCoinConfig.carbonCoinDex',
+      desired: CarbonCoinDex.address,
+      read: () => CarbonCoinConfig.getCarbonCoinDex(),
+      write: (value) => CarbonCoinConfig.updateDexAddress(value),
+    },
+    {
+      id: 'CarbonCoinLauncher.maxTokensPerCreator',
+      desired: settings.maxTokensPerCreator,
+      read: () => CarbonCoinLauncher.maxTokensPerCreator(),
+      write: (value) => CarbonCoinLauncher.setMaxTokensPerCreator(value),
+    },
+    {
+      id: 'CarbonCoinProtection.config',
+      desired: CarbonCoinConfig.address,
+      read: () => CarbonCoinProtection.config(),
+      write: (value) => CarbonCoinProtection.updateConfig(value),
+    },
+    {
+      id: 'CarbonCoinProtection.launcher',
+      desired: CarbonCoinLauncher.address,
+      read: () => CarbonCoinProtection.launcher(),
+      write: (value) => CarbonCoinProtection.updateLauncher(value),
+    },
+    // Written in this order: setMaxNfts() requires phoenixNft to be set.
+    // Reused PhoenixEggs deployments run the bytecode from before setPhoenixNFT() checked the current NFT:
+    // there it calls totalSupply() on the unset NFT and reverts, so the first set fails on those.
+    {
+      id: 'PhoenixEggs.phoenixNft',
+      desired: PhoenixNFT_v1.address,
+      read: () => PhoenixEggs.phoenixNft(),
+      write: (value) => PhoenixEggs.setPhoenixNFT(value),
+    },
+    {
+      id: 'PhoenixEggs.phoenixToken',
+      desired: PhoenixToken.address,
+      read: () => PhoenixEggs.phxTokenAddress(),
+      write: (value) => PhoenixEggs.setPhoenixToken(value),
+    },
+    {
+      id: 'PhoenixEggs.usdcToken',
+      desired: values.usdc,
+      read: () => PhoenixEggs.usdcTokenAddress(),
+      write: (value) => PhoenixEggs.setUsdcToken(value),
+    },
+    {
+      id: 'PhoenixEggs.phoenixDex',
+      desired: PhoenixDex.address,
+      read: () => PhoenixEggs.phoenixDexAddress(),
+      write: (value) => PhoenixEggs.setPhoenixDex(value),
+    },
+    {
+      id: 'PhoenixEggs.phoenixTreasury',
+      desired: values.treasury,
+      read: () => PhoenixEggs.phoenixTreasury(),
+      write: (value) => PhoenixEggs.setPhoenixTreasury(value),
+    },
+    {
+      id: 'PhoenixEggs.maxNfts',
+      desired: settings.phoenixMaxNfts,
+      read: () => PhoenixEggs.getMaxNfts(),
+      write: (value) => PhoenixEggs.setMaxNfts(value),
+    },
+    {
+      id: 'PhoenixEggs.maxTeamEggs',
+      desired: settings.phoenixMaxTeamEggs,
+      read: () => readStorageVariable(PhoenixEggs, records.PhoenixEggs, ['_maxTeamEggs']),
+      write: (value) => PhoenixEggs.setMaxTeamEggs(value),
+    },
+    {
+      id: 'PhoenixToken.phoenixEggs',
+      desired: PhoenixEggs.address,
+      read: () => readStorageVariable(PhoenixToken, records.PhoenixToken, ['_phoenixEggs']),
+      write: (value) => PhoenixToken.setPhoenixEggs(value),
+    },
+    ...getConfigDefaultSettings(CarbonCoinConfig, settings.configDefaults),
+  ];
+};
+
+const _isSameValue = (current, desired) => {
+  if (utils.isAddress(_.toString(current)) && utils.isAddress(_.toString(desired))) {
+    return _.toLower(current) === _.toLower(desired);
+  }
+  return _.toString(current) === _.toString(desired);
+};
+
+// Compares each setting's on-chain value with its desired value, prints the diff and sends
+// only the transactions required to fix drift.  Settings that cannot be read are reported
+// as "unknown" and abort the reconciliation before anything is sent.
+const reconcileSettings = async (desiredSettings, { dryRun = false } = {}) => {
+  const diff = [];
+  for (const setting of desiredSettings) {
+    let current;
+    let error = 'no storage layout for this contract';
+    try {
+      current = await setting.read();
+    } catch (err) {
+      current = undefined;
+      error = err.reason || err.message;
+    }
+
+    let status = 'ok';
+    if (current === undefined) {
+      status = 'unknown';
+    } else if (!_isSameValue(current, setting.desired)) {
+      status = 'drift';
+    }
+    diff.push({ id: setting.id, status, current: _.toString(current), desired: _.toString(setting.desired), error, setting });
+  }
+
+  log(`\n  Configuration Reconciliation${dryRun ? ' (dry-run)' : ''}:`);
+  _.forEach(diff, ({ id, status, current, desired, error }) => {
+    if (status === 'drift') {
+      log(`  - [drift]   ${id}: ${current} -> ${desired}`);
+    } else if (status === 'unknown') {
+      log(`  - [unknown] ${id}: unable to read on-chain value: ${error} (desired: ${desired})`);
+    } else {
+      log(`  - [ok]      ${id}: ${current}`);
+    }
+  });
+
+  const unknown = _.filter(diff, { status: 'unknown' });
+  if (!_.isEmpty(unknown)) {
+    throw new Error(`Unable to read the on-chain value of: ${_.map(unknown, 'id').join(', ')}`);
+  }
+
+  const drifted = _.filter(diff, { status: 'drift' });
+  if (_.isEmpty(drifted)) {
+    log('  Nothing to reconcile.');
+  } else if (!dryRun) {
+    let txCount = 0;
+    for (const { id, setting } of drifted) {
+      txCount++;
+      await executeTx(`R-${txCount}`, `Setting ${id}: ${setting.desired}`, () => setting.write(setting.desired));
+    }
+  }
+
+  return _.map(diff, (entry) => _.omit(entry, ['setting', 'error']));
+};
+
+module.exports = {
+  readStorageVariable,
+  getStackSettings,
+  reconcileSettings,
+};
@@ -0,0 +1,303 @@
+const http = require('http');
+const crypto = require('crypto');
+const _ = require('lodash');
+const { Contract, BigNumber, utils } = require('ethers');
+
+const paymasterAbi = require('../abis/CarbonCoinPaymaster.json');
+const carbonCoinAbi = require('../abis/CarbonCoin.json');
+const { permitTokenAbi, getPermitDomain, recoverPermitSigner } = require('./permit');
+const { applySlippage } = require('../sdk/amounts');
+const { classifyTxError } = require('./txErrors');
+
+// Gasless relayer for CarbonCoinPaymaster.
+// Users sign an EIP-2612 USDC permit for the paymaster plus a trade intent; the relayer checks it,
+// quotes minTokensOut and submits buyOnBehalf from the paymaster controller key.
+//
+// Submissions move through: queued -> submitted -> confirmed | failed
+
+const STATUS = {
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+// Permits must stay valid for at least this long, to cover queueing and mining
+const MIN_DEADLINE_SECONDS = 60;
+
+class RelayError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RelayError';
+    this.statusCode = statusCode;
+  }
+}
+
+const _requireAddress = (value, field) => {
+  if (!utils.isAddress(_.toString(value))) {
+    throw new RelayError(`"${field}" must be an address`);
+  }
+  return utils.getAddress(value);
+};
+
+const _requireUint = (value, field) => {
+  if (!/^\d+$/.test(_.toString(value))) {
+    throw new RelayError(`"${field}" must be an unsigned integer in base units`);
+  }
+  return BigNumber.from(_.toString(value));
+};
+
+/**
+ * Creates a relayer.
+ *
+ * Options:
+ *  - signer:         the paymaster controller (with a provider)
+ *  - paymaster:      CarbonCoinPaymaster address
+ *  - slippage:       default slippage percent for minTokensOut (default: '1')
+ *  - confirmations:  confirmations before a submission is "confirmed" (default: 1)
+ *  - maxQueue:       pending submissions accepted at once (default: 100)
+ */
+const createRelayer = ({ signer, paymaster: paymasterAddress, slippage: defaultSlippage = '1', confirmations = 1, maxQueue = 100 }) => {
+  const provider = signer.provider;
+  const paymaster = new Contract(utils.getAddress(paymasterAddress), paymasterAbi, signer);
+
+  const submissions = new Map();
+  const queue = [];
+  const validating = new Set();
+  let processing = null;
+  let nextNonce = null;
+  let usdc = null;
+  let domain = null;
+
+  const _init = async () => {
+    if (!usdc) {
+      usdc = new Contract(await paymaster.usdcToken(), permitTokenAbi.concat([ 'function balanceOf(address) view returns (uint256)' ]), provider);
+      domain = await getPermitDomain(usdc);
+    }
+  };
+
+  const _update = (submission, changes) => {
+    Object.assign(submission, changes, { updatedAt: Date.now() });
+  };
+
+  const _isPending = (submission) => submission.status === STATUS.QUEUED || submission.status === STATUS.SUBMITTED;
+
+  /**
+   * Checks a buy request and fills in minTokensOut.
+   * Request: { owner, token, usdcAmount, deadline, v, r, s, slippage?, minTokensOut? } (amounts in base units)
+   */
+  const validateBuy = async (request) => {
+    await _init();
+    const owner = _requireAddress(request.owner, 'owner');
+    const token = _requireAddress(request.token, 'token');
+    const usdcAmount = _requireUint(request.usdcAmount, 'usdcAmount');
+    const deadline = _requireUint(request.deadline, 'deadline');
+    if (usdcAmount.isZero()) {
+      throw new RelayError('"usdcAmount" must be greater than zero');
+    }
+    if (!_.isFinite(Number(request.v)) || !utils.isHexString(request.r, 32) || !utils.isHexString(request.s, 32)) {
+      throw new RelayError('"v", "r" and "s" must form a signature');
+    }
+
+    const { timestamp } = await provider.getBlock('latest');
+    if (deadline.lt(timestamp + MIN_DEADLINE_SECONDS)) {
+      throw new RelayError(`Permit deadline must be at least ${MIN_DEADLINE_SECONDS}s in the future`);
+    }
+
+    // The permit is signed over the owner's current nonce; a used nonce recovers a different address
+    const nonce = await usdc.nonces(owner);
+    const permit = { owner, spender: paymaster.address, value: usdcAmount, nonce, deadline };
+    const permitSigner = recoverPermitSigner(domain, permit, { v: Number(request.v), r: request.r, s: request.s });
+    if (permitSigner !== owner) {
+      throw new RelayError('Invalid permit: the signature does not match the owner, the paymaster, the amount, the deadline or the current nonce');
+    }
+    const duplicate = _.find([...submissions.values()], (pending) => _isPending(pending) && pending.request.owner === owner && pending.request.nonce === nonce.toString());
+    if (duplicate) {
+      throw new RelayError(`A submission with this permit is already pending (${duplicate.id})`, 409);
+    }
+
+    const balance = await usdc.balanceOf(owner);
+    if (balance.lt(usdcAmount)) {
+      throw new RelayError(`Insufficient USDC balance: ${balance} < ${usdcAmount}`);
+    }
+
+    const carbonCoin = new Contract(token, carbonCoinAbi, provider);
+    const [ coinPaymaster, graduated ] = await Promise.all([
+      carbonCoin.paymaster().catch(() => null),
+      carbonCoin.hasGraduated().catch(() => null),
+    ]);
+    if (!coinPaymaster || utils.getAddress(coinPaymaster) !== utils.getAddress(paymaster.address)) {
+      throw new RelayError(`${token} is not a CarbonCoin served by this paymaster`);
+    }
+    if (graduated) {
+      throw new RelayError(`${token} has graduated; trade it on the DEX`);
+    }
+
+    const tokensOut = await carbonCoin.calculateTokensOut(usdcAmount);
+    const quotedMin = applySlippage(tokensOut.toBigInt(), _.toString(request.slippage || defaultSlippage));
+    const minTokensOut = _.isNil(request.minTokensOut) ? BigNumber.from(quotedMin) : _requireUint(request.minTokensOut, 'minTokensOut');
+
+    return {
+      type: 'buy',
+      owner,
+      token,
+      usdcAmount: usdcAmount.toString(),
+      minTokensOut: minTokensOut.toString(),
+      quotedTokensOut: tokensOut.toString(),
+      nonce: nonce.toString(),
+      deadline: deadline.toString(),
+      v: Number(request.v),
+      r: request.r,
+      s: request.s,
+    };
+  };
+
+  const _send = async (request) => {
+    if (nextNonce === null) {
+      nextNonce = await signer.getTransactionCount('pending');
+    }
+    const { owner, token, usdcAmount, minTokensOut, deadline, v, r, s } = request;
+    const tx = await paymaster.buyOnBehalf(owner, token, usdcAmount, minTokensOut, deadline, v, r, s, { nonce: nextNonce });
+    nextNonce++;
+    return tx;
+  };
+
+  const _confirm = async (submission, tx) => {
+    try {
+      const receipt = await tx.wait(confirmations);
+      _update(submission, { status: STATUS.CONFIRMED, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+    } catch (err) {
+      _update(submission, { status: STATUS.FAILED, error: classifyTxError(err).message });
+    }
+  };
+
+  // Sends queued submissions one at a time; confirmations are awaited in the background
+  const _process = async () => {
+    while (queue.length) {
+      const submission = queue.shift();
+      try {
+        const tx = await _send(submission.request);
+        _update(submission, { status: STATUS.SUBMITTED, txHash: tx.hash });
+        submission.confirmation = _confirm(submission, tx);
+      } catch (err) {
+        const { kind, message } = classifyTxError(err);
+        // Nonce drift (another sender, a dropped tx): resync from the node before the next send
+        if (kind === 'transient') { nextNonce = null; }
+        _update(submission, { status: STATUS.FAILED, error: message });
+      }
+    }
+    processing = null;
+  };
+
+  const submitBuy = async (request) => {
+    if (_.filter([...submissions.values()], _isPending).length >= maxQueue) {
+      throw new RelayError('Relayer queue is full; try again later', 503);
+    }
+    // Validation is async; hold the signature so the same permit can't be accepted twice meanwhile
+    const signatureKey = `${_.toLower(request.r)}:${_.toLower(request.s)}`;
+    if (validating.has(signatureKey)) {
+      throw new RelayError('A submission with this permit is already pending', 409);
+    }
+    validating.add(signatureKey);
+    let validated;
+    try {
+      validated = await validateBuy(request);
+    } finally {
+      validating.delete(signatureKey);
+    }
+    const submission = { id: crypto.randomUUID(), status: STATUS.QUEUED, request: validated, txHash: null, error: null, createdAt: Date.now() };
+    submission.updatedAt = submission.createdAt;
+    submissions.set(submission.id, submission);
+    queue.push(submission);
+    if (!processing) { processing = _process(); }
+    return getSubmission(submission.id);
+  };
+
+  // CarbonCoinPaymaster.sellOnBehalf forwards to CarbonCoin.buyOnBehalf, so relayed sells would buy
+  const submitSell = async () => {
+    throw new RelayError('Relayed sells are disabled: CarbonCoinPaymaster.sellOnBehalf calls buyOnBehalf on the token', 501);
+  };
+
+  const getSubmission = (id) => {
+    const submission = submissions.get(id);
+    return submission ? _.omit(submission, 'confirmation') : null;
+  };
+
+  const listSubmissions = () => _.map([...submissions.keys()], getSubmission);
+
+  // Resolves once the submission is confirmed or failed
+  const waitForSubmission = async (id) => {
+    while (processing) { await processing; }
+    const submission = submissions.get(id);
+    if (submission && submission.confirmation) { await submission.confirmation; }
+    return getSubmission(id);
+  };
+
+  const getStatus = async () => ({
+    controller: await signer.getAddress(),
+    paymaster: paymaster.address,
+    queued: queue.length,
+    pending: _.filter([...submissions.values()], _isPending).length,
+  });
+
+  return { validateBuy, submitBuy, submitSell, getSubmission, listSubmissions, waitForSubmission, getStatus };
+};
+
+const _readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch (err) {
+      reject(new RelayError('Request body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * HTTP front-end for a relayer:
+ *  - POST /relay/buy               { owner, token, usdcAmount, deadline, v, r, s, slippage?, minTokensOut? } -> 202 submission
+ *  - POST /relay/sell              -> 501 (see submitSell)
+ *  - GET  /relay/submissions/:id   -> submission
+ *  - GET  /health                  -> controller, paymaster and queue size
+ */
+const createRelayerServer = (relayer) => http.createServer(async (req, res) => {
+  const send = (statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const submissionMatch = /^\/relay\/submissions\/([\w-]+)$/.exec(url.pathname);
+
+    if (req.method === 'POST' && url.pathname === '/relay/buy') {
+      return send(202, await relayer.submitBuy(await _readJson(req)));
+    }
+    if (req.method === 'POST' && url.pathname === '/relay/sell') {
+      return send(202, await relayer.submitSell(await _readJson(req)));
+    }
+    if (req.method === 'GET' && submissionMatch) {
+      const submission = relayer.getSubmission(submissionMatch[1]);
+      return submission ? send(200, submission) : send(404, { error: 'Unknown submission' });
+    }
+    if (req.method === 'GET' && url.pathname === '/health') {
+      return send(200, await relayer.getStatus());
+    }
+    return send(404, { error: 'Not found' });
+  } catch (err) {
+    if (err instanceof RelayError) {
+      return send(err.statusCode, { error: err.message });
+    }
+    return send(500, { error: classifyTxError(err).message });
+  }
+});
+
+module.exports = {
+  STATUS,
+  RelayError,
+  createRelayer,
+  createRelayerServer,
+};
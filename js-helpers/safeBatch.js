@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { BigNumber, Signer, providers, utils } = require('ethers');
+
+// Safe (multisig) mode for admin actions.
+// A SafeBatchSigner stands in for the owner's signer: every transaction sent through it is simulated
+// as the Safe, decoded into a readable preview and collected into a batch instead of being sent.
+// The batch is written in the Safe Transaction Builder format, ready to import into the Safe app.
+//
+// Simulation runs on "simulator":
+//  - a local fork (Hardhat or Anvil): the Safe is impersonated and each call is mined in order,
+//    so later calls see the effects of earlier ones
+//  - any other provider: each call is an eth_call from the Safe against the current state
+
+const ABIS_DIR = path.join(__dirname, '..', 'abis');
+const TX_BUILDER_VERSION = '1.16.5';
+
+let _interfaces = null;
+
+// Interfaces of every ABI in abis/, keyed by contract name
+const _getInterfaces = () => {
+  if (!_interfaces) {
+    const files = _.filter(fs.readdirSync(ABIS_DIR), (file) => file.endsWith('.json'));
+    _interfaces = _.fromPairs(_.map(files, (file) => [path.basename(file, '.json'), new utils.Interface(require(path.join(ABIS_DIR, file)))]));
+  }
+  return _interfaces;
+};
+
+const _formatValue = (value) => {
+  if (BigNumber.isBigNumber(value)) { return value.toString(); }
+  if (_.isArray(value)) { return _.map(value, _formatValue); }
+  return value;
+};
+
+/**
+ * Decodes calldata against the ABI of the contract at "to" (by its label), or any ABI in abis/.
+ * @returns {{contract: string|null, method: string|null, fragment: Object|null, args: Object, preview: string}}
+ */
+const decodeCall = ({ to, data, value = 0 }, labels = {}) => {
+  const label = labels[utils.getAddress(to)] || null;
+  const interfaces = _getInterfaces();
+  const candidates = label && interfaces[label] ? [[label, interfaces[label]]] : _.toPairs(interfaces);
+  const selector = utils.hexDataSlice(data || '0x', 0, 4);
+
+  for (const [contractName, iface] of candidates) {
+    let fragment;
+    try {
+      fragment = iface.getFunction(selector);
+    } catch (err) {
+      continue;
+    }
+    const decoded = iface.decodeFunctionData(fragment, data);
+    const args = _.fromPairs(_.map(fragment.inputs, (input, index) => [input.name || `arg${index}`, _formatValue(decoded[index])]));
+    const target = label || `${to} (${contractName}?)`;
+    const valueText = BigNumber.from(value).isZero() ? '' : ` {value: ${utils.formatEther(value)}}`;
+    return {
+      contract: label || contractName,
+      method: fragment.name,
+      fragment,
+      args,
+      preview: `${target}.${fragment.name}(${_.map(args, (arg, name) => `${name}: ${JSON.stringify(arg)}`).join(', ')})${valueText}`,
+    };
+  }
+  return { contract: label, method: null, fragment: null, args: {}, preview: `${label || to}: raw call ${data}` };
+};
+
+const _request = async (provider, methods, params) => {
+  for (const method of methods) {
+    try {
+      return await provider.send(method, params);
+    } catch (err) {
+      // Try the next node flavour
+    }
+  }
+  throw new Error(`The simulator supports none of ${methods.join(', ')}`);
+};
+
+// True when "provider" is a local node that can impersonate accounts (Hardhat or Anvil)
+const isLocalFork = async (provider) => {
+  try {
+    await _request(provider, ['hardhat_metadata', 'anvil_nodeInfo'], []);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Simulates a call from the Safe. On a local fork the call is mined; otherwise it is an eth_call.
+ * Throws the node's error when the call would revert.
+ * @returns {Promise<{mode: string, gasUsed: string, transactionHash: string|null, receipt: Object|null}>}
+ */
+const simulateCall = async (simulator, safe, { to, data, value }) => {
+  if (await isLocalFork(simulator)) {
+    await _request(simulator, ['hardhat_impersonateAccount', 'anvil_impersonateAccount'], [safe]);
+    const balance = await simulator.getBalance(safe);
+    if (balance.lt(utils.parseEther('1'))) {
+      await _request(simulator, ['hardhat_setBalance', 'anvil_setBalance'], [safe, utils.hexValue(utils.parseEther('10'))]);
+    }
+    const tx = await simulator.getSigner(safe).sendTransaction({ to, data, value });
+    const receipt = await tx.wait();
+    return { mode: 'fork', gasUsed: receipt.gasUsed.toString(), transactionHash: receipt.transactionHash, receipt };
+  }
+  await simulator.call({ from: safe, to, data, value });
+  const gas = await simulator.estimateGas({ from: safe, to, data, value });
+  return { mode: 'call', gasUsed: gas.toString(), transactionHash: null, receipt: null };
+};
+
+// Deterministic JSON of the Transaction Builder: keys sorted, undefined as null
+const _serialize = (json) => {
+  const replacer = (key, value) => (value === undefined ? null : value);
+  if (_.isArray(json)) {
+    return `[${_.map(json, _serialize).join(',')}]`;
+  }
+  if (_.isObject(json)) {
+    const keys = _.sortBy(_.keys(json));
+    return `{${JSON.stringify(keys, replacer)}${_.map(keys, (key) => `${_serialize(json[key])},`).join('')}}`;
+  }
+  return JSON.stringify(json, replacer);
+};
+
+// Checksum the Transaction Builder checks on import (computed with the batch name left out)
+const getBatchChecksum = (batchFile) => utils.keccak256(utils.toUtf8Bytes(_serialize({
+  ...batchFile,
+  meta: { ...batchFile.meta, name: null },
+})));
+
+// Transaction Builder input values are strings; arrays and tuples are JSON
+const _inputValue = (value) => (_.isString(value) ? value : JSON.stringify(value));
+
+/**
+ * Safe Transaction Builder batch file for the collected calls.
+ * Each transaction carries its calldata along with the decoded method and inputs, so the Safe app
+ * shows what is being signed; the previews are listed in the description.
+ */
+const buildSafeBatchFile = ({ chainId, safe, calls, name = 'Carbon Coin admin batch', createdAt = Date.now() }) => {
+  const batchFile = {
+    version: '1.0',
+    chainId: _.toString(chainId),
+    createdAt,
+    meta: {
+      name,
+      description: _.map(calls, ({ preview }, index) => `${index + 1}. ${preview}`).join('\n'),
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: utils.getAddress(safe),
+      createdFromOwnerAddress: '',
+    },
+    transactions: _.map(calls, ({ to, value, data, fragment, args }) => ({
+      to,
+      value: BigNumber.from(value || 0).toString(),
+      data,
+      contractMethod: fragment ? {
+        inputs: _.map(fragment.inputs, (input) => ({ internalType: input.type, name: input.name, type: input.type })),
+        name: fragment.name,
+        payable: fragment.payable,
+      } : null,
+      contractInputsValues: fragment ? _.mapValues(args, _inputValue) : null,
+    })),
+  };
+  batchFile.meta.checksum = getBatchChecksum(batchFile);
+  return batchFile;
+};
+
+/**
+ * Signer that collects transactions for a Safe batch instead of sending them.
+ * Reads go to "provider"; transactions are simulated on "simulator" (default: "provider").
+ *
+ * Options:
+ *  - safe:       Safe address
+ *  - provider:   provider of the network the batch is for
+ *  - simulator:  provider to simulate on, ideally a local fork of that network
+ *  - labels:     contract names keyed by address, for the previews
+ */
+class SafeBatchSigner extends Signer {
+  constructor({ safe, provider, simulator = provider, labels = {}, calls = [] }) {
+    super();
+    utils.defineReadOnly(this, 'address', utils.getAddress(safe));
+    utils.defineReadOnly(this, 'provider', provider);
+    this.simulator = simulator;
+    this.labels = _.mapKeys(labels, (label, address) => utils.getAddress(address));
+    this.calls = calls;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new SafeBatchSigner({ safe: this.address, provider, simulator: this.simulator, labels: this.labels, calls: this.calls });
+  }
+
+  async signMessage() {
+    throw new Error('A Safe batch signer cannot sign messages');
+  }
+
+  async signTransaction() {
+    throw new Error('A Safe batch signer cannot sign transactions; they are collected into the batch');
+  }
+
+  // Nonces belong to the Safe, not to the batch
+  async getTransactionCount() {
+    return 0;
+  }
+
+  // Simulates the call, adds it to the batch and returns a response whose wait() gives the simulated receipt
+  async sendTransaction(transaction) {
+    const tx = await utils.resolveProperties(transaction);
+    const call = {
+      to: utils.getAddress(tx.to),
+      value: BigNumber.from(tx.value || 0).toString(),
+      data: utils.hexlify(tx.data || '0x'),
+    };
+    const decoded = decodeCall(call, this.labels);
+    const simulation = await simulateCall(this.simulator, this.address, call);
+    this.calls.push({ ...call, ...decoded, simulation: _.omit(simulation, 'receipt') });
+
+    const receipt = simulation.receipt || {
+      status: 1,
+      to: call.to,
+      from: this.address,
+      transactionHash: null,
+      gasUsed: BigNumber.from(simulation.gasUsed),
+      logs: [],
+      events: [],
+    };
+    return {
+      hash: simulation.transactionHash,
+      from: this.address,
+      ...call,
+      safeBatchIndex: this.calls.length - 1,
+      wait: async () => receipt,
+    };
+  }
+
+  /**
+   * Writes the batch to "filePath" in the Transaction Builder format.
+   * @returns {Object} the batch file
+   */
+  async writeBatch(filePath, { name } = {}) {
+    const { chainId } = await this.provider.getNetwork();
+    const batchFile = buildSafeBatchFile({ chainId, safe: this.address, calls: this.calls, name });
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(batchFile, null, 2));
+    return batchFile;
+  }
+}
+
+// Simulator for a fork RPC url, or the network provider itself
+const getSimulator = (provider, forkRpc) => (forkRpc ? new providers.StaticJsonRpcProvider(forkRpc) : provider);
+
+// Adds the Safe mode params to an admin task (see getAdminSigner in js-helpers/admin.js)
+const addSafeParams = (taskDefinition) => taskDefinition
+  .addOptionalParam('safe', 'Collect the transactions into a Safe Transaction Builder batch for this Safe (address or named account) instead of sending them')
+  .addOptionalParam('safeBatch', 'Path of the Safe batch file (default: safe-batches/<network>-<timestamp>.json)')
+  .addOptionalParam('forkRpc', 'RPC url of a local fork (Hardhat or Anvil) to simulate the Safe batch on (default: eth_call on the network)');
+
+module.exports = {
+  TX_BUILDER_VERSION,
+  SafeBatchSigner,
+  decodeCall,
+  isLocalFork,
+  simulateCall,
+  getBatchChecksum,
+  buildSafeBatchFile,
+  getSimulator,
+  addSafeParams,
+};
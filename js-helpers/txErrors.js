@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const ethers = require('ethers');
+
+const { createAdapter, createErrorDecoder, collectErrorFragments } = require('../sdk');
+
+// Decoding and classification of transaction failures, for executeTx.
+//  - revert:     the contract rejected the call; sending it again gives the same result
+//  - transient:  RPC, network or nonce trouble; worth retrying
+//  - fatal:      anything else we can't fix by retrying (bad arguments, insufficient funds, ...)
+
+const ABIS_DIR = path.join(__dirname, '..', 'abis');
+
+const TRANSIENT_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+const TRANSIENT_MESSAGES = [
+  /nonce too low/i,
+  /nonce has already been used/i,
+  /replacement (transaction|fee) (too low|underpriced)/i,
+  /already known/i,
+  /timeout|timed out/i,
+  /rate limit|too many requests|\b429\b/i,
+  /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up/i,
+  /header not found|missing trie node/i,
+  /bad gateway|service unavailable|\b50[234]\b/i,
+];
+const REVERT_CODES = ['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT'];
+
+// Transient errors the node raises before accepting a transaction; only these make sending it again safe
+const PRE_BROADCAST_CODES = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+const PRE_BROADCAST_MESSAGES = [
+  /nonce too low/i,
+  /nonce has already been used/i,
+  /replacement (transaction|fee) (too low|underpriced)/i,
+];
+
+let _decoder = null;
+
+// Decoder for the custom errors of every ABI in abis/
+const getErrorDecoder = () => {
+  if (!_decoder) {
+    const abis = _.map(_.filter(fs.readdirSync(ABIS_DIR), (file) => file.endsWith('.json')), (file) => require(path.join(ABIS_DIR, file)));
+    _decoder = createErrorDecoder(createAdapter(ethers), collectErrorFragments(abis));
+  }
+  return _decoder;
+};
+
+// ethers v5 nests the provider error; collect the codes and messages at every level
+const _collect = (err, key, depth = 0) => {
+  if (!err || typeof err !== 'object' || depth > 5) { return []; }
+  return _.compact(_.concat(
+    err[key],
+    _.flatMap(['error', 'cause', 'info'], (nested) => _collect(err[nested], key, depth + 1))
+  ));
+};
+
+/**
+ * Decodes and classifies a transaction error.
+ * @returns {{kind: string, retryable: boolean, name: string, args: Array, message: string, code: string}}
+ */
+const classifyTxError = (err) => {
+  const codes = _.map(_collect(err, 'code'), _.toString);
+  const messages = _.concat(_collect(err, 'reason'), _collect(err, 'message'), _.toString(err));
+  const code = _.first(codes) || null;
+
+  const decoded = getErrorDecoder().decodeError(err);
+  if (decoded) {
+    return { kind: 'revert', retryable: false, name: decoded.name, args: decoded.args, message: decoded.message, code };
+  }
+
+  const isTransient = _.some(codes, (c) => _.includes(TRANSIENT_CODES, c))
+    || _.some(messages, (message) => _.some(TRANSIENT_MESSAGES, (pattern) => pattern.test(message)));
+  if (isTransient) {
+    return { kind: 'transient', retryable: true, name: null, args: [], message: _.first(messages), code };
+  }
+
+  // Reverts without data (e.g. "require(false)" or a receipt with status 0)
+  const isRevert = _.some(codes, (c) => _.includes(REVERT_CODES, c)) || _.some(messages, (message) => /revert/i.test(message));
+  return { kind: isRevert ? 'revert' : 'fatal', retryable: false, name: null, args: [], message: _.first(messages), code };
+};
+
+/**
+ * Whether a failed send was rejected before the node accepted the transaction.
+ * Timeouts, dropped connections or "already known" may come after it was accepted.
+ */
+const isPreBroadcastError = (err) => {
+  const codes = _.map(_collect(err, 'code'), _.toString);
+  const messages = _.concat(_collect(err, 'reason'), _collect(err, 'message'), _.toString(err));
+  return _.some(codes, (c) => _.includes(PRE_BROADCAST_CODES, c))
+    || _.some(messages, (message) => _.some(PRE_BROADCAST_MESSAGES, (pattern) => pattern.test(message)));
+};
+
+module.exports = {
+  getErrorDecoder,
+  classifyTxError,
+  isPreBroadcastError,
+};
@@ -1,7 +1,13 @@
 const { ethers } = require('hardhat');
 const fs = require('fs');
 const path = require('path');
-const _ = require('lodash');
+
+const {
+  chainIdByName,
+  chainNameById,
+  networkNameById,
+  chainTypeById,
+} = require('./networks');
 
 const toWei = ethers.utils.parseEther;
 const toEth = ethers.utils.formatEther;
@@ -22,52 +28,17 @@ const log = (...args) => {
   console.log(...args);
 };
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 const isHardhat = (network) => {
   const isForked = network?.config?.forking?.enabled ?? false;
   return isForked || network?.name === 'hardhat';
 };
 
-const chainIdByName = (chainName) => {
-  switch (_.toLower(chainName)) {
-    case 'homestead': return 1;
-    case 'mainnet': return 1;
-    case 'hardhat': return 34443;
-    case 'coverage': return 31337;
-    case 'sei': return 1329;
-    case 'seitestnet': return 1328;
-    case 'somnia': return 5031;
-    case 'somniatestnet': return 50312;
-    default: return 0;
-  }
-};
-
-const chainNameById = (chainId) => {
-  switch (parseInt(chainId, 10)) {
-    case 1: return 'Mainnet';
-    case 31337: return 'Hardhat';
-    case 1329: return 'Sei Mainnet';
-    case 1328: return 'Sei Testnet';
-    case 5031: return 'Somnia Mainnet';
-    case 50312: return 'Somnia Testnet';
-    default: return 'Unknown';
-  }
-};
-
-const chainTypeById = (chainId) => {
-  switch (parseInt(chainId, 10)) {
-    case 1:
-    case 1329:
-      return {isProd: true, isTestnet: false, isHardhat: false};
-    case 1328:
-      return {isProd: false, isTestnet: true, isHardhat: false};
-    case 5031:
-      return {isProd: true, isTestnet: false, isHardhat: false};
-    case 50312:
-      return {isProd: false, isTestnet: true, isHardhat: false};
-    case 31337:
-    default:
-      return {isProd: false, isTestnet: false, isHardhat: true};
-  }
+// Hardhat without a fork: no live contracts, so USDC and the DEX come from deploy/local_exchange.js
+const isLocalNetwork = (network) => {
+  const isForked = network?.config?.forking?.enabled ?? false;
+  return !isForked && network?.name === 'hardhat';
 };
 
 const findNearestValidTick = (tickSpacing, nearestToMin) => {
@@ -107,10 +78,13 @@ module.exports = {
   toStr,
   toBytes,
   log,
+  sleep,
   isHardhat,
+  isLocalNetwork,
   chainTypeById,
   chainNameById,
   chainIdByName,
+  networkNameById,
   findNearestValidTick,
   tryGetContract,
   ensureDirectoryExistence,
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const _ = require('lodash');
+const { Etherscan } = require('@nomicfoundation/hardhat-verify/etherscan');
+
+const { log, sleep, chainIdByName, networkNameById, ensureDirectoryExistence } = require('./utils');
+
+// Explorer responses worth retrying; mostly "the explorer has not indexed the new bytecode yet"
+const RETRYABLE_ERRORS = [
+  /does not have bytecode/i,
+  /Unable to locate ContractCode/i,
+  /rate limit/i,
+  /timeout/i,
+  /ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up/i,
+];
+const ALREADY_VERIFIED = /already verified/i;
+const VERIFIED = /^Pass - Verified/;
+
+// Explorer API for the chain, from the "customChains" in hardhat.config.ts (or options.explorer)
+const _getExplorer = (chainId, options) => {
+  if (options.explorer) {
+    return options.explorer;
+  }
+  const chain = _.find(_.get(hre.config, 'etherscan.customChains', []), { chainId });
+  if (!chain) {
+    throw new Error(`No block explorer configured for chainId ${chainId}`);
+  }
+  return {
+    network: chain.network,
+    apiURL: chain.urls.apiURL,
+    browserURL: chain.urls.browserURL,
+  };
+};
+
+const _getApiKey = (explorer, options) => {
+  if (options.apiKey) {
+    return options.apiKey;
+  }
+  const apiKeys = _.get(hre.config, 'etherscan.apiKey', {});
+  return _.get(apiKeys, hre.network.name, _.get(apiKeys, explorer.network, 'empty'));
+};
+
+// Standard-JSON input, fully-qualified name and compiler version used to build the contract
+const _getVerificationInput = async (contractName, qualifiedName) => {
+  const artifact = await hre.artifacts.readArtifact(qualifiedName || contractName);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`No build info found for ${fullyQualifiedName}; compile the contracts first`);
+  }
+  return {
+    fullyQualifiedName,
+    sourceCode: JSON.stringify(buildInfo.input),
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+  };
+};
+
+// Verification outcomes by contract name, in deployments/<network>/.verification.json. hardhat-deploy
+// skips dotfiles; a per-contract file would be loaded as a deployment record, and reused contracts
+// have none of their own, so an {address, verification} file would stand in for one without an ABI.
+const getVerificationLedgerPath = (chainId) => path.join(__dirname, '..', 'deployments', networkNameById(chainId), '.verification.json');
+
+const readVerificationLedger = (chainId) => {
+  const filename = getVerificationLedgerPath(chainId);
+  return fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename, 'utf8')) : {};
+};
+
+const _saveLedgerEntry = (chainId, contractName, entry) => {
+  const filename = getVerificationLedgerPath(chainId);
+  const ledger = { ...readVerificationLedger(chainId), [contractName]: entry };
+  ensureDirectoryExistence(filename);
+  fs.writeFileSync(filename, JSON.stringify(ledger, null, "\t"));
+};
+
+/**
+ * Verifies a deployed contract on the chain's block explorer (Etherscan-compatible API).
+ *  - Skips contracts the ledger or the explorer already reports as verified
+ *  - Retries with exponential backoff while the explorer indexes new bytecode
+ *  - Records the outcome in the ledger, deployments/<network>/.verification.json
+ *
+ * Options:
+ *  - retries:  number of retries after the first attempt (default: 5)
+ *  - delayMs:  initial backoff delay, doubled after each retry (default: 15s)
+ *  - chainId:  chain to verify on (default: from the hardhat network name)
+ *  - explorer: { apiURL, browserURL } to override the configured explorer
+ *  - apiKey:   explorer API key override
+ *  - ledger:   record the result in the verification ledger (default: true)
+ *  - force:    ignore a "verified" status already recorded in the ledger
+ *
+ * @returns {Promise<{status: string, explorer: string, attempts: number, error: string, updatedAt: string}>}
+ *  status is one of "verified", "already-verified" or "failed"
+ */
+const verifyContract = async (contractName, contract, constructorArguments = [], qualifiedName = '', options = {}) => {
+  const { retries = 5, delayMs = 15000, ledger = true, force = false } = options;
+  const chainId = options.chainId || chainIdByName(hre.network.name);
+  const contractAddress = contract.address;
+
+  const verification = {
+    status: 'pending',
+    explorer: '',
+    attempts: 0,
+    error: '',
+    updatedAt: '',
+  };
+
+  const recorded = ledger ? _.get(readVerificationLedger(chainId), contractName, {}) : {};
+  const recordedStatus = _.get(recorded, 'verification.status', '');
+  if (!force && _.toLower(recorded.address) === _.toLower(contractAddress) && _.includes(['verified', 'already-verified'], recordedStatus)) {
+    log(`  - Contract "${contractName}" at ${contractAddress} is already verified (ledger)`);
+    return recorded.verification;
+  }
+
+  log(`  - Verifying contract "${contractName}" at address: ${contractAddress}`);
+  try {
+    const explorer = _getExplorer(chainId, options);
+    const etherscan = new Etherscan(_getApiKey(explorer, options), explorer.apiURL, explorer.browserURL);
+    verification.explorer = etherscan.getContractUrl(contractAddress);
+
+    if (await etherscan.isVerified(contractAddress)) {
+      verification.status = 'already-verified';
+    } else {
+      const input = await _getVerificationInput(contractName, qualifiedName);
+      const encodedArgs = contract.interface.encodeDeploy(constructorArguments).slice(2);
+
+      while (verification.status === 'pending') {
+        verification.attempts++;
+        try {
+          const request = await etherscan.verify(
+            contractAddress,
+            input.sourceCode,
+            input.fullyQualifiedName,
+            input.compilerVersion,
+            encodedArgs
+          );
+          const result = await etherscan.getVerificationStatus(request.message);
+          if (VERIFIED.test(result.message)) {
+            verification.status = 'verified';
+          } else if (ALREADY_VERIFIED.test(result.message)) {
+            verification.status = 'already-verified';
+          } else {
+            throw new Error(result.message);
+          }
+        } catch (err) {
+          const message = _.get(err, 'message', `${err}`);
+          if (ALREADY_VERIFIED.test(message)) {
+            verification.status = 'already-verified';
+          } else if (verification.attempts <= retries && _.some(RETRYABLE_ERRORS, (pattern) => pattern.test(message))) {
+            const wait = delayMs * (2 ** (verification.attempts - 1));
+            log(`   -- Explorer not ready for ${contractName} (attempt ${verification.attempts}/${retries + 1}); retrying in ${wait / 1000}s`);
+            await sleep(wait);
+          } else {
+            verification.status = 'failed';
+            verification.error = message;
+          }
+        }
+      }
+    }
+  } catch (err) {
+    verification.status = 'failed';
+    verification.error = _.get(err, 'message', `${err}`);
+  }
+  verification.updatedAt = new Date().toISOString();
+
+  if (verification.status === 'failed') {
+    log(`[ERROR] Failed to Verify ${contractName}`);
+    log(`   -- ${verification.error}`);
+  } else {
+    log(`   -- ${contractName} Verification Complete! (${verification.status})\n`);
+  }
+
+  if (ledger) {
+    _saveLedgerEntry(chainId, contractName, { address: contractAddress, verification });
+  }
+  return verification;
+};
+
+module.exports = {
+  verifyContract,
+  getVerificationLedgerPath,
+  readVerificationLedger,
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// JSON webhooks, optionally signed with a shared secret
+
+// Hex HMAC-SHA256 of the raw body, sent as X-Carbon-Signature when a secret is configured
+const signWebhook = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// POSTs "payload" as JSON; throws unless the endpoint answers with a 2xx
+const postWebhook = async (url, payload, { secret = '' } = {}) => {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) { headers['X-Carbon-Signature'] = signWebhook(body, secret); }
+  const response = await fetch(url, { method: 'POST', headers, body });
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+};
+
+module.exports = {
+  signWebhook,
+  postWebhook,
+};
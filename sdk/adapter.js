@@ -0,0 +1,48 @@
+// Thin layer over the parts of ethers the SDK uses, so callers can pass either v5 or v6.
+// Values returned through the adapter are normalized to bigint.
+
+const { toBigInt } = require('./amounts');
+
+const getEthersVersion = (ethers) => {
+  if (!ethers) {
+    throw new Error('An ethers library (v5 or v6) is required');
+  }
+  if (ethers.utils && ethers.BigNumber) { return 5; }
+  if (typeof ethers.Interface === 'function') { return 6; }
+  throw new Error(`Unsupported ethers library (version ${ethers.version || 'unknown'})`);
+};
+
+const createAdapter = (ethers) => {
+  const version = getEthersVersion(ethers);
+  const isV5 = version === 5;
+  const Interface = isV5 ? ethers.utils.Interface : ethers.Interface;
+
+  // v5 throws on unknown data where v6 returns null
+  const _tryParse = (fn) => {
+    try {
+      return fn() || null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  return {
+    version,
+    ethers,
+    createInterface: (abi) => new Interface(abi),
+    createContract: (address, abi, runner) => new ethers.Contract(address, abi, runner),
+    getAddress: (address) => (isV5 ? ethers.utils.getAddress(address) : ethers.getAddress(address)),
+    parseLog: (iface, log) => _tryParse(() => iface.parseLog(log)),
+    parseError: (iface, data) => _tryParse(() => iface.parseError(data)),
+    contractAddress: (contract) => (isV5 ? contract.address : contract.target),
+    // Simulates a non-view method (e.g. a quoter that reverts with its result) and returns its result
+    staticCall: (contract, method, ...args) => (isV5 ? contract.callStatic[method](...args) : contract[method].staticCall(...args)),
+    getSignerAddress: (runner) => (runner && typeof runner.getAddress === 'function' ? runner.getAddress() : null),
+    toBigInt,
+  };
+};
+
+module.exports = {
+  getEthersVersion,
+  createAdapter,
+};
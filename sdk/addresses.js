@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+const { chainIdByName, networkNameById } = require('../js-helpers/networks');
+const globals = require('../js-helpers/globals');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+// "network" is a hardhat network name ("somniaTestnet") or a chainId
+const toNetworkName = (network) => (/^\d+$/.test(`${network}`) ? networkNameById(network) : network);
+
+/**
+ * Address of a contract from the hardhat-deploy records in deployments/<network>.
+ * @returns {string}
+ */
+const resolveAddress = (contractName, network, deploymentsDir = DEPLOYMENTS_DIR) => {
+  if (network === undefined || network === null) {
+    throw new Error(`No address given for ${contractName}, and no network to resolve it from`);
+  }
+  const filename = path.join(deploymentsDir, toNetworkName(network), `${contractName}.json`);
+  if (!fs.existsSync(filename)) {
+    throw new Error(`${contractName} is not deployed on ${toNetworkName(network)} (missing ${filename})`);
+  }
+  return JSON.parse(fs.readFileSync(filename, 'utf8')).address;
+};
+
+// Address listed under "key" in js-helpers/globals for "network", else "fallback"; callers can pass it as the "key" option instead
+const _resolveGlobalAddress = (key, description, network, fallback) => {
+  if (network === undefined || network === null) {
+    if (fallback) { return fallback; }
+    throw new Error(`No ${description} given, and no network to resolve it from`);
+  }
+  const chainId = /^\d+$/.test(`${network}`) ? parseInt(network, 10) : chainIdByName(network);
+  const address = (globals.addresses[chainId] || {})[key] || fallback;
+  if (!address) {
+    throw new Error(`No ${description} is known for ${toNetworkName(network) || network}; pass "${key}"`);
+  }
+  return address;
+};
+
+/**
+ * Swap router of the concentrated-liquidity DEX that graduated coins trade on, from js-helpers/globals.
+ * Chains that list none get "fallback" (CarbonCoinClient passes the position manager of its CarbonCoinDex).
+ * @returns {string}
+ */
+const resolveSwapRouter = (network, fallback) => _resolveGlobalAddress('swapRouter', 'swap router', network, fallback);
+
+/**
+ * Quoter of the concentrated-liquidity DEX that graduated coins trade on, from js-helpers/globals.
+ * Chains that list none get "fallback", as for resolveSwapRouter.
+ * @returns {string}
+ */
+const resolveQuoter = (network, fallback) => _resolveGlobalAddress('quoter', 'quoter', network, fallback);
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  toNetworkName,
+  resolveAddress,
+  resolveSwapRouter,
+  resolveQuoter,
+};
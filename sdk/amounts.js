@@ -0,0 +1,72 @@
+// Decimal-aware amounts, in plain BigInt so they behave the same under ethers v5 and v6.
+//
+// Inputs follow one rule everywhere in the SDK:
+//  - bigint (or an ethers v5 BigNumber) is taken as base units
+//  - string or number is taken as a human-readable decimal ("12.5" USDC)
+
+const USDC_DECIMALS = 6;
+const TOKEN_DECIMALS = 18;
+const BPS = 10000n;
+
+const _isBigNumber = (value) => !!value && typeof value === 'object' && typeof value.toHexString === 'function';
+
+// Normalizes ethers v5 BigNumbers, v6 bigints and numeric strings to a bigint
+const toBigInt = (value) => {
+  if (typeof value === 'bigint') { return value; }
+  if (_isBigNumber(value)) { return BigInt(value.toString()); }
+  return BigInt(value);
+};
+
+const parseUnits = (value, decimals) => {
+  const text = `${value}`.trim();
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid amount "${value}"`);
+  }
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.length > decimals && /[1-9]/.test(fraction.slice(decimals))) {
+    throw new Error(`Amount "${value}" has more than ${decimals} decimals`);
+  }
+  const units = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.slice(0, decimals).padEnd(decimals, '0') || '0');
+  return sign ? -units : units;
+};
+
+const formatUnits = (value, decimals) => {
+  const units = toBigInt(value);
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const base = 10n ** BigInt(decimals);
+  const fraction = (abs % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${abs / base}${fraction ? `.${fraction}` : ''}`;
+};
+
+// Base units for a bigint, or parsed units for a decimal string/number
+const toUnits = (value, decimals) => ((typeof value === 'bigint' || _isBigNumber(value)) ? toBigInt(value) : parseUnits(value, decimals));
+
+const parseUsdc = (value) => parseUnits(value, USDC_DECIMALS);
+const formatUsdc = (value) => formatUnits(value, USDC_DECIMALS);
+const parseTokens = (value) => parseUnits(value, TOKEN_DECIMALS);
+const formatTokens = (value) => formatUnits(value, TOKEN_DECIMALS);
+
+// Slippage as a percentage ("0.5" = 0.5%), applied to a minimum-out amount
+const applySlippage = (amount, slippagePercent = '1') => {
+  const slippageBps = parseUnits(slippagePercent, 2);
+  if (slippageBps < 0n || slippageBps > BPS) {
+    throw new Error(`Slippage must be between 0 and 100 percent, got ${slippagePercent}`);
+  }
+  return (toBigInt(amount) * (BPS - slippageBps)) / BPS;
+};
+
+module.exports = {
+  USDC_DECIMALS,
+  TOKEN_DECIMALS,
+  toBigInt,
+  toUnits,
+  parseUnits,
+  formatUnits,
+  parseUsdc,
+  formatUsdc,
+  parseTokens,
+  formatTokens,
+  applySlippage,
+};
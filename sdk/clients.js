@@ -0,0 +1,545 @@
+const { createAdapter } = require('./adapter');
+const { createErrorDecoder } = require('./errors');
+const { resolveAddress, resolveSwapRouter, resolveQuoter } = require('./addresses');
+const {
+  USDC_DECIMALS,
+  TOKEN_DECIMALS,
+  toBigInt,
+  toUnits,
+  applySlippage,
+} = require('./amounts');
+
+const usdcAbi = require('../abis/IUSDC.json');
+const configAbi = require('../abis/CarbonCoinConfig.json');
+
+// Graduation puts the reserves into a concentrated-liquidity (Algebra-style) pool through the
+// position manager of CarbonCoinDex; these are the parts of the DEX used to find it and trade on it.
+// The pool has no Uniswap-V2-style pair, so the Somnia Exchange V2 router (getAmountsOut /
+// swapExactTokensForTokens) can't trade it; the quoter and swap router of that DEX do.
+const dexAbi = [
+  'function dexRouter() view returns (address)',
+];
+const positionManagerAbi = [
+  'function factory() view returns (address)',
+];
+const poolFactoryAbi = [
+  'function poolByPair(address tokenA, address tokenB) view returns (address pool)',
+];
+const swapRouterAbi = [
+  'function exactInputSingle((address tokenIn, address tokenOut, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 limitSqrtPrice) params) payable returns (uint256 amountOut)',
+];
+const quoterAbi = [
+  'function quoteExactInputSingle(address tokenIn, address tokenOut, uint256 amountIn, uint160 limitSqrtPrice) returns (uint256 amountOut, uint16 fee)',
+];
+
+// Seconds a trade stays valid when no deadline is given
+const DEFAULT_DEADLINE = 20 * 60;
+const SIDES = ['buy', 'sell'];
+
+const _usdc = (value) => toUnits(value, USDC_DECIMALS);
+const _tokens = (value) => toUnits(value, TOKEN_DECIMALS);
+
+/**
+ * Common wiring for the clients.
+ *
+ * Options:
+ *  - ethers:          the ethers library, v5 or v6
+ *  - runner:          signer (for transactions) or provider (read-only)
+ *  - address:         contract address; resolved from deployments/<network> when omitted
+ *  - network:         hardhat network name or chainId, used to resolve addresses
+ *  - deploymentsDir:  alternative hardhat-deploy folder
+ *  - swapRouter:      swap router of the DEX graduated coins trade on; defaults to the one in js-helpers/globals,
+ *                     else (for coins) the position manager of their CarbonCoinDex
+ *  - quoter:          quoter of that DEX; resolved the same way
+ *  - abi:             ABI to use instead of abis/<contractName>.json
+ */
+class BaseClient {
+  constructor(contractName, { ethers, adapter, runner, address, network, deploymentsDir, swapRouter, quoter, abi } = {}) {
+    this.adapter = adapter || createAdapter(ethers);
+    this.runner = runner;
+    this.network = network;
+    this.deploymentsDir = deploymentsDir;
+    this.swapRouter = swapRouter;
+    this.quoter = quoter;
+    this.address = this.adapter.getAddress(address || resolveAddress(contractName, network, deploymentsDir));
+    this.contract = this.adapter.createContract(this.address, abi || require(`../abis/${contractName}.json`), runner);
+    this.errors = createErrorDecoder(this.adapter);
+  }
+
+  // Options for clients created from this one (same ethers, runner and network)
+  _clientOptions(address) {
+    const { adapter, runner, network, deploymentsDir, swapRouter, quoter } = this;
+    return { adapter, runner, network, deploymentsDir, swapRouter, quoter, address };
+  }
+
+  _provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  async _latestTimestamp() {
+    return Number((await this._provider().getBlock('latest')).timestamp);
+  }
+
+  _call(method, ...args) {
+    return this.errors.withDecodedErrors(() => this.contract[method](...args));
+  }
+
+  async _callBigInt(method, ...args) {
+    return toBigInt(await this._call(method, ...args));
+  }
+
+  async _signerAddress() {
+    const address = await this.adapter.getSignerAddress(this.runner);
+    if (!address) {
+      throw new Error('This action needs a signer; the client was created with a provider');
+    }
+    return address;
+  }
+
+  // Approves "spender" for "amount" of an ERC20 (USDC or a coin) when the current allowance is lower
+  async _ensureAllowance(tokenAddress, spender, amount) {
+    const token = this.adapter.createContract(tokenAddress, usdcAbi, this.runner);
+    const owner = await this._signerAddress();
+    const allowance = toBigInt(await token.allowance(owner, spender));
+    if (allowance >= amount) { return null; }
+    const tx = await this.errors.withDecodedErrors(() => token.approve(spender, amount));
+    await tx.wait();
+    return tx;
+  }
+
+  decodeError(err) {
+    return this.errors.decodeError(err);
+  }
+}
+
+class CarbonCoinClient extends BaseClient {
+  constructor(options) {
+    super('CarbonCoin', options);
+  }
+
+  async getInfo() {
+    const [ name, symbol, creator, launcher, usdc, maxSupply, curveSupply, graduationThreshold, graduated, paused ] = await Promise.all([
+      this._call('name'),
+      this._call('symbol'),
+      this._call('creator'),
+      this._call('launcher'),
+      this._call('USDC'),
+      this._callBigInt('MAX_SUPPLY'),
+      this._callBigInt('CURVE_SUPPLY'),
+      this._callBigInt('GRADUATION_THRESHOLD'),
+      this._call('hasGraduated'),
+      this._call('paused'),
+    ]);
+    return { address: this.address, name, symbol, creator, launcher, usdc, maxSupply, curveSupply, graduationThreshold, graduated, paused };
+  }
+
+  async getReserves() {
+    const [ usdcReserves, tokenSupply, virtualUsdc, virtualTokens ] = await this._call('getReserves');
+    return {
+      usdcReserves: toBigInt(usdcReserves),
+      tokenSupply: toBigInt(tokenSupply),
+      virtualUsdc: toBigInt(virtualUsdc),
+      virtualTokens: toBigInt(virtualTokens),
+    };
+  }
+
+  // USDC base units per whole token
+  getPrice() {
+    return this._callBigInt('getCurrentPrice');
+  }
+
+  // Percentage of the graduation threshold held in reserves (two decimals)
+  async getGraduationProgress() {
+    const [ { usdcReserves }, threshold ] = await Promise.all([ this.getReserves(), this._callBigInt('GRADUATION_THRESHOLD') ]);
+    return Math.min(Number((usdcReserves * 10000n) / threshold) / 100, 100);
+  }
+
+  balanceOf(account) {
+    return this._callBigInt('balanceOf', account);
+  }
+
+  // Whale limits (USDC base units, seconds) and the current sell cap in tokens
+  async getTradeLimits() {
+    const limits = await this._call('getTradeLimits');
+    return {
+      maxTradeSize: toBigInt(limits._maxTradeSize),
+      maxSellPercentage: toBigInt(limits._maxSellPercentage),
+      whaleThreshold: toBigInt(limits._whaleThreshold),
+      whaleDelay: Number(limits._whaleDelay),
+      currentMaxSellTokens: toBigInt(limits.currentMaxSellTokens),
+    };
+  }
+
+  // Launch-window and cooldown limits on buys, from the token's CarbonCoinConfig
+  async getAntiBotConfig() {
+    const config = this.adapter.createContract(await this._call('config'), configAbi, this.runner);
+    const botConfig = await this.errors.withDecodedErrors(() => config.getAntiBotConfig());
+    return {
+      antiBotDuration: Number(botConfig.antiBotDuration),
+      maxBuyAmountEarly: toBigInt(botConfig.maxBuyAmountEarly),
+      maxWalletPercentage: toBigInt(botConfig.maxWalletPercentage),
+      cooldownPeriod: Number(botConfig.cooldownPeriod),
+      minBuyAmount: toBigInt(botConfig.minBuyAmount),
+    };
+  }
+
+  async getLaunchTime() {
+    return Number(await this._call('launchTime'));
+  }
+
+  async protection() {
+    return new ProtectionClient(this._clientOptions(await this._call('protection')));
+  }
+
+  /**
+   * Tokens received for "usdcAmount" (fee included), and the minimum for the given slippage.
+   * @returns {Promise<{usdcIn: bigint, tokensOut: bigint, minTokensOut: bigint}>}
+   */
+  async quoteBuy(usdcAmount, { slippage = '1' } = {}) {
+    const usdcIn = _usdc(usdcAmount);
+    const tokensOut = await this._callBigInt('calculateTokensOut', usdcIn);
+    return { usdcIn, tokensOut, minTokensOut: applySlippage(tokensOut, slippage) };
+  }
+
+  // USDC needed (fee included) to buy exactly "tokenAmount"
+  async quoteBuyExact(tokenAmount) {
+    const tokensOut = _tokens(tokenAmount);
+    return { tokensOut, usdcIn: await this._callBigInt('calculateUsdcIn', tokensOut) };
+  }
+
+  /**
+   * USDC received for selling "tokenAmount", the sell fee, and the minimum for the given slippage.
+   * @returns {Promise<{tokensIn: bigint, usdcOut: bigint, fee: bigint, minUsdcOut: bigint}>}
+   */
+  async quoteSell(tokenAmount, { slippage = '1' } = {}) {
+    const tokensIn = _tokens(tokenAmount);
+    const [ usdcOut, fee ] = await this._call('calculateUsdcOutWithFee', tokensIn);
+    return { tokensIn, usdcOut: toBigInt(usdcOut), fee: toBigInt(fee), minUsdcOut: applySlippage(usdcOut, slippage) };
+  }
+
+  /**
+   * Buys with "usdcAmount", approving USDC first if needed.
+   * "minTokensOut" defaults to the quote less "slippage" percent.
+   */
+  async buy(usdcAmount, { slippage = '1', minTokensOut, overrides = {} } = {}) {
+    const { usdcIn, minTokensOut: quotedMin } = await this.quoteBuy(usdcAmount, { slippage });
+    await this._ensureAllowance(await this._call('USDC'), this.address, usdcIn);
+    return this._call('buy', usdcIn, minTokensOut === undefined ? quotedMin : _tokens(minTokensOut), overrides);
+  }
+
+  // Sells "tokenAmount"; "minUsdcOut" defaults to the quote less "slippage" percent
+  async sell(tokenAmount, { slippage = '1', minUsdcOut, overrides = {} } = {}) {
+    const { tokensIn, minUsdcOut: quotedMin } = await this.quoteSell(tokenAmount, { slippage });
+    return this._call('sell', tokensIn, minUsdcOut === undefined ? quotedMin : _usdc(minUsdcOut), overrides);
+  }
+
+  transfer(to, tokenAmount, overrides = {}) {
+    return this._call('transfer', to, _tokens(tokenAmount), overrides);
+  }
+
+  // Position manager that the coin's CarbonCoinDex mints graduation liquidity through
+  async _positionManager() {
+    const config = this.adapter.createContract(await this._call('config'), configAbi, this.runner);
+    const dex = this.adapter.createContract(await this.errors.withDecodedErrors(() => config.getCarbonCoinDex()), dexAbi, this.runner);
+    return dex.dexRouter();
+  }
+
+  // Swap router for the graduated market: "address", else the client's "swapRouter", else the one for its network
+  // (or the provider's chain), else the position manager of the coin's CarbonCoinDex. The quoter resolves the same way.
+  async router(address) {
+    const network = this.network === undefined ? Number((await this._provider().getNetwork()).chainId) : this.network;
+    const positionManager = await this._positionManager();
+    return new SwapRouterClient({ ...this._clientOptions(address || this.swapRouter), network, positionManager });
+  }
+
+  // USDC pool that graduation created, found through the position manager of the coin's CarbonCoinDex; null when there is none
+  async getPool() {
+    const positionManager = this.adapter.createContract(await this._positionManager(), positionManagerAbi, this.runner);
+    const factory = this.adapter.createContract(await positionManager.factory(), poolFactoryAbi, this.runner);
+    const pool = await factory.poolByPair(await this._call('USDC'), this.address);
+    return /^0x0{40}$/i.test(pool) ? null : pool;
+  }
+
+  // Unix time a trade must be mined by: "deadline", or DEFAULT_DEADLINE seconds after the latest block
+  async _deadline(deadline) {
+    const now = await this._latestTimestamp();
+    if (deadline === undefined) { return now + DEFAULT_DEADLINE; }
+    if (Number(deadline) <= now) {
+      throw new Error(`The trade deadline ${deadline} has passed (latest block at ${now})`);
+    }
+    return Number(deadline);
+  }
+
+  /**
+   * Quote on the market the coin trades on: its bonding curve, or once graduated the USDC pool
+   * that graduation created. "amount" is USDC for buys and tokens for sells.
+   * @returns {Promise<{venue: string, side: string, path: string[]|null, pool: string|null, amountIn: bigint, amountOut: bigint, minAmountOut: bigint}>}
+   */
+  async quoteTrade({ side, amount, slippage = '1', router } = {}) {
+    if (!SIDES.includes(side)) {
+      throw new Error(`Invalid side "${side}": expected "buy" or "sell"`);
+    }
+    const amountIn = side === 'buy' ? _usdc(amount) : _tokens(amount);
+    const [ graduated, usdc ] = await Promise.all([ this._call('hasGraduated'), this._call('USDC') ]);
+    if (!graduated) {
+      const amountOut = side === 'buy' ? (await this.quoteBuy(amountIn)).tokensOut : (await this.quoteSell(amountIn)).usdcOut;
+      return { venue: 'curve', side, path: null, pool: null, amountIn, amountOut, minAmountOut: applySlippage(amountOut, slippage) };
+    }
+
+    const pool = await this.getPool();
+    if (!pool) {
+      throw new Error(`${this.address} has graduated but has no pool with USDC on the DEX of its CarbonCoinDex`);
+    }
+    const [ tokenIn, tokenOut ] = side === 'buy' ? [ usdc, this.address ] : [ this.address, usdc ];
+    return { venue: 'dex', side, pool, ...await (await this.router(router)).quote(amountIn, tokenIn, tokenOut, { slippage }) };
+  }
+
+  /**
+   * Buys or sells on the market from quoteTrade, approving the curve or swap router first if needed.
+   * Both markets take the same limits: "minAmountOut" defaults to the quote less "slippage" percent,
+   * and "deadline" (unix seconds) is checked against the latest block before quoting. The swap router
+   * also enforces the deadline on-chain; the curve's buy and sell have no deadline parameter.
+   *
+   * Options: { side, amount, slippage?, minAmountOut?, deadline?, router?, overrides? }
+   * @returns {Promise<{quote: Object, tx: Object}>}
+   */
+  async trade({ side, amount, slippage = '1', minAmountOut, deadline, router, overrides = {} } = {}) {
+    const validUntil = await this._deadline(deadline);
+    const quote = await this.quoteTrade({ side, amount, slippage, router });
+    const minOut = minAmountOut === undefined ? quote.minAmountOut : (side === 'buy' ? _tokens(minAmountOut) : _usdc(minAmountOut));
+
+    let tx;
+    if (quote.venue === 'dex') {
+      const dex = await this.router(router);
+      const [ tokenIn, tokenOut ] = quote.path;
+      tx = await dex.exactInputSingle(quote.amountIn, minOut, tokenIn, tokenOut, { deadline: validUntil, overrides });
+    } else if (side === 'buy') {
+      tx = await this.buy(quote.amountIn, { minTokensOut: minOut, overrides });
+    } else {
+      tx = await this.sell(quote.amountIn, { minUsdcOut: minOut, overrides });
+    }
+    return { quote, tx };
+  }
+}
+
+// Swap router and quoter of the concentrated-liquidity (Algebra-style) DEX that graduated coins trade on.
+// Without them in the options or js-helpers/globals, "positionManager" stands in for both.
+class SwapRouterClient extends BaseClient {
+  constructor(options = {}) {
+    const address = options.address || options.swapRouter || resolveSwapRouter(options.network, options.positionManager);
+    super('SwapRouter', { ...options, address, abi: swapRouterAbi });
+    this.quoterAddress = this.adapter.getAddress(options.quoter || resolveQuoter(options.network, options.positionManager));
+    this.quoterContract = this.adapter.createContract(this.quoterAddress, quoterAbi, this.runner);
+  }
+
+  /**
+   * Output of "amountIn" (base units) of "tokenIn" for "tokenOut", and the minimum for the given slippage.
+   * @returns {Promise<{path: string[], amountIn: bigint, amountOut: bigint, fee: number, minAmountOut: bigint}>}
+   */
+  async quote(amountIn, tokenIn, tokenOut, { slippage = '1' } = {}) {
+    const result = await this.errors.withDecodedErrors(() => this.adapter.staticCall(this.quoterContract, 'quoteExactInputSingle', tokenIn, tokenOut, amountIn, 0));
+    const amountOut = toBigInt(result.amountOut);
+    return { path: [ tokenIn, tokenOut ], amountIn: toBigInt(amountIn), amountOut, fee: Number(result.fee), minAmountOut: applySlippage(amountOut, slippage) };
+  }
+
+  // Swaps exactly "amountIn" of "tokenIn", approving the router first if needed; "to" defaults to the signer
+  async exactInputSingle(amountIn, minAmountOut, tokenIn, tokenOut, { to, deadline, overrides = {} } = {}) {
+    await this._ensureAllowance(tokenIn, this.address, amountIn);
+    const recipient = to || await this._signerAddress();
+    const params = { tokenIn, tokenOut, recipient, deadline, amountIn, amountOutMinimum: minAmountOut, limitSqrtPrice: 0 };
+    return this._call('exactInputSingle', params, overrides);
+  }
+}
+
+class LauncherClient extends BaseClient {
+  constructor(options) {
+    super('CarbonCoinLauncher', options);
+  }
+
+  // Only the launcher controller can create tokens
+  createToken(name, symbol, creator, curveConfig, overrides = {}) {
+    return this._call('createToken', name, symbol, creator, curveConfig, overrides);
+  }
+
+  // Address of the token created in a createToken receipt
+  getCreatedToken(receipt) {
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) { continue; }
+      const parsed = this.adapter.parseLog(this.contract.interface, log);
+      if (parsed && parsed.name === 'TokenCreated') {
+        return parsed.args.tokenAddress;
+      }
+    }
+    return null;
+  }
+
+  async getToken(tokenAddress) {
+    const token = await this._call('tokens', tokenAddress);
+    return {
+      address: token.tokenAddress,
+      creator: token.creator,
+      createdAt: Number(token.createdAt),
+      graduated: token.graduated,
+      name: token.name,
+      symbol: token.symbol,
+    };
+  }
+
+  getTotalTokensCreated() {
+    return this._callBigInt('totalTokensCreated');
+  }
+
+  getTokensCreatedBy(creator) {
+    return this._callBigInt('tokensCreatedByAddress', creator);
+  }
+
+  getFeeBalance() {
+    return this._callBigInt('getFeeBalance');
+  }
+
+  coin(tokenAddress) {
+    return new CarbonCoinClient(this._clientOptions(tokenAddress));
+  }
+
+  async protection() {
+    return new ProtectionClient(this._clientOptions(await this._call('protectionAddress')));
+  }
+
+  async paymaster() {
+    return new PaymasterClient(this._clientOptions(await this._call('paymasterAddress')));
+  }
+}
+
+class ProtectionClient extends BaseClient {
+  constructor(options) {
+    super('CarbonCoinProtection', options);
+  }
+
+  async getCircuitBreakerStatus(token) {
+    const status = await this._call('getCircuitBreakerStatus', token);
+    return {
+      isActive: status.isActive,
+      triggeredAt: Number(status.triggeredAt),
+      timeRemaining: Number(status.timeRemaining),
+      volatilityMoves: Number(status.volatilityMoves),
+    };
+  }
+
+  async getWhaleIntent(token, trader) {
+    const intent = await this._call('getWhaleIntent', token, trader);
+    return {
+      amount: toBigInt(intent.amount),
+      intentTime: Number(intent.intentTime),
+      executeAfter: Number(intent.executeAfter),
+      isBuy: intent.isBuy,
+      executed: intent.executed,
+      canExecute: intent.canExecute,
+    };
+  }
+
+  async getWhaleCooldown(token, trader) {
+    const cooldown = await this._call('getWhaleCooldown', token, trader);
+    return {
+      lastTradeTime: Number(cooldown.lastTradeTime),
+      nextTradeAvailable: Number(cooldown.nextTradeAvailable),
+      canTradeNow: cooldown.canTradeNow,
+    };
+  }
+
+  async getUserCooldown(token, user) {
+    return Number(await this._call('getUserCooldown', token, user));
+  }
+
+  isWhitelisted(token, user) {
+    return this._call('whitelist', token, user);
+  }
+
+  isBlacklisted(token, user) {
+    return this._call('isBlacklisted', token, user);
+  }
+
+  addToWhitelist(token, user, overrides = {}) {
+    return this._call('addToWhitelist', token, user, overrides);
+  }
+
+  removeFromWhitelist(token, user, overrides = {}) {
+    return this._call('removeFromWhitelist', token, user, overrides);
+  }
+
+  setBlacklisted(token, user, blacklisted = true, overrides = {}) {
+    return this._call('blacklistAddress', token, user, blacklisted, overrides);
+  }
+
+  cancelWhaleIntent(token, user, overrides = {}) {
+    return this._call('cancelWhaleIntent', token, user, overrides);
+  }
+}
+
+// Controller-only trades on behalf of users
+class PaymasterClient extends BaseClient {
+  constructor(options) {
+    super('CarbonCoinPaymaster', options);
+  }
+
+  // "permit" is the receiver's USDC permit for this paymaster: { deadline, v, r, s }
+  buyOnBehalf(receiver, token, usdcAmount, minTokensOut, { deadline, v, r, s }, overrides = {}) {
+    return this._call('buyOnBehalf', receiver, token, _usdc(usdcAmount), _tokens(minTokensOut), deadline, v, r, s, overrides);
+  }
+
+  sellOnBehalf(receiver, token, tokenAmount, minUsdcOut, overrides = {}) {
+    return this._call('sellOnBehalf', receiver, token, _tokens(tokenAmount), _usdc(minUsdcOut), overrides);
+  }
+}
+
+class OpusClient extends BaseClient {
+  constructor(options) {
+    super('CarbonOpus', options);
+  }
+
+  async getSong(tokenId) {
+    const song = await this._call('songs', tokenId);
+    return { tokenId: toBigInt(tokenId), memberId: song.memberId, price: toBigInt(song.price), referralPct: toBigInt(song.referralPct) };
+  }
+
+  getRewards(memberId) {
+    return this._callBigInt('getRewards', memberId);
+  }
+
+  getProtocolFee() {
+    return this._callBigInt('protocolFee');
+  }
+
+  async getMusicBalance(memberAddress) {
+    const [ tokenIds, balances ] = await this._call('musicBalance', memberAddress);
+    return tokenIds.map((tokenId, i) => ({ tokenId: toBigInt(tokenId), balance: toBigInt(balances[i]) }));
+  }
+
+  // Controller-only; the controller pays the song price in USDC (approved here if needed)
+  async purchaseMusic(memberId, memberAddress, tokenId, referrer, overrides = {}) {
+    const { price } = await this.getSong(tokenId);
+    await this._ensureAllowance(await this._call('usdcToken'), this.address, price);
+    return this._call('purchaseMusic', memberId, memberAddress, tokenId, referrer, overrides);
+  }
+
+  async purchaseBatch(memberId, memberAddress, tokenIds, referrers, overrides = {}) {
+    const songs = await Promise.all(tokenIds.map((tokenId) => this.getSong(tokenId)));
+    const total = songs.reduce((sum, song) => sum + song.price, 0n);
+    await this._ensureAllowance(await this._call('usdcToken'), this.address, total);
+    return this._call('purchaseBatch', memberId, memberAddress, tokenIds, referrers, overrides);
+  }
+
+  claimRewards(memberId, memberAddress, overrides = {}) {
+    return this._call('claimRewards', memberId, memberAddress, overrides);
+  }
+}
+
+module.exports = {
+  DEFAULT_DEADLINE,
+  BaseClient,
+  CarbonCoinClient,
+  SwapRouterClient,
+  LauncherClient,
+  ProtectionClient,
+  PaymasterClient,
+  OpusClient,
+};
@@ -0,0 +1,160 @@
+// Decoding of CarbonCoin custom errors into readable messages.
+
+const ERROR_ABIS = [
+  require('../abis/ICarbonCoin.json'),
+  require('../abis/ICarbonCoinLauncher.json'),
+  require('../abis/ICarbonCoinProtection.json'),
+  // The concrete contracts add the OpenZeppelin errors (ownership, pausing, ERC20, permits)
+  require('../abis/CarbonCoin.json'),
+  require('../abis/CarbonCoinLauncher.json'),
+  require('../abis/CarbonCoinProtection.json'),
+  require('../abis/CarbonCoinPaymaster.json'),
+  require('../abis/CarbonOpus.json'),
+];
+
+const ERROR_MESSAGES = {
+  // ICarbonCoin
+  AlreadyGraduated: 'The token has already graduated to the DEX; trade it there',
+  CreatorCannotSellBeforeGraduation: 'The creator cannot sell or transfer tokens before graduation',
+  ExceedsMaxSupply: 'The buy would exceed the bonding-curve supply',
+  GraduationCooldownActive: 'Graduation was attempted recently; wait for the cooldown',
+  InsufficientLiquidity: 'Not enough USDC reserves for this sell',
+  InvalidAmount: 'The amount is zero or otherwise invalid',
+  NotGraduated: 'The token has not graduated yet',
+  SlippageTooHigh: 'The price moved beyond the allowed slippage',
+  Unauthorized: 'The caller is not allowed to perform this action',
+  WhaleIntentRequired: 'Trades this large need a registered whale intent first',
+  // ICarbonCoinLauncher
+  InsufficientFee: 'The creation fee was not paid',
+  InvalidAddress: 'An address parameter is invalid',
+  InvalidParameters: 'The token parameters are invalid',
+  TooManyTokens: 'The creator has reached the maximum number of tokens',
+  // ICarbonCoinProtection
+  CircuitBreakerActive: 'Trading is halted by the circuit breaker after high volatility',
+  NoWhaleIntentFound: 'No whale intent is registered for this trader',
+  PriceImpactTooHigh: 'The trade would move the price too much',
+  WhaleDelayActive: 'A recent whale trade is still in its cooldown',
+  WhaleIntentNotReady: 'The whale intent delay has not passed yet',
+  // CarbonOpus
+  NotAuthorized: 'The caller is not the CarbonOpus controller',
+  SongDoesNotExist: 'No song exists with this token id',
+  NoRewardsToClaim: 'There are no rewards to claim for this member',
+  InputArrayLengthMismatch: 'The token ids and referrers must have the same length',
+  // OpenZeppelin
+  EnforcedPause: 'The contract is paused',
+  ExpectedPause: 'The contract must be paused first',
+  OwnableUnauthorizedAccount: 'The caller is not the owner',
+  ReentrancyGuardReentrantCall: 'Reentrant call',
+  ERC20InsufficientBalance: 'Insufficient token balance',
+  ERC20InsufficientAllowance: 'Insufficient token allowance',
+  ERC2612ExpiredSignature: 'The permit signature has expired',
+  ERC2612InvalidSigner: 'The permit was signed by a different account',
+  InvalidAccountNonce: 'The nonce has already been used',
+};
+
+// Standard Solidity revert payloads
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Error fragments of "abis", one per error signature
+const collectErrorFragments = (abis) => Object.values(abis.flat().reduce((acc, item) => {
+  if (item.type === 'error') {
+    const signature = `${item.name}(${item.inputs.map((input) => input.type).join(',')})`;
+    acc[signature] = item;
+  }
+  return acc;
+}, {}));
+
+const ERROR_FRAGMENTS = collectErrorFragments(ERROR_ABIS);
+
+class CarbonSdkError extends Error {
+  constructor(decoded, cause) {
+    super(decoded.message);
+    this.name = 'CarbonSdkError';
+    this.errorName = decoded.name;
+    this.errorArgs = decoded.args;
+    this.signature = decoded.signature;
+    this.cause = cause;
+  }
+}
+
+const _isRevertData = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{8}/.test(value);
+
+// Revert data is nested differently by each provider and ethers version
+const findRevertData = (err, depth = 0) => {
+  if (!err || depth > 6) { return null; }
+  if (_isRevertData(err)) { return err; }
+  if (typeof err === 'string') {
+    try {
+      return findRevertData(JSON.parse(err), depth + 1);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (typeof err !== 'object') { return null; }
+  for (const key of ['data', 'error', 'info', 'body', 'cause', 'result']) {
+    const found = findRevertData(err[key], depth + 1);
+    if (found) { return found; }
+  }
+  return null;
+};
+
+const _describe = (name, args) => {
+  const message = ERROR_MESSAGES[name] || name;
+  return args.length ? `${message} (${name}: ${args.join(', ')})` : `${message} (${name})`;
+};
+
+const createErrorDecoder = (adapter, fragments = ERROR_FRAGMENTS) => {
+  const iface = adapter.createInterface(fragments);
+  const standard = adapter.createInterface(['function Error(string)', 'function Panic(uint256)']);
+
+  /**
+   * Decodes a revert (an error thrown by ethers, or raw revert data) into
+   * { name, args, signature, message }, or null if it isn't a known revert.
+   */
+  const decodeError = (errOrData) => {
+    const data = _isRevertData(errOrData) ? errOrData : findRevertData(errOrData);
+    if (data) {
+      const selector = data.slice(0, 10).toLowerCase();
+      if (selector === ERROR_STRING_SELECTOR || selector === PANIC_SELECTOR) {
+        const isPanic = selector === PANIC_SELECTOR;
+        const [ value ] = standard.decodeFunctionData(isPanic ? 'Panic' : 'Error', data);
+        const reason = isPanic ? `Panic 0x${adapter.toBigInt(value).toString(16)}` : value;
+        return { name: isPanic ? 'Panic' : 'Error', args: [ isPanic ? adapter.toBigInt(value) : value ], signature: null, message: reason };
+      }
+      const parsed = adapter.parseError(iface, data);
+      if (parsed) {
+        const args = Array.from(parsed.args, (arg) => (typeof arg === 'object' && arg !== null ? adapter.toBigInt(arg) : arg));
+        return { name: parsed.name, args, signature: parsed.signature, message: _describe(parsed.name, args) };
+      }
+    }
+    // ethers v5 decodes errors of the called contract itself
+    const errorName = errOrData && (errOrData.errorName || (errOrData.revert && errOrData.revert.name));
+    if (errorName && ERROR_MESSAGES[errorName]) {
+      const args = Array.from(errOrData.errorArgs || (errOrData.revert && errOrData.revert.args) || []);
+      return { name: errorName, args, signature: errOrData.errorSignature || null, message: _describe(errorName, args) };
+    }
+    return null;
+  };
+
+  // Runs "fn", rethrowing known reverts as a CarbonSdkError
+  const withDecodedErrors = async (fn) => {
+    try {
+      return await fn();
+    } catch (err) {
+      const decoded = decodeError(err);
+      throw decoded ? new CarbonSdkError(decoded, err) : err;
+    }
+  };
+
+  return { decodeError, withDecodedErrors };
+};
+
+module.exports = {
+  ERROR_MESSAGES,
+  ERROR_FRAGMENTS,
+  collectErrorFragments,
+  CarbonSdkError,
+  findRevertData,
+  createErrorDecoder,
+};
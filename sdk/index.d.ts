@@ -0,0 +1,305 @@
+// Type declarations for the Carbon Coin SDK (sdk/index.js).
+//
+// Amount inputs: a bigint is taken as base units; a string or number as a decimal amount
+// ("12.5" USDC = 12500000n). All amounts returned by the clients are bigint base units.
+
+export type Amount = bigint | string | number | { toHexString(): string };
+export type Network = string | number;
+export type Overrides = Record<string, any>;
+
+export interface TransactionResponse {
+  hash: string;
+  wait(confirmations?: number): Promise<any>;
+}
+
+export interface ClientOptions {
+  /** ethers v5 or v6 */
+  ethers?: any;
+  /** Signer for transactions, or a provider for read-only use */
+  runner?: any;
+  /** Contract address; resolved from deployments/<network> when omitted */
+  address?: string;
+  /** Hardhat network name or chainId */
+  network?: Network;
+  deploymentsDir?: string;
+  /**
+   * Swap router (Algebra-style `exactInputSingle`) of the DEX graduated coins trade on; resolved from
+   * js-helpers/globals when omitted, else for coins from the position manager of their CarbonCoinDex
+   */
+  swapRouter?: string;
+  /** Quoter (`quoteExactInputSingle`) of that DEX; resolved the same way */
+  quoter?: string;
+}
+
+export interface DecodedError {
+  name: string;
+  args: any[];
+  signature: string | null;
+  message: string;
+}
+
+export declare class CarbonSdkError extends Error {
+  errorName: string;
+  errorArgs: any[];
+  signature: string | null;
+  cause: unknown;
+}
+
+export declare const USDC_DECIMALS: 6;
+export declare const TOKEN_DECIMALS: 18;
+export declare const ERROR_MESSAGES: Record<string, string>;
+/** Seconds a trade stays valid when no deadline is given */
+export declare const DEFAULT_DEADLINE: number;
+
+export declare function toBigInt(value: Amount): bigint;
+export declare function toUnits(value: Amount, decimals: number): bigint;
+export declare function parseUnits(value: string | number, decimals: number): bigint;
+export declare function formatUnits(value: Amount, decimals: number): string;
+export declare function parseUsdc(value: string | number): bigint;
+export declare function formatUsdc(value: Amount): string;
+export declare function parseTokens(value: string | number): bigint;
+export declare function formatTokens(value: Amount): string;
+export declare function applySlippage(amount: Amount, slippagePercent?: string | number): bigint;
+
+export declare function getEthersVersion(ethers: any): 5 | 6;
+export declare function findRevertData(err: unknown): string | null;
+export declare function collectErrorFragments(abis: any[][]): any[];
+export declare function createErrorDecoder(adapter: any, fragments?: any[]): {
+  decodeError(errOrData: unknown): DecodedError | null;
+  withDecodedErrors<T>(fn: () => Promise<T>): Promise<T>;
+};
+export declare function resolveAddress(contractName: string, network: Network, deploymentsDir?: string): string;
+export declare function resolveSwapRouter(network: Network, fallback?: string): string;
+export declare function resolveQuoter(network: Network, fallback?: string): string;
+export declare function toNetworkName(network: Network): string;
+
+export declare class BaseClient {
+  readonly address: string;
+  readonly contract: any;
+  readonly runner: any;
+  readonly network?: Network;
+  decodeError(err: unknown): DecodedError | null;
+}
+
+export interface CoinInfo {
+  address: string;
+  name: string;
+  symbol: string;
+  creator: string;
+  launcher: string;
+  usdc: string;
+  maxSupply: bigint;
+  curveSupply: bigint;
+  graduationThreshold: bigint;
+  graduated: boolean;
+  paused: boolean;
+}
+
+export interface Reserves {
+  usdcReserves: bigint;
+  tokenSupply: bigint;
+  virtualUsdc: bigint;
+  virtualTokens: bigint;
+}
+
+export interface TradeOptions {
+  slippage?: string | number;
+  overrides?: Overrides;
+}
+
+// Quote on the market a coin trades on; amounts in base units (USDC for buys in, tokens for sells in)
+export interface TradeQuote {
+  venue: 'curve' | 'dex';
+  side: TradeSide;
+  /** [tokenIn, tokenOut] on the DEX, or null on the curve */
+  path: string[] | null;
+  /** Pool created by graduation, or null on the curve */
+  pool: string | null;
+  amountIn: bigint;
+  amountOut: bigint;
+  minAmountOut: bigint;
+}
+
+export interface MarketTradeOptions extends TradeOptions {
+  side: TradeSide;
+  /** USDC for buys, tokens for sells */
+  amount: Amount;
+  minAmountOut?: Amount;
+  /** Unix seconds; defaults to DEFAULT_DEADLINE after the latest block */
+  deadline?: number;
+  /** Swap router address for graduated coins, overriding the client's */
+  router?: string;
+}
+
+export declare class CarbonCoinClient extends BaseClient {
+  constructor(options: ClientOptions);
+  getInfo(): Promise<CoinInfo>;
+  getReserves(): Promise<Reserves>;
+  getPrice(): Promise<bigint>;
+  getGraduationProgress(): Promise<number>;
+  balanceOf(account: string): Promise<bigint>;
+  quoteBuy(usdcAmount: Amount, options?: { slippage?: string | number }): Promise<{ usdcIn: bigint; tokensOut: bigint; minTokensOut: bigint }>;
+  quoteBuyExact(tokenAmount: Amount): Promise<{ tokensOut: bigint; usdcIn: bigint }>;
+  quoteSell(tokenAmount: Amount, options?: { slippage?: string | number }): Promise<{ tokensIn: bigint; usdcOut: bigint; fee: bigint; minUsdcOut: bigint }>;
+  buy(usdcAmount: Amount, options?: TradeOptions & { minTokensOut?: Amount }): Promise<TransactionResponse>;
+  sell(tokenAmount: Amount, options?: TradeOptions & { minUsdcOut?: Amount }): Promise<TransactionResponse>;
+  transfer(to: string, tokenAmount: Amount, overrides?: Overrides): Promise<TransactionResponse>;
+  getTradeLimits(): Promise<{ maxTradeSize: bigint; maxSellPercentage: bigint; whaleThreshold: bigint; whaleDelay: number; currentMaxSellTokens: bigint }>;
+  getAntiBotConfig(): Promise<{ antiBotDuration: number; maxBuyAmountEarly: bigint; maxWalletPercentage: bigint; cooldownPeriod: number; minBuyAmount: bigint }>;
+  getLaunchTime(): Promise<number>;
+  protection(): Promise<ProtectionClient>;
+  router(address?: string): Promise<SwapRouterClient>;
+  getPool(): Promise<string | null>;
+  quoteTrade(options: { side: TradeSide; amount: Amount; slippage?: string | number; router?: string }): Promise<TradeQuote>;
+  trade(options: MarketTradeOptions): Promise<{ quote: TradeQuote; tx: TransactionResponse }>;
+}
+
+/** Algebra-style swap router and quoter; graduated coins have no Somnia Exchange V2 pair */
+export declare class SwapRouterClient extends BaseClient {
+  constructor(options: ClientOptions & { positionManager?: string });
+  readonly quoterAddress: string;
+  quote(amountIn: Amount, tokenIn: string, tokenOut: string, options?: { slippage?: string | number }): Promise<{ path: string[]; amountIn: bigint; amountOut: bigint; fee: number; minAmountOut: bigint }>;
+  exactInputSingle(amountIn: Amount, minAmountOut: Amount, tokenIn: string, tokenOut: string, options: { deadline: number; to?: string; overrides?: Overrides }): Promise<TransactionResponse>;
+}
+
+// Base units, as in CarbonCoinLauncher.createToken
+export interface CurveConfig {
+  virtualUsdc: Amount;
+  virtualTokens: Amount;
+  creatorReserve: Amount;
+  liquiditySupply: Amount;
+  curveSupply: Amount;
+  maxSupply: Amount;
+  graduationThreshold: Amount;
+}
+
+export interface LaunchedToken {
+  address: string;
+  creator: string;
+  createdAt: number;
+  graduated: boolean;
+  name: string;
+  symbol: string;
+}
+
+export declare class LauncherClient extends BaseClient {
+  constructor(options: ClientOptions);
+  createToken(name: string, symbol: string, creator: string, curveConfig: CurveConfig, overrides?: Overrides): Promise<TransactionResponse>;
+  getCreatedToken(receipt: { logs: any[] }): string | null;
+  getToken(tokenAddress: string): Promise<LaunchedToken>;
+  getTotalTokensCreated(): Promise<bigint>;
+  getTokensCreatedBy(creator: string): Promise<bigint>;
+  getFeeBalance(): Promise<bigint>;
+  coin(tokenAddress: string): CarbonCoinClient;
+  protection(): Promise<ProtectionClient>;
+  paymaster(): Promise<PaymasterClient>;
+}
+
+export declare class ProtectionClient extends BaseClient {
+  constructor(options: ClientOptions);
+  getCircuitBreakerStatus(token: string): Promise<{ isActive: boolean; triggeredAt: number; timeRemaining: number; volatilityMoves: number }>;
+  getWhaleIntent(token: string, trader: string): Promise<{ amount: bigint; intentTime: number; executeAfter: number; isBuy: boolean; executed: boolean; canExecute: boolean }>;
+  getWhaleCooldown(token: string, trader: string): Promise<{ lastTradeTime: number; nextTradeAvailable: number; canTradeNow: boolean }>;
+  getUserCooldown(token: string, user: string): Promise<number>;
+  isWhitelisted(token: string, user: string): Promise<boolean>;
+  isBlacklisted(token: string, user: string): Promise<boolean>;
+  addToWhitelist(token: string, user: string, overrides?: Overrides): Promise<TransactionResponse>;
+  removeFromWhitelist(token: string, user: string, overrides?: Overrides): Promise<TransactionResponse>;
+  setBlacklisted(token: string, user: string, blacklisted?: boolean, overrides?: Overrides): Promise<TransactionResponse>;
+  cancelWhaleIntent(token: string, user: string, overrides?: Overrides): Promise<TransactionResponse>;
+}
+
+export interface PermitSignature {
+  deadline: Amount;
+  v: number;
+  r: string;
+  s: string;
+}
+
+export declare class PaymasterClient extends BaseClient {
+  constructor(options: ClientOptions);
+  buyOnBehalf(receiver: string, token: string, usdcAmount: Amount, minTokensOut: Amount, permit: PermitSignature, overrides?: Overrides): Promise<TransactionResponse>;
+  sellOnBehalf(receiver: string, token: string, tokenAmount: Amount, minUsdcOut: Amount, overrides?: Overrides): Promise<TransactionResponse>;
+}
+
+export declare class OpusClient extends BaseClient {
+  constructor(options: ClientOptions);
+  getSong(tokenId: Amount): Promise<{ tokenId: bigint; memberId: string; price: bigint; referralPct: bigint }>;
+  getRewards(memberId: string): Promise<bigint>;
+  getProtocolFee(): Promise<bigint>;
+  getMusicBalance(memberAddress: string): Promise<Array<{ tokenId: bigint; balance: bigint }>>;
+  purchaseMusic(memberId: string, memberAddress: string, tokenId: Amount, referrer: string, overrides?: Overrides): Promise<TransactionResponse>;
+  purchaseBatch(memberId: string, memberAddress: string, tokenIds: Amount[], referrers: string[], overrides?: Overrides): Promise<TransactionResponse>;
+  claimRewards(memberId: string, memberAddress: string, overrides?: Overrides): Promise<TransactionResponse>;
+}
+
+export interface CarbonClients {
+  launcher: LauncherClient | null;
+  protection: ProtectionClient | null;
+  paymaster: PaymasterClient | null;
+  opus: OpusClient | null;
+  coin(tokenAddress: string): CarbonCoinClient;
+  decodeError(errOrData: unknown): DecodedError | null;
+}
+
+export declare function createCarbonClients(options: {
+  ethers: any;
+  runner?: any;
+  network?: Network;
+  addresses?: Partial<Record<'CarbonCoinLauncher' | 'CarbonCoinProtection' | 'CarbonCoinPaymaster' | 'CarbonOpus', string>>;
+  deploymentsDir?: string;
+  swapRouter?: string;
+  quoter?: string;
+}): CarbonClients;
+
+// Whale trades (sdk/whale.js). Amounts are base units: USDC for buys, tokens for sells.
+
+export type TradeSide = 'buy' | 'sell';
+
+export interface WhaleIntent {
+  amount: bigint;
+  intentTime: number;
+  executeAfter: number;
+  isBuy: boolean;
+  executed: boolean;
+  canExecute: boolean;
+}
+
+export interface TradePlan {
+  side: TradeSide;
+  amount: bigint;
+  trader: string;
+  /** USDC value compared with the whale threshold */
+  tradeValue: bigint;
+  whaleThreshold: bigint;
+  whaleDelay: number;
+  maxTradeSize: bigint;
+  whitelisted: boolean;
+  isWhale: boolean;
+  intent: WhaleIntent | null;
+  whaleCooldown: { lastTradeTime: number; nextTradeAvailable: number; canTradeNow: boolean };
+  userCooldown: number;
+}
+
+export interface TradeStep {
+  step: 'plan' | 'wait' | 'trade' | 'cancel';
+  [key: string]: any;
+}
+
+export interface WhaleTradeOptions {
+  side: TradeSide;
+  amount: bigint;
+  slippage?: string | number;
+  /** Resolves once the chain reaches "timestamp" (default: sleeps) */
+  waitUntil?(timestamp: number): Promise<void>;
+  onStep?(step: TradeStep): void;
+}
+
+export declare class WhaleIntentError extends Error {
+  plan: TradePlan;
+}
+
+export declare function planTrade(coin: CarbonCoinClient, options: { side: TradeSide; amount: bigint; trader?: string }): Promise<TradePlan>;
+export declare function executeWhaleTrade(coin: CarbonCoinClient, options: WhaleTradeOptions & { intentTtl?: number }): Promise<{ plan: TradePlan; receipt: any }>;
+export declare function planSplitTrade(coin: CarbonCoinClient, options: { side: TradeSide; amount: bigint }): Promise<{ chunks: bigint[]; maxChunk: bigint; unsold: bigint }>;
+export declare function executeSplitTrade(coin: CarbonCoinClient, options: WhaleTradeOptions): Promise<{ chunks: Array<{ amount: bigint; transactionHash: string }>; unsold: bigint }>;
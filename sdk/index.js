@@ -0,0 +1,81 @@
+// Carbon Coin SDK: contract clients built from the ABIs in /abis, with addresses from deployments/<network>.
+// Works with ethers v5 (the hardhat helpers) and v6 (typechain); pass the library in as "ethers".
+
+const amounts = require('./amounts');
+const { getEthersVersion, createAdapter } = require('./adapter');
+const { ERROR_MESSAGES, CarbonSdkError, collectErrorFragments, findRevertData, createErrorDecoder } = require('./errors');
+const { resolveAddress, resolveSwapRouter, resolveQuoter, toNetworkName } = require('./addresses');
+const {
+  DEFAULT_DEADLINE,
+  BaseClient,
+  CarbonCoinClient,
+  SwapRouterClient,
+  LauncherClient,
+  ProtectionClient,
+  PaymasterClient,
+  OpusClient,
+} = require('./clients');
+const { WhaleIntentError, planTrade, executeWhaleTrade, planSplitTrade, executeSplitTrade } = require('./whale');
+
+/**
+ * Clients for the contracts deployed on "network", sharing one runner.
+ * Contracts without a deployment are left out unless their address is passed in "addresses".
+ *
+ * @example
+ *   const { ethers } = require('ethers');
+ *   const sdk = createCarbonClients({ ethers, runner: signer, network: 'somniaTestnet' });
+ *   const quote = await sdk.coin(tokenAddress).quoteBuy('25');
+ */
+const createCarbonClients = ({ ethers, runner, network, addresses = {}, deploymentsDir, swapRouter, quoter } = {}) => {
+  const adapter = createAdapter(ethers);
+  const options = { adapter, runner, network, deploymentsDir, swapRouter, quoter };
+
+  const _tryCreate = (Client, contractName) => {
+    const address = addresses[contractName];
+    try {
+      return new Client({ ...options, address: address || resolveAddress(contractName, network, deploymentsDir) });
+    } catch (err) {
+      if (address) { throw err; }
+      return null;
+    }
+  };
+
+  const { decodeError } = createErrorDecoder(adapter);
+  return {
+    launcher: _tryCreate(LauncherClient, 'CarbonCoinLauncher'),
+    protection: _tryCreate(ProtectionClient, 'CarbonCoinProtection'),
+    paymaster: _tryCreate(PaymasterClient, 'CarbonCoinPaymaster'),
+    opus: _tryCreate(OpusClient, 'CarbonOpus'),
+    coin: (tokenAddress) => new CarbonCoinClient({ ...options, address: tokenAddress }),
+    decodeError,
+  };
+};
+
+module.exports = {
+  ...amounts,
+  getEthersVersion,
+  createAdapter,
+  ERROR_MESSAGES,
+  CarbonSdkError,
+  collectErrorFragments,
+  findRevertData,
+  createErrorDecoder,
+  resolveAddress,
+  resolveSwapRouter,
+  resolveQuoter,
+  toNetworkName,
+  DEFAULT_DEADLINE,
+  BaseClient,
+  CarbonCoinClient,
+  SwapRouterClient,
+  LauncherClient,
+  ProtectionClient,
+  PaymasterClient,
+  OpusClient,
+  createCarbonClients,
+  WhaleIntentError,
+  planTrade,
+  executeWhaleTrade,
+  planSplitTrade,
+  executeSplitTrade,
+};
@@ -0,0 +1,252 @@
+// Whale-trade workflow around CarbonCoinProtection.
+//
+// Trades worth "whaleThreshold" USDC or more (buys: the USDC spent; sells: the USDC out plus fee)
+// need a whale intent that is at least "whaleDelay" seconds old, and a trader may make one whale
+// trade per "whaleDelay". Whitelisted traders are exempt.
+//
+// CarbonCoinProtection records an intent only inside checkWhaleIntent, during the trade itself.
+// The trade then reverts with WhaleIntentRequired, which rolls the intent back, and there is no
+// stand-alone registration function. An intent therefore can't be registered from here. An existing
+// intent is waited out and executed (and cancelled if the trade fails). A whale-sized order can
+// instead be split into sub-threshold chunks.
+
+const { formatUsdc, formatTokens } = require('./amounts');
+
+const SIDES = ['buy', 'sell'];
+
+class WhaleIntentError extends Error {
+  constructor(message, plan) {
+    super(message);
+    this.name = 'WhaleIntentError';
+    this.plan = plan;
+  }
+}
+
+const _max = (a, b) => (a > b ? a : b);
+const _min = (a, b) => (a < b ? a : b);
+
+const _provider = (coin) => coin.runner.provider || coin.runner;
+
+const _latestTimestamp = async (coin) => Number((await _provider(coin).getBlock('latest')).timestamp);
+
+// Sleeps until the chain's latest block reaches "timestamp"; pass your own "waitUntil" to advance a local chain instead
+const _sleepUntil = (coin) => async (timestamp) => {
+  const remaining = timestamp - await _latestTimestamp(coin);
+  if (remaining > 0) {
+    await new Promise((resolve) => setTimeout(resolve, remaining * 1000));
+  }
+};
+
+const _checkSide = (side) => {
+  if (!SIDES.includes(side)) {
+    throw new Error(`Invalid side "${side}": expected "buy" or "sell"`);
+  }
+};
+
+// USDC value the protection compares with the whale threshold
+const _tradeValue = async (coin, side, amount) => {
+  if (side === 'buy') { return amount; }
+  const { usdcOut, fee } = await coin.quoteSell(amount);
+  return usdcOut + fee;
+};
+
+const _trade = async (coin, side, amount, slippage) => {
+  const tx = side === 'buy' ? await coin.buy(amount, { slippage }) : await coin.sell(amount, { slippage });
+  return tx.wait();
+};
+
+const _formatAmount = (side, amount) => (side === 'buy' ? `${formatUsdc(amount)} USDC` : `${formatTokens(amount)} tokens`);
+
+/**
+ * Whether a trade needs a whale intent, and the state of the trader's intent and cooldowns.
+ * "amount" is in base units: USDC for buys, tokens for sells.
+ */
+const planTrade = async (coin, { side, amount, trader }) => {
+  _checkSide(side);
+  const protection = await coin.protection();
+  const account = trader || await coin._signerAddress();
+  const [ limits, tradeValue, whitelisted, intent, whaleCooldown, userCooldown ] = await Promise.all([
+    coin.getTradeLimits(),
+    _tradeValue(coin, side, amount),
+    protection.isWhitelisted(coin.address, account),
+    protection.getWhaleIntent(coin.address, account),
+    protection.getWhaleCooldown(coin.address, account),
+    protection.getUserCooldown(coin.address, account),
+  ]);
+  return {
+    side,
+    amount,
+    trader: account,
+    tradeValue,
+    whaleThreshold: limits.whaleThreshold,
+    whaleDelay: limits.whaleDelay,
+    maxTradeSize: limits.maxTradeSize,
+    whitelisted,
+    isWhale: !whitelisted && tradeValue >= limits.whaleThreshold,
+    intent: intent.intentTime > 0 ? intent : null,
+    whaleCooldown,
+    userCooldown,
+  };
+};
+
+/**
+ * Executes a trade, going through the whale intent when it crosses the threshold:
+ * waits out the whale cooldown and the intent delay, trades, and cancels the intent if the trade fails.
+ * Intents older than "intentTtl" seconds past their delay are treated as stale and cancelled.
+ *
+ * Options: { side, amount, slippage?, intentTtl?, waitUntil?, onStep? }
+ * @returns {Promise<{plan: Object, receipt: Object}>}
+ */
+const executeWhaleTrade = async (coin, { side, amount, slippage = '1', intentTtl = 3600, waitUntil = _sleepUntil(coin), onStep = () => {} }) => {
+  const plan = await planTrade(coin, { side, amount });
+  onStep({ step: 'plan', plan });
+  if (!plan.isWhale) {
+    return { plan, receipt: await _trade(coin, side, amount, slippage) };
+  }
+
+  const protection = await coin.protection();
+  const { intent } = plan;
+  const cancel = async (reason) => {
+    onStep({ step: 'cancel', reason });
+    await (await protection.cancelWhaleIntent(coin.address, plan.trader)).wait();
+  };
+
+  if (!intent) {
+    throw new WhaleIntentError(
+      `${_formatAmount(side, amount)} is worth ${formatUsdc(plan.tradeValue)} USDC, at or above the whale threshold of ${formatUsdc(plan.whaleThreshold)} USDC, and no whale intent is registered. ` +
+      'CarbonCoinProtection records intents only inside the trade, which then reverts with WhaleIntentRequired and rolls the intent back. ' +
+      'Split the order into sub-threshold trades, or have the protection owner whitelist the trader.',
+      plan
+    );
+  }
+  if (intent.executed || intent.isBuy !== (side === 'buy') || intent.amount !== plan.tradeValue) {
+    await cancel('the registered intent does not match this trade');
+    throw new WhaleIntentError(`The registered whale intent (${intent.isBuy ? 'buy' : 'sell'}, ${formatUsdc(intent.amount)} USDC) does not match this trade; it was cancelled`, plan);
+  }
+  if (await _latestTimestamp(coin) > intent.executeAfter + intentTtl) {
+    await cancel('the intent is stale');
+    throw new WhaleIntentError(`The whale intent became executable at ${intent.executeAfter} and is older than ${intentTtl}s; it was cancelled`, plan);
+  }
+
+  const readyAt = Math.max(intent.executeAfter, plan.whaleCooldown.canTradeNow ? 0 : plan.whaleCooldown.nextTradeAvailable);
+  onStep({ step: 'wait', until: readyAt, reason: 'whale delay' });
+  await waitUntil(readyAt);
+
+  try {
+    onStep({ step: 'trade', amount });
+    return { plan, receipt: await _trade(coin, side, amount, slippage) };
+  } catch (err) {
+    await cancel(`the trade failed: ${err.message}`).catch(() => {});
+    throw err;
+  }
+};
+
+// Most tokens the curve can take back in one sell. The curve's k loses value to truncation on every
+// trade, so selling back the whole realTokenSupply can underflow in calculateUsdcOutWithFee.
+const _maxSellable = async (coin) => {
+  const { usdcReserves, tokenSupply, virtualUsdc, virtualTokens } = await coin.getReserves();
+  const k = (virtualUsdc + usdcReserves) * (virtualTokens - tokenSupply);
+  return _max(_min(k / virtualUsdc - (virtualTokens - tokenSupply), tokenSupply), 0n);
+};
+
+// Largest token amount whose sell stays below "maxValue" USDC (out plus fee) at the current price;
+// "amount" must be sellable (see _maxSellable), or the quote reverts
+const _maxSellChunk = async (coin, amount, maxValue) => {
+  let chunk = amount;
+  for (let i = 0; i < 32; i++) {
+    const value = await _tradeValue(coin, 'sell', chunk);
+    if (value <= maxValue) { return chunk; }
+    chunk = (chunk * maxValue) / value;
+  }
+  throw new Error(`Unable to size a sell chunk below ${formatUsdc(maxValue)} USDC`);
+};
+
+/**
+ * Splits an order into equal chunks that stay below the whale threshold and within maxTradeSize
+ * (and, for buys, within the launch-window cap and above minBuyAmount), priced at the current state.
+ * Sells are capped at what the curve can take back; the rest of the order is returned as "unsold".
+ * @returns {Promise<{chunks: bigint[], maxChunk: bigint, unsold: bigint}>} amounts in base units
+ */
+const planSplitTrade = async (coin, { side, amount }) => {
+  _checkSide(side);
+  const { whaleThreshold, maxTradeSize } = await coin.getTradeLimits();
+
+  let maxChunk;
+  let unsold = 0n;
+  if (side === 'buy') {
+    const [ botConfig, launchTime, now ] = await Promise.all([ coin.getAntiBotConfig(), coin.getLaunchTime(), _latestTimestamp(coin) ]);
+    maxChunk = _min(whaleThreshold - 1n, maxTradeSize);
+    if (now + 1 < launchTime + botConfig.antiBotDuration) {
+      maxChunk = _min(maxChunk, botConfig.maxBuyAmountEarly);
+    }
+    if (maxChunk < botConfig.minBuyAmount) {
+      throw new Error(`Buys are capped at ${formatUsdc(maxChunk)} USDC, below the minimum buy of ${formatUsdc(botConfig.minBuyAmount)} USDC`);
+    }
+  } else {
+    const sellable = _min(amount, await _maxSellable(coin));
+    unsold = amount - sellable;
+    amount = sellable;
+    if (amount === 0n) { return { chunks: [], maxChunk: 0n, unsold }; }
+    maxChunk = await _maxSellChunk(coin, amount, _min(whaleThreshold - 1n, maxTradeSize));
+  }
+
+  const count = (amount + maxChunk - 1n) / maxChunk;
+  const size = amount / count;
+  const remainder = amount % count;
+  const chunks = Array.from({ length: Number(count) }, (_, i) => size + (BigInt(i) < remainder ? 1n : 0n));
+  if (side === 'buy') {
+    const { minBuyAmount } = await coin.getAntiBotConfig();
+    if (chunks[chunks.length - 1] < minBuyAmount) {
+      throw new Error(`${formatUsdc(amount)} USDC splits into chunks below the minimum buy of ${formatUsdc(minBuyAmount)} USDC`);
+    }
+  }
+  return { chunks, maxChunk, unsold };
+};
+
+/**
+ * Trades "amount" in sub-threshold chunks. Before each chunk it waits out the buy cooldown
+ * (getUserCooldown) and an active circuit breaker, then re-sizes the rest of the order at the new price.
+ * A sell stops once the curve can take no more; what is left is returned as "unsold".
+ *
+ * Options: { side, amount, slippage?, waitUntil?, onStep? }
+ * @returns {Promise<{chunks: Array<{amount: bigint, transactionHash: string}>, unsold: bigint}>}
+ */
+const executeSplitTrade = async (coin, { side, amount, slippage = '1', waitUntil = _sleepUntil(coin), onStep = () => {} }) => {
+  _checkSide(side);
+  const protection = await coin.protection();
+  const trader = await coin._signerAddress();
+  const executed = [];
+
+  let remaining = amount;
+  while (remaining > 0n) {
+    const [ breaker, userCooldown, now ] = await Promise.all([
+      protection.getCircuitBreakerStatus(coin.address),
+      side === 'buy' ? protection.getUserCooldown(coin.address, trader) : 0,
+      _latestTimestamp(coin),
+    ]);
+    const wait = _max(BigInt(breaker.isActive ? breaker.timeRemaining : 0), BigInt(userCooldown));
+    if (wait > 0n) {
+      onStep({ step: 'wait', until: now + Number(wait), reason: breaker.isActive ? 'circuit breaker' : 'buy cooldown' });
+      await waitUntil(now + Number(wait));
+    }
+
+    const { chunks, unsold } = await planSplitTrade(coin, { side, amount: remaining });
+    if (chunks.length === 0) {
+      return { chunks: executed, unsold };
+    }
+    const chunk = chunks[0];
+    onStep({ step: 'trade', amount: chunk, index: executed.length, remaining: chunks.length });
+    const receipt = await _trade(coin, side, chunk, slippage);
+    executed.push({ amount: chunk, transactionHash: receipt.transactionHash || receipt.hash });
+    remaining -= chunk;
+  }
+  return { chunks: executed, unsold: 0n };
+};
+
+module.exports = {
+  WhaleIntentError,
+  planTrade,
+  executeWhaleTrade,
+  planSplitTrade,
+  executeSplitTrade,
+};
@@ -0,0 +1,128 @@
+const { task, types } = require('hardhat/config');
+const { addSafeParams } = require('../js-helpers/safeBatch');
+
+// Owner-only actions; each one can be sent from --account or collected into a Safe batch with --safe
+
+const logGasCost = () => {
+  const { log } = require('../js-helpers/utils');
+  const { getAccumulatedGasCost } = require('../js-helpers/executeTx');
+  const [ gwei1 ] = getAccumulatedGasCost();
+  log(`  - Gas Cost (at 1 gwei): ${gwei1}`);
+};
+
+addSafeParams(task('admin:withdraw-fees', 'Withdraws the USDC and native fees collected by the CarbonCoinLauncher to its owner'))
+  .addOptionalParam('account', 'Named account of the launcher owner', 'deployer')
+  .setAction(async (args, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { formatUsdc } = require('../js-helpers/coin');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+    const globals = require('../js-helpers/globals');
+
+    const signer = await getAdminSigner(hre, args);
+    const launcher = await hre.ethers.getContract('CarbonCoinLauncher', signer);
+    // getFeeBalance() is the native balance; the USDC fees are the launcher's USDC balance
+    const usdc = new hre.ethers.Contract(await launcher.usdcAddress(), globals.erc20Abi, hre.ethers.provider);
+    const [ usdcFees, nativeFees ] = await Promise.all([
+      usdc.balanceOf(launcher.address),
+      launcher.getFeeBalance(),
+    ]);
+
+    if (usdcFees.isZero() && nativeFees.isZero()) {
+      log('  No fees to withdraw.');
+    }
+    if (!usdcFees.isZero()) {
+      await executeTx('1-a', `Withdrawing ${formatUsdc(usdcFees)} USDC in fees`, () => launcher.withdrawUsdcFees());
+    }
+    if (!nativeFees.isZero()) {
+      await executeTx('1-b', `Withdrawing ${hre.ethers.utils.formatEther(nativeFees)} in native fees`, () => launcher.withdrawNativeFees());
+    }
+    logGasCost();
+    await saveSafeBatch(hre, signer, args);
+  });
+
+addSafeParams(task('admin:max-tokens', 'Sets how many tokens a single creator can launch'))
+  .addParam('max', 'Tokens per creator (1-100)', undefined, types.int)
+  .addOptionalParam('account', 'Named account of the launcher owner', 'deployer')
+  .setAction(async (args, hre) => {
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+
+    if (args.max < 1 || args.max > 100) {
+      throw new Error(`Tokens per creator must be between 1 and 100 (got ${args.max})`);
+    }
+    const signer = await getAdminSigner(hre, args);
+    const launcher = await hre.ethers.getContract('CarbonCoinLauncher', signer);
+    await executeTx('1-a', `Setting maxTokensPerCreator: ${args.max}`, () => launcher.setMaxTokensPerCreator(args.max));
+    logGasCost();
+    await saveSafeBatch(hre, signer, args);
+  });
+
+addSafeParams(task('admin:update-router', 'Points CarbonCoinDex (or PhoenixDex) at a new DEX router'))
+  .addParam('router', 'Router address')
+  .addOptionalParam('contract', 'CarbonCoinDex or PhoenixDex', 'CarbonCoinDex')
+  .addOptionalParam('account', 'Named account of the DEX owner', 'deployer')
+  .setAction(async (args, hre) => {
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+
+    if (!['CarbonCoinDex', 'PhoenixDex'].includes(args.contract)) {
+      throw new Error(`Unknown DEX contract "${args.contract}" (expected CarbonCoinDex or PhoenixDex)`);
+    }
+    if (!hre.ethers.utils.isAddress(args.router)) {
+      throw new Error(`Invalid router address "${args.router}"`);
+    }
+    const signer = await getAdminSigner(hre, args);
+    const dex = await hre.ethers.getContract(args.contract, signer);
+    await executeTx('1-a', `Setting ${args.contract}.dexRouter: ${args.router}`, () => dex.updateRouter(args.router));
+    logGasCost();
+    await saveSafeBatch(hre, signer, args);
+  });
+
+addSafeParams(task('admin:eggs-price', 'Sets the USDC price of burning a PhoenixEggs NFT'))
+  .addParam('price', 'Price in USDC (e.g. 200)')
+  .addOptionalParam('account', 'Named account of the PhoenixEggs owner', 'deployer')
+  .setAction(async (args, hre) => {
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { parseUsdc, formatUsdc } = require('../js-helpers/coin');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+
+    const price = parseUsdc(args.price);
+    const signer = await getAdminSigner(hre, args);
+    const eggs = await hre.ethers.getContract('PhoenixEggs', signer);
+    await executeTx('1-a', `Setting the PhoenixEggs price: ${formatUsdc(await eggs.getBurnPrice())} -> ${formatUsdc(price)} USDC`, () => eggs.setPrice(price));
+    logGasCost();
+    await saveSafeBatch(hre, signer, args);
+  });
+
+task('admin:audit', 'Reports the owner, controller, paused state and cross-contract pointers of every deployment, flagging inconsistencies')
+  .addOptionalParam('format', 'table or json', 'table')
+  .addOptionalParam('out', 'Output file (default: stdout)')
+  .setAction(async ({ format, out }, hre) => {
+    const fs = require('fs');
+    const path = require('path');
+    const { chainIdByName, log } = require('../js-helpers/utils');
+    const { getChainAddresses } = require('../js-helpers/deploy');
+    const { auditDeployments, formatAuditTables } = require('../js-helpers/ownershipAudit');
+
+    if (!['table', 'json'].includes(format)) {
+      throw new Error(`Unknown audit format "${format}" (expected table or json)`);
+    }
+    const { treasury } = await hre.getNamedAccounts();
+    const { usdc, router, positionManager } = await getChainAddresses(hre, chainIdByName(hre.network.name)).catch(() => ({}));
+    const audit = await auditDeployments({
+      provider: hre.ethers.provider,
+      records: await hre.deployments.all(),
+      values: { usdc, router, positionManager, treasury },
+    });
+
+    const contents = format === 'json' ? JSON.stringify({ network: hre.network.name, ...audit }, null, 2) : formatAuditTables(audit);
+    if (out) {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, contents);
+      log(`  - Wrote ${out}`);
+    } else {
+      console.log(contents);
+    }
+    return audit;
+  });
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const { task } = require('hardhat/config');
+const { addSafeParams } = require('../js-helpers/safeBatch');
+
+// Helpers are required inside each action; they load 'hardhat', which is not available while the config is loading
+
+const logGasCost = () => {
+  const { log } = require('../js-helpers/utils');
+  const { getAccumulatedGasCost } = require('../js-helpers/executeTx');
+  const [ gwei1 ] = getAccumulatedGasCost();
+  log(`  - Gas Cost (at 1 gwei): ${gwei1}`);
+};
+
+// Curve from a JSON file (--curve) or a named preset (--preset, optionally scaled by --market-cap)
+const loadCurveConfig = ({ curve, preset, marketCap }) => {
+  const { getCurvePreset } = require('../js-helpers/curveConfig');
+  if (curve) {
+    return JSON.parse(fs.readFileSync(curve, 'utf8'));
+  }
+  return getCurvePreset(preset, marketCap);
+};
+
+const logCurveReport = ({ valid, errors, warnings, metrics }) => {
+  const { log } = require('../js-helpers/utils');
+  Object.entries(metrics).forEach(([ key, value ]) => log(`  - ${key}: ${value}`));
+  errors.forEach(({ invariant, message, suggestion }) => {
+    log(`  - [error] ${invariant}: ${message}`);
+    if (Object.keys(suggestion).length) { log(`    suggested: ${JSON.stringify(suggestion)}`); }
+  });
+  warnings.forEach(({ invariant, message }) => log(`  - [warning] ${invariant}: ${message}`));
+  log(`  Curve is ${valid ? 'valid' : 'INVALID'}`);
+};
+
+task('coin:curve', 'Validates a bonding curve config (or shows a preset) and suggests corrected values')
+  .addOptionalParam('curve', 'Path to a JSON file with the BondingCurveConfig')
+  .addOptionalParam('preset', 'Curve preset (50/40/10 or 45/45/10)', '45/45/10')
+  .addOptionalParam('marketCap', 'Scale the preset to this fully-diluted market cap at graduation, in USDC')
+  .setAction(async (args) => {
+    const { log } = require('../js-helpers/utils');
+    const { validateCurveConfig } = require('../js-helpers/curveConfig');
+
+    const curveConfig = loadCurveConfig(args);
+    log(`\n  Bonding Curve: ${JSON.stringify(curveConfig, null, 2)}`);
+    const report = validateCurveConfig(curveConfig);
+    logCurveReport(report);
+    return { curveConfig, ...report };
+  });
+
+task('coin:create', 'Creates a new CarbonCoin through the CarbonCoinLauncher')
+  .addParam('name', 'Token name')
+  .addParam('symbol', 'Token symbol')
+  .addOptionalParam('creator', 'Creator address (default: the sending account)')
+  .addOptionalParam('curve', 'Path to a JSON file with the BondingCurveConfig (overrides --preset)')
+  .addOptionalParam('preset', 'Curve preset (50/40/10 or 45/45/10)', '45/45/10')
+  .addOptionalParam('marketCap', 'Scale the preset to this fully-diluted market cap at graduation, in USDC')
+  .addFlag('force', 'Create the token even if the curve fails validation')
+  .addOptionalParam('account', 'Named account sending the transaction (must be the launcher controller)', 'deployer')
+  .setAction(async ({ name, symbol, creator, curve, preset, marketCap, force, account }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { getNamedSigner } = require('../js-helpers/coin');
+    const { validateCurveConfig } = require('../js-helpers/curveConfig');
+
+    const curveConfig = loadCurveConfig({ curve, preset, marketCap });
+    const report = validateCurveConfig(curveConfig);
+    if (!report.valid) {
+      logCurveReport(report);
+      if (!force) {
+        throw new Error('Invalid bonding curve; fix the errors above or pass --force');
+      }
+    }
+
+    const signer = await getNamedSigner(hre, account);
+    const launcher = await hre.ethers.getContract('CarbonCoinLauncher', signer);
+    const creatorAddress = creator || signer.address;
+
+    const { receipt } = await executeTx('1-a', `Creating CarbonCoin "${name}" (${symbol}) for ${creatorAddress}`,
+      () => launcher.createToken(name, symbol, creatorAddress, curveConfig));
+    logGasCost();
+
+    // Read the token from this transaction's own logs, not from the creator's past TokenCreated events
+    const createdTopic = launcher.interface.getEventTopic('TokenCreated');
+    const createdLog = receipt.logs.find((entry) => entry.address.toLowerCase() === launcher.address.toLowerCase() && entry.topics[0] === createdTopic);
+    const created = createdLog && launcher.interface.parseLog(createdLog);
+    if (!created) {
+      log(`  - No TokenCreated event found for ${symbol}`);
+      return null;
+    }
+    log(`  - CarbonCoin deployed to: ${created.args.tokenAddress}`);
+    return created.args.tokenAddress;
+  });
+
+task('coin:buy', 'Buys CarbonCoin tokens with USDC')
+  .addParam('token', 'CarbonCoin address')
+  .addParam('usdc', 'Amount of USDC to spend (e.g. "25.5")')
+  .addOptionalParam('slippage', 'Slippage tolerance in percent', '1')
+  .addOptionalParam('account', 'Named account sending the transaction', 'deployer')
+  .setAction(async ({ token, usdc: usdcAmount, slippage, account }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { getNamedSigner, getCoinContracts, ensureUsdcAllowance, checkWhaleTrade, applySlippage, parseUsdc, formatUsdc, formatTokens } = require('../js-helpers/coin');
+
+    const signer = await getNamedSigner(hre, account);
+    const { carbonCoin, usdc } = await getCoinContracts(hre, token, signer);
+    const amountIn = parseUsdc(usdcAmount);
+
+    const expectedOut = await carbonCoin.calculateTokensOut(amountIn);
+    if (expectedOut.isZero()) {
+      throw new Error(`${formatUsdc(amountIn)} USDC buys no tokens`);
+    }
+    const minTokensOut = applySlippage(expectedOut, slippage);
+    log(`  - Quote: ${formatTokens(expectedOut)} tokens (min. ${formatTokens(minTokensOut)} at ${slippage}% slippage)`);
+    await checkWhaleTrade(hre, signer, token, 'buy', amountIn);
+
+    const balanceBefore = await carbonCoin.balanceOf(signer.address);
+    await ensureUsdcAllowance('1-a', usdc, signer.address, carbonCoin.address, amountIn);
+    await executeTx('1-b', `Buying with ${formatUsdc(amountIn)} USDC`, () => carbonCoin.buy(amountIn, minTokensOut));
+    logGasCost();
+
+    const received = (await carbonCoin.balanceOf(signer.address)).sub(balanceBefore);
+    log(`  - Received ${formatTokens(received)} tokens`);
+    return received;
+  });
+
+task('coin:sell', 'Sells CarbonCoin tokens for USDC')
+  .addParam('token', 'CarbonCoin address')
+  .addParam('amount', 'Amount of tokens to sell (e.g. "1000")')
+  .addOptionalParam('slippage', 'Slippage tolerance in percent', '1')
+  .addOptionalParam('account', 'Named account sending the transaction', 'deployer')
+  .setAction(async ({ token, amount, slippage, account }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { getNamedSigner, getCoinContracts, checkWhaleTrade, applySlippage, parseTokens, formatUsdc, formatTokens } = require('../js-helpers/coin');
+
+    const signer = await getNamedSigner(hre, account);
+    const { carbonCoin, usdc } = await getCoinContracts(hre, token, signer);
+    const tokensIn = parseTokens(amount);
+
+    const [ expectedOut, fee ] = await carbonCoin.calculateUsdcOutWithFee(tokensIn);
+    if (expectedOut.isZero()) {
+      throw new Error(`Selling ${formatTokens(tokensIn)} tokens returns no USDC`);
+    }
+    const minUsdcOut = applySlippage(expectedOut, slippage);
+    log(`  - Quote: ${formatUsdc(expectedOut)} USDC after ${formatUsdc(fee)} USDC fee (min. ${formatUsdc(minUsdcOut)} at ${slippage}% slippage)`);
+    await checkWhaleTrade(hre, signer, token, 'sell', tokensIn);
+
+    const balanceBefore = await usdc.balanceOf(signer.address);
+    await executeTx('1-a', `Selling ${formatTokens(tokensIn)} tokens`, () => carbonCoin.sell(tokensIn, minUsdcOut));
+    logGasCost();
+
+    const received = (await usdc.balanceOf(signer.address)).sub(balanceBefore);
+    log(`  - Received ${formatUsdc(received)} USDC`);
+    return received;
+  });
+
+task('coin:whale', 'Trades at or above the whale threshold: through a registered whale intent, or in sub-threshold chunks (--split)')
+  .addParam('token', 'CarbonCoin address')
+  .addParam('side', 'buy or sell')
+  .addParam('amount', 'USDC to spend (buy) or tokens to sell (sell)')
+  .addFlag('split', 'Split the order into trades below the whale threshold, waiting out the buy cooldown between them')
+  .addOptionalParam('slippage', 'Slippage tolerance in percent, per trade', '1')
+  .addOptionalParam('account', 'Named account sending the transactions', 'deployer')
+  .setAction(async ({ token, side, amount, split, slippage, account }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { getNamedSigner, getCoinClient, parseUsdc, parseTokens, formatUsdc, formatTokens } = require('../js-helpers/coin');
+    const { executeWhaleTrade, executeSplitTrade } = require('../sdk');
+
+    const signer = await getNamedSigner(hre, account);
+    const coin = getCoinClient(hre, token, signer);
+    const amountIn = (side === 'buy' ? parseUsdc(amount) : parseTokens(amount)).toBigInt();
+    const format = (value) => (side === 'buy' ? `${formatUsdc(value)} USDC` : `${formatTokens(value)} tokens`);
+
+    const onStep = ({ step, plan, until, reason, amount: stepAmount, index }) => {
+      if (step === 'plan') {
+        log(`  - Trade worth ${formatUsdc(plan.tradeValue)} USDC (whale threshold ${formatUsdc(plan.whaleThreshold)} USDC, delay ${plan.whaleDelay}s)${plan.whitelisted ? ', trader whitelisted' : ''}`);
+      } else if (step === 'wait') {
+        log(`  - Waiting for the ${reason} until ${new Date(until * 1000).toISOString()}`);
+      } else if (step === 'trade') {
+        log(`  - ${side === 'buy' ? 'Buying with' : 'Selling'} ${format(stepAmount)}${index === undefined ? '' : ` (chunk ${index + 1})`}`);
+      } else if (step === 'cancel') {
+        log(`  - Cancelling the whale intent: ${reason}`);
+      }
+    };
+
+    if (split) {
+      const { chunks, unsold } = await executeSplitTrade(coin, { side, amount: amountIn, slippage, onStep });
+      log(`  - Done in ${chunks.length} trades${unsold > 0n ? `; the curve could not take back the last ${format(unsold)}` : ''}`);
+      return chunks;
+    }
+    const { receipt } = await executeWhaleTrade(coin, { side, amount: amountIn, slippage, onStep });
+    log(`  - Done: ${receipt.transactionHash}`);
+    return receipt;
+  });
+
+task('coin:quote', 'Quotes a buy (--usdc) and/or a sell (--amount) on the bonding curve')
+  .addParam('token', 'CarbonCoin address')
+  .addOptionalParam('usdc', 'Amount of USDC to spend')
+  .addOptionalParam('amount', 'Amount of tokens to buy or sell')
+  .setAction(async ({ token, usdc: usdcAmount, amount }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { getCoinContracts, parseUsdc, parseTokens, formatUsdc, formatTokens } = require('../js-helpers/coin');
+
+    if (!usdcAmount && !amount) {
+      throw new Error('Provide --usdc and/or --amount');
+    }
+    const { carbonCoin } = await getCoinContracts(hre, token, hre.ethers.provider);
+    const quote = {};
+
+    if (usdcAmount) {
+      quote.buyTokensOut = formatTokens(await carbonCoin.calculateTokensOut(parseUsdc(usdcAmount)));
+      log(`  - Buy with ${usdcAmount} USDC: ${quote.buyTokensOut} tokens`);
+    }
+    if (amount) {
+      const tokens = parseTokens(amount);
+      const [ usdcOut, fee ] = await carbonCoin.calculateUsdcOutWithFee(tokens);
+      quote.buyUsdcIn = formatUsdc(await carbonCoin.calculateUsdcIn(tokens));
+      quote.sellUsdcOut = formatUsdc(usdcOut);
+      quote.sellFee = formatUsdc(fee);
+      log(`  - Buy ${amount} tokens: ${quote.buyUsdcIn} USDC`);
+      log(`  - Sell ${amount} tokens: ${quote.sellUsdcOut} USDC (fee: ${quote.sellFee} USDC)`);
+    }
+    return quote;
+  });
+
+task('coin:status', 'Shows the reserves, price and graduation progress of a CarbonCoin')
+  .addParam('token', 'CarbonCoin address')
+  .addOptionalParam('account', 'Named account to show the token balance of', 'deployer')
+  .setAction(async ({ token, account }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { getNamedSigner, getCoinContracts, getCoinStatus } = require('../js-helpers/coin');
+
+    const signer = await getNamedSigner(hre, account);
+    const { carbonCoin } = await getCoinContracts(hre, token, hre.ethers.provider);
+    const status = await getCoinStatus(carbonCoin, signer.address);
+
+    log(`\n  ${status.name} (${status.symbol}) - ${status.address}`);
+    Object.entries(status).forEach(([ key, value ]) => log(`  - ${key}: ${value}`));
+    return status;
+  });
+
+addSafeParams(task('coin:pause', 'Pauses (or unpauses) trading on a CarbonCoin'))
+  .addParam('token', 'CarbonCoin address')
+  .addFlag('unpause', 'Unpause trading instead')
+  .addOptionalParam('account', 'Named account sending the transaction (launcher, config owner or creator)', 'deployer')
+  .setAction(async (args, hre) => {
+    const { token, unpause } = args;
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { getCoinContracts } = require('../js-helpers/coin');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+
+    const signer = await getAdminSigner(hre, args);
+    const { carbonCoin } = await getCoinContracts(hre, token, signer);
+
+    if (unpause) {
+      await executeTx('1-a', `Unpausing ${token}`, () => carbonCoin.unpause());
+    } else {
+      await executeTx('1-a', `Pausing ${token}`, () => carbonCoin.pause());
+    }
+    logGasCost();
+    await saveSafeBatch(hre, signer, args);
+    return carbonCoin.paused();
+  });
+
+addSafeParams(task('coin:force-graduate', 'Graduates a CarbonCoin that has reached its threshold but did not graduate on its own'))
+  .addParam('token', 'CarbonCoin address')
+  .addOptionalParam('account', 'Named account sending the transaction (launcher, config owner or creator)', 'deployer')
+  .setAction(async (args, hre) => {
+    const { token } = args;
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { getCoinContracts, formatUsdc } = require('../js-helpers/coin');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+
+    const signer = await getAdminSigner(hre, args);
+    const { carbonCoin } = await getCoinContracts(hre, token, signer);
+
+    if (await carbonCoin.hasGraduated()) {
+      throw new Error(`${token} has already graduated`);
+    }
+    const [ usdcReserves, threshold ] = await Promise.all([ carbonCoin.realUsdcReserves(), carbonCoin.GRADUATION_THRESHOLD() ]);
+    if (usdcReserves.lt(threshold)) {
+      throw new Error(`USDC reserves (${formatUsdc(usdcReserves)}) are below the graduation threshold (${formatUsdc(threshold)})`);
+    }
+
+    await executeTx('1-a', `Force-graduating ${token}`, () => carbonCoin.forceGraduate());
+    logGasCost();
+    await saveSafeBatch(hre, signer, args);
+    return carbonCoin.hasGraduated();
+  });
+
+addSafeParams(task('coin:emergency-withdraw', 'Returns the USDC held by a paused, non-graduated CarbonCoin to its creator'))
+  .addParam('token', 'CarbonCoin address')
+  .addOptionalParam('account', 'Named account sending the transaction (config owner)', 'deployer')
+  .setAction(async (args, hre) => {
+    const { token } = args;
+    const { executeTx } = require('../js-helpers/executeTx');
+    const { getCoinContracts, formatUsdc } = require('../js-helpers/coin');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+
+    const signer = await getAdminSigner(hre, args);
+    const { carbonCoin, usdc } = await getCoinContracts(hre, token, signer);
+
+    if (!(await carbonCoin.paused())) {
+      throw new Error(`${token} must be paused first (see coin:pause)`);
+    }
+    const balance = await usdc.balanceOf(carbonCoin.address);
+    await executeTx('1-a', `Withdrawing ${formatUsdc(balance)} USDC to the creator of ${token}`, () => carbonCoin.emergencyWithdraw());
+    logGasCost();
+    await saveSafeBatch(hre, signer, args);
+    return usdc.balanceOf(carbonCoin.address);
+  });
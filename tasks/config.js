@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const { addSafeParams } = require('../js-helpers/safeBatch');
+
+// CarbonCoinConfig as deployed for the current network, with the manifest entry for it
+const getConfigContract = async (hre) => {
+  const { chainIdByName, isHardhat } = require('../js-helpers/utils');
+  const { getNetworkManifest } = require('../js-helpers/deploy');
+
+  const manifest = getNetworkManifest(chainIdByName(hre.network.name), hre.network.name, isHardhat(hre.network));
+  const entry = manifest.contracts.CarbonCoinConfig;
+  const record = await hre.deployments.getOrNull('CarbonCoinConfig');
+  const address = entry.action === 'reuse' ? entry.address : (record && record.address);
+  if (!address) {
+    throw new Error(`CarbonCoinConfig has not been deployed on ${hre.network.name}`);
+  }
+  const startBlock = (entry.action !== 'reuse' && record && record.receipt) ? record.receipt.blockNumber : 0;
+  return { manifest, address, startBlock };
+};
+
+addSafeParams(task('config:defaults', 'Compares the CarbonCoinConfig defaults with the manifest and applies the declared values'))
+  .addFlag('dryRun', 'Print the diff without sending any transactions')
+  .addOptionalParam('account', 'Named account of the config owner', 'deployer')
+  .setAction(async (args, hre) => {
+    const { reconcileSettings } = require('../js-helpers/reconcile');
+    const { getConfigDefaultSettings } = require('../js-helpers/configDefaults');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+
+    const { manifest, address } = await getConfigContract(hre);
+    const signer = await getAdminSigner(hre, args);
+    const config = await hre.ethers.getContractAt('CarbonCoinConfig', address, signer);
+    const diff = await reconcileSettings(getConfigDefaultSettings(config, manifest.settings.configDefaults), { dryRun: args.dryRun });
+    await saveSafeBatch(hre, signer, args);
+    return diff;
+  });
+
+task('config:history', 'Exports every DefaultConfigUpdated event of CarbonCoinConfig with the values it set')
+  .addOptionalParam('fromBlock', 'First block to scan (default: config deployment block)', -1, types.int)
+  .addOptionalParam('format', 'json or csv', 'json')
+  .addOptionalParam('out', 'Output file (default: stdout)')
+  .setAction(async ({ fromBlock, format, out }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { exportData } = require('../js-helpers/marketStats');
+    const { getConfigHistory } = require('../js-helpers/configDefaults');
+
+    const { address, startBlock } = await getConfigContract(hre);
+    const history = await getConfigHistory({
+      provider: hre.ethers.provider,
+      config: address,
+      fromBlock: fromBlock >= 0 ? fromBlock : startBlock,
+    });
+
+    const contents = exportData(history, format);
+    if (out) {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, contents);
+      log(`  - Wrote ${history.length} changes to ${out}`);
+    } else {
+      console.log(contents);
+    }
+    return history;
+  });
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+
+task('fees:report', 'Fee statement for a period: fees collected per source, withdrawals and balances of the launcher and CarbonOpus')
+  .addOptionalParam('fromBlock', 'First block of the period', undefined, types.int)
+  .addOptionalParam('toBlock', 'Last block of the period (default: latest)', undefined, types.int)
+  .addOptionalParam('from', 'Start of the period, as unix seconds or a date (e.g. 2025-01-01); ignored with --from-block')
+  .addOptionalParam('to', 'End of the period, as unix seconds or a date; ignored with --to-block')
+  .addOptionalParam('opus', 'CarbonOpus address (default: the deployed CarbonOpus, if any)')
+  .addOptionalParam('format', 'json or csv', 'json')
+  .addOptionalParam('out', 'Output file (default: stdout)')
+  .setAction(async (args, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { exportData } = require('../js-helpers/marketStats');
+    const { parseTime, getBlockRange, getFeeReport, getStatementRows } = require('../js-helpers/feeReport');
+
+    if (!['json', 'csv'].includes(args.format)) {
+      throw new Error(`Unknown export format "${args.format}" (expected json or csv)`);
+    }
+    const provider = hre.ethers.provider;
+    const launcher = await hre.deployments.get('CarbonCoinLauncher');
+    const opus = args.opus || (await hre.deployments.getOrNull('CarbonOpus') || {}).address;
+    const launcherBlock = launcher.receipt ? launcher.receipt.blockNumber : 0;
+
+    const { fromBlock, toBlock } = await getBlockRange(provider, {
+      fromBlock: (args.fromBlock === undefined && args.from === undefined) ? launcherBlock : args.fromBlock,
+      toBlock: args.toBlock,
+      from: args.from === undefined ? undefined : parseTime(args.from),
+      to: args.to === undefined ? undefined : parseTime(args.to),
+    });
+    const report = await getFeeReport({ provider, launcher: launcher.address, opus, fromBlock, toBlock });
+
+    const contents = args.format === 'csv' ? exportData(getStatementRows(report), 'csv') : exportData({ network: hre.network.name, ...report }, 'json');
+    if (args.out) {
+      fs.mkdirSync(path.dirname(args.out), { recursive: true });
+      fs.writeFileSync(args.out, contents);
+      log(`  - Wrote the statement for blocks ${fromBlock} - ${toBlock} to ${args.out}`);
+    } else {
+      console.log(contents);
+    }
+    report.accounts.forEach(({ account, reconciled, difference }) => {
+      if (reconciled === false) {
+        log(`  ! ${account} does not reconcile: the closing balance is off by ${difference} (base units)`);
+      } else if (reconciled === null) {
+        log(`  ! ${account} could not be reconciled: the node has no balance for one end of the period (archive node needed)`);
+      }
+    });
+    return report;
+  });
@@ -0,0 +1,82 @@
+const path = require('path');
+const { task, types } = require('hardhat/config');
+
+task('graduation:keeper', 'Watches the graduation progress of every launched token and verifies the liquidity of each graduation')
+  .addOptionalParam('db', 'Path of the checkpoint store (default: cache/graduation/<network>.json)')
+  .addOptionalParam('fromBlock', 'First block to scan for a new store (default: launcher deployment block)', -1, types.int)
+  .addOptionalParam('confirmations', 'Blocks to stay behind the head', 0, types.int)
+  .addOptionalParam('nearThreshold', 'Graduation progress (percent) that raises an alert', 90, types.float)
+  .addOptionalParam('lpRecipient', 'Expected LP destination (default: each token\'s creator)')
+  .addOptionalParam('logFile', 'Also append alerts to this file, one JSON object per line')
+  .addOptionalParam('webhook', 'Also POST alerts to this URL')
+  .addOptionalParam('secret', 'HMAC key for the X-Carbon-Signature webhook header')
+  .addOptionalParam('minSeverity', 'Lowest severity sent to the webhook: info, warning or critical', 'info')
+  .addFlag('forceGraduate', 'Send forceGraduate for tokens at the threshold that did not graduate (config owner or creator key, --account)')
+  .addFlag('markGraduated', 'Send markTokenGraduated for graduated tokens the launcher missed (launcher owner key, --account)')
+  .addOptionalParam('tokens', 'Comma-separated token addresses the policy actions are limited to (default: all)')
+  .addOptionalParam('account', 'Named account of the operator, used with --force-graduate and --mark-graduated', 'deployer')
+  .addFlag('once', 'Poll once and exit instead of watching new blocks')
+  .setAction(async (args, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { getNamedSigner } = require('../js-helpers/coin');
+    const { createJsonStore } = require('../js-helpers/indexer');
+    const { createConsoleSink, createFileSink, createWebhookSink } = require('../js-helpers/protectionMonitor');
+    const { createGraduationKeeper } = require('../js-helpers/graduationKeeper');
+
+    const launcher = await hre.deployments.get('CarbonCoinLauncher');
+    const sinks = [ createConsoleSink((line) => log(`  ${line}`)) ];
+    if (args.logFile) { sinks.push(createFileSink(args.logFile)); }
+    if (args.webhook) { sinks.push(createWebhookSink(args.webhook, { secret: args.secret, minSeverity: args.minSeverity })); }
+
+    const acting = args.forceGraduate || args.markGraduated;
+    const keeper = createGraduationKeeper({
+      provider: hre.ethers.provider,
+      launcher: launcher.address,
+      sinks,
+      store: createJsonStore(args.db || path.join(hre.config.paths.cache, 'graduation', `${hre.network.name}.json`)),
+      startBlock: args.fromBlock >= 0 ? args.fromBlock : (launcher.receipt ? launcher.receipt.blockNumber : 0),
+      confirmations: args.confirmations,
+      nearThreshold: args.nearThreshold,
+      lpRecipient: args.lpRecipient,
+      signer: acting ? await getNamedSigner(hre, args.account) : null,
+      policy: {
+        forceGraduate: args.forceGraduate,
+        markGraduated: args.markGraduated,
+        tokens: args.tokens ? args.tokens.split(',').map((token) => token.trim()) : null,
+      },
+      onError: (err) => log(`  - ${err.message}`),
+    });
+
+    const result = await keeper.poll();
+    const tokens = await keeper.getStatus();
+    const graduated = tokens.filter((token) => token.graduated);
+    log(`  - Scanned blocks ${result.fromBlock}-${result.toBlock}: ${result.alerts.length} alerts, ${tokens.length} tokens, ${graduated.length} graduated`);
+    tokens.filter((token) => !token.graduated && token.progress >= args.nearThreshold).forEach(({ address, symbol, progress }) => {
+      log(`    ${symbol} (${address}): ${progress}% of the threshold`);
+    });
+    if (args.once) { return tokens; }
+
+    log('  Watching (Ctrl+C to stop)...');
+    keeper.start();
+    await new Promise((resolve) => process.once('SIGINT', resolve));
+    await keeper.stop();
+    log('  Keeper stopped.');
+  });
+
+task('graduation:verify', 'Verifies the liquidity deployed by the graduation of a token')
+  .addParam('token', 'CarbonCoin address')
+  .addOptionalParam('lpRecipient', 'Expected LP destination (default: the token creator)')
+  .setAction(async ({ token, lpRecipient }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { verifyGraduation } = require('../js-helpers/graduationKeeper');
+
+    const carbonCoin = await hre.ethers.getContractAt('CarbonCoin', token);
+    const [ graduation ] = await carbonCoin.queryFilter(carbonCoin.filters.Graduated());
+    if (!graduation) {
+      throw new Error(`${token} has not graduated`);
+    }
+    const result = await verifyGraduation({ provider: hre.ethers.provider, token, transactionHash: graduation.transactionHash, lpRecipient });
+    log(`  Graduation of ${token} in block ${result.blockNumber}: ${result.status}`);
+    result.checks.forEach(({ check, status, message }) => log(`    [${status}] ${check}: ${message}`));
+    return result;
+  });
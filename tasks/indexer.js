@@ -0,0 +1,132 @@
+const path = require('path');
+const { task, types } = require('hardhat/config');
+
+const defaultDbPath = (hre) => path.join(hre.config.paths.cache, 'indexer', `${hre.network.name}.json`);
+
+// Indexer for the deployed CarbonCoinLauncher; starts at the launcher's deployment block
+const getLauncherIndexer = async (hre, { db, fromBlock, batchSize, confirmations }) => {
+  const { createIndexer, createJsonStore } = require('../js-helpers/indexer');
+
+  const deployment = await hre.deployments.get('CarbonCoinLauncher');
+  const startBlock = fromBlock >= 0 ? fromBlock : (deployment.receipt ? deployment.receipt.blockNumber : 0);
+  return createIndexer({
+    provider: hre.ethers.provider,
+    launcher: deployment.address,
+    store: createJsonStore(db || defaultDbPath(hre)),
+    startBlock,
+    batchSize,
+    confirmations,
+  });
+};
+
+const loadIndex = (hre, db) => {
+  const { createJsonStore } = require('../js-helpers/indexer');
+  const index = createJsonStore(db || defaultDbPath(hre)).load();
+  if (!index) {
+    throw new Error('No index found; run "index:sync" first');
+  }
+  return index;
+};
+
+task('index:sync', 'Indexes launcher and token events into the local JSON store')
+  .addOptionalParam('db', 'Path of the JSON store (default: cache/indexer/<network>.json)')
+  .addOptionalParam('fromBlock', 'First block to index for a new store (default: launcher deployment block)', -1, types.int)
+  .addOptionalParam('toBlock', 'Last block to index (default: latest minus confirmations)', undefined, types.int)
+  .addOptionalParam('batchSize', 'Blocks per getLogs request', 2000, types.int)
+  .addOptionalParam('confirmations', 'Blocks to stay behind the head', 0, types.int)
+  .setAction(async (args, hre) => {
+    const { log } = require('../js-helpers/utils');
+
+    const indexer = await getLauncherIndexer(hre, args);
+    const result = await indexer.sync(args.toBlock);
+    if (result.reorg) {
+      log(`  - Reorg detected at block ${result.reorg.from}; rolled back to block ${result.reorg.ancestor}`);
+    }
+    log(`  - Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.events} events`);
+    return result;
+  });
+
+task('index:tokens', 'Lists indexed tokens, optionally by creator or only the most recent')
+  .addOptionalParam('db', 'Path of the JSON store (default: cache/indexer/<network>.json)')
+  .addOptionalParam('creator', 'Only tokens created by this address')
+  .addOptionalParam('recent', 'Only the N most recent launches', 0, types.int)
+  .setAction(async ({ db, creator, recent }, hre) => {
+    const _ = require('lodash');
+    const { getTokens, getTokensByCreator } = require('../js-helpers/indexer');
+
+    const index = loadIndex(hre, db);
+    let tokens = creator ? getTokensByCreator(index, creator) : getTokens(index);
+    if (recent) { tokens = _.take(_.orderBy(tokens, ['blockNumber'], ['desc']), recent); }
+    console.table(tokens.map(({ address, symbol, creator: tokenCreator, graduated, blockNumber }) => ({ address, symbol, creator: tokenCreator, graduated, blockNumber })));
+    return tokens;
+  });
+
+task('index:trades', 'Shows the indexed trade history of a token')
+  .addOptionalParam('db', 'Path of the JSON store (default: cache/indexer/<network>.json)')
+  .addParam('token', 'CarbonCoin address')
+  .addOptionalParam('trader', 'Only trades by this address')
+  .addOptionalParam('limit', 'Only the last N trades', 0, types.int)
+  .setAction(async ({ db, token, trader, limit }, hre) => {
+    const { getTradeHistory } = require('../js-helpers/indexer');
+
+    const trades = getTradeHistory(loadIndex(hre, db), token, { trader, limit });
+    console.table(trades.map(({ type, trader: account, usdcAmount, tokenAmount, blockNumber }) => ({ type, trader: account, usdcAmount, tokenAmount, blockNumber })));
+    return trades;
+  });
+
+task('index:holders', 'Shows the indexed holder balances of a token')
+  .addOptionalParam('db', 'Path of the JSON store (default: cache/indexer/<network>.json)')
+  .addParam('token', 'CarbonCoin address')
+  .setAction(async ({ db, token }, hre) => {
+    const { getHolderBalances } = require('../js-helpers/indexer');
+
+    const holders = getHolderBalances(loadIndex(hre, db), token);
+    console.table(holders);
+    return holders;
+  });
+
+// Prints the export, or writes it to "out"
+const writeExport = (data, format, out) => {
+  const fs = require('fs');
+  const { exportData } = require('../js-helpers/marketStats');
+  const { log } = require('../js-helpers/utils');
+
+  const contents = exportData(data, format);
+  if (out) {
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, contents);
+    log(`  - Wrote ${out}`);
+  } else {
+    console.log(contents);
+  }
+};
+
+task('index:candles', 'Exports OHLCV candles of a token from the indexed price updates')
+  .addOptionalParam('db', 'Path of the JSON store (default: cache/indexer/<network>.json)')
+  .addParam('token', 'CarbonCoin address')
+  .addOptionalParam('interval', 'Candle interval: 1m, 5m, 1h or 1d', '1h')
+  .addOptionalParam('from', 'Start time (unix seconds)', undefined, types.int)
+  .addOptionalParam('to', 'End time (unix seconds)', undefined, types.int)
+  .addOptionalParam('format', 'json or csv', 'json')
+  .addOptionalParam('out', 'Output file (default: stdout)')
+  .addFlag('noFill', 'Skip intervals without trades')
+  .setAction(async ({ db, token, interval, from, to, format, out, noFill }, hre) => {
+    const { getCandles } = require('../js-helpers/marketStats');
+
+    const candles = getCandles(loadIndex(hre, db), token, { interval, from, to, fill: !noFill });
+    writeExport(candles, format, out);
+    return candles;
+  });
+
+task('index:stats', 'Shows 24h volume, market cap, fees and graduation progress of a token')
+  .addOptionalParam('db', 'Path of the JSON store (default: cache/indexer/<network>.json)')
+  .addParam('token', 'CarbonCoin address')
+  .addOptionalParam('format', 'json or csv', 'json')
+  .addOptionalParam('out', 'Output file (default: stdout)')
+  .setAction(async ({ db, token, format, out }, hre) => {
+    const { getMarketStats } = require('../js-helpers/marketStats');
+
+    const stats = getMarketStats(loadIndex(hre, db), token);
+    writeExport(stats, format, out);
+    return stats;
+  });
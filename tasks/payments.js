@@ -0,0 +1,46 @@
+const path = require('path');
+const { task, types } = require('hardhat/config');
+
+const defaultDir = (hre) => path.join(hre.config.paths.cache, 'payments');
+
+task('payments:watch', 'Reconciles PermitAndTransfer payments against pending orders by uuid')
+  .addOptionalParam('contract', 'PermitAndTransfer address (default: the deployed PermitAndTransfer)')
+  .addOptionalParam('orders', 'JSON file of orders keyed by uuid (default: cache/payments/orders.json)')
+  .addOptionalParam('db', 'Path of the checkpoint store (default: cache/payments/<network>.json)')
+  .addOptionalParam('fromBlock', 'First block to scan for a new checkpoint store (default: contract deployment block)', -1, types.int)
+  .addOptionalParam('senderId', 'Only payments tagged with this sender id')
+  .addOptionalParam('confirmations', 'Confirmations before a payment is applied', 1, types.int)
+  .addOptionalParam('webhook', 'URL that receives each notification as a JSON POST')
+  .addOptionalParam('secret', 'HMAC key for the X-Carbon-Signature webhook header')
+  .addFlag('once', 'Poll once and exit instead of watching new blocks')
+  .setAction(async (args, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { createJsonStore } = require('../js-helpers/indexer');
+    const { createPaymentWatcher, createJsonOrderStore } = require('../js-helpers/paymentWatcher');
+
+    const deployment = args.contract ? null : await hre.deployments.get('PermitAndTransfer');
+    const startBlock = args.fromBlock >= 0 ? args.fromBlock : ((deployment && deployment.receipt) ? deployment.receipt.blockNumber : 0);
+    const watcher = createPaymentWatcher({
+      provider: hre.ethers.provider,
+      contract: args.contract || deployment.address,
+      orders: createJsonOrderStore(args.orders || path.join(defaultDir(hre), 'orders.json')),
+      store: createJsonStore(args.db || path.join(defaultDir(hre), `${hre.network.name}.json`)),
+      startBlock,
+      senderId: args.senderId,
+      confirmations: args.confirmations,
+      webhookUrl: args.webhook,
+      webhookSecret: args.secret,
+      onEvent: ({ type, payment, reason }) => log(`  - ${type} ${payment.uuid} (${payment.value} from ${payment.from})${reason ? `: ${reason}` : ''}`),
+      onError: (err) => log(`  - ${err.message}`),
+    });
+
+    const result = await watcher.poll();
+    log(`  - Reconciled blocks ${result.fromBlock}-${result.toBlock}: ${result.notifications.length} payments`);
+    if (args.once) { return result; }
+
+    log('  Watching for payments (Ctrl+C to stop)...');
+    watcher.start();
+    await new Promise((resolve) => process.once('SIGINT', resolve));
+    await watcher.stop();
+    log('  Payment watcher stopped.');
+  });
@@ -0,0 +1,99 @@
+const path = require('path');
+const { task, types } = require('hardhat/config');
+
+task('protection:monitor', 'Alerts on circuit breaker and bot-detection events for every launched token')
+  .addOptionalParam('db', 'Path of the checkpoint store (default: cache/protection/<network>.json)')
+  .addOptionalParam('fromBlock', 'First block to scan for a new store (default: launcher deployment block)', -1, types.int)
+  .addOptionalParam('confirmations', 'Blocks to stay behind the head', 0, types.int)
+  .addOptionalParam('logFile', 'Also append alerts to this file, one JSON object per line')
+  .addOptionalParam('webhook', 'Also POST alerts to this URL')
+  .addOptionalParam('secret', 'HMAC key for the X-Carbon-Signature webhook header')
+  .addOptionalParam('minSeverity', 'Lowest severity sent to the webhook: info, warning or critical', 'info')
+  .addFlag('reset', 'Reset expired circuit breakers with the protection owner key (--account)')
+  .addOptionalParam('account', 'Named account of the protection owner, used with --reset', 'deployer')
+  .addFlag('once', 'Poll once and exit instead of watching new blocks')
+  .setAction(async (args, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { getNamedSigner } = require('../js-helpers/coin');
+    const { createJsonStore } = require('../js-helpers/indexer');
+    const { createProtectionMonitor, createConsoleSink, createFileSink, createWebhookSink } = require('../js-helpers/protectionMonitor');
+
+    const [ protection, launcher ] = await Promise.all([
+      hre.deployments.get('CarbonCoinProtection'),
+      hre.deployments.get('CarbonCoinLauncher'),
+    ]);
+    const sinks = [ createConsoleSink((line) => log(`  ${line}`)) ];
+    if (args.logFile) { sinks.push(createFileSink(args.logFile)); }
+    if (args.webhook) { sinks.push(createWebhookSink(args.webhook, { secret: args.secret, minSeverity: args.minSeverity })); }
+
+    const monitor = createProtectionMonitor({
+      provider: hre.ethers.provider,
+      protection: protection.address,
+      launcher: launcher.address,
+      sinks,
+      store: createJsonStore(args.db || path.join(hre.config.paths.cache, 'protection', `${hre.network.name}.json`)),
+      startBlock: args.fromBlock >= 0 ? args.fromBlock : (launcher.receipt ? launcher.receipt.blockNumber : 0),
+      confirmations: args.confirmations,
+      resetSigner: args.reset ? await getNamedSigner(hre, args.account) : null,
+      onError: (err) => log(`  - ${err.message}`),
+    });
+
+    const result = await monitor.poll();
+    const tokens = await monitor.getStatus();
+    const active = tokens.filter(({ breaker }) => breaker && breaker.isActive);
+    log(`  - Scanned blocks ${result.fromBlock}-${result.toBlock}: ${result.alerts.length} alerts, ${tokens.length} tokens, ${active.length} breakers active`);
+    active.forEach(({ address, symbol, breaker }) => log(`    ${symbol} (${address}): ${breaker.timeRemaining}s remaining`));
+    if (args.once) { return tokens; }
+
+    log('  Monitoring (Ctrl+C to stop)...');
+    monitor.start();
+    await new Promise((resolve) => process.once('SIGINT', resolve));
+    await monitor.stop();
+    log('  Monitor stopped.');
+  });
+
+task('protection:lists', 'Applies blacklist/whitelist changes from a CSV of token,address,action rows, skipping rows already in effect')
+  .addParam('csv', 'CSV file of token,address,action rows (action: blacklist, unblacklist, whitelist or unwhitelist)')
+  .addOptionalParam('journal', 'Journal of sent transactions, for resuming (default: cache/protection/lists-<network>.json)')
+  .addOptionalParam('auditLog', 'Audit log, one JSON object per line (default: cache/protection/lists-<network>.log)')
+  .addOptionalParam('batchSize', 'Transactions sent before waiting for them to be mined', 10, types.int)
+  .addOptionalParam('confirmations', 'Confirmations to wait for per transaction', 1, types.int)
+  .addOptionalParam('account', 'Named account of the protection owner', 'deployer')
+  .addFlag('dryRun', 'Print the diff without sending any transactions')
+  .setAction(async (args, hre) => {
+    const fs = require('fs');
+    const { log } = require('../js-helpers/utils');
+    const { getNamedSigner } = require('../js-helpers/coin');
+    const { createJsonStore } = require('../js-helpers/indexer');
+    const { createFileSink } = require('../js-helpers/protectionMonitor');
+    const { parseAccessCsv, createAccessListManager } = require('../js-helpers/accessLists');
+
+    const rows = parseAccessCsv(fs.readFileSync(args.csv, 'utf8'));
+    const protection = await hre.deployments.get('CarbonCoinProtection');
+    const dir = path.join(hre.config.paths.cache, 'protection');
+    const audit = createFileSink(args.auditLog || path.join(dir, `lists-${hre.network.name}.log`));
+    const manager = createAccessListManager({
+      signer: await getNamedSigner(hre, args.account),
+      protection: protection.address,
+      store: createJsonStore(args.journal || path.join(dir, `lists-${hre.network.name}.json`)),
+      batchSize: args.batchSize,
+      confirmations: args.confirmations,
+      onAudit: (entry) => {
+        audit(entry);
+        log(`  - [${entry.status}] line ${entry.line}: ${entry.action} ${entry.address} on ${entry.token}${entry.error ? ` (${entry.error})` : ''}`);
+      },
+    });
+
+    const changes = await manager.plan(rows);
+    const todo = changes.filter((change) => change.change);
+    log(`\n  Access Lists${args.dryRun ? ' (dry-run)' : ''}: ${rows.length} rows, ${todo.length} changes, ${rows.length - todo.length} already in effect`);
+    todo.forEach(({ line, action, address, token }) => log(`  - [change] line ${line}: ${action} ${address} on ${token}`));
+    if (args.dryRun || !todo.length) { return changes; }
+
+    const result = await manager.apply(changes);
+    log(`  ${result.applied.length} applied, ${result.failed.length} failed, ${result.remaining.length} not sent`);
+    if (result.failed.length || result.remaining.length) {
+      log('  Fix the failed rows and run the task again; rows already applied are skipped.');
+    }
+    return result;
+  });
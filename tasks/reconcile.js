@@ -0,0 +1,39 @@
+const { task } = require('hardhat/config');
+const { addSafeParams } = require('../js-helpers/safeBatch');
+
+addSafeParams(task('reconcile', 'Compares the on-chain configuration of the Carbon Coin stack with the deployment manifest and fixes any drift'))
+  .addFlag('dryRun', 'Print the diff without sending any transactions')
+  .addOptionalParam('account', 'Named account of the contract owner', 'deployer')
+  .setAction(async (args, hre) => {
+    const { dryRun } = args;
+    const { chainIdByName, isHardhat, log } = require('../js-helpers/utils');
+    const { getNetworkManifest, getManifestContracts, getChainAddresses } = require('../js-helpers/deploy');
+    const { getStackSettings, reconcileSettings } = require('../js-helpers/reconcile');
+    const { getAccumulatedGasCost } = require('../js-helpers/executeTx');
+    const { getAdminSigner, saveSafeBatch } = require('../js-helpers/admin');
+
+    const { network, getNamedAccounts } = hre;
+    const { treasury } = await getNamedAccounts();
+    const chainId = chainIdByName(network.name);
+    const { usdc } = await getChainAddresses(hre, chainId);
+
+    const manifest = getNetworkManifest(chainId, network.name, isHardhat(network));
+    const { contracts: manifestContracts, records } = await getManifestContracts(hre, manifest);
+    const signer = await getAdminSigner(hre, args);
+    const contracts = Object.fromEntries(Object.entries(manifestContracts).map(([ name, contract ]) => [ name, contract.connect(signer) ]));
+
+    const desiredSettings = getStackSettings({
+      contracts,
+      records,
+      settings: manifest.settings,
+      values: { usdc, treasury },
+    });
+    const diff = await reconcileSettings(desiredSettings, { dryRun });
+
+    if (!dryRun) {
+      const [ gwei1 ] = getAccumulatedGasCost();
+      log(`\n  Gas Cost (at 1 gwei): ${gwei1}`);
+      await saveSafeBatch(hre, signer, args);
+    }
+    return diff;
+  });
@@ -0,0 +1,27 @@
+const { task, types } = require('hardhat/config');
+
+task('relayer:start', 'Runs the gasless relayer for CarbonCoinPaymaster.buyOnBehalf until interrupted')
+  .addOptionalParam('port', 'HTTP port', 8787, types.int)
+  .addOptionalParam('paymaster', 'CarbonCoinPaymaster address (default: the deployed CarbonCoinPaymaster)')
+  .addOptionalParam('slippage', 'Default slippage percent for minTokensOut', '1')
+  .addOptionalParam('confirmations', 'Confirmations before a submission is confirmed', 1, types.int)
+  .addOptionalParam('account', 'Named account of the paymaster controller', 'deployer')
+  .setAction(async ({ port, paymaster, slippage, confirmations, account }, hre) => {
+    const { log } = require('../js-helpers/utils');
+    const { getNamedSigner } = require('../js-helpers/coin');
+    const { createRelayer, createRelayerServer } = require('../js-helpers/relayer');
+
+    const signer = await getNamedSigner(hre, account);
+    const paymasterAddress = paymaster || (await hre.deployments.get('CarbonCoinPaymaster')).address;
+    const relayer = createRelayer({ signer, paymaster: paymasterAddress, slippage, confirmations });
+    const server = createRelayerServer(relayer);
+
+    await new Promise((resolve) => server.listen(port, resolve));
+    log(`\n  Relayer listening on http://localhost:${port}`);
+    log(`  - Paymaster:  ${paymasterAddress}`);
+    log(`  - Controller: ${signer.address}`);
+
+    await new Promise((resolve) => process.once('SIGINT', resolve));
+    await new Promise((resolve) => server.close(resolve));
+    log('  Relayer stopped.');
+  });
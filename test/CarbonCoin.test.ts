@@ -1,45 +1,346 @@
-import { ethers, deployments } from "hardhat";
+import { ethers } from "hardhat";
 import { expect } from "chai";
-import { CarbonCoin, CarbonCoinLauncher, CarbonCoinConfig } from "../typechain-types";
+import { createCarbonCoin, deployCarbonCoinDex, deployCarbonCoinFixture, DEFAULT_CURVE, GRADUATING_CURVE, increaseTime, usdc, tokens } from "./fixtures";
+
+const { signPaymasterBuy } = require("../js-helpers/permit");
+
+// Past the launch window, where non-whitelisted buys are capped at maxBuyAmountEarly
+const ANTI_BOT_DURATION = 121;
+
+// Crosses GRADUATING_CURVE's threshold after the 1% buy fee
+const GRADUATION_BUY = usdc(10200);
 
 describe("CarbonCoin", () => {
-  let carbonCoin: CarbonCoin;
-  let carbonCoinLauncher: CarbonCoinLauncher;
-  let carbonCoinConfig: CarbonCoinConfig;
-  let deployer: any;
+  let fixture: any;
+  let coin: any;
+  let trader: any;
 
   beforeEach(async () => {
-    await deployments.fixture(["CarbonCoinLauncher"]);
-    const { deploy } = deployments;
-    const namedAccounts = await ethers.getNamedSigners();
-    deployer = namedAccounts.deployer;
-
-    carbonCoinConfig = await ethers.getContract<CarbonCoinConfig>("CarbonCoinConfig");
-    carbonCoinLauncher = await ethers.getContract<CarbonCoinLauncher>("CarbonCoinLauncher");
-
-    const bondingCurveParams = {
-      virtualEth: ethers.utils.parseEther("30"),
-      virtualTokens: ethers.utils.parseEther("1073000000"),
-      maxSupply: ethers.utils.parseEther("1000000000"),
-      graduationThreshold: ethers.utils.parseEther("85"),
+    fixture = await deployCarbonCoinFixture();
+    const { usdcToken, carbonCoin } = fixture;
+    coin = carbonCoin;
+    trader = fixture.user3;
+
+    await usdcToken.mint(trader.address, usdc(10000));
+    await usdcToken.connect(trader).approve(coin.address, ethers.constants.MaxUint256);
+  });
+
+  describe("Token Creation", () => {
+    it("creates a token for the creator with the curve and the creator reserve", async () => {
+      const { launcher, protection, user1 } = fixture;
+      expect(await coin.name()).to.equal("Test Carbon Coin");
+      expect(await coin.symbol()).to.equal("TCC");
+      expect(await coin.creator()).to.equal(user1.address);
+      expect(await coin.GRADUATION_THRESHOLD()).to.equal(ethers.BigNumber.from(DEFAULT_CURVE.graduationThreshold));
+      expect(await coin.balanceOf(user1.address)).to.equal(ethers.BigNumber.from(DEFAULT_CURVE.creatorReserve));
+
+      const info = await launcher.tokens(coin.address);
+      expect(info.creator).to.equal(user1.address);
+      expect(info.graduated).to.equal(false);
+      expect(await launcher.tokensCreatedByAddress(user1.address)).to.equal(1);
+      expect(await launcher.totalTokensCreated()).to.equal(1);
+      expect(await protection.whitelist(coin.address, user1.address)).to.equal(true);
+    });
+
+    it("only lets the controller create tokens", async () => {
+      const { launcher, user2 } = fixture;
+      await expect(launcher.connect(user2).createToken("Other", "OTH", user2.address, DEFAULT_CURVE))
+        .to.be.revertedWithCustomError(launcher, "Unauthorized");
+    });
+
+    it("limits the tokens per creator to maxTokensPerCreator", async () => {
+      const { launcher, user1, user2 } = fixture;
+      expect(await launcher.maxTokensPerCreator()).to.equal(1);
+      await expect(launcher.createToken("Second", "TC2", user1.address, DEFAULT_CURVE))
+        .to.be.revertedWithCustomError(launcher, "TooManyTokens");
+
+      // The limit is per creator
+      await createCarbonCoin(launcher, user2.address, DEFAULT_CURVE, "Other", "OTH");
+
+      await expect(launcher.setMaxTokensPerCreator(2)).to.emit(launcher, "MaxTokensPerCreatorUpdated");
+      const second = await createCarbonCoin(launcher, user1.address, DEFAULT_CURVE, "Second", "TC2");
+      expect((await launcher.tokens(second.address)).creator).to.equal(user1.address);
+      expect(await launcher.tokensCreatedByAddress(user1.address)).to.equal(2);
+      expect(await launcher.totalTokensCreated()).to.equal(3);
+
+      await expect(launcher.createToken("Third", "TC3", user1.address, DEFAULT_CURVE))
+        .to.be.revertedWithCustomError(launcher, "TooManyTokens");
+      await expect(launcher.setMaxTokensPerCreator(0)).to.be.revertedWith("Invalid max");
+      await expect(launcher.connect(user2).setMaxTokensPerCreator(5)).to.be.reverted;
+    });
+  });
+
+  describe("Trading", () => {
+    it("buys the quoted tokens and sends the buy fee to the launcher", async () => {
+      const { launcher, usdcToken } = fixture;
+      const amount = usdc(50);
+      const tokensOut = await coin.calculateTokensOut(amount);
+
+      await expect(coin.connect(trader).buy(amount, tokensOut)).to.emit(coin, "TokensPurchased");
+      expect(await coin.balanceOf(trader.address)).to.equal(tokensOut);
+      expect(await usdcToken.balanceOf(launcher.address)).to.equal(usdc("0.5"));
+
+      const [ usdcReserves, tokenSupply ] = await coin.getReserves();
+      expect(usdcReserves).to.equal(usdc("49.5"));
+      expect(tokenSupply).to.equal(tokensOut);
+      expect(await usdcToken.balanceOf(coin.address)).to.equal(usdcReserves);
+    });
+
+    it("sells for the quoted USDC and sends the sell fee to the launcher", async () => {
+      const { launcher, usdcToken } = fixture;
+      await coin.connect(trader).buy(usdc(100), 0);
+      const balance = await coin.balanceOf(trader.address);
+      const feesBefore = await usdcToken.balanceOf(launcher.address);
+      const usdcBefore = await usdcToken.balanceOf(trader.address);
+
+      const sold = balance.div(2);
+      const [ usdcOut, fee ] = await coin.calculateUsdcOutWithFee(sold);
+      expect(await coin.calculateUsdcOut(sold)).to.equal(usdcOut);
+
+      await expect(coin.connect(trader).sell(sold, usdcOut.add(1))).to.be.revertedWithCustomError(coin, "SlippageTooHigh");
+      await expect(coin.connect(trader).sell(sold, usdcOut)).to.emit(coin, "TokensSold");
+      expect(await coin.balanceOf(trader.address)).to.equal(balance.sub(sold));
+      expect(await usdcToken.balanceOf(trader.address)).to.equal(usdcBefore.add(usdcOut));
+      expect(await usdcToken.balanceOf(launcher.address)).to.equal(feesBefore.add(fee));
+    });
+
+    it("rejects buys below the quote and sells beyond the balance", async () => {
+      const tokensOut = await coin.calculateTokensOut(usdc(50));
+      await expect(coin.connect(trader).buy(usdc(50), tokensOut.add(1))).to.be.revertedWithCustomError(coin, "SlippageTooHigh");
+      await expect(coin.connect(trader).sell(tokens(1), 0)).to.be.revertedWithCustomError(coin, "InvalidAmount");
+      await expect(coin.connect(trader).sell(0, 0)).to.be.revertedWithCustomError(coin, "InvalidAmount");
+    });
+
+    it("stops the creator moving the reserve before graduation", async () => {
+      const { user1, user2 } = fixture;
+      await expect(coin.connect(user1).transfer(user2.address, tokens(1)))
+        .to.be.revertedWithCustomError(coin, "CreatorCannotSellBeforeGraduation");
+
+      // Burns are let through the lock, so the creator can still sell into the curve
+      // (see "Graduation" for transfers once it has graduated)
+      await coin.connect(trader).buy(usdc(50), 0);
+      await coin.connect(trader).transfer(user2.address, tokens(1));
+      expect(await coin.balanceOf(user2.address)).to.equal(tokens(1));
+    });
+  });
+
+  describe("Anti-Bot Protection", () => {
+    it("caps buys during the launch window", async () => {
+      await expect(coin.connect(trader).buy(usdc(101), 0)).to.be.revertedWith("Buy amount too high");
+      await coin.connect(trader).buy(usdc(100), 0);
+
+      await increaseTime(ANTI_BOT_DURATION);
+      await coin.connect(trader).buy(usdc(500), 0);
+    });
+
+    it("enforces the cooldown between buys", async () => {
+      const { protection } = fixture;
+      await coin.connect(trader).buy(usdc(10), 0);
+      expect(await protection.getUserCooldown(coin.address, trader.address)).to.be.within(1, 15);
+      await expect(coin.connect(trader).buy(usdc(10), 0)).to.be.revertedWith("Cooldown active");
+
+      // Sells have no cooldown
+      await coin.connect(trader).sell(tokens(1), 0);
+
+      await increaseTime(15);
+      expect(await protection.getUserCooldown(coin.address, trader.address)).to.equal(0);
+      await coin.connect(trader).buy(usdc(10), 0);
+    });
+
+    it("rejects buys under the minimum and blacklisted traders", async () => {
+      const { protection } = fixture;
+      await expect(coin.connect(trader).buy(usdc("0.5"), 0)).to.be.revertedWithCustomError(coin, "InvalidAmount");
+
+      await protection.blacklistAddress(coin.address, trader.address, true);
+      await expect(coin.connect(trader).buy(usdc(10), 0)).to.be.revertedWith("Blacklisted");
+      await protection.blacklistAddress(coin.address, trader.address, false);
+      await coin.connect(trader).buy(usdc(10), 0);
+    });
+
+    it("skips the launch cap and the cooldown for whitelisted traders", async () => {
+      const { protection } = fixture;
+      await protection.addToWhitelist(coin.address, trader.address);
+      await coin.connect(trader).buy(usdc(500), 0);
+      await coin.connect(trader).buy(usdc(10), 0);
+      expect(await protection.getUserCooldown(coin.address, trader.address)).to.equal(0);
+    });
+  });
+
+  describe("Whale Protection", () => {
+    beforeEach(async () => {
+      await increaseTime(ANTI_BOT_DURATION);
+    });
+
+    it("requires an intent for trades over the whale threshold", async () => {
+      const { protection } = fixture;
+      await coin.connect(trader).buy(usdc(999), 0);
+      await increaseTime(15);
+
+      // The intent is recorded inside the trade, so the revert rolls it back
+      await expect(coin.connect(trader).buy(usdc(1000), 0)).to.be.revertedWithCustomError(coin, "WhaleIntentRequired");
+      const intent = await protection.getWhaleIntent(coin.address, trader.address);
+      expect(intent.intentTime).to.equal(0);
+      expect(intent.canExecute).to.equal(false);
+    });
+
+    it("caps the trade size for non-whitelisted traders", async () => {
+      const { protection } = fixture;
+      await expect(coin.connect(trader).buy(usdc(2600), 0)).to.be.revertedWith("Trade size too large");
+
+      await protection.addToWhitelist(coin.address, trader.address);
+      await coin.connect(trader).buy(usdc(2600), 0);
+      expect(await coin.balanceOf(trader.address)).to.be.gt(0);
+    });
+  });
+
+  describe("Circuit Breaker", () => {
+    // Each 500 USDC buy moves the price by about 21%; the third such move trips the breaker
+    const tripBreaker = async () => {
+      const { protection } = fixture;
+      await protection.addToWhitelist(coin.address, trader.address);
+      for (let i = 0; i < 3; i++) {
+        await coin.connect(trader).buy(usdc(500), 0);
+      }
+      await expect(coin.connect(trader).buy(usdc(500), 0)).to.emit(protection, "CircuitBreakerTriggered");
     };
 
-    const createTokenTx = await carbonCoinLauncher.createToken(
-      "Test Carbon Coin",
-      "TCC",
-      bondingCurveParams,
-      { value: ethers.utils.parseEther("0.0001") }
-    );
+    it("trips on repeated large price moves and halts trading", async () => {
+      const { protection } = fixture;
+      await tripBreaker();
+
+      const status = await protection.getCircuitBreakerStatus(coin.address);
+      expect(status.isActive).to.equal(true);
+      expect(status.volatilityMoves).to.equal(3);
+      expect(status.timeRemaining).to.be.within(1, 15 * 60);
+
+      await expect(coin.connect(trader).buy(usdc(10), 0)).to.be.revertedWithCustomError(protection, "CircuitBreakerActive");
+      await expect(coin.connect(trader).sell(tokens(1), 0)).to.be.revertedWithCustomError(protection, "CircuitBreakerActive");
+    });
+
+    it("is reset by the protection owner", async () => {
+      const { protection, user2 } = fixture;
+      await tripBreaker();
+
+      await expect(protection.connect(user2).resetCircuitBreaker(coin.address)).to.be.reverted;
+      await expect(protection.resetCircuitBreaker(coin.address)).to.emit(protection, "CircuitBreakerReset");
+      expect((await protection.getCircuitBreakerStatus(coin.address)).isActive).to.equal(false);
+      await coin.connect(trader).sell(tokens(1), 0);
+    });
+
+    it("expires after the breaker duration", async () => {
+      const { protection } = fixture;
+      await tripBreaker();
+
+      await increaseTime(15 * 60);
+      expect((await protection.getCircuitBreakerStatus(coin.address)).isActive).to.equal(false);
+      await coin.connect(trader).buy(usdc(10), 0);
+    });
+  });
+
+  describe("Paymaster", () => {
+    it("buys on behalf of a user with a USDC permit", async () => {
+      const { paymaster, usdcToken } = fixture;
+      const usdcBefore = await usdcToken.balanceOf(trader.address);
+      const tokensOut = await coin.calculateTokensOut(usdc(50));
+
+      const { args } = await signPaymasterBuy(trader, paymaster, { token: coin.address, usdcAmount: usdc(50) });
+      await expect(paymaster.buyOnBehalf(...args)).to.emit(paymaster, "TokenBuy");
+
+      expect(await coin.balanceOf(trader.address)).to.equal(tokensOut);
+      expect(await usdcToken.balanceOf(trader.address)).to.equal(usdcBefore.sub(usdc(50)));
+      expect(await usdcToken.balanceOf(paymaster.address)).to.equal(0);
+    });
 
-    const receipt = await createTokenTx.wait();
-    const tokenCreatedEvent = receipt.events?.find(e => e.event === 'TokenCreated');
-    const tokenAddress = tokenCreatedEvent?.args?.tokenAddress;
+    it("only takes buys from the paymaster controller", async () => {
+      const { paymaster, user2 } = fixture;
+      const { args } = await signPaymasterBuy(trader, paymaster, { token: coin.address, usdcAmount: usdc(50) });
+      await expect(paymaster.connect(user2).buyOnBehalf(...args)).to.be.revertedWithCustomError(paymaster, "Unauthorized");
+      await expect(coin.connect(user2).buyOnBehalf(trader.address, usdc(50), 0)).to.be.revertedWithCustomError(coin, "Unauthorized");
+    });
+  });
+
+  describe("Graduation", () => {
+    let graduating: any;
+    let dex: any;
+    let positionManager: any;
+
+    beforeEach(async () => {
+      const { launcher, protection, usdcToken, user2 } = fixture;
+      ({ positionManager, dex } = await deployCarbonCoinDex(fixture));
+
+      // user1 already has the fixture coin, at the default one-token limit
+      graduating = await createCarbonCoin(launcher, user2.address, GRADUATING_CURVE, "Graduate", "GRAD");
+      await protection.addToWhitelist(graduating.address, trader.address);
+      await usdcToken.mint(trader.address, GRADUATION_BUY);
+      await usdcToken.connect(trader).approve(graduating.address, ethers.constants.MaxUint256);
+    });
+
+    it("deploys the reserves as liquidity once the threshold is reached", async () => {
+      const { config, launcher, usdcToken, user2 } = fixture;
+      await config.updateDexAddress(dex.address);
+
+      const tx = await graduating.connect(trader).buy(GRADUATION_BUY, 0);
+      await expect(tx).to.emit(graduating, "Graduated");
+      await expect(tx).to.emit(dex, "LiquidityDeployed");
+      await expect(tx).to.emit(launcher, "TokenGraduated");
+
+      expect(await graduating.hasGraduated()).to.equal(true);
+      expect((await launcher.tokens(graduating.address)).graduated).to.equal(true);
+      expect(await positionManager.ownerOf(1)).to.equal(user2.address);
+
+      // All of the reserves and the liquidity supply went into the position
+      const [ usdcReserves ] = await graduating.getReserves();
+      expect(await usdcToken.balanceOf(positionManager.address)).to.equal(usdcReserves);
+      expect(await graduating.balanceOf(positionManager.address)).to.equal(ethers.BigNumber.from(GRADUATING_CURVE.liquiditySupply));
+      expect(await usdcToken.balanceOf(graduating.address)).to.equal(0);
+    });
 
-    carbonCoin = await ethers.getContractAt("CarbonCoin", tokenAddress);
+    it("closes the curve and releases the creator lock after graduation", async () => {
+      const { config, user1, user2 } = fixture;
+      await config.updateDexAddress(dex.address);
+      await graduating.connect(trader).buy(GRADUATION_BUY, 0);
+
+      await expect(graduating.connect(trader).buy(usdc(10), 0)).to.be.revertedWithCustomError(graduating, "AlreadyGraduated");
+      await expect(graduating.connect(trader).sell(tokens(1), 0)).to.be.revertedWithCustomError(graduating, "AlreadyGraduated");
+
+      await graduating.connect(user2).transfer(user1.address, tokens(1));
+      expect(await graduating.balanceOf(user1.address)).to.equal(tokens(1));
+    });
+
+    it("cannot graduate without a DEX in the config", async () => {
+      await expect(graduating.connect(trader).buy(GRADUATION_BUY, 0)).to.be.reverted;
+      expect(await graduating.hasGraduated()).to.equal(false);
+
+      // Buys that stay under the threshold are unaffected
+      await graduating.connect(trader).buy(usdc(1000), 0);
+    });
   });
 
-  it("should have the correct name and symbol", async () => {
-    expect(await carbonCoin.name()).to.equal("Test Carbon Coin");
-    expect(await carbonCoin.symbol()).to.equal("TCC");
+  describe("Emergency Withdraw", () => {
+    beforeEach(async () => {
+      await coin.connect(trader).buy(usdc(100), 0);
+    });
+
+    it("sends the coin's USDC to the creator once paused", async () => {
+      const { usdcToken, user1 } = fixture;
+      const balance = await usdcToken.balanceOf(coin.address);
+      const creatorBefore = await usdcToken.balanceOf(user1.address);
+
+      await expect(coin.emergencyWithdraw()).to.be.revertedWith("Must be paused first");
+      await coin.pause();
+      await expect(coin.connect(trader).buy(usdc(10), 0)).to.be.reverted;
+
+      await expect(coin.emergencyWithdraw()).to.emit(coin, "EmergencyWithdraw");
+      expect(await usdcToken.balanceOf(user1.address)).to.equal(creatorBefore.add(balance));
+      expect(await usdcToken.balanceOf(coin.address)).to.equal(0);
+    });
+
+    it("is only available to the config owner", async () => {
+      const { user1, user2 } = fixture;
+      await coin.connect(user1).pause();
+      await expect(coin.connect(user1).emergencyWithdraw()).to.be.revertedWithCustomError(coin, "Unauthorized");
+      await expect(coin.connect(user2).emergencyWithdraw()).to.be.revertedWithCustomError(coin, "Unauthorized");
+      await expect(coin.connect(user2).unpause()).to.be.revertedWithCustomError(coin, "Unauthorized");
+    });
   });
 });
@@ -0,0 +1,116 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture } from "./fixtures";
+
+const { parseAccessCsv, createAccessListManager, AUDIT_STATUS } = require("../js-helpers/accessLists");
+const { createJsonStore } = require("../js-helpers/indexer");
+
+describe("Access Lists", () => {
+  let fixture: any;
+  let audit: any[];
+
+  const csv = (rows: string[][]) => ["token,address,action", ...rows.map((row) => row.join(","))].join("\n");
+
+  const newManager = (options: any = {}) => createAccessListManager({
+    signer: fixture.deployer,
+    protection: fixture.protection.address,
+    onAudit: (entry: any) => audit.push(entry),
+    ...options,
+  });
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    audit = [];
+  });
+
+  it("rejects invalid and conflicting rows", async () => {
+    const { carbonCoin, user2 } = fixture;
+    expect(() => parseAccessCsv(csv([
+      [carbonCoin.address, user2.address, "blacklist"],
+      [carbonCoin.address, user2.address, "unblacklist"],
+      [carbonCoin.address, "0x1234", "whitelist"],
+      [carbonCoin.address, user2.address, "ban"],
+    ]))).to.throw(/line 3: .*conflicts[\s\S]*line 4: invalid address[\s\S]*line 5: unknown action/);
+  });
+
+  it("skips rows that are already in effect", async () => {
+    const { protection, carbonCoin, deployer, user2, user3 } = fixture;
+    await protection.connect(deployer).blacklistAddress(carbonCoin.address, user2.address, true);
+
+    const changes = await newManager().plan(parseAccessCsv(csv([
+      [carbonCoin.address, user2.address, "blacklist"],
+      [carbonCoin.address, user3.address, "whitelist"],
+      [carbonCoin.address, user3.address, "unblacklist"],
+    ])));
+    expect(changes.map((change: any) => change.change)).to.deep.equal([false, true, false]);
+  });
+
+  it("applies the changes in batches and writes an audit entry for each", async () => {
+    const { protection, carbonCoin, deployer, user1, user2, user3 } = fixture;
+    await protection.connect(deployer).addToWhitelist(carbonCoin.address, user1.address);
+    const rows = parseAccessCsv(csv([
+      [carbonCoin.address, user1.address, "unwhitelist"],
+      [carbonCoin.address, user2.address, "blacklist"],
+      [carbonCoin.address, user3.address, "whitelist"],
+    ]));
+    const manager = newManager({ batchSize: 2 });
+
+    const nonce = await deployer.getTransactionCount();
+    const { applied, failed, remaining } = await manager.apply(await manager.plan(rows));
+    expect(applied).to.have.length(3);
+    expect(failed).to.have.length(0);
+    expect(remaining).to.have.length(0);
+    expect(applied.map((entry: any) => entry.nonce)).to.deep.equal([nonce, nonce + 1, nonce + 2]);
+
+    expect(await protection.whitelist(carbonCoin.address, user1.address)).to.equal(false);
+    expect(await protection.isBlacklisted(carbonCoin.address, user2.address)).to.equal(true);
+    expect(await protection.whitelist(carbonCoin.address, user3.address)).to.equal(true);
+
+    expect(audit.map((entry) => entry.status)).to.deep.equal([AUDIT_STATUS.APPLIED, AUDIT_STATUS.APPLIED, AUDIT_STATUS.APPLIED]);
+    expect(audit[0]).to.include({ line: 2, action: "unwhitelist", previous: true, operator: deployer.address });
+    expect(audit[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    // Running the same file again has nothing left to do
+    const again = await manager.plan(rows);
+    expect(again.filter((change: any) => change.change)).to.have.length(0);
+  });
+
+  it("settles transactions left in the journal by an interrupted run", async () => {
+    const { protection, carbonCoin, deployer, user2, user3 } = fixture;
+    const store = createJsonStore();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const tx = await protection.connect(deployer).blacklistAddress(carbonCoin.address, user2.address, true);
+    await ethers.provider.send("evm_setAutomine", [true]);
+    const journaled = { line: 2, token: carbonCoin.address, action: "blacklist", current: false, operator: deployer.address };
+    store.save({
+      version: 1,
+      chainId,
+      protection: protection.address,
+      pending: {
+        a: { ...journaled, id: "a", address: user2.address, nonce: tx.nonce, txHash: tx.hash },
+        b: { ...journaled, id: "b", address: user3.address, nonce: tx.nonce + 1, txHash: ethers.utils.hexZeroPad("0x01", 32) },
+      },
+    });
+    await ethers.provider.send("evm_mine", []);
+
+    const entries = await newManager({ store }).recover();
+    expect(entries.map((entry: any) => entry.status)).to.deep.equal([AUDIT_STATUS.APPLIED, AUDIT_STATUS.DROPPED]);
+    expect(store.load().pending).to.deep.equal({});
+  });
+
+  it("refuses to send from an account that does not own the protection contract", async () => {
+    const { carbonCoin, user2 } = fixture;
+    const manager = newManager({ signer: user2 });
+    const changes = await manager.plan(parseAccessCsv(csv([[carbonCoin.address, user2.address, "whitelist"]])));
+
+    let error: any;
+    try {
+      await manager.apply(changes);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.contain("does not own CarbonCoinProtection");
+  });
+});
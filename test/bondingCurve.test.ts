@@ -0,0 +1,149 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { DEFAULT_CURVE, deployCarbonCoinDex, deployCarbonCoinFixture, increaseTime, usdc, tokens } from "./fixtures";
+
+const curve = require("../js-helpers/bondingCurve");
+
+// Longer than the circuit breaker's volatility window, so large test trades don't trip it
+const VOLATILITY_WINDOW = 5 * 60 + 1;
+
+const big = (value: any) => BigInt(value.toString());
+const ONE = BigInt(1);
+
+describe("Bonding Curve Simulator", () => {
+  let carbonCoin: any;
+  let usdcToken: any;
+  let trader: any;
+  let fees: any;
+  let fixture: any;
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    carbonCoin = fixture.carbonCoin;
+    usdcToken = fixture.usdcToken;
+    trader = fixture.user2;
+
+    // Whitelisted traders skip the anti-bot, trade-size and whale limits; only the curve math is under test
+    await fixture.protection.addToWhitelist(carbonCoin.address, trader.address);
+    await usdcToken.mint(trader.address, usdc(100000));
+    await usdcToken.connect(trader).approve(carbonCoin.address, ethers.constants.MaxUint256);
+
+    const feeConfig = await fixture.config.getFeeConfig();
+    fees = { buyFee: feeConfig.buyFee, sellFee: feeConfig.sellFee };
+  });
+
+  const expectSameQuotes = async (state: any) => {
+    const [ usdcReserves, tokenSupply ] = await carbonCoin.getReserves();
+    expect(state.realUsdcReserves).to.equal(big(usdcReserves));
+    expect(state.realTokenSupply).to.equal(big(tokenSupply));
+    expect(curve.getCurrentPrice(state)).to.equal(big(await carbonCoin.getCurrentPrice()));
+
+    for (const amount of [ "1", "1.000001", "33.333333", "999.999999", "2500" ]) {
+      expect(curve.calculateTokensOut(state, big(usdc(amount)))).to.equal(big(await carbonCoin.calculateTokensOut(usdc(amount))));
+    }
+    for (const amount of [ "1", "12345.678901234567890123", "250000" ]) {
+      expect(curve.calculateUsdcIn(state, big(tokens(amount)))).to.equal(big(await carbonCoin.calculateUsdcIn(tokens(amount))));
+
+      const [ usdcOut, fee ] = await carbonCoin.calculateUsdcOutWithFee(tokens(amount));
+      expect(curve.calculateUsdcOutWithFee(state, big(tokens(amount)))).to.deep.equal([ big(usdcOut), big(fee) ]);
+    }
+  };
+
+  it("matches the contract wei-for-wei across a sequence of buys and sells", async () => {
+    let state = curve.createCurveState(DEFAULT_CURVE, fees);
+    await expectSameQuotes(state);
+
+    const trades = [
+      { type: "buy", amount: usdc("1") },
+      { type: "buy", amount: usdc("123.456789") },
+      { type: "sell", amount: tokens("1234.5678") },
+      { type: "buy", amount: usdc("2500") },
+      { type: "buy", amount: usdc("999.999999") },
+      { type: "sell", amount: tokens("100000") },
+      { type: "buy", amount: usdc("4321.000001") },
+      { type: "sell", amount: tokens("0.000000000000000001") },
+    ];
+
+    for (const trade of trades) {
+      await increaseTime(VOLATILITY_WINDOW);
+
+      if (trade.type === "buy") {
+        const result = curve.buy(state, big(trade.amount));
+        const balanceBefore = await carbonCoin.balanceOf(trader.address);
+        await carbonCoin.connect(trader).buy(trade.amount, 0);
+        const received = (await carbonCoin.balanceOf(trader.address)).sub(balanceBefore);
+        expect(result.trade.tokensOut).to.equal(big(received));
+        state = result.state;
+      } else {
+        const result = curve.sell(state, big(trade.amount));
+        const balanceBefore = await usdcToken.balanceOf(trader.address);
+        await carbonCoin.connect(trader).sell(trade.amount, 0);
+        const received = (await usdcToken.balanceOf(trader.address)).sub(balanceBefore);
+        expect(result.trade.usdcOut).to.equal(big(received));
+        state = result.state;
+      }
+      await expectSameQuotes(state);
+    }
+  });
+
+  it("reproduces the contract's reverts", async () => {
+    const state = curve.createCurveState(DEFAULT_CURVE, fees);
+
+    // More than the whole curve supply in a single buy
+    const tooMuch = usdc("100000");
+    expect(() => curve.buy(state, big(tooMuch))).to.throw(/ExceedsMaxSupply/);
+    await expect(carbonCoin.connect(trader).buy(tooMuch, 0)).to.be.revertedWithCustomError(carbonCoin, "ExceedsMaxSupply");
+
+    const quote = curve.calculateTokensOut(state, big(usdc("10")));
+    expect(() => curve.buy(state, big(usdc("10")), quote + ONE)).to.throw(/SlippageTooHigh/);
+    await expect(carbonCoin.connect(trader).buy(usdc("10"), (quote + ONE).toString())).to.be.revertedWithCustomError(carbonCoin, "SlippageTooHigh");
+  });
+
+  it("predicts whether a buy sequence can reach graduation", async () => {
+    const buySize = usdc("2500");
+    const simulation = curve.simulateToGraduation(DEFAULT_CURVE, { buySize: big(buySize), fees });
+
+    // The buy that reaches the threshold adds liquidity on the DEX
+    const { dex } = await deployCarbonCoinDex(fixture);
+    await fixture.config.updateDexAddress(dex.address);
+
+    for (const trade of simulation.trades) {
+      await increaseTime(VOLATILITY_WINDOW);
+      await carbonCoin.connect(trader).buy(trade.usdcAmount.toString(), 0);
+    }
+    const [ usdcReserves, tokenSupply ] = await carbonCoin.getReserves();
+    expect(simulation.realUsdcReserves).to.equal(big(usdcReserves));
+    expect(simulation.realTokenSupply).to.equal(big(tokenSupply));
+
+    if (simulation.revertedWith) {
+      // Rounding left the curve supply short of the threshold; the final buy reverts on-chain too
+      const remaining = simulation.state.curve.graduationThreshold - simulation.realUsdcReserves;
+      const finalBuy = (remaining * curve.BPS + (curve.BPS - big(fees.buyFee)) - ONE) / (curve.BPS - big(fees.buyFee));
+      await increaseTime(VOLATILITY_WINDOW);
+      await expect(carbonCoin.connect(trader).buy(finalBuy.toString(), 0)).to.be.revertedWithCustomError(carbonCoin, simulation.revertedWith);
+    } else {
+      expect(simulation.graduated).to.equal(true);
+      expect(simulation.liquidity.liquidityUsdc).to.equal(big(DEFAULT_CURVE.graduationThreshold));
+    }
+  });
+
+  it("reports the price path, USDC raised and liquidity split at graduation", () => {
+    // Single buy landing exactly on the threshold: no accumulated rounding
+    const threshold = big(DEFAULT_CURVE.graduationThreshold);
+    const buySize = (threshold * curve.BPS + (curve.BPS - big(fees.buyFee)) - ONE) / (curve.BPS - big(fees.buyFee));
+    const simulation = curve.simulateToGraduation(DEFAULT_CURVE, { buySize });
+
+    expect(simulation.graduated).to.equal(true);
+    expect(simulation.trades).to.have.length(1);
+    expect(simulation.pricePath).to.have.length(1);
+    expect(simulation.usdcToGraduate).to.equal(buySize);
+    expect(simulation.totalFees).to.equal(buySize - threshold);
+    expect(simulation.liquidity.liquidityUsdc).to.equal(threshold);
+    expect(simulation.liquidity.liquidityTokens).to.equal(big(DEFAULT_CURVE.liquiditySupply));
+    // The threshold is reached just before the whole curve supply is sold
+    const { curveTokensSold, totalSupply } = simulation.liquidity;
+    expect(curveTokensSold).to.equal(simulation.realTokenSupply);
+    expect(curveTokensSold <= big(DEFAULT_CURVE.curveSupply)).to.equal(true);
+    expect(totalSupply).to.equal(big(DEFAULT_CURVE.maxSupply) - big(DEFAULT_CURVE.curveSupply) + curveTokensSold);
+  });
+});
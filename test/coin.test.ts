@@ -0,0 +1,191 @@
+import hre, { ethers, deployments } from "hardhat";
+import { expect } from "chai";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createCarbonCoin, deployCarbonCoinDex, deployCarbonCoinFixture, GRADUATING_CURVE, increaseTime, usdc, tokens } from "./fixtures";
+
+const { formatTokens, formatUsdc } = require("../js-helpers/coin");
+
+// Longer than the buy cooldown, so a trader can trade again
+const COOLDOWN = 60;
+
+describe("Coin Tasks", () => {
+  let fixture: any;
+
+  // Runs a task, collecting what it logs
+  const runTask = async (name: string, args: any = {}) => {
+    const lines: string[] = [];
+    const consoleLog = console.log;
+    console.log = (...parts: any[]) => { lines.push(parts.join(" ")); };
+    try {
+      const result = await hre.run(name, args);
+      return { result, output: lines.join("\n") };
+    } finally {
+      console.log = consoleLog;
+    }
+  };
+
+  const rejection = async (promise: Promise<any>) => {
+    try {
+      await promise;
+    } catch (err) {
+      return err as any;
+    }
+    return null;
+  };
+
+  const buy = (account: string, amount: string) => runTask("coin:buy", { token: fixture.carbonCoin.address, usdc: amount, account });
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    const { launcher, usdcToken, user2 } = fixture;
+    await usdcToken.mint(user2.address, usdc(1000));
+
+    // coin:create finds the launcher through hardhat-deploy; the fixture reverts this record
+    await deployments.save("CarbonCoinLauncher", { address: launcher.address, abi: JSON.parse(launcher.interface.format("json")) });
+  });
+
+  after(async () => {
+    // Restore the deploy script's records for the tests that follow
+    await deployCarbonCoinFixture();
+  });
+
+  describe("coin:create", () => {
+    it("returns the token created by its own transaction", async () => {
+      const { launcher, user2 } = fixture;
+      await launcher.setMaxTokensPerCreator(2);
+      const first = await runTask("coin:create", { name: "Task Coin", symbol: "TASK", creator: user2.address });
+      expect(first.output).to.contain(`CarbonCoin deployed to: ${first.result}`);
+
+      const coin = await ethers.getContractAt("CarbonCoin", first.result);
+      expect(await coin.symbol()).to.equal("TASK");
+      expect(await coin.creator()).to.equal(user2.address);
+      expect(await launcher.tokensCreatedByAddress(user2.address)).to.equal(1);
+
+      // Same creator and symbol again: the new token, not the first one
+      const second = await runTask("coin:create", { name: "Task Coin", symbol: "TASK", creator: user2.address });
+      expect(second.result).to.not.equal(first.result);
+      expect(await launcher.tokensCreatedByAddress(user2.address)).to.equal(2);
+      expect(await (await ethers.getContractAt("CarbonCoin", second.result)).creator()).to.equal(user2.address);
+    });
+
+    it("refuses a curve that fails validation", async () => {
+      const { launcher } = fixture;
+      // The supplies add up to more than maxSupply
+      const curve = path.join(os.tmpdir(), `invalid-curve-${process.pid}.json`);
+      fs.writeFileSync(curve, JSON.stringify({ ...GRADUATING_CURVE, graduationThreshold: usdc(10000).toString(), maxSupply: tokens(1).toString() }));
+      try {
+        const error = await rejection(runTask("coin:create", { name: "Task Coin", symbol: "TASK", curve }));
+        expect(error.message).to.contain("Invalid bonding curve");
+        expect(await launcher.tokensCreatedByAddress(fixture.deployer.address)).to.equal(0);
+      } finally {
+        fs.unlinkSync(curve);
+      }
+    });
+  });
+
+  describe("coin:buy and coin:sell", () => {
+    it("buys at the quoted amount", async () => {
+      const { carbonCoin, user2 } = fixture;
+      const expected = await carbonCoin.calculateTokensOut(usdc(50));
+
+      const { result, output } = await buy("user2", "50");
+      expect(result).to.equal(expected);
+      expect(await carbonCoin.balanceOf(user2.address)).to.equal(expected);
+      expect(output).to.contain(`Approving 50.0 USDC for ${carbonCoin.address}`);
+      expect(output).to.contain(`Received ${formatTokens(expected)} tokens`);
+    });
+
+    it("sells at the quoted amount", async () => {
+      const { carbonCoin, usdcToken, user2 } = fixture;
+      await buy("user2", "50");
+      await increaseTime(COOLDOWN);
+
+      const [ expected ] = await carbonCoin.calculateUsdcOutWithFee(tokens(1000));
+      const usdcBefore = await usdcToken.balanceOf(user2.address);
+      const { result, output } = await runTask("coin:sell", { token: carbonCoin.address, amount: "1000", account: "user2" });
+      expect(result).to.equal(expected);
+      expect(await usdcToken.balanceOf(user2.address)).to.equal(usdcBefore.add(expected));
+      expect(output).to.contain(`Received ${formatUsdc(expected)} USDC`);
+    });
+  });
+
+  describe("coin:quote and coin:status", () => {
+    it("quotes buys and sells on the curve", async () => {
+      const { carbonCoin } = fixture;
+      const { result, output } = await runTask("coin:quote", { token: carbonCoin.address, usdc: "25", amount: "1000" });
+
+      const [ usdcOut, fee ] = await carbonCoin.calculateUsdcOutWithFee(tokens(1000));
+      expect(result).to.deep.equal({
+        buyTokensOut: formatTokens(await carbonCoin.calculateTokensOut(usdc(25))),
+        buyUsdcIn: formatUsdc(await carbonCoin.calculateUsdcIn(tokens(1000))),
+        sellUsdcOut: formatUsdc(usdcOut),
+        sellFee: formatUsdc(fee),
+      });
+      expect(output).to.contain(`Buy with 25 USDC: ${result.buyTokensOut} tokens`);
+
+      const error = await rejection(runTask("coin:quote", { token: carbonCoin.address }));
+      expect(error.message).to.contain("Provide --usdc and/or --amount");
+    });
+
+    it("shows the state of the coin", async () => {
+      const { carbonCoin, user1, user2 } = fixture;
+      const { result: bought } = await buy("user2", "50");
+
+      const { result, output } = await runTask("coin:status", { token: carbonCoin.address, account: "user2" });
+      expect(result).to.include({ address: carbonCoin.address, symbol: "TCC", creator: user1.address });
+      expect(output).to.contain(`(TCC) - ${carbonCoin.address}`);
+      expect(await carbonCoin.balanceOf(user2.address)).to.equal(bought);
+    });
+  });
+
+  describe("admin tasks", () => {
+    it("pauses and unpauses trading", async () => {
+      const { carbonCoin } = fixture;
+      const paused = await runTask("coin:pause", { token: carbonCoin.address });
+      expect(paused.result).to.equal(true);
+      expect(paused.output).to.contain(`Pausing ${carbonCoin.address}`);
+      expect(await carbonCoin.paused()).to.equal(true);
+
+      const unpaused = await runTask("coin:pause", { token: carbonCoin.address, unpause: true });
+      expect(unpaused.result).to.equal(false);
+      expect(await carbonCoin.paused()).to.equal(false);
+    });
+
+    it("returns the USDC of a paused coin to its creator", async () => {
+      const { carbonCoin, usdcToken, user1 } = fixture;
+      await buy("user2", "50");
+
+      const notPaused = await rejection(runTask("coin:emergency-withdraw", { token: carbonCoin.address }));
+      expect(notPaused.message).to.contain("must be paused first");
+
+      await runTask("coin:pause", { token: carbonCoin.address });
+      const held = await usdcToken.balanceOf(carbonCoin.address);
+      const creatorBefore = await usdcToken.balanceOf(user1.address);
+      const { result, output } = await runTask("coin:emergency-withdraw", { token: carbonCoin.address });
+      expect(result).to.equal(0);
+      expect(await usdcToken.balanceOf(user1.address)).to.equal(creatorBefore.add(held));
+      expect(output).to.contain(`Withdrawing ${formatUsdc(held)} USDC to the creator`);
+    });
+
+    // A buy that reaches the threshold graduates in the same transaction, so only the refusals can be run here
+    it("refuses to force-graduate below the threshold or after graduation", async () => {
+      const { carbonCoin, config, launcher, protection, usdcToken, treasury, user2 } = fixture;
+      const below = await rejection(runTask("coin:force-graduate", { token: carbonCoin.address }));
+      expect(below.message).to.contain("below the graduation threshold");
+
+      const { dex } = await deployCarbonCoinDex(fixture);
+      await config.updateDexAddress(dex.address);
+      const coin = await createCarbonCoin(launcher, treasury.address, GRADUATING_CURVE, "Graduate", "GRAD");
+      await protection.addToWhitelist(coin.address, user2.address);
+      await usdcToken.mint(user2.address, usdc(10200));
+      await usdcToken.connect(user2).approve(coin.address, ethers.constants.MaxUint256);
+      await coin.connect(user2).buy(usdc(10200), 0);
+      expect(await coin.hasGraduated()).to.equal(true);
+
+      const graduated = await rejection(runTask("coin:force-graduate", { token: coin.address }));
+      expect(graduated.message).to.contain("has already graduated");
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture, usdc } from "./fixtures";
+
+const _ = require("lodash");
+const globals = require("../js-helpers/globals");
+const { parseConfigDefaults, getConfigDefaultSettings, getConfigHistory } = require("../js-helpers/configDefaults");
+
+const MANIFEST_DEFAULTS = globals.manifest.defaults.settings.configDefaults;
+
+describe("Config Defaults", () => {
+  let fixture: any;
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+  });
+
+  it("converts readable units to contract units", async () => {
+    const { fee, antiBot, circuitBreaker, whaleLimit } = parseConfigDefaults(MANIFEST_DEFAULTS);
+    expect(fee.buyFee).to.equal(100);
+    expect(antiBot.antiBotDuration).to.equal(120);
+    expect(antiBot.maxBuyAmountEarly).to.equal(usdc(100));
+    expect(circuitBreaker.volatilityWindow).to.equal(300);
+    expect(circuitBreaker.maxVolatilityMoves).to.equal(3);
+    expect(whaleLimit.maxTradeSize).to.equal(usdc(2500));
+  });
+
+  it("reports every invalid value at once", async () => {
+    const declared = _.merge(_.cloneDeep(MANIFEST_DEFAULTS), {
+      fee: { buyFee: "6%" },
+      antiBot: { cooldownPeriod: "10m" },
+      circuitBreaker: { maxPriceImpact: "5" },
+    });
+    expect(() => parseConfigDefaults(declared)).to.throw(/fee: buyFee exceeds maxFee[\s\S]*antiBot.cooldownPeriod: 10m is outside 0s - 5m[\s\S]*circuitBreaker.maxPriceImpact: "5" is not a percentage/);
+    expect(() => parseConfigDefaults({ fee: { buyFee: "1%" } })).to.throw(/fee.sellFee: missing/);
+  });
+
+  it("declares the constructor defaults in the manifest", async () => {
+    const settings = getConfigDefaultSettings(fixture.config, MANIFEST_DEFAULTS);
+    expect(settings).to.have.length(4);
+    for (const setting of settings) {
+      expect(await setting.read()).to.equal(setting.desired);
+    }
+  });
+
+  it("applies declared values and records them in the history", async () => {
+    const { config, deployer } = fixture;
+    const declared = _.merge(_.cloneDeep(MANIFEST_DEFAULTS), { fee: { sellFee: "1.5%" }, whaleLimit: { whaleDelay: "10m" } });
+    const settings = getConfigDefaultSettings(config.connect(deployer), declared);
+
+    const drifted = [];
+    for (const setting of settings) {
+      if (await setting.read() !== setting.desired) { drifted.push(setting); }
+    }
+    expect(drifted.map((setting: any) => setting.id)).to.deep.equal(["CarbonCoinConfig.defaultFeeConfig", "CarbonCoinConfig.defaultWhaleLimitConfig"]);
+    for (const setting of drifted) {
+      await (await setting.write()).wait();
+      expect(await setting.read()).to.equal(setting.desired);
+    }
+    expect((await config.getFeeConfig()).sellFee).to.equal(150);
+
+    const history = await getConfigHistory({ provider: ethers.provider, config: config.address, fromBlock: fixture.startBlock });
+    expect(history.map((entry: any) => entry.configType)).to.deep.equal(["Fee", "WhaleLimit"]);
+    expect(history[0].from).to.equal(deployer.address);
+    expect(history[0].values).to.equal("buyFee 1%, sellFee 1.5%, maxFee 5%");
+    expect(history[1].values).to.contain("whaleDelay 10m");
+  });
+});
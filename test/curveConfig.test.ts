@@ -0,0 +1,82 @@
+import { expect } from "chai";
+import { DEFAULT_CURVE, UNREACHABLE_CURVE } from "./fixtures";
+
+const {
+  CURVE_PRESETS,
+  validateCurveConfig,
+  assertValidCurveConfig,
+  getCurvePreset,
+} = require("../js-helpers/curveConfig");
+const { simulateToGraduation } = require("../js-helpers/bondingCurve");
+
+const invariants = (issues: any[]) => issues.map(({ invariant }) => invariant);
+
+describe("Bonding Curve Validation", () => {
+  it("accepts the presets", () => {
+    Object.keys(CURVE_PRESETS).forEach((name) => {
+      const report = validateCurveConfig(getCurvePreset(name));
+      expect(report.valid, name).to.equal(true);
+      expect(report.errors).to.be.empty;
+    });
+  });
+
+  it("explains a supply split that does not add up to maxSupply", () => {
+    const report = validateCurveConfig({ ...DEFAULT_CURVE, creatorReserve: "2000000000000000000000000" });
+
+    expect(report.valid).to.equal(false);
+    expect(invariants(report.errors)).to.include("supplySplit");
+    const { suggestion } = report.errors.find(({ invariant }: any) => invariant === "supplySplit");
+    expect(suggestion.maxSupply).to.equal("11000000000000000000000000");
+    expect(suggestion.curveSupply).to.equal("3500000000000000000000000");
+
+    const fixed = validateCurveConfig({ ...DEFAULT_CURVE, creatorReserve: "2000000000000000000000000", maxSupply: suggestion.maxSupply });
+    expect(invariants(fixed.errors)).to.not.include("supplySplit");
+  });
+
+  it("accepts the curve the deploy script uses", () => {
+    expect(validateCurveConfig(DEFAULT_CURVE).valid).to.equal(true);
+    expect(DEFAULT_CURVE).to.deep.equal(getCurvePreset("45/45/10"));
+  });
+
+  it("flags a graduation threshold that buys can never reach", () => {
+    const report = validateCurveConfig(UNREACHABLE_CURVE);
+    expect(invariants(report.errors)).to.deep.equal([ "graduationReachable" ]);
+
+    // The simulator agrees: buys revert before the threshold is reached
+    expect(simulateToGraduation(UNREACHABLE_CURVE, { buySize: "2500000000" }).revertedWith).to.equal("ExceedsMaxSupply");
+
+    const { suggestion } = report.errors[0];
+    const fixedThreshold = { ...UNREACHABLE_CURVE, graduationThreshold: suggestion.graduationThreshold };
+    expect(validateCurveConfig(fixedThreshold).valid).to.equal(true);
+    expect(simulateToGraduation(fixedThreshold, { buySize: "2500000000" }).graduated).to.equal(true);
+
+    const fixedSupply = { ...UNREACHABLE_CURVE, curveSupply: suggestion.curveSupply, maxSupply: suggestion.maxSupply };
+    expect(validateCurveConfig(fixedSupply).valid).to.equal(true);
+  });
+
+  it("requires virtualTokens to exceed curveSupply", () => {
+    const report = validateCurveConfig({ ...DEFAULT_CURVE, virtualTokens: DEFAULT_CURVE.curveSupply });
+    expect(invariants(report.errors)).to.include("virtualTokens");
+    expect(() => assertValidCurveConfig({ ...DEFAULT_CURVE, virtualTokens: "0" })).to.throw(/virtualTokens must be greater than zero/);
+  });
+
+  it("scales presets to a target market cap without changing the supply split", () => {
+    ["50/40/10", "45/45/10"].forEach((name) => {
+      const reference = getCurvePreset(name);
+      const scaled = getCurvePreset(name, "100000");
+      const report = validateCurveConfig(scaled);
+
+      expect(report.valid, name).to.equal(true);
+      expect(report.metrics.graduationMarketCap).to.equal("100000.0");
+      expect(scaled.curveSupply).to.equal(reference.curveSupply);
+      expect(scaled.liquiditySupply).to.equal(reference.liquiditySupply);
+      expect(Math.round(Number(report.metrics.tokensSoldAtGraduation)))
+        .to.equal(Math.round(Number(validateCurveConfig(reference).metrics.tokensSoldAtGraduation)));
+      expect(simulateToGraduation(scaled, { buySize: "1000000000" }).graduated).to.equal(true);
+    });
+  });
+
+  it("rejects unknown presets", () => {
+    expect(() => getCurvePreset("60/30/10")).to.throw(/Unknown curve preset/);
+  });
+});
@@ -0,0 +1,35 @@
+import { expect } from "chai";
+import * as fs from "fs";
+import * as path from "path";
+
+const { getNetworkManifest } = require("../js-helpers/deploy");
+const { networkNameById } = require("../js-helpers/networks");
+
+describe("Deployment Manifest", () => {
+  const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+  it("has an entry for every live network", () => {
+    for (const chainId of [ 1328, 1329, 5031, 50312 ]) {
+      const manifest = getNetworkManifest(chainId, networkNameById(chainId));
+      expect(Object.keys(manifest.contracts)).to.include("CarbonCoinLauncher");
+    }
+    expect(() => getNetworkManifest(5031, "somniaTestnet")).to.throw(/is for "somnia"/);
+  });
+
+  it("reuses the contracts recorded in deployments/", () => {
+    for (const chainId of [ 1328, 1329, 5031, 50312 ]) {
+      const network = networkNameById(chainId);
+      const manifest = getNetworkManifest(chainId, network);
+      const dir = path.join(DEPLOYMENTS_DIR, network);
+      for (const [ contractName, entry ] of Object.entries<any>(manifest.contracts)) {
+        const filename = path.join(dir, `${contractName}.json`);
+        if (entry.action !== "reuse" || !fs.existsSync(filename)) { continue; }
+        expect(entry.address, `${network} ${contractName}`).to.equal(JSON.parse(fs.readFileSync(filename, "utf8")).address);
+      }
+    }
+
+    const somnia = getNetworkManifest(5031, "somnia");
+    expect(somnia.contracts.CarbonCoinConfig).to.include({ action: "reuse", address: "0x73fbEBFF977c0083acfcE1D9f2a8645AFA39D91E" });
+    expect(somnia.contracts.CarbonCoinLauncher).to.include({ action: "reuse", address: "0xd6ed8455903CBd94d8F432eC4059197984baA65e" });
+  });
+});
@@ -0,0 +1,190 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture } from "./fixtures";
+
+const { executeTx, TxFailedError } = require("../js-helpers/executeTx");
+const { classifyTxError, isPreBroadcastError } = require("../js-helpers/txErrors");
+
+describe("executeTx", () => {
+  let fixture: any;
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+  });
+
+  // The creator can't move tokens before graduation
+  const creatorTransfer = (overrides: any = {}) => fixture.carbonCoin.connect(fixture.user1).transfer(fixture.user2.address, 1, overrides);
+
+  it("returns a structured result on success", async () => {
+    const result = await executeTx("T-1", "Pausing", () => fixture.carbonCoin.pause());
+    expect(result.success).to.equal(true);
+    expect(result.attempts).to.equal(1);
+    expect(result.receipt.status).to.equal(1);
+    expect(await fixture.carbonCoin.paused()).to.equal(true);
+  });
+
+  it("does not retry deterministic reverts", async () => {
+    let calls = 0;
+    const callback = () => { calls++; return creatorTransfer(); };
+
+    let thrown: any = null;
+    try {
+      await executeTx("T-2", "Creator transfer", callback, { backoffMs: 1 });
+    } catch (err) {
+      thrown = err;
+    }
+    expect(thrown).to.be.instanceOf(TxFailedError);
+    expect(thrown.result.success).to.equal(false);
+    expect(thrown.result.error.kind).to.equal("revert");
+    expect(thrown.result.error.name).to.equal("CreatorCannotSellBeforeGraduation");
+    expect(calls).to.equal(1);
+  });
+
+  it("decodes reverts of transactions sent without gas estimation", async () => {
+    // A fixed gas limit skips estimation, so the revert surfaces when sending or mining
+    const result = await executeTx("T-3", "Creator transfer", () => creatorTransfer({ gasLimit: 300000 }), { allowFailure: true });
+    expect(result.success).to.equal(false);
+    expect(result.attempts).to.equal(1);
+    expect(result.error.name).to.equal("CreatorCannotSellBeforeGraduation");
+  });
+
+  it("retries errors raised before broadcast with backoff", async () => {
+    let calls = 0;
+    const callback = () => {
+      calls++;
+      if (calls < 3) {
+        return Promise.reject(Object.assign(new Error("nonce has already been used"), { code: "NONCE_EXPIRED" }));
+      }
+      return fixture.carbonCoin.pause();
+    };
+
+    const result = await executeTx("T-4", "Pausing", callback, { backoffMs: 1 });
+    expect(result.success).to.equal(true);
+    expect(result.attempts).to.equal(3);
+  });
+
+  // The node accepted the transaction, but the send timed out; ethers attaches the signed transaction
+  const timedOutSend = (tx: any, withHash: boolean) => Object.assign(new Error("timeout"), {
+    code: "TIMEOUT",
+    transaction: { from: tx.from, nonce: tx.nonce, ...(withHash ? { hash: tx.hash } : {}) },
+    ...(withHash ? { transactionHash: tx.hash } : {}),
+  });
+
+  it("waits on a transaction whose send timed out after broadcast", async () => {
+    let calls = 0;
+    const callback = async () => {
+      calls++;
+      throw timedOutSend(await fixture.carbonCoin.pause(), true);
+    };
+
+    const result = await executeTx("T-5", "Pausing", callback, { backoffMs: 1 });
+    expect(result.success).to.equal(true);
+    expect(result.receipt.status).to.equal(1);
+    expect(calls).to.equal(1);
+    expect(await fixture.carbonCoin.paused()).to.equal(true);
+  });
+
+  it("does not send again when a timed-out send used its nonce", async () => {
+    let calls = 0;
+    const callback = async () => {
+      calls++;
+      throw timedOutSend(await fixture.carbonCoin.pause(), false);
+    };
+
+    const result = await executeTx("T-6", "Pausing", callback, { backoffMs: 1, allowFailure: true });
+    expect(result.success).to.equal(false);
+    expect(result.error.retryable).to.equal(false);
+    expect(result.error.message).to.include("may have been sent");
+    expect(calls).to.equal(1);
+  });
+
+  it("does not send again after an ambiguous send failure it can't look up", async () => {
+    let calls = 0;
+    const callback = () => {
+      calls++;
+      return Promise.reject(Object.assign(new Error("missing response"), { code: "SERVER_ERROR" }));
+    };
+
+    const result = await executeTx("T-7", "Pausing", callback, { backoffMs: 1, allowFailure: true });
+    expect(result.success).to.equal(false);
+    expect(result.attempts).to.equal(1);
+    expect(calls).to.equal(1);
+  });
+
+  it("sends again when a timed-out send left its nonce unused", async () => {
+    let calls = 0;
+    const callback = async () => {
+      calls++;
+      if (calls === 1) {
+        const nonce = await fixture.deployer.getTransactionCount("pending");
+        throw timedOutSend({ from: fixture.deployer.address, nonce }, false);
+      }
+      return fixture.carbonCoin.pause();
+    };
+
+    const result = await executeTx("T-8", "Pausing", callback, { backoffMs: 1 });
+    expect(result.success).to.equal(true);
+    expect(calls).to.equal(2);
+  });
+
+  it("keeps waiting on a broadcast transaction instead of sending it again", async () => {
+    let calls = 0;
+    let waits = 0;
+    const callback = async () => {
+      calls++;
+      const tx = await fixture.carbonCoin.pause();
+      const wait = tx.wait.bind(tx);
+      tx.wait = () => (++waits < 3 ? Promise.reject(new Error("timeout")) : wait());
+      return tx;
+    };
+
+    const result = await executeTx("T-9", "Pausing", callback, { backoffMs: 1 });
+    expect(result.success).to.equal(true);
+    expect(result.attempts).to.equal(3);
+    expect(calls).to.equal(1);
+    expect(waits).to.equal(3);
+  });
+
+  it("treats a repriced replacement as the transaction itself", async () => {
+    const callback = async () => {
+      const tx = await fixture.carbonCoin.pause();
+      const receipt = await tx.wait();
+      tx.wait = () => Promise.reject(Object.assign(new Error("transaction was replaced"), { code: "TRANSACTION_REPLACED", cancelled: false, receipt }));
+      return tx;
+    };
+
+    const result = await executeTx("T-10", "Pausing", callback, { backoffMs: 1 });
+    expect(result.success).to.equal(true);
+    expect(result.receipt.status).to.equal(1);
+  });
+
+  it("gives up on transient errors after the retries", async () => {
+    const callback = () => Promise.reject(new Error("nonce too low"));
+    const result = await executeTx("T-11", "Nonce trouble", callback, { retries: 2, backoffMs: 1, allowFailure: true });
+    expect(result.success).to.equal(false);
+    expect(result.attempts).to.equal(3);
+    expect(result.error.kind).to.equal("transient");
+  });
+
+  it("classifies errors", () => {
+    const coinInterface = new ethers.utils.Interface(require("../abis/ICarbonCoin.json"));
+    const slippage = classifyTxError({ code: "UNPREDICTABLE_GAS_LIMIT", error: { data: coinInterface.encodeErrorResult("SlippageTooHigh", []) } });
+    expect(slippage).to.include({ kind: "revert", retryable: false, name: "SlippageTooHigh" });
+
+    // Errors of any project ABI are decoded, not just the CarbonCoin ones
+    const ownable = new ethers.utils.Interface(require("../abis/CarbonCoinConfig.json"));
+    const notOwner = classifyTxError({ data: ownable.encodeErrorResult("OwnableUnauthorizedAccount", [ ethers.constants.AddressZero ]) });
+    expect(notOwner.name).to.equal("OwnableUnauthorizedAccount");
+
+    expect(classifyTxError({ code: "NETWORK_ERROR" }).kind).to.equal("transient");
+    expect(classifyTxError(new Error("replacement transaction underpriced")).kind).to.equal("transient");
+    expect(classifyTxError({ code: "INSUFFICIENT_FUNDS", message: "insufficient funds for gas" }).kind).to.equal("fatal");
+    expect(classifyTxError({ code: "CALL_EXCEPTION", message: "transaction failed" }).kind).to.equal("revert");
+
+    // Only rejections that come before the node accepts the transaction make resending safe
+    expect(isPreBroadcastError({ code: "NONCE_EXPIRED" })).to.equal(true);
+    expect(isPreBroadcastError(new Error("replacement transaction underpriced"))).to.equal(true);
+    expect(isPreBroadcastError({ code: "TIMEOUT" })).to.equal(false);
+    expect(isPreBroadcastError(new Error("already known"))).to.equal(false);
+  });
+});
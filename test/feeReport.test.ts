@@ -0,0 +1,121 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture, increaseTime, usdc, tokens } from "./fixtures";
+
+const { ACCOUNTS, TREASURY_ID, getBlockRange, getFeeReport, getStatementRows } = require("../js-helpers/feeReport");
+
+describe("Fee Reports", () => {
+  let fixture: any;
+  let opus: any;
+  let trader: any;
+
+  const report = async (range: any = {}) => getFeeReport({
+    provider: ethers.provider,
+    launcher: fixture.launcher.address,
+    opus: opus.address,
+    fromBlock: fixture.startBlock,
+    toBlock: await ethers.provider.getBlockNumber(),
+    batchSize: 5,
+    ...range,
+  });
+  const account = (result: any, name: string) => result.accounts.find((entry: any) => entry.account === name);
+
+  // Buy fee of a buy of "amount" USDC, as the coin computes it
+  const buyFee = async (amount: any) => {
+    const { buyFee: fee } = await fixture.config.getFeeConfig();
+    return amount.sub(amount.mul(10000 - fee.toNumber()).div(10000));
+  };
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    const { deployer, carbonCoin, protection, usdcToken } = fixture;
+    trader = fixture.user3;
+
+    await protection.addToWhitelist(carbonCoin.address, trader.address);
+    await usdcToken.mint(trader.address, usdc(10000));
+    await usdcToken.connect(trader).approve(carbonCoin.address, ethers.constants.MaxUint256);
+    await carbonCoin.connect(trader).buy(usdc(100), 0);
+    await increaseTime(301);
+    await carbonCoin.connect(trader).buy(usdc(50), 0);
+    await carbonCoin.connect(trader).sell(tokens(1000), 0);
+
+    await deployer.sendTransaction({ to: fixture.launcher.address, value: ethers.utils.parseEther("1") });
+
+    opus = await (await ethers.getContractFactory("CarbonOpus", deployer)).deploy("https://example.com/{id}.json", usdcToken.address);
+    await opus.createMusic(ethers.utils.formatBytes32String("artist"), fixture.user1.address, usdc(2), 1000);
+    await usdcToken.mint(deployer.address, usdc(10));
+    await usdcToken.approve(opus.address, ethers.constants.MaxUint256);
+    await opus.purchaseMusic(ethers.utils.formatBytes32String("fan"), fixture.user2.address, 1, ethers.constants.HashZero);
+  });
+
+  it("sums the fees per source and reconciles them with the balances", async () => {
+    const { carbonCoin, launcher, usdcToken } = fixture;
+    const result = await report();
+
+    const coin = result.sources.find((source: any) => source.source === "coin");
+    expect(coin).to.include({ contract: carbonCoin.address, label: "TCC", count: 3, buys: 2, sells: 1 });
+    expect(coin.buyFees).to.equal((await buyFee(usdc(100))).add(await buyFee(usdc(50))).toString());
+    expect(BigInt(coin.sellFees) > BigInt(0)).to.equal(true);
+
+    const usdcAccount = account(result, ACCOUNTS.LAUNCHER_USDC);
+    expect(usdcAccount.collected).to.equal(ethers.BigNumber.from(coin.buyFees).add(coin.sellFees).toString());
+    expect(usdcAccount.closingBalance).to.equal((await usdcToken.balanceOf(launcher.address)).toString());
+    expect(usdcAccount.reconciled).to.equal(true);
+
+    expect(account(result, ACCOUNTS.LAUNCHER_NATIVE)).to.include({
+      collected: ethers.utils.parseEther("1").toString(),
+      closingBalance: ethers.utils.parseEther("1").toString(),
+      reconciled: true,
+    });
+    expect(account(result, ACCOUNTS.OPUS_TREASURY)).to.include({ collected: usdc("0.02").toString(), withdrawn: "0", reconciled: true });
+  });
+
+  it("matches withdrawals and claims against the collected fees", async () => {
+    const { deployer, treasury, launcher } = fixture;
+    const before = await report();
+    const collected = account(before, ACCOUNTS.LAUNCHER_USDC).collected;
+
+    await launcher.connect(deployer).withdrawUsdcFees();
+    await launcher.connect(deployer).withdrawNativeFees();
+    await opus.connect(deployer).claimRewards(TREASURY_ID, treasury.address);
+
+    const result = await report();
+    expect(result.withdrawals.map((withdrawal: any) => [withdrawal.account, withdrawal.amount])).to.deep.equal([
+      [ACCOUNTS.LAUNCHER_USDC, collected],
+      [ACCOUNTS.LAUNCHER_NATIVE, ethers.utils.parseEther("1").toString()],
+      [ACCOUNTS.OPUS_TREASURY, usdc("0.02").toString()],
+    ]);
+    expect(result.withdrawals[2].to).to.equal(treasury.address);
+    result.accounts.forEach((entry: any) => {
+      expect(entry).to.include({ closingBalance: "0", difference: "0", reconciled: true });
+    });
+  });
+
+  it("carries the opening balance into a later period", async () => {
+    const firstPeriodEnd = await ethers.provider.getBlockNumber();
+    await increaseTime(3600);
+    await fixture.carbonCoin.connect(trader).buy(usdc(20), 0);
+
+    const { timestamp } = await ethers.provider.getBlock(firstPeriodEnd);
+    const range = await getBlockRange(ethers.provider, { from: timestamp + 60 });
+    expect(range.fromBlock).to.equal(firstPeriodEnd + 1);
+
+    const result = await report(range);
+    const usdcAccount = account(result, ACCOUNTS.LAUNCHER_USDC);
+    expect(BigInt(usdcAccount.openingBalance) > BigInt(0)).to.equal(true);
+    expect(usdcAccount.collected).to.equal((await buyFee(usdc(20))).toString());
+    expect(usdcAccount.reconciled).to.equal(true);
+    expect(account(result, ACCOUNTS.LAUNCHER_NATIVE).collected).to.equal("0");
+
+    const rows = getStatementRows(result).filter((row: any) => row.account === ACCOUNTS.LAUNCHER_USDC);
+    expect(rows.map((row: any) => row.entry)).to.deep.equal([
+      "opening balance",
+      "TCC buy fees",
+      "TCC sell fees",
+      "expected closing balance",
+      "closing balance",
+      "difference",
+    ]);
+    expect(rows[1]).to.include({ amount: ethers.utils.formatUnits(usdcAccount.collected, 6), count: 1 });
+  });
+});
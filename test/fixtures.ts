@@ -0,0 +1,74 @@
+import { ethers, deployments } from "hardhat";
+
+const globals = require("../js-helpers/globals");
+
+// Bonding curve used by the deploy script for sample tokens (see js-helpers/deployManifest.json): the 45/45/10 preset
+export const DEFAULT_CURVE = globals.manifest.defaults.contracts.CarbonCoin.args[7];
+
+// The manifest default before it was corrected: it runs out of supply exactly at its threshold, so buys never graduate it
+export const UNREACHABLE_CURVE = { ...DEFAULT_CURVE, graduationThreshold: "15000000000" };
+
+export const usdc = (amount: string | number) => ethers.utils.parseUnits(`${amount}`, 6);
+export const tokens = (amount: string | number) => ethers.utils.parseUnits(`${amount}`, 18);
+
+// Graduates on about 10200 USDC of buys
+export const GRADUATING_CURVE = { ...DEFAULT_CURVE, graduationThreshold: usdc(10000) };
+
+export const increaseTime = async (seconds: number) => {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+};
+
+// Creates a CarbonCoin through the launcher (the deployer is the launcher controller)
+export const createCarbonCoin = async (launcher: any, creator: string, curveConfig: any = DEFAULT_CURVE, name = "Test Carbon Coin", symbol = "TCC") => {
+  const tx = await launcher.createToken(name, symbol, creator, curveConfig);
+  const receipt = await tx.wait();
+  const tokenCreatedEvent = receipt.events?.find((e: any) => e.event === "TokenCreated");
+  return ethers.getContractAt("CarbonCoin", tokenCreatedEvent?.args?.tokenAddress);
+};
+
+// CarbonCoinDex over a MockPositionManager; not set in the config, so graduation stays blocked until it is
+export const deployCarbonCoinDex = async ({ deployer, config, usdcToken }: any) => {
+  const positionManager = await (await ethers.getContractFactory("MockPositionManager", deployer)).deploy();
+  const dex = await (await ethers.getContractFactory("CarbonCoinDex", deployer)).deploy(usdcToken.address, positionManager.address, config.address, -887220, 887220);
+  return { positionManager, dex };
+};
+
+// Stand-alone Carbon Coin stack on a mock USDC, with one token created for "user1"
+export const deployCarbonCoinFixture = deployments.createFixture(async () => {
+  const { deployer, treasury, user1, user2, user3 } = await ethers.getNamedSigners();
+  const startBlock = await ethers.provider.getBlockNumber();
+
+  const deploy = async (contractName: string, ...args: any[]) => {
+    const factory = await ethers.getContractFactory(contractName, deployer);
+    const contract = await factory.deploy(...args);
+    await contract.deployed();
+    return contract as any;
+  };
+
+  const usdcToken = await deploy("ERC20Mintable", "USDC Clone", "USDC");
+  const config = await deploy("CarbonCoinConfig");
+  const protection = await deploy("CarbonCoinProtection", deployer.address);
+  const paymaster = await deploy("CarbonCoinPaymaster", usdcToken.address);
+  const launcher = await deploy("CarbonCoinLauncher", config.address, usdcToken.address, protection.address, paymaster.address);
+
+  await protection.updateConfig(config.address);
+  await protection.updateLauncher(launcher.address);
+
+  const carbonCoin = await createCarbonCoin(launcher, user1.address);
+
+  return {
+    startBlock,
+    deployer,
+    treasury,
+    user1,
+    user2,
+    user3,
+    usdcToken,
+    config,
+    protection,
+    paymaster,
+    launcher,
+    carbonCoin,
+  };
+});
@@ -0,0 +1,84 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { createCarbonCoin, deployCarbonCoinDex, deployCarbonCoinFixture, GRADUATING_CURVE, usdc } from "./fixtures";
+
+const { CHECK_STATUS, createGraduationKeeper, verifyGraduation } = require("../js-helpers/graduationKeeper");
+
+describe("Graduation Keeper", () => {
+  let fixture: any;
+  let coin: any;
+  let dex: any;
+  let positionManager: any;
+  let trader: any;
+
+  const newKeeper = (options: any = {}) => createGraduationKeeper({
+    provider: ethers.provider,
+    launcher: fixture.launcher.address,
+    startBlock: fixture.startBlock,
+    sinks: [],
+    batchSize: 10,
+    ...options,
+  });
+  const types = (alerts: any[]) => alerts.filter((alert: any) => alert.token === coin.address).map((alert: any) => alert.type);
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    const { protection, usdcToken } = fixture;
+    trader = fixture.user3;
+    ({ positionManager, dex } = await deployCarbonCoinDex(fixture));
+
+    // user1 already has the fixture coin, at the default one-token limit
+    coin = await createCarbonCoin(fixture.launcher, fixture.user2.address, GRADUATING_CURVE, "Graduate", "GRAD");
+    await protection.addToWhitelist(coin.address, trader.address);
+    await usdcToken.mint(trader.address, usdc(20000));
+    await usdcToken.connect(trader).approve(coin.address, ethers.constants.MaxUint256);
+  });
+
+  it("alerts once on tokens near the threshold and on what blocks their graduation", async () => {
+    const keeper = newKeeper();
+    await coin.connect(trader).buy(usdc(9200), 0);
+
+    const first = await keeper.poll();
+    expect(types(first.alerts)).to.deep.equal(["NearThreshold", "GraduationBlocked"]);
+    expect(first.alerts.find((alert: any) => alert.type === "GraduationBlocked").message).to.contain("CarbonCoinConfig has no DEX set");
+    expect(types((await keeper.poll()).alerts)).to.deep.equal([]);
+
+    // A different blocker alerts again; once it clears, the next one alerts anew
+    await fixture.config.updateDexAddress(dex.address);
+    await dex.pause();
+    const paused = await keeper.poll();
+    expect(types(paused.alerts)).to.deep.equal(["GraduationBlocked"]);
+    expect(paused.alerts[0].message).to.contain("is paused");
+
+    await dex.unpause();
+    expect(types((await keeper.poll()).alerts)).to.deep.equal([]);
+    const status = (await keeper.getStatus()).find((token: any) => token.address === coin.address);
+    expect(status.progress).to.be.within(90, 100);
+    expect(status.alerted).to.deep.equal({ NearThreshold: "near" });
+  });
+
+  it("verifies the liquidity deployed by a graduation", async () => {
+    const { config, launcher, user2, treasury } = fixture;
+    await config.updateDexAddress(dex.address);
+    const keeper = newKeeper();
+    await keeper.poll();
+
+    const tx = await coin.connect(trader).buy(usdc(10200), 0);
+    expect(await coin.hasGraduated()).to.equal(true);
+
+    const { alerts } = await keeper.poll();
+    expect(types(alerts)).to.deep.equal(["Graduated", "GraduationVerified"]);
+
+    const status = (await keeper.getStatus()).find((token: any) => token.address === coin.address);
+    expect(status.graduated).to.equal(true);
+    expect(status.verification.status).to.equal(CHECK_STATUS.OK);
+    expect(status.verification.checks.map((check: any) => check.check)).to.deep.equal(["liquidityDeployed", "amounts", "lpRecipient", "position", "lpOwner", "pool", "launcher"]);
+    expect(await positionManager.ownerOf(status.verification.lpTokenId)).to.equal(user2.address);
+    expect((await launcher.tokens(coin.address)).graduated).to.equal(true);
+
+    // The same graduation checked against another LP destination
+    const other = await verifyGraduation({ provider: ethers.provider, token: coin.address, transactionHash: tx.hash, lpRecipient: treasury.address });
+    expect(other.status).to.equal(CHECK_STATUS.FAILED);
+    expect(other.checks.filter((check: any) => check.status === CHECK_STATUS.FAILED).map((check: any) => check.check)).to.deep.equal(["lpRecipient", "lpOwner"]);
+  });
+});
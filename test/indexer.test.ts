@@ -0,0 +1,139 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { createCarbonCoin, deployCarbonCoinFixture, increaseTime, usdc, tokens } from "./fixtures";
+
+const {
+  createIndexer,
+  createJsonStore,
+  getTokens,
+  getToken,
+  getTokensByCreator,
+  getRecentTokens,
+  getTradeHistory,
+  getHolderBalances,
+} = require("../js-helpers/indexer");
+const { getCurvePreset } = require("../js-helpers/curveConfig");
+
+describe("Event Indexer", () => {
+  let fixture: any;
+  let carbonCoin: any;
+  let secondCoin: any;
+  let trader: any;
+  let store: any;
+
+  const newIndexer = (options: any = {}) => createIndexer({
+    provider: ethers.provider,
+    launcher: fixture.launcher.address,
+    startBlock: fixture.startBlock,
+    store,
+    batchSize: 5,
+    ...options,
+  });
+
+  const expectBalancesMatchChain = async (index: any, token: any) => {
+    const holders = getHolderBalances(index, token.address);
+    for (const { holder, balance } of holders) {
+      expect(balance).to.equal((await token.balanceOf(holder)).toString());
+    }
+    return holders;
+  };
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    carbonCoin = fixture.carbonCoin;
+    trader = fixture.user3;
+    store = createJsonStore();
+
+    secondCoin = await createCarbonCoin(fixture.launcher, fixture.user2.address, getCurvePreset("50/40/10"), "Second Coin", "SEC");
+
+    await fixture.protection.addToWhitelist(carbonCoin.address, trader.address);
+    await fixture.usdcToken.mint(trader.address, usdc(10000));
+    await fixture.usdcToken.connect(trader).approve(carbonCoin.address, ethers.constants.MaxUint256);
+
+    await carbonCoin.connect(trader).buy(usdc(100), 0);
+    await increaseTime(301);
+    await carbonCoin.connect(trader).buy(usdc(50), 0);
+    await carbonCoin.connect(trader).sell(tokens(1000), 0);
+    await carbonCoin.connect(trader).transfer(fixture.user2.address, tokens(500));
+  });
+
+  it("lists tokens by creator and by launch order", async () => {
+    const indexer = newIndexer();
+    await indexer.sync();
+    const index = await indexer.getIndex();
+
+    expect(getTokens(index)).to.have.length(2);
+    expect(getTokensByCreator(index, fixture.user1.address).map((t: any) => t.address)).to.deep.equal([ carbonCoin.address ]);
+    expect(getTokensByCreator(index, fixture.user2.address).map((t: any) => t.symbol)).to.deep.equal([ "SEC" ]);
+    expect(getRecentTokens(index, 1)[0].address).to.equal(secondCoin.address);
+
+    const info = getToken(index, carbonCoin.address);
+    const [ usdcReserves, tokenSupply ] = await carbonCoin.getReserves();
+    expect(info.usdcReserves).to.equal(usdcReserves.toString());
+    expect(info.tokenSupply).to.equal(tokenSupply.toString());
+    expect(info.price).to.equal((await carbonCoin.getCurrentPrice()).toString());
+    expect(info.graduated).to.equal(false);
+  });
+
+  it("records the trade history and holder balances of a token", async () => {
+    const indexer = newIndexer();
+    await indexer.sync();
+    const index = await indexer.getIndex();
+
+    const trades = getTradeHistory(index, carbonCoin.address);
+    expect(trades.map((t: any) => t.type)).to.deep.equal([ "buy", "buy", "sell" ]);
+    expect(trades[2].tokenAmount).to.equal(tokens(1000).toString());
+    expect(getTradeHistory(index, carbonCoin.address, { limit: 1 })).to.deep.equal([ trades[2] ]);
+    expect(getTradeHistory(index, secondCoin.address)).to.be.empty;
+
+    const holders = await expectBalancesMatchChain(index, carbonCoin);
+    expect(holders.map((h: any) => h.holder)).to.have.members([ fixture.user1.address, trader.address, fixture.user2.address ]);
+  });
+
+  it("resumes from its checkpoint", async () => {
+    const first = await newIndexer().sync();
+    expect(first.events).to.be.greaterThan(0);
+
+    await increaseTime(301);
+    await carbonCoin.connect(trader).buy(usdc(25), 0);
+
+    // Fresh indexer over the same store, as after a restart
+    const indexer = newIndexer();
+    const second = await indexer.sync();
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(getTradeHistory(await indexer.getIndex(), carbonCoin.address)).to.have.length(4);
+
+    const third = await indexer.sync();
+    expect(third.events).to.equal(0);
+  });
+
+  it("rolls back events from blocks that were reorged out", async () => {
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await increaseTime(301);
+    await carbonCoin.connect(trader).buy(usdc(75), 0);
+    await indexer.sync();
+    expect(getTradeHistory(await indexer.getIndex(), carbonCoin.address)).to.have.length(4);
+
+    // Replace the indexed blocks with a different history
+    await ethers.provider.send("evm_revert", [ snapshot ]);
+    await carbonCoin.connect(trader).transfer(fixture.user1.address, 1);
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_mine", []);
+
+    const result = await indexer.sync();
+    expect(result.reorg).to.not.equal(null);
+
+    const index = await indexer.getIndex();
+    expect(getTradeHistory(index, carbonCoin.address)).to.have.length(3);
+    await expectBalancesMatchChain(index, carbonCoin);
+  });
+
+  it("stays behind the head by the configured confirmations", async () => {
+    const head = await ethers.provider.getBlockNumber();
+    const result = await newIndexer({ confirmations: 3 }).sync();
+    expect(result.toBlock).to.equal(head - 3);
+  });
+});
@@ -0,0 +1,77 @@
+import { ethers, deployments, network, getNamedAccounts } from "hardhat";
+import { expect } from "chai";
+import { createCarbonCoin, GRADUATING_CURVE, usdc } from "./fixtures";
+
+const globals = require("../js-helpers/globals");
+
+describe("Local Exchange", () => {
+  const contracts: any = {};
+
+  before(function () {
+    // The stand-ins are only deployed when the hardhat network isn't forking
+    if ((network.config as any).forking?.enabled) { this.skip(); }
+  });
+
+  beforeEach(async () => {
+    await deployments.fixture(["Everything"]);
+    const names = [ "CarbonCoinConfig", "CarbonCoinDex", "CarbonCoinLauncher", "CarbonCoinProtection", "PhoenixDex", "PhoenixEggs", "PhoenixNFT_v1", "PhoenixToken", ...Object.values(globals.localExchange) ];
+    for (const name of names as string[]) {
+      contracts[name] = await ethers.getContract(name);
+    }
+  });
+
+  it("wires the deployed stack to the local stand-ins", async () => {
+    const { deployer, user1 } = await getNamedAccounts();
+    const { CarbonCoinConfig, CarbonCoinDex, CarbonCoinLauncher, PhoenixDex, ERC20Mintable, MockWETH, MockSomniaExchangeFactory, MockSomniaExchangeRouter, MockPositionManager } = contracts;
+
+    expect(await CarbonCoinLauncher.usdcAddress()).to.equal(ERC20Mintable.address);
+    expect(await CarbonCoinConfig.getCarbonCoinDex()).to.equal(CarbonCoinDex.address);
+    expect(await CarbonCoinDex.dexRouter()).to.equal(MockPositionManager.address);
+    expect(await PhoenixDex.dexRouter()).to.equal(MockSomniaExchangeRouter.address);
+    expect(await MockSomniaExchangeRouter.factory()).to.equal(MockSomniaExchangeFactory.address);
+    expect(await MockSomniaExchangeRouter.WETH()).to.equal(MockWETH.address);
+    expect(await ERC20Mintable.balanceOf(user1)).to.equal(usdc(globals.localUsdcBalance));
+    expect(await ERC20Mintable.balanceOf(deployer)).to.be.gte(usdc(globals.localUsdcBalance));
+  });
+
+  it("reconciles the post-deploy settings on a clean network", async () => {
+    const { treasury } = await getNamedAccounts();
+    const { CarbonCoinLauncher, PhoenixEggs, PhoenixNFT_v1, PhoenixToken, ERC20Mintable } = contracts;
+    const { settings } = globals.manifest.defaults;
+
+    expect(await CarbonCoinLauncher.maxTokensPerCreator()).to.equal(settings.maxTokensPerCreator);
+    expect(await PhoenixEggs.phoenixNft()).to.equal(PhoenixNFT_v1.address);
+    expect(await PhoenixEggs.phxTokenAddress()).to.equal(PhoenixToken.address);
+    expect(await PhoenixEggs.usdcTokenAddress()).to.equal(ERC20Mintable.address);
+    expect(await PhoenixEggs.phoenixTreasury()).to.equal(treasury);
+    expect(await PhoenixEggs.getMaxNfts()).to.equal(settings.phoenixMaxNfts);
+  });
+
+  it("runs a coin from launch through graduation to DEX trades", async () => {
+    const { user1, user2, user3 } = await ethers.getNamedSigners();
+    const { CarbonCoinLauncher, CarbonCoinProtection, ERC20Mintable, MockPositionManager } = contracts;
+    const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 600;
+
+    const coin = await createCarbonCoin(CarbonCoinLauncher, user1.address, GRADUATING_CURVE, "Local", "LOCAL");
+    await CarbonCoinProtection.addToWhitelist(coin.address, user3.address);
+    await ERC20Mintable.connect(user3).approve(coin.address, ethers.constants.MaxUint256);
+    await coin.connect(user3).buy(usdc(10200), 0);
+    expect(await coin.hasGraduated()).to.equal(true);
+    expect(await ERC20Mintable.balanceOf(MockPositionManager.address)).to.be.gt(0);
+
+    // DEX trades run on the pool graduation created, which the position manager also swaps on
+    expect(await MockPositionManager.poolByPair(ERC20Mintable.address, coin.address)).to.equal(MockPositionManager.address);
+    const [ tokensOut ] = await MockPositionManager.quoteExactInputSingle(ERC20Mintable.address, coin.address, usdc(50), 0);
+    await ERC20Mintable.connect(user2).approve(MockPositionManager.address, usdc(50));
+    await MockPositionManager.connect(user2).exactInputSingle({
+      tokenIn: ERC20Mintable.address,
+      tokenOut: coin.address,
+      recipient: user2.address,
+      deadline: await deadline(),
+      amountIn: usdc(50),
+      amountOutMinimum: tokensOut,
+      limitSqrtPrice: 0,
+    });
+    expect(await coin.balanceOf(user2.address)).to.equal(tokensOut);
+  });
+});
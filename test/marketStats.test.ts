@@ -0,0 +1,94 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture, increaseTime, usdc, tokens } from "./fixtures";
+
+const { createIndexer } = require("../js-helpers/indexer");
+const { getCandles, getMarketStats, exportData } = require("../js-helpers/marketStats");
+
+describe("Market Stats", () => {
+  let fixture: any;
+  let carbonCoin: any;
+  let index: any;
+  let feesPaid: any;
+
+  before(async () => {
+    fixture = await deployCarbonCoinFixture();
+    carbonCoin = fixture.carbonCoin;
+    const { usdcToken, protection, launcher, user3: trader } = fixture;
+
+    await protection.addToWhitelist(carbonCoin.address, trader.address);
+    await usdcToken.mint(trader.address, usdc(10000));
+    await usdcToken.connect(trader).approve(carbonCoin.address, ethers.constants.MaxUint256);
+
+    // Fees are sent to the launcher on every trade
+    const launcherBalance = await usdcToken.balanceOf(launcher.address);
+    await carbonCoin.connect(trader).buy(usdc(100), 0);
+    await increaseTime(120);
+    await carbonCoin.connect(trader).buy(usdc(250), 0);
+    await increaseTime(3600);
+    await carbonCoin.connect(trader).sell(tokens(5000), 0);
+    feesPaid = (await usdcToken.balanceOf(launcher.address)).sub(launcherBalance);
+
+    const indexer = createIndexer({ provider: ethers.provider, launcher: launcher.address, startBlock: fixture.startBlock });
+    await indexer.sync();
+    index = await indexer.getIndex();
+  });
+
+  it("builds candles that chain open to the previous close", async () => {
+    const candles = getCandles(index, carbonCoin.address, { interval: "1m" });
+    const traded = candles.filter((c: any) => c.trades > 0);
+    expect(traded.map((c: any) => c.trades).reduce((a: number, b: number) => a + b)).to.equal(3);
+    for (let i = 1; i < candles.length; i++) {
+      expect(candles[i].open).to.equal(candles[i - 1].close);
+      expect(candles[i].time - candles[i - 1].time).to.equal(60);
+    }
+    expect(candles[candles.length - 1].close).to.equal((await carbonCoin.getCurrentPrice()).toString());
+
+    const sparse = getCandles(index, carbonCoin.address, { interval: "1m", fill: false });
+    expect(sparse.every((c: any) => c.trades > 0)).to.equal(true);
+
+    const daily = getCandles(index, carbonCoin.address, { interval: "1d" });
+    expect(daily.length).to.be.within(1, 2);
+    expect(() => getCandles(index, carbonCoin.address, { interval: "2w" })).to.throw("Unknown candle interval");
+  });
+
+  it("reports volume, fees, market cap and graduation progress", async () => {
+    const block = await ethers.provider.getBlock("latest");
+    const stats = getMarketStats(index, carbonCoin.address, { now: block.timestamp });
+
+    const [ usdcReserves ] = await carbonCoin.getReserves();
+    const price = await carbonCoin.getCurrentPrice();
+    const threshold = await carbonCoin.GRADUATION_THRESHOLD();
+
+    expect(stats.trades24h).to.equal(3);
+    expect(stats.feesCollected).to.equal(feesPaid.toString());
+    expect(stats.usdcReserves).to.equal(usdcReserves.toString());
+    expect(stats.graduationThreshold).to.equal(threshold.toString());
+    expect(stats.graduationProgress).to.equal(usdcReserves.mul(10000).div(threshold).toNumber() / 100);
+    expect(stats.marketCap).to.equal(price.mul(await carbonCoin.totalSupply()).div(tokens(1)).toString());
+    expect(stats.fullyDilutedMarketCap).to.equal(price.mul(await carbonCoin.MAX_SUPPLY()).div(tokens(1)).toString());
+
+    // Buys count the USDC paid in; sells the USDC taken out of the reserves
+    const candles = getCandles(index, carbonCoin.address, { interval: "1h" });
+    const candleVolume = candles.reduce((total: any, c: any) => total.add(c.volume), ethers.BigNumber.from(0));
+    expect(stats.totalVolume).to.equal(candleVolume.toString());
+
+    // A day later the window is empty
+    const later = getMarketStats(index, carbonCoin.address, { now: block.timestamp + 2 * 86400 });
+    expect(later.volume24h).to.equal("0");
+    expect(later.priceChange24h).to.equal(0);
+  });
+
+  it("exports candles and stats as JSON and CSV", async () => {
+    const candles = getCandles(index, carbonCoin.address, { interval: "1h" });
+    expect(JSON.parse(exportData(candles, "json"))).to.deep.equal(candles);
+
+    const csv = exportData(candles, "csv").trim().split("\n");
+    expect(csv[0]).to.equal("time,open,high,low,close,volume,tokenVolume,trades");
+    expect(csv).to.have.length(candles.length + 1);
+
+    const stats = getMarketStats(index, carbonCoin.address);
+    expect(exportData(stats, "csv").trim().split("\n")).to.have.length(2);
+    expect(() => exportData(stats, "xml")).to.throw("Unknown export format");
+  });
+});
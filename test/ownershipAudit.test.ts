@@ -0,0 +1,81 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture } from "./fixtures";
+
+const { auditDeployments, formatAuditTables, SEVERITY } = require("../js-helpers/ownershipAudit");
+
+describe("Ownership Audit", () => {
+  let fixture: any;
+
+  const record = (contract: any) => ({ address: contract.address, abi: JSON.parse(contract.interface.format("json")) });
+
+  const audit = (extra: any = {}) => {
+    const { config, protection, launcher, paymaster, usdcToken } = fixture;
+    return auditDeployments({
+      provider: ethers.provider,
+      records: {
+        CarbonCoinConfig: record(config),
+        CarbonCoinProtection: record(protection),
+        CarbonCoinLauncher: record(launcher),
+        CarbonCoinPaymaster: record(paymaster),
+        ...extra,
+      },
+      values: { usdc: usdcToken.address },
+    });
+  };
+  const find = (result: any, name: string) => result.contracts.find((entry: any) => entry.name === name);
+  const errors = (result: any) => result.issues.filter((issue: any) => issue.severity === SEVERITY.ERROR);
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+  });
+
+  it("reports owners, paused state and pointers", async () => {
+    const { deployer, config } = fixture;
+    const result = await audit();
+
+    const launcher = find(result, "CarbonCoinLauncher");
+    expect(launcher.owner).to.equal(deployer.address);
+    expect(launcher.ownerType).to.equal("eoa");
+    expect(launcher.paused).to.equal(false);
+    expect(launcher.pointers.map((pointer: any) => [pointer.pointer, pointer.label, pointer.status])).to.deep.equal([
+      ["config", "CarbonCoinConfig", "ok"],
+      ["usdc", "$usdc", "ok"],
+      ["protection", "CarbonCoinProtection", "ok"],
+      ["paymaster", "CarbonCoinPaymaster", "ok"],
+    ]);
+    expect(find(result, "CarbonCoinProtection").pointers.every((pointer: any) => pointer.status === "ok")).to.equal(true);
+
+    // The fixture never sets the DEX on the config
+    expect(find(result, "CarbonCoinConfig").pointers[0].status).to.equal("unset");
+    expect(errors(result).map((issue: any) => issue.message)).to.deep.equal(["carbonCoinDex is not set (expected CarbonCoinDex)"]);
+    expect(result.issues.some((issue: any) => issue.message.includes("different owners"))).to.equal(false);
+    expect(config.address).to.equal(find(result, "CarbonCoinConfig").address);
+  });
+
+  it("flags pointers to other deployments and to addresses that are not deployments", async () => {
+    const { protection, launcher, deployer, user3 } = fixture;
+    await protection.connect(deployer).updateLauncher(user3.address);
+    await protection.connect(deployer).updateConfig(launcher.address);
+
+    const messages = errors(await audit()).map((issue: any) => issue.message);
+    expect(messages).to.include(`config points to CarbonCoinLauncher (${launcher.address}) instead of CarbonCoinConfig (${fixture.config.address})`);
+    expect(messages).to.include(`launcher points to ${user3.address} (not a deployment) instead of CarbonCoinLauncher (${launcher.address})`);
+  });
+
+  it("flags paused contracts, split ownership and stale records", async () => {
+    const { launcher, paymaster, deployer, treasury } = fixture;
+    await launcher.connect(deployer).pause();
+    await paymaster.connect(deployer).transferOwnership(treasury.address);
+
+    const stale = { address: ethers.Wallet.createRandom().address, abi: [] };
+    const result = await audit({ CarbonCoinDex: stale });
+    expect(result.issues).to.deep.include({ severity: SEVERITY.WARNING, contract: "CarbonCoinLauncher", message: "is paused" });
+    expect(result.issues.find((issue: any) => issue.message.includes("2 different owners")).message).to.contain("CarbonCoinPaymaster");
+    expect(errors(result).some((issue: any) => issue.contract === "CarbonCoinDex" && issue.message.includes("stale"))).to.equal(true);
+
+    const tables = formatAuditTables(result);
+    expect(tables).to.contain("CarbonCoinLauncher.protection");
+    expect(tables).to.contain("[error] CarbonCoinDex");
+  });
+});
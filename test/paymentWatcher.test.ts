@@ -0,0 +1,136 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import http from "http";
+import { AddressInfo } from "net";
+import { deployCarbonCoinFixture, usdc } from "./fixtures";
+
+const { createPaymentWatcher, createMemoryOrderStore, signWebhook, ORDER_STATUS, PAYMENT_EVENTS } = require("../js-helpers/paymentWatcher");
+const { signPermitAndTransfer, createUuid } = require("../js-helpers/permit");
+
+describe("Payment Watcher", () => {
+  let fixture: any;
+  let permitAndTransfer: any;
+  let orders: any;
+
+  const mine = (blocks: number) => ethers.provider.send("hardhat_mine", [ethers.utils.hexValue(blocks)]);
+
+  const pay = async (uuid: string, amount: any, { to = fixture.treasury.address, senderId = "checkout" } = {}) => {
+    const { args } = await signPermitAndTransfer(fixture.user2, permitAndTransfer, fixture.usdcToken, { to, amount, senderId, uuid });
+    await (await permitAndTransfer.permitAndTransfer(...args)).wait();
+  };
+
+  const newWatcher = (options: any = {}) => createPaymentWatcher({
+    provider: ethers.provider,
+    contract: permitAndTransfer.address,
+    orders,
+    startBlock: fixture.startBlock,
+    ...options,
+  });
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    await fixture.usdcToken.mint(fixture.user2.address, usdc(100));
+    permitAndTransfer = await (await ethers.getContractFactory("PermitAndTransfer", fixture.deployer)).deploy();
+    orders = createMemoryOrderStore();
+  });
+
+  it("marks an order paid once the payment is deep enough", async () => {
+    const uuid = createUuid();
+    await orders.addOrder({ uuid, amount: usdc(10), token: fixture.usdcToken.address, to: fixture.treasury.address });
+    const watcher = newWatcher({ confirmations: 3 });
+
+    await pay(uuid, usdc(10));
+    expect((await watcher.poll()).notifications).to.be.empty;
+    expect((await orders.getOrder(uuid)).status).to.equal(ORDER_STATUS.PENDING);
+
+    await mine(2);
+    const { notifications } = await watcher.poll();
+    expect(notifications.map((n: any) => n.type)).to.deep.equal([ PAYMENT_EVENTS.PAID ]);
+    const order = await orders.getOrder(uuid);
+    expect(order.status).to.equal(ORDER_STATUS.PAID);
+    expect(order.paidAmount).to.equal(usdc(10).toString());
+    expect(order.payments).to.have.length(1);
+
+    // Nothing is applied twice
+    await mine(1);
+    expect((await watcher.poll()).notifications).to.be.empty;
+  });
+
+  it("flags underpayments, duplicates, unknown uuids and wrong recipients", async () => {
+    const { user3 } = fixture;
+    const underpaid = createUuid();
+    const mismatched = createUuid();
+    await orders.addOrder({ uuid: underpaid, amount: usdc(10) });
+    await orders.addOrder({ uuid: mismatched, amount: usdc(1), to: fixture.treasury.address });
+    const watcher = newWatcher();
+
+    await pay(underpaid, usdc(4));
+    await pay(underpaid, usdc(6));
+    await pay(underpaid, usdc(1));
+    await pay(createUuid(), usdc(2));
+    await pay(mismatched, usdc(1), { to: user3.address });
+
+    const { notifications } = await watcher.poll();
+    expect(notifications.map((n: any) => n.type)).to.deep.equal([
+      PAYMENT_EVENTS.UNDERPAID,
+      PAYMENT_EVENTS.PAID,
+      PAYMENT_EVENTS.DUPLICATE,
+      PAYMENT_EVENTS.UNKNOWN,
+      PAYMENT_EVENTS.MISMATCH,
+    ]);
+    expect(notifications[0].reason).to.contain(`Received ${usdc(4)} of ${usdc(10)}`);
+    expect((await orders.getOrder(underpaid)).paidAmount).to.equal(usdc(10).toString());
+    expect((await orders.getOrder(mismatched)).status).to.equal(ORDER_STATUS.PENDING);
+  });
+
+  it("only applies payments from the configured sender id", async () => {
+    const uuid = createUuid();
+    await orders.addOrder({ uuid, amount: usdc(1) });
+
+    await pay(uuid, usdc(1), { senderId: "other-shop" });
+    expect((await newWatcher({ senderId: "checkout" }).poll()).notifications).to.be.empty;
+    expect((await newWatcher({ senderId: "other-shop" }).poll()).notifications[0].type).to.equal(PAYMENT_EVENTS.PAID);
+  });
+
+  it("posts signed webhooks and retries failed deliveries", async () => {
+    const received: any[] = [];
+    let failNext = true;
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => { body += chunk; });
+      req.on("end", () => {
+        if (failNext) {
+          failNext = false;
+          res.writeHead(500).end();
+          return;
+        }
+        received.push({ body: JSON.parse(body), signature: req.headers["x-carbon-signature"], raw: body });
+        res.writeHead(200).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const webhookUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/payments`;
+
+    try {
+      const uuid = createUuid();
+      await orders.addOrder({ uuid, amount: usdc(3) });
+      const errors: any[] = [];
+      const watcher = newWatcher({ webhookUrl, webhookSecret: "s3cret", onError: (err: any) => errors.push(err) });
+
+      await pay(uuid, usdc(3));
+      await watcher.poll();
+      expect(received).to.be.empty;
+      expect(errors[0].message).to.contain("Webhook delivery failed");
+      expect((await watcher.getState()).outbox).to.have.length(1);
+
+      await watcher.poll();
+      expect(received).to.have.length(1);
+      expect(received[0].body.type).to.equal(PAYMENT_EVENTS.PAID);
+      expect(received[0].body.order.uuid).to.equal(uuid);
+      expect(received[0].signature).to.equal(signWebhook(received[0].raw, "s3cret"));
+      expect((await watcher.getState()).outbox).to.be.empty;
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
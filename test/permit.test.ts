@@ -0,0 +1,103 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture, usdc } from "./fixtures";
+
+const permit = require("../js-helpers/permit");
+
+describe("Permit Signing", () => {
+  let fixture: any;
+  let permitAndTransfer: any;
+  let opus: any;
+
+  const artistId = ethers.utils.formatBytes32String("artist");
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    const { deployer, user1, user2, usdcToken } = fixture;
+    await usdcToken.mint(user2.address, usdc(100));
+
+    permitAndTransfer = await (await ethers.getContractFactory("PermitAndTransfer", deployer)).deploy();
+    opus = await (await ethers.getContractFactory("CarbonOpus", deployer)).deploy("https://example.com/{id}.json", usdcToken.address);
+    await opus.createMusic(artistId, user1.address, usdc(2), 1000);
+    await opus.createMusic(artistId, user1.address, usdc(3), 1000);
+  });
+
+  it("builds the mock USDC domain and matches its DOMAIN_SEPARATOR", async () => {
+    const { usdcToken } = fixture;
+    const domain = await permit.getPermitDomain(usdcToken);
+    const { chainId } = await ethers.provider.getNetwork();
+
+    expect(domain).to.deep.equal({ name: "USDC Clone", version: "1", chainId, verifyingContract: usdcToken.address });
+    expect(ethers.utils._TypedDataEncoder.hashDomain(domain)).to.equal(await usdcToken.DOMAIN_SEPARATOR());
+  });
+
+  it("signs a permit that the token accepts", async () => {
+    const { usdcToken, user2, user3 } = fixture;
+    const signed = await permit.signPermit(user2, usdcToken, { spender: user3.address, value: usdc(7) });
+    expect(signed.nonce).to.equal(0);
+    expect(permit.recoverPermitSigner(await permit.getPermitDomain(usdcToken), signed, signed.signature)).to.equal(user2.address);
+
+    await usdcToken.permit(signed.owner, signed.spender, signed.value, signed.deadline, signed.v, signed.r, signed.s);
+    expect(await usdcToken.allowance(user2.address, user3.address)).to.equal(usdc(7));
+    expect(await permit.getPermitNonce(usdcToken, user2.address)).to.equal(1);
+  });
+
+  it("converts ids and uuids to bytes32", () => {
+    const uuid = "0f8fad5b-d9cb-469f-a165-70867728950e";
+    const encoded = permit.uuidToBytes32(uuid);
+    expect(encoded).to.equal(`0x${"0".repeat(32)}0f8fad5bd9cb469fa16570867728950e`);
+    expect(permit.bytes32ToUuid(encoded)).to.equal(uuid);
+    expect(permit.toBytes32Id("checkout")).to.equal(ethers.utils.formatBytes32String("checkout"));
+    expect(permit.toBytes32Id(encoded)).to.equal(encoded);
+    expect(() => permit.uuidToBytes32("not-a-uuid")).to.throw("Invalid uuid");
+  });
+
+  it("submits a PermitAndTransfer payment tagged with its order uuid", async () => {
+    const { usdcToken, deployer, user2, treasury } = fixture;
+    const { uuid, args } = await permit.signPermitAndTransfer(user2, permitAndTransfer, usdcToken, { to: treasury.address, amount: usdc(15), senderId: "checkout" });
+
+    // Anyone can submit; the backend does it here
+    const receipt = await (await permitAndTransfer.connect(deployer).permitAndTransfer(...args)).wait();
+    const event = receipt.events.find((e: any) => e.event === "PermitTransfer");
+    expect(event.args.senderId).to.equal(ethers.utils.formatBytes32String("checkout"));
+    expect(permit.bytes32ToUuid(event.args.uuid)).to.equal(uuid);
+    expect(event.args.value).to.equal(usdc(15));
+    expect(await usdcToken.balanceOf(treasury.address)).to.equal(usdc(15));
+  });
+
+  it("submits CarbonOpus purchases for one song and for a batch", async () => {
+    const { usdcToken, user2 } = fixture;
+    const buyerId = ethers.utils.formatBytes32String("buyer");
+
+    const single = await permit.signOpusPurchase(user2, opus, { memberId: buyerId, tokenIds: 1 });
+    expect(single.method).to.equal("purchaseMusicOnBehalf");
+    expect(single.permit.value).to.equal(usdc(2));
+    await opus[single.method](...single.args);
+
+    const batch = await permit.signOpusPurchase(user2, opus, { memberId: "buyer", tokenIds: [1, 2], referrers: ["fan", "fan"] });
+    expect(batch.method).to.equal("purchaseBatchOnBehalf");
+    expect(batch.permit.value).to.equal(usdc(5));
+    await opus[batch.method](...batch.args);
+
+    expect(await opus.balanceOf(user2.address, 1)).to.equal(2);
+    expect(await opus.balanceOf(user2.address, 2)).to.equal(1);
+    expect(await usdcToken.balanceOf(user2.address)).to.equal(usdc(93));
+  });
+
+  it("submits a paymaster buy on behalf of the signer", async () => {
+    const { carbonCoin, paymaster, user2 } = fixture;
+    const quoted = await carbonCoin.calculateTokensOut(usdc(10));
+    const { args } = await permit.signPaymasterBuy(user2, paymaster, { token: carbonCoin.address, usdcAmount: usdc(10), minTokensOut: quoted });
+
+    // The deployer is the paymaster controller
+    await paymaster.buyOnBehalf(...args);
+    expect(await carbonCoin.balanceOf(user2.address)).to.equal(quoted);
+  });
+
+  it("fails on-chain once the nonce is spent", async () => {
+    const { usdcToken, user2, treasury } = fixture;
+    const { args } = await permit.signPermitAndTransfer(user2, permitAndTransfer, usdcToken, { to: treasury.address, amount: usdc(1), senderId: "checkout" });
+    await permitAndTransfer.permitAndTransfer(...args);
+    await expect(permitAndTransfer.permitAndTransfer(...args)).to.be.reverted;
+  });
+});
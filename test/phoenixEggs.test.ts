@@ -0,0 +1,52 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+
+describe("PhoenixEggs", () => {
+  let deployer: any;
+  let user1: any;
+  let eggs: any;
+
+  const deployNft = async () => {
+    const nft = await (await ethers.getContractFactory("PhoenixNFT_v1", deployer)).deploy();
+    // The deployer stands in for the previous Phoenix, so it can spawn NFTs
+    await nft.setLastPhoenix(deployer.address);
+    return nft;
+  };
+
+  beforeEach(async () => {
+    ({ deployer, user1 } = await ethers.getNamedSigners());
+    eggs = await (await ethers.getContractFactory("PhoenixEggs", deployer)).deploy();
+  });
+
+  describe("setPhoenixNFT", () => {
+    it("sets the NFT on a fresh deployment", async () => {
+      const nft = await deployNft();
+      expect(await eggs.phoenixNft()).to.equal(ethers.constants.AddressZero);
+
+      await eggs.setPhoenixNFT(nft.address);
+      expect(await eggs.phoenixNft()).to.equal(nft.address);
+
+      // setMaxNfts() needs the NFT
+      await eggs.setMaxNfts(500);
+      expect(await eggs.getMaxNfts()).to.equal(500);
+    });
+
+    it("replaces the NFT until the current one has been minted", async () => {
+      const first = await deployNft();
+      const second = await deployNft();
+      await eggs.setPhoenixNFT(first.address);
+
+      await eggs.setPhoenixNFT(second.address);
+      expect(await eggs.phoenixNft()).to.equal(second.address);
+
+      await second.spawnFromAshes(user1.address, 0);
+      await expect(eggs.setPhoenixNFT(first.address)).to.be.revertedWith("already started");
+      expect(await eggs.phoenixNft()).to.equal(second.address);
+    });
+
+    it("is only for the owner", async () => {
+      const nft = await deployNft();
+      await expect(eggs.connect(user1).setPhoenixNFT(nft.address)).to.be.reverted;
+    });
+  });
+});
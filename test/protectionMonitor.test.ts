@@ -0,0 +1,110 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { deployCarbonCoinFixture, increaseTime } from "./fixtures";
+
+const { createProtectionMonitor, createFileSink, SEVERITY } = require("../js-helpers/protectionMonitor");
+
+describe("Protection Monitor", () => {
+  let fixture: any;
+  let alerts: any[];
+
+  const newMonitor = (options: any = {}) => createProtectionMonitor({
+    provider: ethers.provider,
+    protection: fixture.protection.address,
+    launcher: fixture.launcher.address,
+    sinks: [(alert: any) => alerts.push(alert)],
+    startBlock: fixture.startBlock,
+    ...options,
+  });
+  const types = () => alerts.map((alert) => alert.type);
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    alerts = [];
+  });
+
+  it("discovers launched tokens", async () => {
+    const monitor = newMonitor();
+    await monitor.poll();
+    const tokens = await monitor.getStatus();
+    expect(tokens).to.have.length(1);
+    expect(tokens[0].address).to.equal(fixture.carbonCoin.address);
+    expect(tokens[0].symbol).to.equal("TCC");
+  });
+
+  it("alerts on blacklisting and bot detection", async () => {
+    const { protection, carbonCoin, deployer, user2 } = fixture;
+    const monitor = newMonitor();
+    await monitor.poll();
+
+    await protection.connect(deployer).blacklistAddress(carbonCoin.address, user2.address, true);
+    const { alerts: found } = await monitor.poll();
+    expect(found.map((alert: any) => alert.type)).to.deep.equal(["AddressBlacklisted", "BotDetected"]);
+    expect(found[1].severity).to.equal(SEVERITY.WARNING);
+    expect(found[1].symbol).to.equal("TCC");
+    expect(found[1].args.user).to.equal(user2.address);
+    expect(found[1].message).to.contain("Manually blacklisted");
+  });
+
+  it("tracks a circuit breaker until it expires", async () => {
+    const { protection, carbonCoin, deployer } = fixture;
+    const monitor = newMonitor();
+    await protection.connect(deployer).triggerCircuitBreaker(carbonCoin.address, "test");
+    await monitor.poll();
+
+    expect(types()).to.deep.equal(["CircuitBreakerTriggered"]);
+    expect(alerts[0].severity).to.equal(SEVERITY.CRITICAL);
+    let [ token ] = await monitor.getStatus();
+    expect(token.breaker.isActive).to.equal(true);
+    expect(token.breaker.timeRemaining).to.be.gt(0);
+
+    await increaseTime(15 * 60);
+    await monitor.poll();
+    await monitor.poll();
+    expect(types()).to.deep.equal(["CircuitBreakerTriggered", "CircuitBreakerExpired"]);
+    [ token ] = await monitor.getStatus();
+    expect(token.breaker.isActive).to.equal(false);
+  });
+
+  it("resets expired breakers with the owner key", async () => {
+    const { protection, carbonCoin, deployer } = fixture;
+    const monitor = newMonitor({ resetSigner: deployer });
+    await protection.connect(deployer).triggerCircuitBreaker(carbonCoin.address, "test");
+    await monitor.poll();
+
+    await increaseTime(15 * 60);
+    await monitor.poll();
+    expect(types()).to.deep.equal(["CircuitBreakerTriggered", "CircuitBreakerExpired", "CircuitBreakerResetSent"]);
+
+    await monitor.poll();
+    expect(types()).to.include("CircuitBreakerReset");
+    const [ token ] = await monitor.getStatus();
+    expect(token.breaker.triggeredAt).to.equal(0);
+    expect((await protection.getCircuitBreakerStatus(carbonCoin.address)).triggeredAt).to.equal(0);
+  });
+
+  it("does not reset without the owner key", async () => {
+    const { protection, carbonCoin, deployer, user2 } = fixture;
+    const monitor = newMonitor({ resetSigner: user2 });
+    await protection.connect(deployer).triggerCircuitBreaker(carbonCoin.address, "test");
+    await increaseTime(15 * 60);
+    await monitor.poll();
+    expect(types()).to.deep.equal(["CircuitBreakerTriggered", "CircuitBreakerExpired"]);
+  });
+
+  it("writes alerts to a file as JSON lines", async () => {
+    const { protection, carbonCoin, deployer } = fixture;
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "protection-")), "alerts.log");
+    const monitor = newMonitor({ sinks: [createFileSink(file)] });
+    await protection.connect(deployer).triggerCircuitBreaker(carbonCoin.address, "test");
+    await monitor.poll();
+
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    expect(lines).to.have.length(1);
+    expect(lines[0].type).to.equal("CircuitBreakerTriggered");
+    expect(lines[0].args.reason).to.equal("test");
+  });
+});
@@ -0,0 +1,109 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { AddressInfo } from "net";
+import { deployCarbonCoinFixture, usdc } from "./fixtures";
+
+const { createRelayer, createRelayerServer, STATUS } = require("../js-helpers/relayer");
+const { signPermit, getPermitDeadline } = require("../js-helpers/permit");
+
+describe("Gasless Relayer", () => {
+  let fixture: any;
+  let relayer: any;
+  let server: any;
+  let baseUrl: string;
+
+  // Body for /relay/buy; "signer" signs in place of "owner" to forge a permit
+  const signBuyPermit = async (owner: any, value: any, { deadlineIn = 3600, signer = owner } = {}) => {
+    const deadline = await getPermitDeadline(ethers.provider, deadlineIn);
+    const { v, r, s } = await signPermit(signer, fixture.usdcToken, { spender: fixture.paymaster.address, value, deadline });
+    return { owner: owner.address, usdcAmount: value.toString(), deadline, v, r, s };
+  };
+
+  const post = async (path: string, body: any) => {
+    const response = await fetch(`${baseUrl}${path}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    await fixture.usdcToken.mint(fixture.user2.address, usdc(100));
+
+    // The deployer is the paymaster controller
+    relayer = createRelayer({ signer: fixture.deployer, paymaster: fixture.paymaster.address });
+    server = createRelayerServer(relayer);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("relays a permit-signed buy end-to-end", async () => {
+    const { carbonCoin, usdcToken, user2 } = fixture;
+    const permit = await signBuyPermit(user2, usdc(10));
+    const quoted = await carbonCoin.calculateTokensOut(usdc(10));
+
+    const { status, body } = await post("/relay/buy", { ...permit, token: carbonCoin.address, slippage: "2" });
+    expect(status).to.equal(202);
+    expect(body.request.minTokensOut).to.equal(quoted.mul(98).div(100).toString());
+
+    const submission = await relayer.waitForSubmission(body.id);
+    expect(submission.status).to.equal(STATUS.CONFIRMED);
+    expect(submission.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await carbonCoin.balanceOf(user2.address)).to.equal(quoted);
+    expect(await usdcToken.balanceOf(user2.address)).to.equal(usdc(90));
+
+    const fetched = await fetch(`${baseUrl}/relay/submissions/${body.id}`);
+    expect((await fetched.json()).status).to.equal(STATUS.CONFIRMED);
+  });
+
+  it("manages the controller nonce across queued submissions", async () => {
+    const { carbonCoin, user2, user3, usdcToken } = fixture;
+    await usdcToken.mint(user3.address, usdc(100));
+
+    const first = await relayer.submitBuy({ ...(await signBuyPermit(user2, usdc(5))), token: carbonCoin.address });
+    const second = await relayer.submitBuy({ ...(await signBuyPermit(user3, usdc(5))), token: carbonCoin.address });
+
+    expect((await relayer.waitForSubmission(first.id)).status).to.equal(STATUS.CONFIRMED);
+    expect((await relayer.waitForSubmission(second.id)).status).to.equal(STATUS.CONFIRMED);
+    expect(await carbonCoin.balanceOf(user3.address)).to.be.gt(0);
+  });
+
+  it("rejects invalid permits before submitting", async () => {
+    const { carbonCoin, user2, user3 } = fixture;
+    const token = carbonCoin.address;
+
+    const expired = await post("/relay/buy", { ...(await signBuyPermit(user2, usdc(5), { deadlineIn: 10 })), token });
+    expect(expired.status).to.equal(400);
+    expect(expired.body.error).to.contain("deadline");
+
+    const wrongSigner = await post("/relay/buy", { ...(await signBuyPermit(user2, usdc(5), { signer: user3 })), token });
+    expect(wrongSigner.status).to.equal(400);
+    expect(wrongSigner.body.error).to.contain("Invalid permit");
+
+    // Signed for a different amount than requested
+    const tampered = { ...(await signBuyPermit(user2, usdc(5))), token, usdcAmount: usdc(6).toString() };
+    expect((await post("/relay/buy", tampered)).body.error).to.contain("Invalid permit");
+
+    const broke = await post("/relay/buy", { ...(await signBuyPermit(user2, usdc(500))), token });
+    expect(broke.body.error).to.contain("Insufficient USDC balance");
+
+    const notACoin = await post("/relay/buy", { ...(await signBuyPermit(user2, usdc(5))), token: fixture.usdcToken.address });
+    expect(notACoin.body.error).to.contain("not a CarbonCoin");
+  });
+
+  it("rejects a permit that is already pending", async () => {
+    const { carbonCoin, user2 } = fixture;
+    const permit = { ...(await signBuyPermit(user2, usdc(5))), token: carbonCoin.address };
+
+    const [ first, second ] = await Promise.all([ post("/relay/buy", permit), post("/relay/buy", permit) ]);
+    expect([ first.status, second.status ].sort()).to.deep.equal([ 202, 409 ]);
+  });
+
+  it("refuses relayed sells", async () => {
+    const { status, body } = await post("/relay/sell", {});
+    expect(status).to.equal(501);
+    expect(body.error).to.contain("sellOnBehalf");
+  });
+});
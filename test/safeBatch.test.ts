@@ -0,0 +1,82 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture } from "./fixtures";
+
+const { SafeBatchSigner, buildSafeBatchFile, getBatchChecksum, decodeCall } = require("../js-helpers/safeBatch");
+
+describe("Safe Batches", () => {
+  let fixture: any;
+  let safe: string;
+  let signer: any;
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    const { launcher, protection, deployer } = fixture;
+    safe = ethers.Wallet.createRandom().address;
+    await launcher.connect(deployer).transferOwnership(safe);
+
+    signer = new SafeBatchSigner({
+      safe,
+      provider: ethers.provider,
+      labels: { [launcher.address]: "CarbonCoinLauncher", [protection.address]: "CarbonCoinProtection" },
+    });
+  });
+
+  it("collects owner-only calls with decoded previews, simulated as the Safe", async () => {
+    const { launcher } = fixture;
+    const tx = await launcher.connect(signer).setMaxTokensPerCreator(5);
+    const receipt = await tx.wait();
+    expect(receipt.status).to.equal(1);
+
+    expect(signer.calls).to.have.length(1);
+    const [ call ] = signer.calls;
+    expect(call.to).to.equal(launcher.address);
+    expect(call.preview).to.equal('CarbonCoinLauncher.setMaxTokensPerCreator(_max: "5")');
+    expect(call.simulation.mode).to.equal("fork");
+
+    // Simulated on the local chain, so later calls see the change
+    expect(await launcher.maxTokensPerCreator()).to.equal(5);
+  });
+
+  it("refuses calls that would revert from the Safe", async () => {
+    const { protection, carbonCoin, user2 } = fixture;
+    let error: any;
+    try {
+      await protection.connect(signer).blacklistAddress(carbonCoin.address, user2.address, true);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.not.equal(undefined);
+    expect(signer.calls).to.have.length(0);
+  });
+
+  it("writes a Transaction Builder batch with a valid checksum", async () => {
+    const { launcher } = fixture;
+    await launcher.connect(signer).setMaxTokensPerCreator(7);
+    await launcher.connect(signer).withdrawUsdcFees();
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const batch = buildSafeBatchFile({ chainId, safe, calls: signer.calls, createdAt: 1 });
+    expect(batch.chainId).to.equal(`${chainId}`);
+    expect(batch.meta.createdFromSafeAddress).to.equal(safe);
+    expect(batch.meta.description).to.equal('1. CarbonCoinLauncher.setMaxTokensPerCreator(_max: "7")\n2. CarbonCoinLauncher.withdrawUsdcFees()');
+    expect(batch.transactions).to.have.length(2);
+    expect(batch.transactions[0]).to.include({ to: launcher.address, value: "0" });
+    expect(batch.transactions[0].data).to.equal(launcher.interface.encodeFunctionData("setMaxTokensPerCreator", [7]));
+    expect(batch.transactions[0].contractMethod.name).to.equal("setMaxTokensPerCreator");
+    expect(batch.transactions[0].contractInputsValues).to.deep.equal({ _max: "7" });
+
+    const { checksum, ...meta } = batch.meta;
+    expect(getBatchChecksum({ ...batch, meta })).to.equal(checksum);
+    // The name is left out of the checksum, so batches can be renamed
+    expect(getBatchChecksum({ ...batch, meta: { ...meta, name: "renamed" } })).to.equal(checksum);
+  });
+
+  it("decodes calls to unlabelled contracts against every ABI", async () => {
+    const { protection } = fixture;
+    const data = protection.interface.encodeFunctionData("resetCircuitBreaker", [protection.address]);
+    const { method, preview } = decodeCall({ to: protection.address, data });
+    expect(method).to.equal("resetCircuitBreaker");
+    expect(preview).to.contain("resetCircuitBreaker(");
+  });
+});
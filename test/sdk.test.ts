@@ -0,0 +1,222 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { createCarbonCoin, deployCarbonCoinDex, deployCarbonCoinFixture, GRADUATING_CURVE, usdc, tokens } from "./fixtures";
+
+const sdk = require("../sdk");
+
+describe("SDK", () => {
+  let fixture: any;
+  let clients: any;
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    clients = sdk.createCarbonClients({
+      ethers,
+      runner: fixture.user2,
+      addresses: {
+        CarbonCoinLauncher: fixture.launcher.address,
+        CarbonCoinProtection: fixture.protection.address,
+        CarbonCoinPaymaster: fixture.paymaster.address,
+      },
+    });
+  });
+
+  describe("amounts", () => {
+    it("parses decimals and keeps bigints as base units", () => {
+      expect(sdk.parseUsdc("12.5")).to.equal(BigInt(12500000));
+      expect(sdk.parseTokens(1)).to.equal(BigInt(tokens(1).toString()));
+      expect(sdk.toUnits(BigInt(5), 18)).to.equal(BigInt(5));
+      expect(sdk.toUnits(usdc(3), 6)).to.equal(BigInt(3000000));
+      expect(sdk.formatUsdc(BigInt(1500000))).to.equal("1.5");
+      expect(sdk.formatTokens(BigInt(0))).to.equal("0");
+      expect(sdk.applySlippage(BigInt(1000), "0.5")).to.equal(BigInt(995));
+      expect(() => sdk.parseUsdc("0.0000001")).to.throw("more than 6 decimals");
+      expect(() => sdk.parseUsdc("abc")).to.throw("Invalid amount");
+    });
+  });
+
+  describe("clients", () => {
+    it("detects the ethers version and resolves deployed addresses", () => {
+      expect(sdk.getEthersVersion(ethers)).to.equal(5);
+      const deployed = require("../deployments/somniaTestnet/CarbonCoinLauncher.json");
+      expect(sdk.resolveAddress("CarbonCoinLauncher", 50312)).to.equal(deployed.address);
+      expect(() => sdk.resolveAddress("CarbonCoinLauncher", "seiMainnet")).to.throw("not deployed on seiMainnet");
+      expect(clients.opus).to.equal(null);
+    });
+
+    it("reads launcher and token state", async () => {
+      const { launcher, carbonCoin, user1 } = fixture;
+      const token = await clients.launcher.getToken(carbonCoin.address);
+      expect(token.creator).to.equal(user1.address);
+      expect(await clients.launcher.getTokensCreatedBy(user1.address)).to.equal(BigInt(1));
+
+      const coin = clients.launcher.coin(carbonCoin.address);
+      const info = await coin.getInfo();
+      expect(info.symbol).to.equal(await carbonCoin.symbol());
+      expect(info.maxSupply).to.equal(BigInt((await carbonCoin.MAX_SUPPLY()).toString()));
+      expect(await coin.getPrice()).to.equal(BigInt((await carbonCoin.getCurrentPrice()).toString()));
+      expect(await coin.getGraduationProgress()).to.equal(0);
+
+      const protection = await clients.launcher.protection();
+      expect(protection.address).to.equal(fixture.protection.address);
+      // The creator is whitelisted on creation; other traders are not
+      expect(await protection.isWhitelisted(carbonCoin.address, user1.address)).to.equal(true);
+      expect(await protection.isWhitelisted(carbonCoin.address, fixture.user2.address)).to.equal(false);
+      expect(launcher.address).to.equal(clients.launcher.address);
+    });
+
+    it("quotes and trades with decimal amounts", async () => {
+      const { carbonCoin, usdcToken, user2 } = fixture;
+      await usdcToken.mint(user2.address, usdc(100));
+      const coin = clients.coin(carbonCoin.address);
+
+      const quote = await coin.quoteBuy("25", { slippage: "2" });
+      expect(quote.usdcIn).to.equal(BigInt(25000000));
+      expect(quote.tokensOut).to.equal(BigInt((await carbonCoin.calculateTokensOut(usdc(25))).toString()));
+      expect(quote.minTokensOut).to.equal(quote.tokensOut * BigInt(98) / BigInt(100));
+
+      // The USDC approval is part of the buy
+      await (await coin.buy("25")).wait();
+      expect(await coin.balanceOf(user2.address)).to.equal(quote.tokensOut);
+
+      const sellQuote = await coin.quoteSell(quote.tokensOut / BigInt(2));
+      const [ usdcOut, fee ] = await carbonCoin.calculateUsdcOutWithFee((quote.tokensOut / BigInt(2)).toString());
+      expect(sellQuote.usdcOut).to.equal(BigInt(usdcOut.toString()));
+      expect(sellQuote.fee).to.equal(BigInt(fee.toString()));
+    });
+  });
+
+  describe("trade", () => {
+    let coin: any;
+    let dex: any;
+    let positionManager: any;
+    let trader: any;
+
+    const rejection = async (promise: Promise<any>) => {
+      try {
+        await promise;
+      } catch (err) {
+        return err;
+      }
+      return null;
+    };
+
+    // The mock position manager is also the swap router and quoter of its pools
+    const tradeClient = (runner: any) => sdk.createCarbonClients({ ethers, runner, swapRouter: positionManager.address, quoter: positionManager.address }).coin(coin.address);
+
+    beforeEach(async () => {
+      const { config, protection, usdcToken, user2 } = fixture;
+      trader = fixture.user3;
+
+      // Graduation needs a DEX and a reachable threshold
+      ({ dex, positionManager } = await deployCarbonCoinDex(fixture));
+      await config.updateDexAddress(dex.address);
+      coin = await createCarbonCoin(fixture.launcher, fixture.treasury.address, GRADUATING_CURVE, "Graduate", "GRAD");
+      await protection.addToWhitelist(coin.address, trader.address);
+      await usdcToken.mint(trader.address, usdc(20000));
+      await usdcToken.mint(user2.address, usdc(1000));
+    });
+
+    it("trades on the bonding curve before graduation", async () => {
+      const { user2 } = fixture;
+      const client = tradeClient(user2);
+
+      const { quote, tx } = await client.trade({ side: "buy", amount: "25", slippage: "0.5" });
+      await tx.wait();
+      expect(quote).to.include({ venue: "curve", path: null, pool: null, amountIn: BigInt(25000000) });
+      expect(quote.minAmountOut).to.equal(quote.amountOut * BigInt(995) / BigInt(1000));
+      expect(await client.balanceOf(user2.address)).to.equal(quote.amountOut);
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const expired: any = await rejection(client.trade({ side: "sell", amount: quote.amountOut / BigInt(2), deadline: timestamp }));
+      expect(expired.message).to.contain("deadline");
+    });
+
+    it("trades on the pool created by graduation", async () => {
+      const { usdcToken, user2 } = fixture;
+      const client = tradeClient(user2);
+
+      await usdcToken.connect(trader).approve(coin.address, ethers.constants.MaxUint256);
+      await coin.connect(trader).buy(usdc(10200), 0);
+      expect(await coin.hasGraduated()).to.equal(true);
+      expect(await client.getPool()).to.equal(positionManager.address);
+
+      const [ expected ] = await positionManager.quoteExactInputSingle(usdcToken.address, coin.address, usdc(100), 0);
+      const { quote, tx } = await client.trade({ side: "buy", amount: "100", slippage: "0.5" });
+      await tx.wait();
+      expect(quote).to.include({ venue: "dex", pool: positionManager.address, amountIn: BigInt(100000000), amountOut: BigInt(expected.toString()) });
+      expect(quote.path).to.deep.equal([ usdcToken.address, coin.address ]);
+      expect(quote.minAmountOut).to.equal(quote.amountOut * BigInt(995) / BigInt(1000));
+      expect(await client.balanceOf(user2.address)).to.equal(quote.amountOut);
+
+      // The approval is part of the sell; the swap router enforces the minimum and the deadline
+      const usdcBefore = BigInt((await usdcToken.balanceOf(user2.address)).toString());
+      const sellQuote = await client.quoteTrade({ side: "sell", amount: quote.amountOut });
+      const tooHigh: any = await rejection(client.trade({ side: "sell", amount: quote.amountOut, minAmountOut: sellQuote.amountOut + BigInt(1) }));
+      expect(tooHigh.message).to.contain("Too little received");
+
+      const sold = await client.trade({ side: "sell", amount: quote.amountOut });
+      await sold.tx.wait();
+      expect(sold.quote.path).to.deep.equal([ coin.address, usdcToken.address ]);
+      expect(BigInt((await usdcToken.balanceOf(user2.address)).toString())).to.equal(usdcBefore + sold.quote.amountOut);
+    });
+
+    it("uses the position manager of the DEX when no swap router or quoter is listed", async () => {
+      const { usdcToken, user2 } = fixture;
+      await usdcToken.connect(trader).approve(coin.address, ethers.constants.MaxUint256);
+      await coin.connect(trader).buy(usdc(10200), 0);
+
+      // Hardhat (34443) lists no swapRouter or quoter in js-helpers/globals
+      const client = sdk.createCarbonClients({ ethers, runner: user2 }).coin(coin.address);
+      const router = await client.router();
+      expect(router.address).to.equal(positionManager.address);
+      expect(router.quoterAddress).to.equal(positionManager.address);
+
+      const [ expected ] = await positionManager.quoteExactInputSingle(usdcToken.address, coin.address, usdc(10), 0);
+      const quote = await client.quoteTrade({ side: "buy", amount: "10" });
+      expect(quote).to.include({ venue: "dex", amountOut: BigInt(expected.toString()) });
+    });
+
+    it("looks the pool up through the position manager of the DEX", async () => {
+      const { deployer, usdcToken, user2 } = fixture;
+      await usdcToken.connect(trader).approve(coin.address, ethers.constants.MaxUint256);
+      await coin.connect(trader).buy(usdc(10200), 0);
+
+      // A position manager without the graduation pool
+      const empty = await (await ethers.getContractFactory("MockPositionManager", deployer)).deploy();
+      await dex.updateRouter(empty.address);
+      const noPool: any = await rejection(tradeClient(user2).quoteTrade({ side: "buy", amount: "10" }));
+      expect(noPool.message).to.contain("has no pool");
+    });
+  });
+
+  describe("errors", () => {
+    it("decodes custom errors into readable messages", async () => {
+      const { carbonCoin, user1 } = fixture;
+      const coin = sdk.createCarbonClients({ ethers, runner: user1 }).coin(carbonCoin.address);
+
+      let thrown: any = null;
+      try {
+        await coin.transfer(fixture.user2.address, "1");
+      } catch (err) {
+        thrown = err;
+      }
+      expect(thrown).to.be.instanceOf(sdk.CarbonSdkError);
+      expect(thrown.errorName).to.equal("CreatorCannotSellBeforeGraduation");
+      expect(thrown.message).to.contain("cannot sell or transfer");
+    });
+
+    it("decodes raw revert data from each interface", () => {
+      const coinInterface = new ethers.utils.Interface(require("../abis/ICarbonCoin.json"));
+      const launcherInterface = new ethers.utils.Interface(require("../abis/ICarbonCoinLauncher.json"));
+      const protectionInterface = new ethers.utils.Interface(require("../abis/ICarbonCoinProtection.json"));
+
+      expect(clients.decodeError(coinInterface.encodeErrorResult("SlippageTooHigh", [])).name).to.equal("SlippageTooHigh");
+      expect(clients.decodeError({ error: { data: launcherInterface.encodeErrorResult("InvalidAddress", [ ethers.constants.AddressZero ]) } }).args)
+        .to.deep.equal([ ethers.constants.AddressZero ]);
+      expect(clients.decodeError({ body: JSON.stringify({ error: { data: protectionInterface.encodeErrorResult("WhaleIntentNotReady", []) } }) }).message)
+        .to.contain("whale intent delay");
+      expect(clients.decodeError(new Error("network down"))).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import * as fs from "fs";
+import * as http from "http";
+import * as path from "path";
+
+const { verifyContract, getVerificationLedgerPath, readVerificationLedger } = require("../js-helpers/verifyContract");
+
+// The ledger for chainId 31337 is written under "deployments/coverage"
+const LEDGER_CHAIN_ID = 31337;
+const LEDGER_PATH = path.join(__dirname, "..", "deployments", "coverage");
+
+// Minimal Etherscan-compatible explorer API
+const startStubExplorer = async (state: { verified: boolean, missingBytecode: number, rejectWith?: string }) => {
+  const actions: string[] = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const url = new URL(req.url || "/", "http://127.0.0.1");
+      const form = new URLSearchParams(body);
+      const param = (key: string) => url.searchParams.get(key) || form.get(key);
+      const action = param("action") || "";
+      actions.push(action);
+
+      let payload: any = { status: "0", message: "NOTOK", result: "Unknown action" };
+      if (action === "getsourcecode") {
+        payload = { status: "1", message: "OK", result: [{ SourceCode: state.verified ? "source" : "" }] };
+      } else if (action === "verifysourcecode") {
+        if (state.rejectWith) {
+          payload = { status: "0", message: "NOTOK", result: state.rejectWith };
+        } else if (state.missingBytecode > 0) {
+          state.missingBytecode--;
+          payload = { status: "0", message: "NOTOK", result: `Unable to locate ContractCode at ${param("contractaddress")}` };
+        } else {
+          payload = { status: "1", message: "OK", result: "stub-guid" };
+        }
+      } else if (action === "checkverifystatus") {
+        state.verified = true;
+        payload = { status: "1", message: "OK", result: "Pass - Verified" };
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", () => resolve()));
+  const { port } = server.address() as any;
+  return {
+    actions,
+    close: () => new Promise((resolve) => server.close(resolve)),
+    explorer: { apiURL: `http://127.0.0.1:${port}/api`, browserURL: `http://127.0.0.1:${port}` },
+  };
+};
+
+describe("verifyContract", () => {
+  const contractName = "ERC20Mintable";
+  const constructorArgs = ["USDC Clone", "USDC"];
+  let stub: any;
+  let contract: any;
+
+  beforeEach(async () => {
+    const factory = await ethers.getContractFactory(contractName);
+    contract = await factory.deploy(...constructorArgs);
+    await contract.deployed();
+  });
+
+  afterEach(async () => {
+    if (stub) { await stub.close(); }
+    stub = undefined;
+  });
+
+  after(() => {
+    fs.rmSync(getVerificationLedgerPath(LEDGER_CHAIN_ID), { force: true });
+    if (fs.existsSync(LEDGER_PATH) && fs.readdirSync(LEDGER_PATH).length === 0) {
+      fs.rmdirSync(LEDGER_PATH);
+    }
+  });
+
+  const verify = (options: any = {}) => verifyContract(contractName, contract, constructorArgs, "", {
+    chainId: LEDGER_CHAIN_ID,
+    explorer: stub.explorer,
+    apiKey: "stub",
+    delayMs: 1,
+    ...options,
+  });
+
+  it("retries while the explorer has not indexed the bytecode", async () => {
+    stub = await startStubExplorer({ verified: false, missingBytecode: 2 });
+    const result = await verify();
+
+    expect(result.status).to.equal("verified");
+    expect(result.attempts).to.equal(3);
+    expect(stub.actions.filter((action: string) => action === "verifysourcecode")).to.have.length(3);
+  });
+
+  it("gives up once the retries are exhausted", async () => {
+    stub = await startStubExplorer({ verified: false, missingBytecode: 10 });
+    const result = await verify({ retries: 1 });
+
+    expect(result.status).to.equal("failed");
+    expect(result.attempts).to.equal(2);
+    expect(result.error).to.match(/bytecode/i);
+  });
+
+  it("does not retry deterministic rejections", async () => {
+    stub = await startStubExplorer({ verified: false, missingBytecode: 0, rejectWith: "Invalid API Key" });
+    const result = await verify();
+
+    expect(result.status).to.equal("failed");
+    expect(result.attempts).to.equal(1);
+    expect(result.error).to.contain("Invalid API Key");
+  });
+
+  it("treats already verified contracts as done", async () => {
+    stub = await startStubExplorer({ verified: true, missingBytecode: 0 });
+    const result = await verify();
+
+    expect(result.status).to.equal("already-verified");
+    expect(stub.actions).to.not.include("verifysourcecode");
+  });
+
+  it("records the status in the deployment ledger and skips recorded contracts", async () => {
+    stub = await startStubExplorer({ verified: false, missingBytecode: 0 });
+    await verify();
+
+    const recorded = readVerificationLedger(LEDGER_CHAIN_ID)[contractName];
+    expect(recorded.address).to.equal(contract.address);
+    expect(recorded.verification.status).to.equal("verified");
+
+    // hardhat-deploy skips the ledger; no deployment record is written for the contract
+    expect(path.basename(getVerificationLedgerPath(LEDGER_CHAIN_ID))).to.match(/^\./);
+    expect(fs.existsSync(path.join(LEDGER_PATH, `${contractName}.json`))).to.equal(false);
+
+    const requestCount = stub.actions.length;
+    const result = await verify();
+    expect(result.status).to.equal("verified");
+    expect(stub.actions).to.have.length(requestCount);
+  });
+});
@@ -0,0 +1,108 @@
+import { ethers } from "hardhat";
+import { expect } from "chai";
+import { deployCarbonCoinFixture, increaseTime, tokens, usdc } from "./fixtures";
+
+const sdk = require("../sdk");
+
+describe("Whale Trades", () => {
+  let fixture: any;
+  let coin: any;
+  let steps: any[];
+
+  // Advances the local chain instead of sleeping
+  const waitUntil = async (timestamp: number) => {
+    const { timestamp: latest } = await ethers.provider.getBlock("latest");
+    if (timestamp > latest) { await increaseTime(timestamp - latest); }
+  };
+  const onStep = (step: any) => steps.push(step);
+
+  beforeEach(async () => {
+    fixture = await deployCarbonCoinFixture();
+    const { usdcToken, carbonCoin, user2 } = fixture;
+    await usdcToken.mint(user2.address, usdc(5000));
+    // Past the launch window, where buys are capped at maxBuyAmountEarly
+    await increaseTime(121);
+
+    coin = new sdk.CarbonCoinClient({ ethers, runner: user2, address: carbonCoin.address });
+    steps = [];
+  });
+
+  it("detects trades that cross the whale threshold", async () => {
+    const { protection, carbonCoin, deployer, user2 } = fixture;
+
+    const small = await sdk.planTrade(coin, { side: "buy", amount: BigInt(usdc(999).toString()) });
+    expect(small.isWhale).to.equal(false);
+
+    const large = await sdk.planTrade(coin, { side: "buy", amount: BigInt(usdc(1500).toString()) });
+    expect(large.isWhale).to.equal(true);
+    expect(large.whaleThreshold).to.equal(BigInt(usdc(1000).toString()));
+    expect(large.whaleDelay).to.equal(300);
+    expect(large.intent).to.equal(null);
+
+    await protection.connect(deployer).addToWhitelist(carbonCoin.address, user2.address);
+    expect((await sdk.planTrade(coin, { side: "buy", amount: BigInt(usdc(1500).toString()) })).isWhale).to.equal(false);
+  });
+
+  it("refuses a whale trade without a registered intent, before sending anything", async () => {
+    const { user2 } = fixture;
+    const nonce = await user2.getTransactionCount();
+
+    let error: any;
+    try {
+      await sdk.executeWhaleTrade(coin, { side: "buy", amount: BigInt(usdc(1500).toString()), waitUntil, onStep });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(sdk.WhaleIntentError);
+    expect(error.message).to.contain("rolls the intent back");
+    expect(error.plan.isWhale).to.equal(true);
+    expect(await user2.getTransactionCount()).to.equal(nonce);
+  });
+
+  it("executes sub-threshold trades directly", async () => {
+    const { carbonCoin, user2 } = fixture;
+    const { receipt } = await sdk.executeWhaleTrade(coin, { side: "buy", amount: BigInt(usdc(100).toString()), waitUntil, onStep });
+    expect(receipt.status).to.equal(1);
+    expect(await carbonCoin.balanceOf(user2.address)).to.be.gt(0);
+  });
+
+  it("splits a buy into even sub-threshold chunks", async () => {
+    const { chunks, maxChunk } = await sdk.planSplitTrade(coin, { side: "buy", amount: BigInt(usdc(2000).toString()) });
+    expect(maxChunk).to.equal(BigInt(usdc(1000).sub(1).toString()));
+    expect(chunks).to.have.length(3);
+    expect(chunks.reduce((sum: bigint, chunk: bigint) => sum + chunk, BigInt(0))).to.equal(BigInt(usdc(2000).toString()));
+  });
+
+  it("buys and sells in chunks, waiting out the buy cooldown and the circuit breaker", async () => {
+    const { carbonCoin, usdcToken, user2 } = fixture;
+
+    const bought = await sdk.executeSplitTrade(coin, { side: "buy", amount: BigInt(usdc(2000).toString()), waitUntil, onStep });
+    expect(bought.chunks).to.have.length(3);
+    expect(steps.filter((step) => step.step === "wait" && step.reason === "buy cooldown")).to.have.length(2);
+    expect(await usdcToken.balanceOf(user2.address)).to.equal(usdc(3000));
+
+    steps = [];
+    const balance = BigInt((await carbonCoin.balanceOf(user2.address)).toString());
+    const sold = await sdk.executeSplitTrade(coin, { side: "sell", amount: balance, waitUntil, onStep });
+    expect(sold.chunks.length).to.be.gte(2);
+
+    // Truncation leaves the curve unable to take back the last dust of the supply
+    expect(await carbonCoin.balanceOf(user2.address)).to.equal(sold.unsold);
+    expect(sold.unsold > BigInt(0) && sold.unsold < BigInt(tokens(1).toString())).to.equal(true);
+
+    // Three >5% moves inside the volatility window trip the breaker; the sells waited for it
+    expect(steps.some((step) => step.step === "wait" && step.reason === "circuit breaker")).to.equal(true);
+  });
+
+  it("decodes cancelling a missing intent", async () => {
+    const protection = await coin.protection();
+    let thrown: any;
+    try {
+      await protection.cancelWhaleIntent(fixture.carbonCoin.address, fixture.user2.address);
+    } catch (err) {
+      thrown = err;
+    }
+    expect(thrown).to.be.instanceOf(sdk.CarbonSdkError);
+    expect(thrown.errorName).to.equal("NoWhaleIntentFound");
+  });
+});